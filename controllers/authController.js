@@ -3,29 +3,27 @@
  * 
  * Handles authentication-related operations:
  * - User registration
- * - User login
- * - Password reset
+ * - User login (with a two-factor step where enabled), token refresh and logout
+ * - Account lockout after repeated failed logins, and unlocking
+ * - Signed-in device sessions
+ * - Password change and reset, enforcing the password policy and history
  * - Email verification
  */
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
 const Therapist = require('../models/Therapist');
 const emailService = require('../services/emailService');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const accountLockoutService = require('../services/accountLockoutService');
+const passwordHistoryService = require('../services/passwordHistoryService');
+const { getPasswordProblems } = require('../utils/passwordPolicy');
+const creditService = require('../services/creditService');
 const logger = require('../utils/logger');
 
-/**
- * Generate JWT token
- * @param {string} userId - User ID
- * @returns {string} JWT token
- */
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
-
 /**
  * Register a new user
  * @param {Object} req - Express request object
@@ -33,7 +31,7 @@ const generateToken = (userId) => {
  */
 exports.register = async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName, phone, dateOfBirth, role } = req.body;
+    const { email, password, firstName, lastName, phone, dateOfBirth, timeZone, role } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
@@ -52,6 +50,7 @@ exports.register = async (req, res, next) => {
       lastName,
       phone,
       dateOfBirth,
+      timeZone,
       role: role || 'patient'
     });
 
@@ -62,16 +61,18 @@ exports.register = async (req, res, next) => {
         licenseNumber: req.body.licenseNumber || `LIC-${user.id.substring(0, 8)}`,
         specialization: req.body.specialization || [],
         hourlyRate: req.body.hourlyRate || 100.00,
-        bio: req.body.bio || ''
+        bio: req.body.bio || '',
+        timeZone: user.timeZone
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
-
     // Send verification email
     try {
-      await emailService.sendVerificationEmail(user.email, user.firstName, token);
+      await emailService.sendVerificationEmail(
+        user.email,
+        user.firstName,
+        tokenService.generateEmailVerificationToken(user)
+      );
     } catch (emailError) {
       logger.error('Failed to send verification email:', emailError);
       // Don't fail registration if email fails
@@ -81,12 +82,29 @@ exports.register = async (req, res, next) => {
     const userData = user.toJSON();
     delete userData.password;
 
+    // Roles with mandatory two-factor authentication enroll before getting tokens
+    if (await twoFactorService.isTwoFactorRequired(user.role)) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Set up two-factor authentication to sign in.',
+        data: {
+          user: userData,
+          twoFactorSetupRequired: true,
+          challengeToken: tokenService.generateTwoFactorChallenge(user, 'setup')
+        }
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.startSession(user, tokenService.getClientInfo(req));
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: userData,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -128,21 +146,59 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Refuse locked accounts and attempts made too soon after a failure
+    const { error: throttleError } = await accountLockoutService.checkLoginAllowed(user);
+    if (throttleError) {
+      res.set('Retry-After', String(throttleError.retryAfter));
+      return res.status(throttleError.statusCode).json({
+        success: false,
+        message: throttleError.message
+      });
+    }
+
     // Check password
+    const client = tokenService.getClientInfo(req);
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const { error: lockError } = await accountLockoutService.recordFailedLogin(user, client);
+      if (lockError) {
+        res.set('Retry-After', String(lockError.retryAfter));
+        return res.status(lockError.statusCode).json({
+          success: false,
+          message: lockError.message
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Second step: a code for enrolled users, enrollment where the role requires it
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: tokenService.generateTwoFactorChallenge(user, 'verify')
+        }
+      });
+    }
+    if (await twoFactorService.isTwoFactorRequired(user.role)) {
+      return res.json({
+        success: true,
+        message: 'Set up two-factor authentication to finish signing in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: tokenService.generateTwoFactorChallenge(user, 'setup')
+        }
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Generate tokens and record the login
+    await accountLockoutService.recordSuccessfulLogin(user, client);
+    const { token, refreshToken } = await tokenService.startSession(user, client);
 
     // Remove password from response
     const userData = user.toJSON();
@@ -153,7 +209,8 @@ exports.login = async (req, res, next) => {
       message: 'Login successful',
       data: {
         user: userData,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -161,6 +218,123 @@ exports.login = async (req, res, next) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { tokens, error } = await tokenService.rotateRefreshToken(req.body.refreshToken);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout user by revoking the refresh token and every token rotated from it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    await tokenService.revokeRefreshToken(req.body.refreshToken, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's signed-in device sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await tokenService.getActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.userSession.id
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions, signing that device out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await UserSession.findOne({
+      where: { id: req.params.sessionId, userId: req.user.id, revokedAt: null }
+    });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await tokenService.revokeSession(session.id, 'revoked-by-user');
+    logger.info(`Session ${session.id} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: session.id === req.userSession.id ? 'Signed out of this device' : 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke every session of the current user except the current one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await tokenService.revokeUserSessions(req.user.id, 'revoked-by-user', {
+      exceptSessionId: req.userSession.id
+    });
+    logger.info(`${revoked} other sessions revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other sessions`,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get current user profile
  * @param {Object} req - Express request object
@@ -176,9 +350,15 @@ exports.getMe = async (req, res, next) => {
       }] : []
     });
 
+    // Patients see their prepaid session credits; details are in the wallet
+    const data = { user };
+    if (req.user.role === 'patient') {
+      data.creditBalance = await creditService.getCreditBalance(req.user.id);
+    }
+
     res.json({
       success: true,
-      data: { user }
+      data
     });
   } catch (error) {
     next(error);
@@ -192,8 +372,8 @@ exports.getMe = async (req, res, next) => {
  */
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { firstName, lastName, phone, dateOfBirth } = req.body;
-    const allowedUpdates = { firstName, lastName, phone, dateOfBirth };
+    const { firstName, lastName, phone, dateOfBirth, timeZone } = req.body;
+    const allowedUpdates = { firstName, lastName, phone, dateOfBirth, timeZone };
 
     // Remove undefined fields
     Object.keys(allowedUpdates).forEach(key => 
@@ -234,13 +414,6 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters'
-      });
-    }
-
     const user = await User.findByPk(req.user.id);
 
     // Verify current password
@@ -252,13 +425,31 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
-    // Update password
+    if (await passwordHistoryService.isPasswordReused(user, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a password you have not used recently'
+      });
+    }
+
+    // Update password and sign out every other device
+    const previousHash = user.password;
     user.password = newPassword;
+    user.passwordChangedAt = new Date();
     await user.save();
+    await passwordHistoryService.recordPasswordChange(user.id, previousHash);
+    await tokenService.revokeUserSessions(user.id, 'password-changed', { exceptSessionId: req.userSession.id });
+
+    // Keep the current device signed in with a fresh pair
+    const { token, refreshToken } = await tokenService.renewSession(user, req.userSession.id, 'password-changed');
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     next(error);
@@ -357,11 +548,34 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
 
-    // Update password
+    // The route checks the policy without the account; check name and email now
+    const problems = getPasswordProblems(password, user);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+
+    if (await passwordHistoryService.isPasswordReused(user, password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a password you have not used recently'
+      });
+    }
+
+    // Update password and sign out everywhere
+    const previousHash = user.password;
     user.password = password;
+    user.passwordChangedAt = new Date();
     user.resetPasswordToken = null;
     user.resetPasswordExpire = null;
     await user.save();
+    await passwordHistoryService.recordPasswordChange(user.id, previousHash);
+    await tokenService.revokeUserSessions(user.id, 'password-changed');
+
+    // Proving control of the email also lifts a lockout
+    await accountLockoutService.clearFailedLogins(user);
 
     res.json({
       success: true,
@@ -372,6 +586,32 @@ exports.resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * Unlock an account with the token from the account locked email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const { user, error } = await accountLockoutService.unlockAccount(req.body.token);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.info(`User ${user.id} unlocked their account`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Verify email
  * @param {Object} req - Express request object
@@ -381,8 +621,14 @@ exports.verifyEmail = async (req, res, next) => {
   try {
     const { token } = req.params;
 
-    // Verify token
+    // Verify token; links sent before tokens were typed carry no type
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type && decoded.type !== 'email-verification') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
     const user = await User.findByPk(decoded.id);
 
     if (!user) {
@@ -0,0 +1,219 @@
+/**
+ * Availability Exception Controller
+ *
+ * Handles date-specific availability overrides for the current therapist:
+ * - List exceptions
+ * - Create exception (time off or extra availability)
+ * - Update exception
+ * - Delete exception
+ */
+
+const { Op } = require('sequelize');
+const AvailabilityException = require('../models/AvailabilityException');
+const Therapist = require('../models/Therapist');
+const waitlistService = require('../services/waitlistService');
+const logger = require('../utils/logger');
+
+/**
+ * Load the therapist profile of the current user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Therapist instance
+ */
+const findCurrentTherapist = async (req) => {
+  return await Therapist.findOne({ where: { userId: req.user.id } });
+};
+
+/**
+ * Get the current therapist's availability exceptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getExceptions = async (req, res, next) => {
+  try {
+    const { from, to, type } = req.query;
+
+    const therapist = await findCurrentTherapist(req);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const where = { therapistId: therapist.id };
+
+    // Only exceptions overlapping the requested range
+    if (from) {
+      where.endDate = { [Op.gte]: from };
+    }
+    if (to) {
+      where.startDate = { [Op.lte]: to };
+    }
+    if (type) {
+      where.type = type;
+    }
+
+    const exceptions = await AvailabilityException.findAll({
+      where,
+      order: [['startDate', 'ASC'], ['startTime', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { exceptions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an availability exception
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createException = async (req, res, next) => {
+  try {
+    const { type, reason, startDate, endDate, startTime, endTime, notes } = req.body;
+
+    const therapist = await findCurrentTherapist(req);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const exception = await AvailabilityException.create({
+      therapistId: therapist.id,
+      type,
+      reason,
+      startDate,
+      endDate: endDate || startDate,
+      startTime,
+      endTime,
+      notes
+    });
+
+    logger.info(`Availability exception ${exception.id} created for therapist ${therapist.id}`);
+
+    // Extra hours may open slots for waiting patients
+    if (exception.type === 'extra-availability') {
+      await waitlistService.offerNewAvailability(therapist.id, {
+        from: exception.startDate,
+        to: exception.endDate
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Availability exception created successfully',
+      data: { exception }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an availability exception
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateException = async (req, res, next) => {
+  try {
+    const { exceptionId } = req.params;
+    const { type, reason, startDate, endDate, startTime, endTime, notes } = req.body;
+
+    const therapist = await findCurrentTherapist(req);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const exception = await AvailabilityException.findOne({
+      where: { id: exceptionId, therapistId: therapist.id }
+    });
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability exception not found'
+      });
+    }
+
+    const allowedUpdates = { type, reason, startDate, endDate, startTime, endTime, notes };
+
+    // Remove undefined fields
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    const previousRange = { from: exception.startDate, to: exception.endDate };
+
+    await exception.update(allowedUpdates);
+
+    // Shrunk time off or moved extra hours may open slots for waiting patients
+    await waitlistService.offerNewAvailability(therapist.id, {
+      from: previousRange.from < exception.startDate ? previousRange.from : exception.startDate,
+      to: previousRange.to > exception.endDate ? previousRange.to : exception.endDate
+    });
+
+    res.json({
+      success: true,
+      message: 'Availability exception updated successfully',
+      data: { exception }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an availability exception
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteException = async (req, res, next) => {
+  try {
+    const { exceptionId } = req.params;
+
+    const therapist = await findCurrentTherapist(req);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const exception = await AvailabilityException.findOne({
+      where: { id: exceptionId, therapistId: therapist.id }
+    });
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability exception not found'
+      });
+    }
+
+    await exception.destroy();
+
+    // Removed time off may open slots for waiting patients
+    if (exception.type === 'time-off') {
+      await waitlistService.offerNewAvailability(therapist.id, {
+        from: exception.startDate,
+        to: exception.endDate
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Availability exception deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,21 +2,56 @@
  * Booking Controller
  * 
  * Handles booking-related operations:
+ * - Hold and release slots during checkout
  * - Create booking
  * - Get bookings
  * - Update booking
+ * - Reschedule booking
  * - Cancel booking
+ * - Get booking status history
+ * - Accept and decline booking requests
  */
 
-const { Op } = require('sequelize');
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
 const Booking = require('../models/Booking');
+const BookingHistory = require('../models/BookingHistory');
 const Therapist = require('../models/Therapist');
 const User = require('../models/User');
+const Service = require('../models/Service');
+const SlotHold = require('../models/SlotHold');
+const Refund = require('../models/Refund');
 const emailService = require('../services/emailService');
+const pricingService = require('../services/pricingService');
+const bookingPolicyService = require('../services/bookingPolicyService');
+const bookingStateService = require('../services/bookingStateService');
+const bookingRequestService = require('../services/bookingRequestService');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
+const creditService = require('../services/creditService');
+const discountService = require('../services/discountService');
+const availabilityService = require('../services/availabilityService');
+const schedulingService = require('../services/schedulingService');
+const waitlistService = require('../services/waitlistService');
+const timezone = require('../utils/timezone');
 const logger = require('../utils/logger');
 
+/**
+ * Serialize a booking with its start rendered in the viewer's time zone
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Requesting user
+ * @returns {Object} Booking JSON with localTime
+ */
+const serializeBooking = (booking, user) => ({
+  ...booking.toJSON(),
+  localTime: booking.getLocalTimes(user.timeZone)
+});
+
 /**
  * Create a new booking
+ * Accepts a slot hold token, in which case the held slot is booked. A matching
+ * package credit pays for the session unless useCredits is false; otherwise the
+ * patient's sliding-scale rate and any promo code discount the price.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -24,86 +59,146 @@ exports.createBooking = async (req, res, next) => {
   try {
     const {
       therapistId,
-      sessionDate,
-      sessionTime,
-      duration = 60,
+      holdToken,
       sessionType = 'video',
-      notes
+      notes,
+      promoCode,
+      useCredits = true
     } = req.body;
 
-    // Validate therapist exists
-    const therapist = await Therapist.findByPk(therapistId, {
-      include: [{
-        model: User,
-        as: 'user'
-      }]
-    });
-
-    if (!therapist) {
-      return res.status(404).json({
-        success: false,
-        message: 'Therapist not found'
+    // Book the held interval when a hold token is supplied
+    let hold = null;
+    if (holdToken) {
+      hold = await SlotHold.findOne({
+        where: { tokenHash: SlotHold.hashToken(holdToken) }
       });
+
+      if (!hold || hold.patientId !== req.user.id || hold.therapistId !== therapistId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Slot hold not found'
+        });
+      }
+
+      if (hold.isExpired()) {
+        return res.status(410).json({
+          success: false,
+          message: 'Slot hold has expired'
+        });
+      }
     }
 
-    if (!therapist.isVerified) {
-      return res.status(400).json({
+    const sessionRequest = await schedulingService.resolveSessionRequest(hold ? {
+      therapistId,
+      serviceId: hold.serviceId,
+      sessionDate: hold.sessionDate,
+      sessionTime: hold.sessionTime,
+      duration: hold.duration
+    } : req.body);
+
+    if (sessionRequest.error) {
+      return res.status(sessionRequest.error.statusCode).json({
         success: false,
-        message: 'Therapist is not verified'
+        message: sessionRequest.error.message
       });
     }
 
-    // Check if time slot is available
-    const sessionDateTime = new Date(`${sessionDate}T${sessionTime}`);
-    const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][sessionDateTime.getDay()];
-    const availability = therapist.availability[dayOfWeek];
+    const { therapist, serviceRate, sessionDate, sessionTime, duration } = sessionRequest;
 
-    if (!availability || !availability.available) {
-      return res.status(400).json({
-        success: false,
-        message: 'Therapist is not available on this day'
+    // Calculate the price before discounts
+    const subtotalAmount = serviceRate
+      ? serviceRate.price
+      : pricingService.calculateHourlyPrice(therapist.hourlyRate, duration);
+
+    // Check the slot and create the booking under a therapist lock
+    const { slotCheck, pricingError, booking } = await schedulingService.withTherapistLock(therapist.id, async (transaction) => {
+      const slotCheck = await schedulingService.checkSlot(therapist, sessionDate, sessionTime, duration, {
+        transaction,
+        excludeHoldId: hold ? hold.id : undefined
       });
-    }
+      if (!slotCheck.available) {
+        return { slotCheck };
+      }
+
+      const purchase = useCredits ? await creditService.findUsablePurchase(req.user.id, {
+        therapistId: therapist.id,
+        serviceId: serviceRate ? serviceRate.service.id : null,
+        startsAt: slotCheck.startsAt
+      }, transaction) : null;
 
-    // Check for conflicting bookings
-    const conflictingBooking = await Booking.findOne({
-      where: {
+      // Sessions paid with a credit are not discounted
+      const pricing = purchase
+        ? { subtotalAmount: null, discountAmount: 0, totalAmount: 0, discounts: [], promo: null }
+        : await discountService.priceBooking({
+          patientId: req.user.id,
+          therapistId: therapist.id,
+          serviceId: serviceRate ? serviceRate.service.id : null,
+          amount: subtotalAmount,
+          promoCode,
+          transaction
+        });
+      if (pricing.error) {
+        return { pricingError: pricing.error };
+      }
+
+      const booking = await Booking.create({
+        patientId: req.user.id,
         therapistId,
-        sessionDate: {
-          [Op.between]: [
-            new Date(sessionDateTime.setHours(0, 0, 0, 0)),
-            new Date(sessionDateTime.setHours(23, 59, 59, 999))
-          ]
-        },
+        serviceId: serviceRate ? serviceRate.service.id : null,
+        serviceName: serviceRate ? serviceRate.service.name : null,
+        servicePrice: serviceRate ? serviceRate.price : null,
+        sessionDate: new Date(slotCheck.schedule.dateKey),
         sessionTime,
-        status: {
-          [Op.in]: ['pending', 'confirmed']
-        }
+        timeZone: therapist.timeZone,
+        startsAt: slotCheck.startsAt,
+        duration,
+        sessionType,
+        notes,
+        subtotalAmount: pricing.subtotalAmount,
+        discountAmount: pricing.discountAmount,
+        discounts: pricing.discounts,
+        promoCodeId: pricing.promo ? pricing.promo.id : null,
+        totalAmount: pricing.totalAmount,
+        packagePurchaseId: purchase ? purchase.id : null,
+        status: 'pending',
+        responseDueAt: bookingRequestService.getResponseDeadline(slotCheck.startsAt)
+      }, { transaction });
+
+      await bookingStateService.recordHistory(booking, null, 'pending', {
+        actor: bookingStateService.getActor(req.user),
+        transaction
+      });
+      if (purchase) {
+        await creditService.consumeCredit(booking, purchase, transaction);
+      }
+      if (pricing.promo) {
+        await discountService.redeemPromoCode(booking, pricing.promo, transaction);
       }
+      await bookingRequestService.applyAutoConfirm(booking, therapist, transaction);
+
+      // The hold has served its purpose once the booking exists
+      if (hold) {
+        await waitlistService.markOfferClaimed(hold, booking, transaction);
+        await hold.destroy({ transaction });
+      }
+
+      return { slotCheck, booking };
     });
 
-    if (conflictingBooking) {
-      return res.status(400).json({
+    if (pricingError) {
+      return res.status(pricingError.statusCode).json({
         success: false,
-        message: 'Time slot is already booked'
+        message: pricingError.message
       });
     }
 
-    // Calculate total amount
-    const totalAmount = (parseFloat(therapist.hourlyRate) * duration) / 60;
-
-    // Create booking
-    const booking = await Booking.create({
-      patientId: req.user.id,
-      therapistId,
-      sessionDate: new Date(sessionDate),
-      sessionTime,
-      duration,
-      sessionType,
-      notes,
-      totalAmount,
-      status: 'pending'
-    });
+    if (!booking) {
+      const { statusCode, message } = schedulingService.SLOT_UNAVAILABLE_RESPONSES[slotCheck.reason];
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
 
     // Load booking with relations
     const bookingWithDetails = await Booking.findByPk(booking.id, {
@@ -111,7 +206,7 @@ exports.createBooking = async (req, res, next) => {
         {
           model: User,
           as: 'patient',
-          attributes: ['id', 'firstName', 'lastName', 'email']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
         },
         {
           model: Therapist,
@@ -121,13 +216,27 @@ exports.createBooking = async (req, res, next) => {
             as: 'user',
             attributes: ['id', 'firstName', 'lastName', 'email']
           }]
+        },
+        {
+          model: Service,
+          as: 'service',
+          attributes: ['id', 'name', 'icon']
         }
       ]
     });
 
+    // Start the payment; the patient can resume it later if the provider is unavailable
+    let payment = null;
+    try {
+      payment = await paymentService.createBookingPayment(bookingWithDetails);
+    } catch (paymentError) {
+      logger.error('Failed to create booking payment:', paymentError);
+    }
+
     // Send confirmation emails
     try {
-      await emailService.sendBookingConfirmation(bookingWithDetails);
+      const invoice = await invoiceService.getInvoiceAttachment(bookingWithDetails);
+      await emailService.sendBookingConfirmation(bookingWithDetails, invoice);
     } catch (emailError) {
       logger.error('Failed to send booking confirmation email:', emailError);
       // Don't fail booking creation if email fails
@@ -136,7 +245,10 @@ exports.createBooking = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
-      data: { booking: bookingWithDetails }
+      data: {
+        booking: serializeBooking(bookingWithDetails, req.user),
+        payment
+      }
     });
   } catch (error) {
     next(error);
@@ -181,7 +293,7 @@ exports.getMyBookings = async (req, res, next) => {
         {
           model: User,
           as: 'patient',
-          attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'timeZone']
         },
         {
           model: Therapist,
@@ -191,17 +303,22 @@ exports.getMyBookings = async (req, res, next) => {
             as: 'user',
             attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
           }]
+        },
+        {
+          model: Service,
+          as: 'service',
+          attributes: ['id', 'name', 'icon']
         }
       ],
       limit: parseInt(limit),
       offset,
-      order: [['sessionDate', 'DESC'], ['sessionTime', 'DESC']]
+      order: [['startsAt', 'DESC']]
     });
 
     res.json({
       success: true,
       data: {
-        bookings: rows,
+        bookings: rows.map(booking => serializeBooking(booking, req.user)),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -229,7 +346,7 @@ exports.getBookingById = async (req, res, next) => {
         {
           model: User,
           as: 'patient',
-          attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'timeZone']
         },
         {
           model: Therapist,
@@ -239,6 +356,16 @@ exports.getBookingById = async (req, res, next) => {
             as: 'user',
             attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
           }]
+        },
+        {
+          model: Service,
+          as: 'service',
+          attributes: ['id', 'name', 'icon']
+        },
+        {
+          model: Refund,
+          as: 'refunds',
+          attributes: ['id', 'amount', 'currency', 'reason', 'status', 'providerRefundId', 'createdAt']
         }
       ]
     });
@@ -263,7 +390,7 @@ exports.getBookingById = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { booking }
+      data: { booking: serializeBooking(booking, req.user) }
     });
   } catch (error) {
     next(error);
@@ -317,40 +444,93 @@ exports.updateBooking = async (req, res, next) => {
 
     // Update allowed fields
     const allowedUpdates = { notes, meetingLink };
-    if (status && ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'].includes(status)) {
-      allowedUpdates.status = status;
-      
-      if (status === 'cancelled') {
-        allowedUpdates.cancelledAt = new Date();
-        allowedUpdates.cancelledBy = req.user.id;
-        if (req.body.cancellationReason) {
-          allowedUpdates.cancellationReason = req.body.cancellationReason;
-        }
-      }
-    }
 
     // Remove undefined fields
     Object.keys(allowedUpdates).forEach(key => 
       allowedUpdates[key] === undefined && delete allowedUpdates[key]
     );
 
-    await booking.update(allowedUpdates);
+    const { statusChanged, check } = await sequelize.transaction(async (transaction) => {
+      // Re-read under a lock so a concurrent status change is seen
+      const current = await Booking.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const statusChanged = status !== undefined && status !== current.status;
+
+      // Enforce the booking lifecycle
+      if (statusChanged) {
+        const transition = bookingStateService.checkTransition(current, status, req.user.role);
+        if (!transition.allowed) {
+          return { check: transition };
+        }
+
+        if (status === 'cancelled') {
+          const cancellable = bookingPolicyService.checkCancellation(current, req.user);
+          if (!cancellable.allowed) {
+            return { check: cancellable };
+          }
+        }
+      }
+
+      await current.update(allowedUpdates, { transaction });
+
+      if (statusChanged) {
+        const statusUpdates = {};
+        if (status === 'cancelled') {
+          const outcome = bookingPolicyService.evaluateCancellation(current, booking.therapist, req.user);
+          statusUpdates.cancelledBy = req.user.id;
+          statusUpdates.cancellationFee = outcome.fee;
+          statusUpdates.refundAmount = outcome.refundAmount;
+          statusUpdates.cancellationOutcome = outcome;
+          if (req.body.cancellationReason) {
+            statusUpdates.cancellationReason = req.body.cancellationReason;
+          }
+        }
+
+        await bookingStateService.transitionBooking(current, status, {
+          actor: bookingStateService.getActor(req.user),
+          reason: req.body.cancellationReason,
+          updates: statusUpdates,
+          transaction
+        });
+      }
+
+      return { statusChanged, check: { allowed: true } };
+    });
+
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    await booking.reload();
+
+    // Capture or release the payment and notify the patient if status changed
+    if (statusChanged) {
+      await paymentService.settleBookingPayment(booking);
 
-    // Send notification email if status changed
-    if (status && status !== booking.status) {
       try {
-        await emailService.sendBookingStatusUpdate(booking);
+        const invoice = status === 'confirmed' ? await invoiceService.getInvoiceAttachment(booking) : null;
+        await emailService.sendBookingStatusUpdate(booking, undefined, invoice);
       } catch (emailError) {
         logger.error('Failed to send booking status update email:', emailError);
       }
     }
 
+    // Offer a freed slot to the waitlist
+    if (statusChanged && status === 'cancelled') {
+      await waitlistService.offerFreedSlot(booking);
+    }
+
     const updatedBooking = await Booking.findByPk(id, {
       include: [
         {
           model: User,
           as: 'patient',
-          attributes: ['id', 'firstName', 'lastName', 'email']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
         },
         {
           model: Therapist,
@@ -367,7 +547,153 @@ exports.updateBooking = async (req, res, next) => {
     res.json({
       success: true,
       message: 'Booking updated successfully',
-      data: { booking: updatedBooking }
+      data: { booking: serializeBooking(updatedBooking, req.user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reschedule booking to a new slot with the same therapist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.rescheduleBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { startsAt, sessionDate, sessionTime, reason } = req.body;
+
+    const booking = await Booking.findByPk(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check authorization
+    const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+    if (req.user.role !== 'admin' && 
+        booking.patientId !== req.user.id && 
+        (!therapist || booking.therapistId !== therapist.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this booking'
+      });
+    }
+
+    // The new slot keeps the booking's therapist and duration
+    const sessionRequest = await schedulingService.resolveSessionRequest({
+      therapistId: booking.therapistId,
+      startsAt,
+      sessionDate,
+      sessionTime,
+      duration: booking.duration
+    });
+
+    if (sessionRequest.error) {
+      return res.status(sessionRequest.error.statusCode).json({
+        success: false,
+        message: sessionRequest.error.message
+      });
+    }
+
+    const { therapist: bookingTherapist, duration } = sessionRequest;
+    const newDateKey = availabilityService.toDateKey(sessionRequest.sessionDate);
+    const newStartsAt = timezone.zonedTimeToUtc(newDateKey, sessionRequest.sessionTime, bookingTherapist.timeZone);
+
+    const { policy, slotCheck, previousStartsAt } = await schedulingService.withTherapistLock(bookingTherapist.id, async (transaction) => {
+      // Re-read under the lock so concurrent reschedules see each other's counts
+      const current = await Booking.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const policy = bookingPolicyService.checkReschedule(current, newStartsAt, req.user);
+      if (!policy.allowed) {
+        return { policy };
+      }
+
+      const slotCheck = await schedulingService.checkSlot(bookingTherapist, newDateKey, sessionRequest.sessionTime, duration, {
+        transaction,
+        excludeBookingId: current.id
+      });
+      if (!slotCheck.available) {
+        return { policy, slotCheck };
+      }
+
+      const previousStartsAt = current.startsAt;
+
+      await current.moveTo({
+        dateKey: slotCheck.schedule.dateKey,
+        sessionTime: sessionRequest.sessionTime,
+        timeZone: bookingTherapist.timeZone,
+        startsAt: slotCheck.startsAt
+      }, { userId: req.user.id, reason, transaction });
+
+      return { policy, slotCheck, previousStartsAt };
+    });
+
+    if (!policy.allowed) {
+      return res.status(policy.statusCode).json({
+        success: false,
+        message: policy.message
+      });
+    }
+
+    if (!slotCheck.available) {
+      const { statusCode, message } = schedulingService.SLOT_UNAVAILABLE_RESPONSES[slotCheck.reason];
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    const updatedBooking = await Booking.findByPk(id, {
+      include: [
+        {
+          model: User,
+          as: 'patient',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
+        },
+        {
+          model: Therapist,
+          as: 'therapist',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName', 'email']
+          }]
+        },
+        {
+          model: Service,
+          as: 'service',
+          attributes: ['id', 'name', 'icon']
+        }
+      ]
+    });
+
+    logger.info(`Booking ${id} rescheduled from ${previousStartsAt.toISOString()} by user ${req.user.id}`);
+
+    // Send reschedule emails
+    try {
+      await emailService.sendBookingRescheduled(updatedBooking, previousStartsAt);
+    } catch (emailError) {
+      logger.error('Failed to send booking reschedule email:', emailError);
+    }
+
+    // Offer the previous slot to the waitlist
+    await waitlistService.offerFreedSlot({ therapistId: updatedBooking.therapistId, startsAt: previousStartsAt });
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: {
+        booking: serializeBooking(updatedBooking, req.user),
+        previousStartsAt
+      }
     });
   } catch (error) {
     next(error);
@@ -419,29 +745,59 @@ exports.cancelBooking = async (req, res, next) => {
       });
     }
 
-    // Check if booking can be cancelled
-    if (booking.status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking is already cancelled'
+    const { check, cancellation } = await sequelize.transaction(async (transaction) => {
+      // Re-read under a lock so a concurrent status change is seen
+      const current = await Booking.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
       });
-    }
 
-    if (booking.status === 'completed') {
-      return res.status(400).json({
+      // Enforce the booking lifecycle
+      const transition = bookingStateService.checkTransition(current, 'cancelled', req.user.role);
+      if (!transition.allowed) {
+        return { check: transition };
+      }
+
+      const cancellable = bookingPolicyService.checkCancellation(current, req.user);
+      if (!cancellable.allowed) {
+        return { check: cancellable };
+      }
+
+      // Apply the cancellation policy
+      const cancellation = bookingPolicyService.evaluateCancellation(current, booking.therapist, req.user);
+
+      // Cancel booking
+      const updates = {
+        cancelledBy: req.user.id,
+        cancellationFee: cancellation.fee,
+        refundAmount: cancellation.refundAmount,
+        cancellationOutcome: cancellation
+      };
+      if (cancellationReason) {
+        updates.cancellationReason = cancellationReason;
+      }
+
+      await bookingStateService.transitionBooking(current, 'cancelled', {
+        actor: bookingStateService.getActor(req.user),
+        reason: cancellationReason,
+        updates,
+        transaction
+      });
+
+      return { check: { allowed: true }, cancellation };
+    });
+
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
         success: false,
-        message: 'Cannot cancel a completed booking'
+        message: check.message
       });
     }
 
-    // Cancel booking
-    booking.status = 'cancelled';
-    booking.cancelledAt = new Date();
-    booking.cancelledBy = req.user.id;
-    if (cancellationReason) {
-      booking.cancellationReason = cancellationReason;
-    }
-    await booking.save();
+    await booking.reload();
+
+    // Release an uncaptured payment
+    await paymentService.settleBookingPayment(booking);
 
     // Send cancellation email
     try {
@@ -450,13 +806,394 @@ exports.cancelBooking = async (req, res, next) => {
       logger.error('Failed to send booking cancellation email:', emailError);
     }
 
+    // Offer the freed slot to the waitlist
+    await waitlistService.offerFreedSlot(booking);
+
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
-      data: { booking }
+      data: {
+        booking: serializeBooking(booking, req.user),
+        cancellation
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Place a temporary hold on a slot during checkout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createSlotHold = async (req, res, next) => {
+  try {
+    const sessionRequest = await schedulingService.resolveSessionRequest(req.body);
+
+    if (sessionRequest.error) {
+      return res.status(sessionRequest.error.statusCode).json({
+        success: false,
+        message: sessionRequest.error.message
+      });
+    }
+
+    const { therapist, serviceRate, sessionDate, sessionTime, duration } = sessionRequest;
+    const holdMinutes = parseInt(process.env.SLOT_HOLD_MINUTES) || 10;
+    const holdToken = crypto.randomBytes(20).toString('hex');
+
+    const { slotCheck, hold } = await schedulingService.withTherapistLock(therapist.id, async (transaction) => {
+      // A patient holds at most one checkout slot at a time
+      await SlotHold.destroy({
+        where: { patientId: req.user.id, purpose: 'checkout' },
+        transaction
+      });
+
+      const slotCheck = await schedulingService.checkSlot(therapist, sessionDate, sessionTime, duration, { transaction });
+      if (!slotCheck.available) {
+        return { slotCheck };
+      }
+
+      const hold = await SlotHold.create({
+        patientId: req.user.id,
+        therapistId: therapist.id,
+        serviceId: serviceRate ? serviceRate.service.id : null,
+        sessionDate: slotCheck.schedule.dateKey,
+        sessionTime,
+        duration,
+        startsAt: slotCheck.startsAt,
+        endsAt: new Date(slotCheck.startsAt.getTime() + duration * 60000),
+        tokenHash: SlotHold.hashToken(holdToken),
+        expiresAt: new Date(Date.now() + holdMinutes * 60000)
+      }, { transaction });
+
+      return { slotCheck, hold };
+    });
+
+    if (!hold) {
+      const { statusCode, message } = schedulingService.SLOT_UNAVAILABLE_RESPONSES[slotCheck.reason];
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    const holdData = hold.toJSON();
+    delete holdData.tokenHash;
+
+    res.status(201).json({
+      success: true,
+      message: `Slot held for ${holdMinutes} minutes`,
+      data: {
+        hold: holdData,
+        holdToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Release a slot hold before it expires
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.releaseSlotHold = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const released = await SlotHold.destroy({
+      where: { id, patientId: req.user.id }
+    });
+
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot hold not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Slot hold released'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status history of a booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBookingHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findByPk(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check authorization
+    const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+    if (req.user.role !== 'admin' && 
+        booking.patientId !== req.user.id && 
+        (!therapist || booking.therapistId !== therapist.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this booking'
+      });
+    }
+
+    const history = await BookingHistory.findAll({
+      where: { bookingId: booking.id },
+      include: [{
+        model: User,
+        as: 'changer',
+        attributes: ['id', 'firstName', 'lastName', 'role']
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        status: booking.status,
+        allowedTransitions: bookingStateService.getAllowedTransitions(booking.status, req.user.role),
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find a booking request the user may answer
+ * Only the booking's therapist and admins respond to requests.
+ * @param {string} id - Booking ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} { booking } or { error: { statusCode, message } }
+ */
+const findBookingRequest = async (id, user) => {
+  const booking = await Booking.findByPk(id, {
+    include: [
+      {
+        model: User,
+        as: 'patient',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
+      },
+      {
+        model: Therapist,
+        as: 'therapist',
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        }]
+      }
+    ]
+  });
+
+  if (!booking) {
+    return { error: { statusCode: 404, message: 'Booking not found' } };
+  }
+
+  if (user.role !== 'admin' && booking.therapist.userId !== user.id) {
+    return { error: { statusCode: 403, message: 'Not authorized to respond to this booking request' } };
+  }
+
+  return { booking };
+};
+
+/**
+ * Get pending booking requests awaiting a response
+ * Therapists see their own requests, admins all requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBookingRequests = async (req, res, next) => {
+  try {
+    const where = { status: 'pending' };
+
+    if (req.user.role === 'therapist') {
+      const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+      if (!therapist) {
+        return res.json({
+          success: true,
+          data: { requests: [] }
+        });
+      }
+      where.therapistId = therapist.id;
+    }
+
+    const requests = await Booking.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'patient',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'timeZone']
+        },
+        {
+          model: Therapist,
+          as: 'therapist',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName']
+          }]
+        },
+        {
+          model: Service,
+          as: 'service',
+          attributes: ['id', 'name', 'icon']
+        }
+      ],
+      // Requests closest to their deadline first
+      order: [['responseDueAt', 'ASC NULLS LAST'], ['startsAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { requests: requests.map(booking => serializeBooking(booking, req.user)) }
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Accept a pending booking request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.acceptBooking = async (req, res, next) => {
+  try {
+    const { meetingLink } = req.body;
+
+    const { booking, error } = await findBookingRequest(req.params.id, req.user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      // Re-read under a lock so a concurrent decline or expiry is seen
+      const current = await Booking.findByPk(booking.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      await bookingStateService.transitionBooking(current, 'confirmed', {
+        actor: bookingStateService.getActor(req.user),
+        updates: meetingLink ? { meetingLink } : {},
+        transaction
+      });
+    });
+
+    await booking.reload();
+
+    // Charge the authorized payment now that the booking is confirmed
+    await paymentService.settleBookingPayment(booking);
+
+    try {
+      const invoice = await invoiceService.getInvoiceAttachment(booking);
+      await emailService.sendBookingStatusUpdate(booking, undefined, invoice);
+    } catch (emailError) {
+      logger.error('Failed to send booking acceptance email:', emailError);
+    }
+
+    logger.info(`Booking ${booking.id} accepted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Booking request accepted',
+      data: { booking: serializeBooking(booking, req.user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a pending booking request
+ * Declined requests are cancelled without a fee and the slot goes to the waitlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.declineBooking = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const { booking, error } = await findBookingRequest(req.params.id, req.user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      // Re-read under a lock so a concurrent accept or expiry is seen
+      const current = await Booking.findByPk(booking.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      // Only requests can be declined; confirmed bookings are cancelled instead
+      if (current.status !== 'pending') {
+        const declineError = new Error(`Cannot decline a ${current.status} booking`);
+        declineError.statusCode = 400;
+        throw declineError;
+      }
+
+      const outcome = bookingPolicyService.evaluateCancellation(current, booking.therapist, req.user);
+      await bookingStateService.transitionBooking(current, 'cancelled', {
+        actor: bookingStateService.getActor(req.user),
+        reason: reason ? `Declined: ${reason}` : 'Declined',
+        updates: {
+          cancelledBy: req.user.id,
+          cancellationReason: reason || null,
+          cancellationFee: outcome.fee,
+          refundAmount: outcome.refundAmount,
+          cancellationOutcome: outcome
+        },
+        transaction
+      });
+    });
+
+    await booking.reload();
+
+    // Release an uncaptured payment
+    await paymentService.settleBookingPayment(booking);
+
+    try {
+      await emailService.sendBookingStatusUpdate(booking, 'Unfortunately your therapist is unable to take this booking request, so it has been cancelled.');
+    } catch (emailError) {
+      logger.error('Failed to send booking decline email:', emailError);
+    }
+
+    // Offer the freed slot to the waitlist
+    await waitlistService.offerFreedSlot(booking);
+
+    logger.info(`Booking ${booking.id} declined by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Booking request declined',
+      data: { booking: serializeBooking(booking, req.user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
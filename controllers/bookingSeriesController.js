@@ -0,0 +1,923 @@
+/**
+ * Booking Series Controller
+ *
+ * Handles recurring booking series:
+ * - Preview occurrences and conflicts
+ * - Create series
+ * - Accept or decline a series request
+ * - Get series
+ * - Cancel one occurrence, this and following, or all
+ * - Reschedule one occurrence, this and following, or all
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const Service = require('../models/Service');
+const emailService = require('../services/emailService');
+const pricingService = require('../services/pricingService');
+const discountService = require('../services/discountService');
+const bookingPolicyService = require('../services/bookingPolicyService');
+const bookingStateService = require('../services/bookingStateService');
+const bookingRequestService = require('../services/bookingRequestService');
+const paymentService = require('../services/paymentService');
+const creditService = require('../services/creditService');
+const availabilityService = require('../services/availabilityService');
+const recurrenceService = require('../services/recurrenceService');
+const schedulingService = require('../services/schedulingService');
+const waitlistService = require('../services/waitlistService');
+const timezone = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Relations loaded with a series for responses and emails
+const SERIES_INCLUDES = [
+  {
+    model: User,
+    as: 'patient',
+    attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
+  },
+  {
+    model: Therapist,
+    as: 'therapist',
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName', 'email']
+    }]
+  },
+  {
+    model: Service,
+    as: 'service',
+    attributes: ['id', 'name', 'icon']
+  }
+];
+
+/**
+ * Serialize a booking with its start rendered in the viewer's time zone
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Requesting user
+ * @returns {Object} Booking JSON with localTime
+ */
+const serializeBooking = (booking, user) => ({
+  ...booking.toJSON(),
+  localTime: booking.getLocalTimes(user.timeZone)
+});
+
+/**
+ * Load a series the current user is allowed to access
+ * @param {Object} req - Express request object
+ * @param {string} id - Series ID
+ * @returns {Promise<Object>} { series } or { error: { statusCode, message } }
+ */
+const findSeriesForUser = async (req, id) => {
+  const series = await BookingSeries.findByPk(id, { include: SERIES_INCLUDES });
+
+  if (!series) {
+    return { error: { statusCode: 404, message: 'Booking series not found' } };
+  }
+
+  if (req.user.role !== 'admin' &&
+      series.patientId !== req.user.id &&
+      series.therapist.userId !== req.user.id) {
+    return { error: { statusCode: 403, message: 'Not authorized to access this booking series' } };
+  }
+
+  return { series };
+};
+
+/**
+ * Check each occurrence date against the therapist's schedule
+ * @param {Object} therapist - Therapist instance
+ * @param {Array<string>} dates - Occurrence dates (therapist's zone)
+ * @param {string} sessionTime - Start time (HH:MM, therapist's zone)
+ * @param {number} duration - Duration in minutes
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { available, conflicts } lists of occurrences
+ */
+const checkOccurrences = async (therapist, dates, sessionTime, duration, transaction) => {
+  const available = [];
+  const conflicts = [];
+
+  for (const [index, dateKey] of dates.entries()) {
+    const slotCheck = await schedulingService.checkSlot(therapist, dateKey, sessionTime, duration, { transaction });
+    const occurrence = {
+      occurrenceNumber: index + 1,
+      sessionDate: dateKey,
+      sessionTime,
+      startsAt: slotCheck.startsAt
+    };
+
+    if (slotCheck.available) {
+      available.push(occurrence);
+    } else {
+      conflicts.push({
+        ...occurrence,
+        reason: slotCheck.reason,
+        message: schedulingService.SLOT_UNAVAILABLE_RESPONSES[slotCheck.reason].message
+      });
+    }
+  }
+
+  return { available, conflicts };
+};
+
+/**
+ * Resolve the occurrences affected by a series change
+ * @param {Object} series - BookingSeries instance
+ * @param {string} scope - single, following or all
+ * @param {string} [bookingId] - Anchor occurrence (required for single and following)
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { anchor, occurrences } or { error: { statusCode, message } }
+ */
+const findAffectedOccurrences = async (series, scope, bookingId, transaction) => {
+  const activeWhere = {
+    seriesId: series.id,
+    status: { [Op.in]: schedulingService.ACTIVE_BOOKING_STATUSES }
+  };
+
+  const anchor = bookingId
+    ? await Booking.findOne({ where: { id: bookingId, seriesId: series.id }, transaction })
+    : await Booking.findOne({
+      where: { ...activeWhere, startsAt: { [Op.gt]: new Date() } },
+      order: [['startsAt', 'ASC']],
+      transaction
+    });
+
+  if (!anchor) {
+    return { error: { statusCode: 404, message: 'Occurrence not found in this series' } };
+  }
+
+  if (!schedulingService.ACTIVE_BOOKING_STATUSES.includes(anchor.status)) {
+    return { error: { statusCode: 400, message: `Occurrence is already ${anchor.status}` } };
+  }
+
+  let where;
+  if (scope === 'single') {
+    where = { id: anchor.id };
+  } else if (scope === 'following') {
+    where = { ...activeWhere, startsAt: { [Op.gte]: anchor.startsAt } };
+  } else {
+    where = { ...activeWhere, startsAt: { [Op.gt]: new Date() } };
+  }
+
+  const occurrences = await Booking.findAll({
+    where,
+    order: [['startsAt', 'ASC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  return { anchor, occurrences };
+};
+
+/**
+ * Preview the occurrences of a series and which of them conflict
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.previewSeries = async (req, res, next) => {
+  try {
+    const { frequency, endDate, count } = req.body;
+
+    const sessionRequest = await schedulingService.resolveSessionRequest(req.body);
+
+    if (sessionRequest.error) {
+      return res.status(sessionRequest.error.statusCode).json({
+        success: false,
+        message: sessionRequest.error.message
+      });
+    }
+
+    const { therapist, sessionDate, sessionTime, duration } = sessionRequest;
+    const dates = recurrenceService.generateOccurrenceDates({
+      frequency,
+      startDate: availabilityService.toDateKey(sessionDate),
+      endDate,
+      count
+    });
+
+    const { available, conflicts } = await checkOccurrences(therapist, dates, sessionTime, duration);
+
+    res.json({
+      success: true,
+      data: {
+        timeZone: therapist.timeZone,
+        duration,
+        occurrences: available,
+        conflicts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a recurring booking series
+ * Conflicting occurrences abort creation unless skipConflicts is set. Like a
+ * single booking, each occurrence is paid with a matching package credit while
+ * credits last unless useCredits is false, and otherwise by card at the
+ * patient's sliding-scale rate.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createSeries = async (req, res, next) => {
+  try {
+    const {
+      therapistId,
+      frequency,
+      endDate,
+      count,
+      skipConflicts = false,
+      sessionType = 'video',
+      notes,
+      useCredits = true
+    } = req.body;
+
+    const sessionRequest = await schedulingService.resolveSessionRequest(req.body);
+
+    if (sessionRequest.error) {
+      return res.status(sessionRequest.error.statusCode).json({
+        success: false,
+        message: sessionRequest.error.message
+      });
+    }
+
+    const { therapist, serviceRate, sessionDate, sessionTime, duration } = sessionRequest;
+    const startDate = availabilityService.toDateKey(sessionDate);
+    const dates = recurrenceService.generateOccurrenceDates({ frequency, startDate, endDate, count });
+
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence rule does not produce any occurrences'
+      });
+    }
+
+    const subtotalAmount = serviceRate
+      ? serviceRate.price
+      : pricingService.calculateHourlyPrice(therapist.hourlyRate, duration);
+
+    // Check every occurrence and create the series under a therapist lock
+    const { conflicts, series } = await schedulingService.withTherapistLock(therapist.id, async (transaction) => {
+      const { available, conflicts } = await checkOccurrences(therapist, dates, sessionTime, duration, transaction);
+
+      if (available.length === 0 || (conflicts.length > 0 && !skipConflicts)) {
+        return { conflicts };
+      }
+
+      // Occurrences get the patient's sliding-scale rate; promo codes apply to single bookings only
+      const pricing = await discountService.priceBooking({
+        patientId: req.user.id,
+        therapistId: therapist.id,
+        serviceId: serviceRate ? serviceRate.service.id : null,
+        amount: subtotalAmount,
+        transaction
+      });
+
+      const series = await BookingSeries.create({
+        patientId: req.user.id,
+        therapistId,
+        serviceId: serviceRate ? serviceRate.service.id : null,
+        frequency,
+        startDate,
+        endDate: endDate || null,
+        occurrenceCount: endDate ? null : dates.length,
+        sessionTime,
+        timeZone: therapist.timeZone,
+        duration,
+        sessionType,
+        notes
+      }, { transaction });
+
+      for (const occurrence of available) {
+        const purchase = useCredits ? await creditService.findUsablePurchase(req.user.id, {
+          therapistId: therapist.id,
+          serviceId: serviceRate ? serviceRate.service.id : null,
+          startsAt: occurrence.startsAt
+        }, transaction) : null;
+
+        // Sessions paid with a credit are not discounted
+        const occurrencePricing = purchase
+          ? { subtotalAmount: null, discountAmount: 0, totalAmount: 0, discounts: [] }
+          : pricing;
+
+        const booking = await Booking.create({
+          patientId: req.user.id,
+          therapistId,
+          seriesId: series.id,
+          occurrenceNumber: occurrence.occurrenceNumber,
+          serviceId: serviceRate ? serviceRate.service.id : null,
+          serviceName: serviceRate ? serviceRate.service.name : null,
+          servicePrice: serviceRate ? serviceRate.price : null,
+          sessionDate: new Date(occurrence.sessionDate),
+          sessionTime,
+          timeZone: therapist.timeZone,
+          startsAt: occurrence.startsAt,
+          duration,
+          sessionType,
+          notes,
+          subtotalAmount: occurrencePricing.subtotalAmount,
+          discountAmount: occurrencePricing.discountAmount,
+          discounts: occurrencePricing.discounts,
+          totalAmount: occurrencePricing.totalAmount,
+          packagePurchaseId: purchase ? purchase.id : null,
+          status: 'pending',
+          responseDueAt: bookingRequestService.getResponseDeadline(occurrence.startsAt)
+        }, { transaction });
+
+        await bookingStateService.recordHistory(booking, null, 'pending', {
+          actor: bookingStateService.getActor(req.user),
+          transaction
+        });
+        if (purchase) {
+          await creditService.consumeCredit(booking, purchase, transaction);
+        }
+        await bookingRequestService.applyAutoConfirm(booking, therapist, transaction);
+      }
+
+      return { conflicts, series };
+    });
+
+    if (!series) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some occurrences conflict with the therapist\'s schedule',
+        data: { conflicts }
+      });
+    }
+
+    const seriesWithDetails = await BookingSeries.findByPk(series.id, { include: SERIES_INCLUDES });
+    const bookings = await Booking.findAll({
+      where: { seriesId: series.id },
+      order: [['startsAt', 'ASC']]
+    });
+
+    logger.info(`Booking series ${series.id} created with ${bookings.length} occurrences`);
+
+    // Start each occurrence's payment; the patient can resume any of them later
+    const payments = [];
+    for (const booking of bookings) {
+      try {
+        const payment = await paymentService.createBookingPayment(booking);
+        if (payment) {
+          payments.push({ bookingId: booking.id, ...payment });
+        }
+      } catch (paymentError) {
+        logger.error(`Failed to create payment of booking ${booking.id}:`, paymentError);
+      }
+    }
+
+    // Send confirmation emails
+    try {
+      await emailService.sendSeriesUpdate(seriesWithDetails, bookings.map(booking => ({ booking })), {
+        subject: 'Recurring Booking Confirmation',
+        heading: 'Recurring Booking Confirmed',
+        intro: 'Your recurring therapy sessions have been booked.'
+      });
+    } catch (emailError) {
+      logger.error('Failed to send booking series confirmation email:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking series created successfully',
+      data: {
+        series: seriesWithDetails,
+        bookings: bookings.map(booking => serializeBooking(booking, req.user)),
+        payments,
+        conflicts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get user's booking series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMySeries = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const where = {};
+
+    // Filter by user role
+    if (req.user.role === 'patient') {
+      where.patientId = req.user.id;
+    } else if (req.user.role === 'therapist') {
+      const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+      if (!therapist) {
+        return res.json({
+          success: true,
+          data: { series: [] }
+        });
+      }
+      where.therapistId = therapist.id;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    const series = await BookingSeries.findAll({
+      where,
+      include: SERIES_INCLUDES,
+      order: [['startDate', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get booking series by ID with its occurrences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSeriesById = async (req, res, next) => {
+  try {
+    const { series, error } = await findSeriesForUser(req, req.params.id);
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const bookings = await Booking.findAll({
+      where: { seriesId: series.id },
+      order: [['startsAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        bookings: bookings.map(booking => serializeBooking(booking, req.user))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check that the user may answer a series' booking requests
+ * Only the series' therapist and admins respond to requests.
+ * @param {Object} series - BookingSeries instance with its therapist
+ * @param {Object} user - Requesting user
+ * @returns {Object|null} { statusCode, message } or null if allowed
+ */
+const checkSeriesResponder = (series, user) => {
+  if (user.role !== 'admin' && series.therapist.userId !== user.id) {
+    return { statusCode: 403, message: 'Not authorized to respond to this booking series' };
+  }
+  return null;
+};
+
+/**
+ * Lock the occurrences of a series still awaiting the therapist's answer
+ * @param {Object} series - BookingSeries instance
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Pending bookings, earliest first
+ */
+const lockPendingOccurrences = async (series, transaction) => {
+  return await Booking.findAll({
+    where: { seriesId: series.id, status: 'pending' },
+    order: [['startsAt', 'ASC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+};
+
+/**
+ * Accept every pending occurrence of a series at once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.acceptSeries = async (req, res, next) => {
+  try {
+    const { meetingLink } = req.body;
+
+    const { series, error } = await findSeriesForUser(req, req.params.id);
+    const responderError = error || checkSeriesResponder(series, req.user);
+
+    if (responderError) {
+      return res.status(responderError.statusCode).json({
+        success: false,
+        message: responderError.message
+      });
+    }
+
+    const occurrences = await sequelize.transaction(async (transaction) => {
+      const pending = await lockPendingOccurrences(series, transaction);
+
+      for (const booking of pending) {
+        await bookingStateService.transitionBooking(booking, 'confirmed', {
+          actor: bookingStateService.getActor(req.user),
+          reason: 'Accepted with the series',
+          updates: meetingLink ? { meetingLink } : {},
+          transaction
+        });
+      }
+
+      return pending;
+    });
+
+    if (occurrences.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking series has no pending occurrences'
+      });
+    }
+
+    // Charge the authorized payments now that the occurrences are confirmed
+    for (const booking of occurrences) {
+      await paymentService.settleBookingPayment(booking);
+    }
+
+    try {
+      await emailService.sendSeriesUpdate(series, occurrences.map(booking => ({ booking })), {
+        subject: 'Recurring Booking Accepted',
+        heading: 'Recurring Sessions Confirmed',
+        intro: 'The following therapy sessions have been accepted by the therapist.'
+      });
+    } catch (emailError) {
+      logger.error('Failed to send booking series acceptance email:', emailError);
+    }
+
+    logger.info(`Booking series ${series.id}: ${occurrences.length} occurrence(s) accepted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `${occurrences.length} occurrence(s) accepted`,
+      data: {
+        series,
+        bookings: occurrences.map(booking => serializeBooking(booking, req.user))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline every pending occurrence of a series at once
+ * Declined occurrences are cancelled without a fee and their slots go to the
+ * waitlist. The series ends if none of its occurrences remain active.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.declineSeries = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const { series, error } = await findSeriesForUser(req, req.params.id);
+    const responderError = error || checkSeriesResponder(series, req.user);
+
+    if (responderError) {
+      return res.status(responderError.statusCode).json({
+        success: false,
+        message: responderError.message
+      });
+    }
+
+    const occurrences = await sequelize.transaction(async (transaction) => {
+      const pending = await lockPendingOccurrences(series, transaction);
+
+      for (const booking of pending) {
+        const outcome = bookingPolicyService.evaluateCancellation(booking, series.therapist, req.user);
+        await bookingStateService.transitionBooking(booking, 'cancelled', {
+          actor: bookingStateService.getActor(req.user),
+          reason: reason ? `Declined: ${reason}` : 'Declined',
+          updates: {
+            cancelledBy: req.user.id,
+            cancellationReason: reason || null,
+            cancellationFee: outcome.fee,
+            refundAmount: outcome.refundAmount,
+            cancellationOutcome: outcome
+          },
+          transaction
+        });
+      }
+
+      const remaining = await Booking.count({
+        where: { seriesId: series.id, status: { [Op.in]: schedulingService.ACTIVE_BOOKING_STATUSES } },
+        transaction
+      });
+      if (pending.length > 0 && remaining === 0) {
+        await series.update({ status: 'cancelled', cancelledAt: new Date() }, { transaction });
+      }
+
+      return pending;
+    });
+
+    if (occurrences.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking series has no pending occurrences'
+      });
+    }
+
+    try {
+      await emailService.sendSeriesUpdate(series, occurrences.map(booking => ({ booking })), {
+        subject: 'Recurring Booking Declined',
+        heading: 'Sessions Declined',
+        intro: 'Unfortunately your therapist is unable to take the following sessions, so they have been cancelled.'
+      });
+    } catch (emailError) {
+      logger.error('Failed to send booking series decline email:', emailError);
+    }
+
+    // Release uncaptured payments and offer the freed slots to the waitlist
+    for (const booking of occurrences) {
+      await paymentService.settleBookingPayment(booking);
+      await waitlistService.offerFreedSlot(booking);
+    }
+
+    logger.info(`Booking series ${series.id}: ${occurrences.length} occurrence(s) declined by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `${occurrences.length} occurrence(s) declined`,
+      data: {
+        series,
+        bookings: occurrences.map(booking => serializeBooking(booking, req.user))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel one occurrence, this and following occurrences, or the whole series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.cancelSeries = async (req, res, next) => {
+  try {
+    const { scope, bookingId, cancellationReason } = req.body;
+
+    const { series, error } = await findSeriesForUser(req, req.params.id);
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const affected = await findAffectedOccurrences(series, scope, bookingId, transaction);
+      if (affected.error) {
+        return affected;
+      }
+
+      // Check every occurrence first so nothing is cancelled if one is refused
+      for (const booking of affected.occurrences) {
+        const cancellable = bookingPolicyService.checkCancellation(booking, req.user);
+        if (!cancellable.allowed) {
+          return { error: { statusCode: cancellable.statusCode, message: cancellable.message } };
+        }
+      }
+
+      for (const booking of affected.occurrences) {
+        const outcome = bookingPolicyService.evaluateCancellation(booking, series.therapist, req.user);
+        await bookingStateService.transitionBooking(booking, 'cancelled', {
+          actor: bookingStateService.getActor(req.user),
+          reason: cancellationReason,
+          updates: {
+            cancelledBy: req.user.id,
+            cancellationReason: cancellationReason || null,
+            cancellationFee: outcome.fee,
+            refundAmount: outcome.refundAmount,
+            cancellationOutcome: outcome
+          },
+          transaction
+        });
+      }
+
+      if (scope === 'all') {
+        await series.update({ status: 'cancelled', cancelledAt: new Date() }, { transaction });
+      }
+
+      return affected;
+    });
+
+    if (result.error) {
+      return res.status(result.error.statusCode).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    const { occurrences } = result;
+
+    // Send cancellation emails
+    if (occurrences.length > 0) {
+      try {
+        await emailService.sendSeriesUpdate(series, occurrences.map(booking => ({ booking })), {
+          subject: 'Recurring Sessions Cancelled',
+          heading: 'Sessions Cancelled',
+          intro: 'The following therapy sessions have been cancelled.'
+        });
+      } catch (emailError) {
+        logger.error('Failed to send booking series cancellation email:', emailError);
+      }
+    }
+
+    // Release uncaptured payments and offer the freed slots to the waitlist
+    for (const booking of occurrences) {
+      await paymentService.settleBookingPayment(booking);
+      await waitlistService.offerFreedSlot(booking);
+    }
+
+    res.json({
+      success: true,
+      message: `${occurrences.length} occurrence(s) cancelled successfully`,
+      data: {
+        series,
+        bookings: occurrences.map(booking => serializeBooking(booking, req.user))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reschedule one occurrence, this and following occurrences, or the whole series
+ * The new slot is given for the anchor occurrence; the other affected
+ * occurrences move by the same number of days to the same start time.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.rescheduleSeries = async (req, res, next) => {
+  try {
+    const { scope, bookingId, startsAt, sessionDate, sessionTime, reason } = req.body;
+
+    const { series, error } = await findSeriesForUser(req, req.params.id);
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const sessionRequest = await schedulingService.resolveSessionRequest({
+      therapistId: series.therapistId,
+      startsAt,
+      sessionDate,
+      sessionTime,
+      duration: series.duration
+    });
+
+    if (sessionRequest.error) {
+      return res.status(sessionRequest.error.statusCode).json({
+        success: false,
+        message: sessionRequest.error.message
+      });
+    }
+
+    const { therapist } = sessionRequest;
+    const newTime = sessionRequest.sessionTime;
+    const newDateKey = availabilityService.toDateKey(sessionRequest.sessionDate);
+
+    const result = await schedulingService.withTherapistLock(therapist.id, async (transaction) => {
+      const affected = await findAffectedOccurrences(series, scope, bookingId, transaction);
+      if (affected.error) {
+        return affected;
+      }
+
+      const { anchor, occurrences } = affected;
+      const dayShift = Math.round(
+        (new Date(`${newDateKey}T00:00:00Z`) -
+          new Date(`${timezone.toZonedDateKey(anchor.startsAt, therapist.timeZone)}T00:00:00Z`)) / 86400000
+      );
+      const affectedIds = occurrences.map(booking => booking.id);
+
+      // Validate every move before changing anything
+      const moves = [];
+      const failures = [];
+      for (const booking of occurrences) {
+        const dateKey = timezone.addDays(timezone.toZonedDateKey(booking.startsAt, therapist.timeZone), dayShift);
+        const newStartsAt = timezone.zonedTimeToUtc(dateKey, newTime, therapist.timeZone);
+        const failure = {
+          bookingId: booking.id,
+          occurrenceNumber: booking.occurrenceNumber,
+          startsAt: newStartsAt
+        };
+
+        const policy = bookingPolicyService.checkReschedule(booking, newStartsAt, req.user);
+        if (!policy.allowed) {
+          failures.push({ ...failure, statusCode: policy.statusCode, message: policy.message });
+          continue;
+        }
+
+        const slotCheck = await schedulingService.checkSlot(therapist, dateKey, newTime, booking.duration, {
+          transaction,
+          excludeBookingId: affectedIds
+        });
+        if (!slotCheck.available) {
+          const { statusCode, message } = schedulingService.SLOT_UNAVAILABLE_RESPONSES[slotCheck.reason];
+          failures.push({ ...failure, statusCode, message });
+          continue;
+        }
+
+        moves.push({ booking, dateKey, startsAt: slotCheck.startsAt, previousStartsAt: booking.startsAt });
+      }
+
+      if (failures.length > 0) {
+        return { failures };
+      }
+
+      // Move in the direction of travel so occurrences never pass through
+      // a sibling's current slot
+      if (moves.length > 0 && moves[0].startsAt > moves[0].previousStartsAt) {
+        moves.reverse();
+      }
+
+      for (const move of moves) {
+        await move.booking.moveTo({
+          dateKey: move.dateKey,
+          sessionTime: newTime,
+          timeZone: therapist.timeZone,
+          startsAt: move.startsAt
+        }, { userId: req.user.id, reason, transaction });
+      }
+
+      if (scope === 'all') {
+        await series.update({ sessionTime: newTime }, { transaction });
+      }
+
+      return { moves };
+    });
+
+    if (result.error) {
+      return res.status(result.error.statusCode).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    if (result.failures) {
+      return res.status(result.failures.length === 1 ? result.failures[0].statusCode : 409).json({
+        success: false,
+        message: result.failures.length === 1
+          ? result.failures[0].message
+          : 'Some occurrences cannot be rescheduled',
+        data: { failures: result.failures }
+      });
+    }
+
+    const moves = result.moves.sort((a, b) => a.startsAt - b.startsAt);
+
+    logger.info(`Booking series ${series.id}: ${moves.length} occurrence(s) rescheduled by user ${req.user.id}`);
+
+    // Send reschedule emails
+    if (moves.length > 0) {
+      try {
+        await emailService.sendSeriesUpdate(series, moves, {
+          subject: 'Recurring Sessions Rescheduled',
+          heading: 'Sessions Rescheduled',
+          intro: 'The following therapy sessions have been moved to a new time.'
+        });
+      } catch (emailError) {
+        logger.error('Failed to send booking series reschedule email:', emailError);
+      }
+    }
+
+    // Offer the previous slots to the waitlist
+    for (const move of moves) {
+      await waitlistService.offerFreedSlot({ therapistId: series.therapistId, startsAt: move.previousStartsAt });
+    }
+
+    res.json({
+      success: true,
+      message: `${moves.length} occurrence(s) rescheduled successfully`,
+      data: {
+        series,
+        bookings: moves.map(move => ({
+          ...serializeBooking(move.booking, req.user),
+          previousStartsAt: move.previousStartsAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,301 @@
+/**
+ * Package Controller
+ *
+ * Handles session package operations:
+ * - List packages
+ * - Create and update packages (therapists for themselves, admins for any scope)
+ * - Purchase packages
+ * - Get the patient's credit wallet
+ */
+
+const SessionPackage = require('../models/SessionPackage');
+const PackagePurchase = require('../models/PackagePurchase');
+const Therapist = require('../models/Therapist');
+const TherapistService = require('../models/TherapistService');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const paymentService = require('../services/paymentService');
+const creditService = require('../services/creditService');
+const logger = require('../utils/logger');
+
+// Relations returned with packages
+const PACKAGE_INCLUDES = [
+  {
+    model: Therapist,
+    as: 'therapist',
+    attributes: ['id', 'specialization'],
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName']
+    }]
+  },
+  {
+    model: Service,
+    as: 'service',
+    attributes: ['id', 'name', 'icon']
+  }
+];
+
+/**
+ * Find a package the requesting user may manage
+ * @param {string} id - Package ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} { sessionPackage } or { error: { statusCode, message } }
+ */
+const findManagedPackage = async (id, user) => {
+  const sessionPackage = await SessionPackage.findByPk(id);
+  if (!sessionPackage) {
+    return { error: { statusCode: 404, message: 'Package not found' } };
+  }
+
+  if (user.role !== 'admin') {
+    const therapist = await Therapist.findOne({ where: { userId: user.id } });
+    if (!therapist || sessionPackage.therapistId !== therapist.id) {
+      return { error: { statusCode: 403, message: 'Not authorized to manage this package' } };
+    }
+  }
+
+  return { sessionPackage };
+};
+
+/**
+ * Get active packages, optionally for a therapist or service
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPackages = async (req, res, next) => {
+  try {
+    const { therapistId, serviceId } = req.query;
+
+    const where = { isActive: true };
+    if (therapistId) {
+      where.therapistId = therapistId;
+    }
+    if (serviceId) {
+      where.serviceId = serviceId;
+    }
+
+    const packages = await SessionPackage.findAll({
+      where,
+      include: PACKAGE_INCLUDES,
+      order: [['sessionCount', 'ASC'], ['price', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { packages }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a package
+ * Therapists create packages for their own sessions; admins may create
+ * service-wide packages usable with any therapist.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createPackage = async (req, res, next) => {
+  try {
+    const { serviceId, name, description, sessionCount, price, validityDays, isActive } = req.body;
+
+    let therapistId = req.body.therapistId || null;
+    if (req.user.role === 'therapist') {
+      const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist profile not found'
+        });
+      }
+      therapistId = therapist.id;
+    }
+
+    if (!therapistId && !serviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A package must belong to a therapist or a service'
+      });
+    }
+
+    if (serviceId) {
+      const service = await Service.findByPk(serviceId);
+      if (!service || !service.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+    }
+
+    if (therapistId && serviceId) {
+      const offering = await TherapistService.findOne({ where: { therapistId, serviceId } });
+      if (!offering) {
+        return res.status(400).json({
+          success: false,
+          message: 'The therapist does not offer this service'
+        });
+      }
+    }
+
+    const sessionPackage = await SessionPackage.create({
+      therapistId,
+      serviceId: serviceId || null,
+      name,
+      description,
+      sessionCount,
+      price,
+      validityDays: validityDays || null,
+      isActive
+    });
+
+    logger.info(`Package created: ${sessionPackage.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Package created successfully',
+      data: { package: await SessionPackage.findByPk(sessionPackage.id, { include: PACKAGE_INCLUDES }) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a package
+ * Existing purchases keep the terms they were bought with.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updatePackage = async (req, res, next) => {
+  try {
+    const { sessionPackage, error } = await findManagedPackage(req.params.id, req.user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { name, description, sessionCount, price, validityDays, isActive } = req.body;
+    const allowedUpdates = { name, description, sessionCount, price, validityDays, isActive };
+
+    // Remove undefined fields
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await sessionPackage.update(allowedUpdates);
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      data: { package: await SessionPackage.findByPk(sessionPackage.id, { include: PACKAGE_INCLUDES }) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Purchase a package
+ * Credits are granted once the payment is captured.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.purchasePackage = async (req, res, next) => {
+  try {
+    const sessionPackage = await SessionPackage.findByPk(req.params.id);
+    if (!sessionPackage || !sessionPackage.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    const purchase = await PackagePurchase.create({
+      patientId: req.user.id,
+      packageId: sessionPackage.id,
+      therapistId: sessionPackage.therapistId,
+      serviceId: sessionPackage.serviceId,
+      packageName: sessionPackage.name,
+      sessionCount: sessionPackage.sessionCount,
+      price: sessionPackage.price,
+      validityDays: sessionPackage.validityDays
+    });
+
+    // Start the payment; the patient can resume it later if the provider is unavailable
+    let payment = null;
+    try {
+      payment = await paymentService.createPurchasePayment(purchase);
+    } catch (paymentError) {
+      logger.error('Failed to create package purchase payment:', paymentError);
+    }
+
+    logger.info(`Package ${sessionPackage.id} purchased by user ${req.user.id}: ${purchase.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: purchase.paymentStatus === 'paid'
+        ? 'Package purchased successfully'
+        : 'Package purchase created; credits are added once the payment completes',
+      data: { purchase, payment }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or resume the payment of a package purchase
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createPurchasePayment = async (req, res, next) => {
+  try {
+    const purchase = await PackagePurchase.findByPk(req.params.purchaseId);
+    if (!purchase || (purchase.patientId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package purchase not found'
+      });
+    }
+
+    if (['paid', 'voided'].includes(purchase.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Package purchase payment is already ${purchase.paymentStatus}`
+      });
+    }
+
+    const payment = await paymentService.createPurchasePayment(purchase);
+
+    res.json({
+      success: true,
+      data: { purchase, payment }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current patient's credit wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getWallet = async (req, res, next) => {
+  try {
+    const wallet = await creditService.getWallet(req.user.id);
+
+    res.json({
+      success: true,
+      data: { wallet }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Payment Controller
+ *
+ * Handles booking payments:
+ * - Create or resume a booking's payment intent
+ * - Download booking invoices
+ * - Receive payment provider webhooks
+ */
+
+const Booking = require('../models/Booking');
+const Therapist = require('../models/Therapist');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
+const paymentProviders = require('../services/paymentProviders');
+const logger = require('../utils/logger');
+
+/**
+ * Create the payment intent for a booking, or return the existing one
+ * The client secret is used by the frontend to confirm the card payment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createBookingPayment = async (req, res, next) => {
+  try {
+    const booking = await Booking.findByPk(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && booking.patientId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this booking'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pay for a ${booking.status} booking`
+      });
+    }
+
+    if (['paid', 'partially-refunded', 'refunded'].includes(booking.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is already paid'
+      });
+    }
+
+    const payment = await paymentService.createBookingPayment(booking);
+
+    res.json({
+      success: true,
+      data: { payment }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the invoice of a paid booking as a PDF
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBookingInvoice = async (req, res, next) => {
+  try {
+    const booking = await Booking.findByPk(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check authorization
+    const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+    if (req.user.role !== 'admin' &&
+        booking.patientId !== req.user.id &&
+        (!therapist || booking.therapistId !== therapist.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this invoice'
+      });
+    }
+
+    if (!invoiceService.isInvoiceable(booking)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No invoice is available until the booking is paid'
+      });
+    }
+
+    const { invoice, pdf } = await invoiceService.getInvoicePdf(booking);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a payment provider webhook
+ * The signature is verified against the raw request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const provider = paymentProviders.getProvider();
+    const event = provider.constructWebhookEvent(req.rawBody, req.get(provider.signatureHeader));
+
+    if (!event) {
+      logger.warn(`Rejected ${provider.name} webhook with an invalid signature from ${req.ip}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const result = await paymentService.handleWebhookEvent(provider, event);
+
+    res.json({
+      success: true,
+      message: result.duplicate ? 'Event already processed' : 'Event processed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,239 @@
+/**
+ * Payout Controller
+ *
+ * Handles therapist earnings and payout operations:
+ * - Earnings report and payout statements for the current therapist
+ * - List payouts, close payout periods and mark payouts paid (admin only)
+ */
+
+const Payout = require('../models/Payout');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const payoutService = require('../services/payoutService');
+const logger = require('../utils/logger');
+
+// Therapist details returned with payouts
+const PAYOUT_INCLUDES = [{
+  model: Therapist,
+  as: 'therapist',
+  attributes: ['id', 'userId', 'npi'],
+  include: [{
+    model: User,
+    as: 'user',
+    attributes: ['id', 'firstName', 'lastName', 'email']
+  }]
+}];
+
+/**
+ * Find the therapist profile of the requesting user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Therapist instance
+ */
+const findCurrentTherapist = async (req) => {
+  return await Therapist.findOne({ where: { userId: req.user.id } });
+};
+
+/**
+ * Get the current therapist's earnings report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyEarnings = async (req, res, next) => {
+  try {
+    const therapist = await findCurrentTherapist(req);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const { from, to } = req.query;
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must not be after to'
+      });
+    }
+
+    const earnings = await payoutService.getEarningsReport(therapist.id, { from, to });
+
+    res.json({
+      success: true,
+      data: { earnings }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current therapist's payouts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyPayouts = async (req, res, next) => {
+  try {
+    const therapist = await findCurrentTherapist(req);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const payouts = await Payout.findAll({
+      where: { therapistId: therapist.id },
+      order: [['periodStart', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { payouts }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the statement of one of the current therapist's payouts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyPayoutStatement = async (req, res, next) => {
+  try {
+    const therapist = await findCurrentTherapist(req);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const payout = await Payout.findOne({
+      where: { id: req.params.payoutId, therapistId: therapist.id }
+    });
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    const statement = await payoutService.getPayoutStatement(payout);
+
+    res.json({
+      success: true,
+      data: { statement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all payouts (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPayouts = async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+    if (req.query.therapistId) {
+      where.therapistId = req.query.therapistId;
+    }
+
+    const payouts = await Payout.findAll({
+      where,
+      include: PAYOUT_INCLUDES,
+      order: [['periodStart', 'DESC'], ['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { payouts }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a payout statement (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPayoutStatement = async (req, res, next) => {
+  try {
+    const payout = await Payout.findByPk(req.params.id, { include: PAYOUT_INCLUDES });
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    const statement = await payoutService.getPayoutStatement(payout);
+
+    res.json({
+      success: true,
+      data: { statement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close the last finished payout period (admin only)
+ * The scheduler does this daily; closing again creates only missing payouts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.closePayoutPeriod = async (req, res, next) => {
+  try {
+    const payouts = await payoutService.closePayoutPeriod();
+
+    res.json({
+      success: true,
+      message: `${payouts.length} payouts created`,
+      data: { payouts }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a payout paid (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.markPayoutPaid = async (req, res, next) => {
+  try {
+    const { payout, error } = await payoutService.markPayoutPaid(req.params.id, {
+      transferReference: req.body.transferReference,
+      paidBy: req.user.id
+    });
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.info(`Payout ${payout.id} of ${payout.amount} marked paid by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Payout marked as paid',
+      data: { payout }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,192 @@
+/**
+ * Promo Code Controller
+ *
+ * Handles promo code operations:
+ * - List, create and update promo codes (admin only)
+ * - Check a promo code before booking
+ */
+
+const PromoCode = require('../models/PromoCode');
+const discountService = require('../services/discountService');
+const logger = require('../utils/logger');
+
+/**
+ * Get all promo codes (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPromoCodes = async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.isActive !== undefined) {
+      where.isActive = req.query.isActive === 'true';
+    }
+
+    const promoCodes = await PromoCode.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { promoCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promo code (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createPromoCode = async (req, res, next) => {
+  try {
+    const {
+      code,
+      description,
+      discountType,
+      discountValue,
+      validFrom,
+      validUntil,
+      maxUses,
+      maxUsesPerPatient,
+      therapistIds,
+      serviceIds,
+      isActive
+    } = req.body;
+
+    const existing = await PromoCode.findOne({ where: { code: code.toUpperCase() } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promo code with this code already exists'
+      });
+    }
+
+    const promoCode = await PromoCode.create({
+      code,
+      description,
+      discountType,
+      discountValue,
+      validFrom,
+      validUntil,
+      maxUses,
+      maxUsesPerPatient,
+      therapistIds,
+      serviceIds,
+      isActive,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Promo code created: ${promoCode.code} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { promoCode }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promo code (admin only)
+ * The code itself cannot change once it may have been shared.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findByPk(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const {
+      description,
+      discountType,
+      discountValue,
+      validFrom,
+      validUntil,
+      maxUses,
+      maxUsesPerPatient,
+      therapistIds,
+      serviceIds,
+      isActive
+    } = req.body;
+
+    const allowedUpdates = {
+      description,
+      discountType,
+      discountValue,
+      validFrom,
+      validUntil,
+      maxUses,
+      maxUsesPerPatient,
+      therapistIds,
+      serviceIds,
+      isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await promoCode.update(allowedUpdates);
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: { promoCode }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check whether a promo code applies to a booking with a therapist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.checkPromoCode = async (req, res, next) => {
+  try {
+    const { code, therapistId, serviceId } = req.query;
+
+    const promoCode = await PromoCode.findOne({ where: { code: code.trim().toUpperCase() } });
+    const check = await discountService.checkPromoCode(promoCode, {
+      patientId: req.user.id,
+      therapistId,
+      serviceId: serviceId || null
+    });
+
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        promoCode: {
+          code: promoCode.code,
+          description: promoCode.description,
+          discountType: promoCode.discountType,
+          discountValue: promoCode.discountValue,
+          validUntil: promoCode.validUntil
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1 +1,304 @@
-serviceController.js
+/**
+ * Service Controller
+ *
+ * Handles service catalog operations:
+ * - List services
+ * - Get service by ID
+ * - Create, update and delete services (admin)
+ * - Activate, deactivate and reorder services (admin)
+ * - List therapists offering a service
+ */
+
+const { sequelize } = require('../config/database');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Get all services ordered by display order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getServices = async (req, res, next) => {
+  try {
+    const { includeInactive } = req.query;
+    const where = {};
+
+    // Only admins may see inactive services
+    if (!(includeInactive === 'true' && req.user && req.user.role === 'admin')) {
+      where.isActive = true;
+    }
+
+    const services = await Service.findAll({
+      where,
+      order: [['order', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { services }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get service by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getServiceById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const service = await Service.findByPk(id);
+
+    if (!service || (!service.isActive && (!req.user || req.user.role !== 'admin'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { service }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get verified therapists offering a service
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getServiceTherapists = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const service = await Service.findByPk(id);
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const therapists = await service.getTherapists({
+      where: { isVerified: true },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+      }],
+      attributes: {
+        exclude: ['userId']
+      },
+      joinTableAttributes: ['price', 'duration'],
+      order: [['rating', 'DESC'], ['totalReviews', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { service, therapists }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new service (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createService = async (req, res, next) => {
+  try {
+    const { name, description, icon, defaultDuration, isActive, order } = req.body;
+
+    const existingService = await Service.findOne({ where: { name } });
+    if (existingService) {
+      return res.status(400).json({
+        success: false,
+        message: 'A service with this name already exists'
+      });
+    }
+
+    // Append to the end of the catalog when no order is given
+    let serviceOrder = order;
+    if (serviceOrder === undefined) {
+      const maxOrder = await Service.max('order');
+      serviceOrder = Number.isFinite(maxOrder) ? maxOrder + 1 : 0;
+    }
+
+    const service = await Service.create({
+      name,
+      description,
+      icon,
+      defaultDuration,
+      isActive,
+      order: serviceOrder
+    });
+
+    logger.info(`Service created: ${service.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Service created successfully',
+      data: { service }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a service (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateService = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, icon, defaultDuration, isActive, order } = req.body;
+
+    const service = await Service.findByPk(id);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const allowedUpdates = { name, description, icon, defaultDuration, isActive, order };
+
+    // Remove undefined fields
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await service.update(allowedUpdates);
+
+    res.json({
+      success: true,
+      message: 'Service updated successfully',
+      data: { service }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Activate or deactivate a service (admin only)
+ * @param {boolean} isActive - Target active state
+ * @returns {Function} Express handler
+ */
+const setServiceActive = (isActive) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const service = await Service.findByPk(id);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    service.isActive = isActive;
+    await service.save();
+
+    res.json({
+      success: true,
+      message: `Service ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: { service }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.activateService = setServiceActive(true);
+exports.deactivateService = setServiceActive(false);
+
+/**
+ * Reorder services (admin only)
+ * Assigns each service its position in the submitted ID list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reorderServices = async (req, res, next) => {
+  try {
+    const { serviceIds } = req.body;
+
+    if (new Set(serviceIds).size !== serviceIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service IDs must be unique'
+      });
+    }
+
+    const count = await Service.count({ where: { id: serviceIds } });
+    if (count !== serviceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more services not found'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [index, serviceId] of serviceIds.entries()) {
+        await Service.update(
+          { order: index },
+          { where: { id: serviceId }, transaction }
+        );
+      }
+    });
+
+    const services = await Service.findAll({
+      order: [['order', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      message: 'Services reordered successfully',
+      data: { services }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a service (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteService = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const service = await Service.findByPk(id);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    await service.destroy();
+
+    logger.info(`Service deleted: ${id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Service deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
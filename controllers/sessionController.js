@@ -7,13 +7,18 @@
  * - Update session notes
  * - Complete session
  * - Add patient feedback
+ * - Generate superbills
  */
 
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const Session = require('../models/Session');
 const Booking = require('../models/Booking');
 const Therapist = require('../models/Therapist');
 const User = require('../models/User');
+const bookingStateService = require('../services/bookingStateService');
+const superbillService = require('../services/superbillService');
+const { normalizeCodes } = require('../utils/medicalCodes');
 const logger = require('../utils/logger');
 
 /**
@@ -23,7 +28,7 @@ const logger = require('../utils/logger');
  */
 exports.createSession = async (req, res, next) => {
   try {
-    const { bookingId, startTime, therapistNotes, treatmentPlan, goals } = req.body;
+    const { bookingId, startTime, therapistNotes, treatmentPlan, goals, diagnosisCodes, procedureCodes } = req.body;
 
     // Verify booking exists and is confirmed
     const booking = await Booking.findByPk(bookingId, {
@@ -67,20 +72,27 @@ exports.createSession = async (req, res, next) => {
       });
     }
 
-    // Create session
-    const session = await Session.create({
-      bookingId,
-      patientId: booking.patientId,
-      therapistId: booking.therapistId,
-      startTime: startTime || new Date(),
-      therapistNotes,
-      treatmentPlan,
-      goals: goals || []
-    });
+    // Create session and complete the booking
+    const session = await sequelize.transaction(async (transaction) => {
+      const session = await Session.create({
+        bookingId,
+        patientId: booking.patientId,
+        therapistId: booking.therapistId,
+        startTime: startTime || new Date(),
+        therapistNotes,
+        treatmentPlan,
+        goals: goals || [],
+        diagnosisCodes: normalizeCodes(diagnosisCodes),
+        procedureCodes: normalizeCodes(procedureCodes)
+      }, { transaction });
+
+      await bookingStateService.transitionBooking(booking, 'completed', {
+        actor: bookingStateService.getActor(req.user),
+        transaction
+      });
 
-    // Update booking status
-    booking.status = 'completed';
-    await booking.save();
+      return session;
+    });
 
     // Load session with relations
     const sessionWithDetails = await Session.findByPk(session.id, {
@@ -154,7 +166,7 @@ exports.getMySessions = async (req, res, next) => {
         {
           model: Booking,
           as: 'booking',
-          attributes: ['id', 'sessionDate', 'sessionTime', 'sessionType', 'status']
+          attributes: ['id', 'sessionDate', 'sessionTime', 'timeZone', 'startsAt', 'endsAt', 'sessionType', 'status']
         },
         {
           model: User,
@@ -260,7 +272,7 @@ exports.getSessionById = async (req, res, next) => {
 exports.updateSession = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { therapistNotes, treatmentPlan, goals, moodRating, nextSessionDate } = req.body;
+    const { therapistNotes, treatmentPlan, goals, moodRating, nextSessionDate, diagnosisCodes, procedureCodes } = req.body;
 
     const session = await Session.findByPk(id, {
       include: [{
@@ -291,7 +303,9 @@ exports.updateSession = async (req, res, next) => {
       treatmentPlan,
       goals,
       moodRating,
-      nextSessionDate
+      nextSessionDate,
+      diagnosisCodes: diagnosisCodes && normalizeCodes(diagnosisCodes),
+      procedureCodes: procedureCodes && normalizeCodes(procedureCodes)
     };
 
     // Remove undefined fields
@@ -519,3 +533,52 @@ exports.addPatientFeedback = async (req, res, next) => {
   }
 };
 
+
+/**
+ * Generate a superbill PDF of the patient's completed sessions in a date range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSuperbill = async (req, res, next) => {
+  try {
+    const { startDate, endDate, therapistId } = req.query;
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+
+    // Patients bill their own sessions; admins generate on a patient's behalf
+    const patientId = req.user.role === 'admin' && req.query.patientId ? req.query.patientId : req.user.id;
+    const patient = await User.findByPk(patientId);
+
+    if (!patient || patient.role !== 'patient') {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const sessions = await superbillService.findSuperbillSessions(patient, { startDate, endDate, therapistId });
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No completed sessions in this date range'
+      });
+    }
+
+    const pdf = await superbillService.renderSuperbillPdf(patient, sessions, { startDate, endDate });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="superbill-${startDate}-to-${endDate}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,293 @@
+/**
+ * Sliding Scale Controller
+ *
+ * Handles sliding-scale rate operations:
+ * - Patients request a reduced rate from a therapist
+ * - Therapists approve, decline or revoke rates
+ * - List rates
+ */
+
+const { Op } = require('sequelize');
+const SlidingScaleRate = require('../models/SlidingScaleRate');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const logger = require('../utils/logger');
+
+// Relations returned with rates and used in emails
+const RATE_INCLUDES = [
+  {
+    model: User,
+    as: 'patient',
+    attributes: ['id', 'firstName', 'lastName', 'email']
+  },
+  {
+    model: Therapist,
+    as: 'therapist',
+    attributes: ['id', 'userId', 'hourlyRate'],
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName', 'email']
+    }]
+  }
+];
+
+/**
+ * Find a rate the requesting therapist or admin may respond to
+ * @param {string} id - Sliding scale rate ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} { rate } or { error: { statusCode, message } }
+ */
+const findRespondableRate = async (id, user) => {
+  const rate = await SlidingScaleRate.findByPk(id, { include: RATE_INCLUDES });
+  if (!rate) {
+    return { error: { statusCode: 404, message: 'Sliding scale rate not found' } };
+  }
+
+  if (user.role !== 'admin' && rate.therapist.userId !== user.id) {
+    return { error: { statusCode: 403, message: 'Only the therapist can respond to this request' } };
+  }
+
+  return { rate };
+};
+
+/**
+ * Notify the patient of a decision, without failing the request
+ * @param {Object} rate - Sliding scale rate with relations
+ * @returns {Promise<void>}
+ */
+const notifyDecision = async (rate) => {
+  try {
+    await emailService.sendSlidingScaleDecision(rate);
+  } catch (emailError) {
+    logger.error('Failed to send sliding scale decision email:', emailError);
+  }
+};
+
+/**
+ * Request a sliding-scale rate from a therapist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.requestRate = async (req, res, next) => {
+  try {
+    const { therapistId, requestedPercent, reason } = req.body;
+
+    const therapist = await Therapist.findByPk(therapistId);
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist not found'
+      });
+    }
+
+    const open = await SlidingScaleRate.findOne({
+      where: {
+        patientId: req.user.id,
+        therapistId,
+        status: { [Op.in]: ['pending', 'approved'] }
+      }
+    });
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        message: open.status === 'pending'
+          ? 'You already have a pending sliding scale request with this therapist'
+          : 'You already have an approved sliding scale rate with this therapist'
+      });
+    }
+
+    const created = await SlidingScaleRate.create({
+      patientId: req.user.id,
+      therapistId,
+      requestedPercent,
+      reason
+    });
+    const rate = await SlidingScaleRate.findByPk(created.id, { include: RATE_INCLUDES });
+
+    try {
+      await emailService.sendSlidingScaleRequest(rate);
+    } catch (emailError) {
+      logger.error('Failed to send sliding scale request email:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Sliding scale request sent to the therapist',
+      data: { rate }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get sliding-scale rates
+ * Patients see their own, therapists the requests made to them, admins all.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRates = async (req, res, next) => {
+  try {
+    const where = {};
+
+    if (req.user.role === 'patient') {
+      where.patientId = req.user.id;
+    } else if (req.user.role === 'therapist') {
+      const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+      if (!therapist) {
+        return res.json({
+          success: true,
+          data: { rates: [] }
+        });
+      }
+      where.therapistId = therapist.id;
+    }
+
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const rates = await SlidingScaleRate.findAll({
+      where,
+      include: RATE_INCLUDES,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { rates }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a sliding-scale request, optionally at a different percentage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.approveRate = async (req, res, next) => {
+  try {
+    const { rate, error } = await findRespondableRate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (rate.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve a ${rate.status} request`
+      });
+    }
+
+    const { approvedPercent, validUntil, responseNote } = req.body;
+    await rate.update({
+      status: 'approved',
+      approvedPercent: approvedPercent || rate.requestedPercent,
+      validUntil: validUntil || null,
+      responseNote,
+      respondedAt: new Date(),
+      respondedBy: req.user.id
+    });
+
+    logger.info(`Sliding scale rate ${rate.id} approved at ${rate.approvedPercent}% by user ${req.user.id}`);
+    await notifyDecision(rate);
+
+    res.json({
+      success: true,
+      message: 'Sliding scale rate approved',
+      data: { rate }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a sliding-scale request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.declineRate = async (req, res, next) => {
+  try {
+    const { rate, error } = await findRespondableRate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (rate.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot decline a ${rate.status} request`
+      });
+    }
+
+    await rate.update({
+      status: 'declined',
+      responseNote: req.body.responseNote,
+      respondedAt: new Date(),
+      respondedBy: req.user.id
+    });
+
+    await notifyDecision(rate);
+
+    res.json({
+      success: true,
+      message: 'Sliding scale request declined',
+      data: { rate }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an approved sliding-scale rate
+ * Existing bookings keep the price they were made at.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeRate = async (req, res, next) => {
+  try {
+    const { rate, error } = await findRespondableRate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (rate.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revoke a ${rate.status} rate`
+      });
+    }
+
+    await rate.update({
+      status: 'revoked',
+      responseNote: req.body.responseNote || rate.responseNote,
+      respondedAt: new Date(),
+      respondedBy: req.user.id
+    });
+
+    await notifyDecision(rate);
+
+    res.json({
+      success: true,
+      message: 'Sliding scale rate revoked',
+      data: { rate }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
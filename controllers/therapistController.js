@@ -6,12 +6,20 @@
  * - Get therapist by ID
  * - Update therapist profile
  * - Get therapist availability
+ * - Manage offered services
  */
 
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const Therapist = require('../models/Therapist');
 const User = require('../models/User');
-const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const TherapistService = require('../models/TherapistService');
+const availabilityService = require('../services/availabilityService');
+const schedulingService = require('../services/schedulingService');
+const pricingService = require('../services/pricingService');
+const bookingPolicyService = require('../services/bookingPolicyService');
+const waitlistService = require('../services/waitlistService');
 const logger = require('../utils/logger');
 
 /**
@@ -27,7 +35,8 @@ exports.getTherapists = async (req, res, next) => {
       specialization,
       minRating,
       maxRate,
-      search
+      search,
+      service
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -54,6 +63,17 @@ exports.getTherapists = async (req, res, next) => {
       };
     }
 
+    // Filter by offered service
+    if (service) {
+      const offerings = await TherapistService.findAll({
+        where: { serviceId: service },
+        attributes: ['therapistId']
+      });
+      where.id = {
+        [Op.in]: offerings.map(offering => offering.therapistId)
+      };
+    }
+
     // Search by name
     const userWhere = {};
     if (search) {
@@ -106,11 +126,20 @@ exports.getTherapistById = async (req, res, next) => {
     const { id } = req.params;
 
     const therapist = await Therapist.findByPk(id, {
-      include: [{
-        model: User,
-        as: 'user',
-        attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
-      }],
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+        },
+        {
+          model: Service,
+          as: 'services',
+          where: { isActive: true },
+          required: false,
+          through: { attributes: ['price', 'duration'] }
+        }
+      ],
       attributes: {
         exclude: ['userId']
       }
@@ -125,7 +154,10 @@ exports.getTherapistById = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { therapist }
+      data: {
+        therapist,
+        cancellationPolicy: bookingPolicyService.getCancellationPolicy(therapist)
+      }
     });
   } catch (error) {
     next(error);
@@ -152,19 +184,33 @@ exports.updateTherapistProfile = async (req, res, next) => {
 
     const {
       specialization,
+      npi,
       bio,
       yearsOfExperience,
       hourlyRate,
       availability,
+      bufferBefore,
+      bufferAfter,
+      slotInterval,
+      timeZone,
+      cancellationPolicy,
+      autoConfirmBookings,
       profileImage
     } = req.body;
 
     const allowedUpdates = {
       specialization,
+      npi,
       bio,
       yearsOfExperience,
       hourlyRate,
       availability,
+      bufferBefore,
+      bufferAfter,
+      slotInterval,
+      timeZone,
+      cancellationPolicy,
+      autoConfirmBookings,
       profileImage
     };
 
@@ -175,6 +221,12 @@ exports.updateTherapistProfile = async (req, res, next) => {
 
     await therapist.update(allowedUpdates);
 
+    // A changed schedule may open slots for waiting patients
+    const scheduleFields = ['availability', 'bufferBefore', 'bufferAfter', 'slotInterval', 'timeZone'];
+    if (scheduleFields.some(field => allowedUpdates[field] !== undefined)) {
+      await waitlistService.offerNewAvailability(therapist.id);
+    }
+
     const updatedTherapist = await Therapist.findByPk(therapist.id, {
       include: [{
         model: User,
@@ -193,6 +245,115 @@ exports.updateTherapistProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * Get services offered by the current therapist (therapist only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyServices = async (req, res, next) => {
+  try {
+    const therapist = await Therapist.findOne({
+      where: { userId: req.user.id }
+    });
+
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const services = await therapist.getServices({
+      joinTableAttributes: ['price', 'duration'],
+      order: [['order', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { services }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the services offered by the current therapist (therapist only)
+ * Each entry may set a therapist-specific price and duration for the service
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateMyServices = async (req, res, next) => {
+  try {
+    const { services: offerings } = req.body;
+
+    const therapist = await Therapist.findOne({
+      where: { userId: req.user.id }
+    });
+
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found'
+      });
+    }
+
+    const serviceIds = offerings.map(offering => offering.serviceId);
+    if (new Set(serviceIds).size !== serviceIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each service may only be listed once'
+      });
+    }
+
+    const activeCount = await Service.count({
+      where: { id: serviceIds, isActive: true }
+    });
+
+    if (activeCount !== serviceIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more services are invalid or inactive'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await TherapistService.destroy({
+        where: {
+          therapistId: therapist.id,
+          serviceId: { [Op.notIn]: serviceIds.length ? serviceIds : [null] }
+        },
+        transaction
+      });
+
+      for (const { serviceId, price = null, duration = null } of offerings) {
+        const [offering, created] = await TherapistService.findOrCreate({
+          where: { therapistId: therapist.id, serviceId },
+          defaults: { price, duration },
+          transaction
+        });
+
+        if (!created) {
+          await offering.update({ price, duration }, { transaction });
+        }
+      }
+    });
+
+    const updatedServices = await therapist.getServices({
+      joinTableAttributes: ['price', 'duration'],
+      order: [['order', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      message: 'Therapist services updated successfully',
+      data: { services: updatedServices }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get therapist availability for a specific date
  * @param {Object} req - Express request object
@@ -201,7 +362,8 @@ exports.updateTherapistProfile = async (req, res, next) => {
 exports.getTherapistAvailability = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { date } = req.query;
+    const { date, duration, serviceId } = req.query;
+    const viewerTimeZone = req.query.timeZone || (req.user && req.user.timeZone);
 
     if (!date) {
       return res.status(400).json({
@@ -218,74 +380,52 @@ exports.getTherapistAvailability = async (req, res, next) => {
       });
     }
 
-    const requestedDate = new Date(date);
-    const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][requestedDate.getDay()];
-    const availability = therapist.availability[dayOfWeek];
+    // Slot length comes from the therapist's rate for a service, or the requested duration
+    let slotDuration = duration ? parseInt(duration) : 60;
+    if (serviceId) {
+      const serviceRate = await pricingService.resolveServiceRate(therapist, serviceId);
+      if (!serviceRate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Therapist does not offer this service'
+        });
+      }
+      slotDuration = serviceRate.duration;
+    }
+
+    const schedule = await schedulingService.getDaySchedule(therapist, date);
+    const { dateKey, dayOfWeek, windows } = schedule;
 
-    if (!availability || !availability.available) {
+    if (windows.length === 0) {
       return res.json({
         success: true,
         data: {
           available: false,
+          date: dateKey,
+          dayOfWeek,
+          timeZone: therapist.timeZone,
           message: 'Therapist is not available on this day'
         }
       });
     }
 
-    // Get existing bookings for this date
-    const existingBookings = await Booking.findAll({
-      where: {
-        therapistId: id,
-        sessionDate: {
-          [Op.between]: [
-            new Date(requestedDate.setHours(0, 0, 0, 0)),
-            new Date(requestedDate.setHours(23, 59, 59, 999))
-          ]
-        },
-        status: {
-          [Op.in]: ['pending', 'confirmed']
-        }
-      },
-      attributes: ['sessionTime', 'duration']
-    });
-
-    // Generate available time slots
-    const [startHour, startMinute] = availability.start.split(':').map(Number);
-    const [endHour, endMinute] = availability.end.split(':').map(Number);
-    const startTime = startHour * 60 + startMinute;
-    const endTime = endHour * 60 + endMinute;
-    const slotDuration = 60; // 60 minutes per slot
-    const availableSlots = [];
-
-    for (let time = startTime; time + slotDuration <= endTime; time += slotDuration) {
-      const hours = Math.floor(time / 60);
-      const minutes = time % 60;
-      const timeString = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-
-      // Check if slot is already booked
-      const isBooked = existingBookings.some(booking => {
-        const [bookedHour, bookedMinute] = booking.sessionTime.split(':').map(Number);
-        const bookedStart = bookedHour * 60 + bookedMinute;
-        const bookedEnd = bookedStart + booking.duration;
-        return time < bookedEnd && time + slotDuration > bookedStart;
-      });
-
-      if (!isBooked) {
-        availableSlots.push(timeString);
-      }
-    }
+    const availableSlots = schedulingService.generateSlots(therapist, schedule, slotDuration);
 
     res.json({
       success: true,
       data: {
         available: true,
-        date,
+        date: dateKey,
         dayOfWeek,
+        timeZone: therapist.timeZone,
+        slotDuration,
+        slotInterval: therapist.slotInterval,
         availableSlots,
-        workingHours: {
-          start: availability.start,
-          end: availability.end
-        }
+        slots: availableSlots.map(time => schedulingService.describeSlot(schedule, time, viewerTimeZone)),
+        workingHours: windows.map(window => ({
+          start: availabilityService.minutesToTime(window.start),
+          end: availabilityService.minutesToTime(window.end)
+        }))
       }
     });
   } catch (error) {
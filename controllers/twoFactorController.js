@@ -0,0 +1,346 @@
+/**
+ * Two-Factor Controller
+ *
+ * Handles TOTP two-factor authentication for therapists and admins:
+ * - Enrollment, signed in or from a login that requires it
+ * - The code step of a login, with an authenticator or recovery code
+ * - Disabling and regenerating recovery codes
+ * - Per-role mandatory policy and resetting a user's two-factor (admin only)
+ */
+
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const accountLockoutService = require('../services/accountLockoutService');
+const logger = require('../utils/logger');
+
+/**
+ * Find the user enrolling: the signed-in user, or the user of a setup challenge
+ * from a login or registration where two-factor authentication is mandatory
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { user, viaChallenge } or { error: { statusCode, message } }
+ */
+const findEnrollingUser = async (req) => {
+  let user = req.user;
+  const viaChallenge = !user;
+
+  if (viaChallenge) {
+    const decoded = tokenService.verifyTwoFactorChallenge(req.body.challengeToken, 'setup');
+    user = decoded ? await User.findByPk(decoded.id) : null;
+    if (!user || !user.isActive) {
+      return { error: { statusCode: 401, message: 'Invalid or expired challenge token' } };
+    }
+  }
+
+  if (!twoFactorService.isTwoFactorRole(user.role)) {
+    return { error: { statusCode: 403, message: 'Two-factor authentication is available to therapists and admins' } };
+  }
+
+  return { user, viaChallenge };
+};
+
+/**
+ * Start two-factor enrollment
+ * Returns the secret and the otpauth:// URI to show as a QR code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.setup = async (req, res, next) => {
+  try {
+    const { user, error: userError } = await findEnrollingUser(req);
+    if (userError) {
+      return res.status(userError.statusCode).json({
+        success: false,
+        message: userError.message
+      });
+    }
+
+    const { secret, otpauthUri, error } = await twoFactorService.beginEnrollment(user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish two-factor enrollment with a code
+ * Recovery codes are shown once. Enrolling from a login challenge also signs in.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.enable = async (req, res, next) => {
+  try {
+    const { user, viaChallenge, error: userError } = await findEnrollingUser(req);
+    if (userError) {
+      return res.status(userError.statusCode).json({
+        success: false,
+        message: userError.message
+      });
+    }
+
+    const { recoveryCodes, error } = await twoFactorService.enableTwoFactor(user, req.body.code);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.info(`Two-factor authentication enabled by user ${user.id}`);
+
+    const data = { recoveryCodes };
+    if (viaChallenge) {
+      const client = tokenService.getClientInfo(req);
+      await accountLockoutService.recordSuccessfulLogin(user, client);
+      const { token, refreshToken } = await tokenService.startSession(user, client);
+
+      // Remove password from response
+      data.user = user.toJSON();
+      delete data.user.password;
+      Object.assign(data, { token, refreshToken });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a login with an authenticator or recovery code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.verify = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = tokenService.verifyTwoFactorChallenge(challengeToken, 'verify');
+    const user = decoded ? await User.findByPk(decoded.id) : null;
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    // Codes count towards the same lockout as passwords
+    const { error: throttleError } = await accountLockoutService.checkLoginAllowed(user);
+    if (throttleError) {
+      res.set('Retry-After', String(throttleError.retryAfter));
+      return res.status(throttleError.statusCode).json({
+        success: false,
+        message: throttleError.message
+      });
+    }
+
+    const client = tokenService.getClientInfo(req);
+    const { valid, method, remainingRecoveryCodes } = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) {
+      const { error: lockError } = await accountLockoutService.recordFailedLogin(user, client);
+      if (lockError) {
+        res.set('Retry-After', String(lockError.retryAfter));
+        return res.status(lockError.statusCode).json({
+          success: false,
+          message: lockError.message
+        });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (method === 'recovery-code') {
+      logger.info(`User ${user.id} signed in with a recovery code, ${remainingRecoveryCodes} left`);
+    }
+
+    await accountLockoutService.recordSuccessfulLogin(user, client);
+    const { token, refreshToken } = await tokenService.startSession(user, client);
+
+    // Remove password from response
+    const userData = user.toJSON();
+    delete userData.password;
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: userData,
+        token,
+        refreshToken,
+        remainingRecoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off two-factor authentication, confirming the password and a code
+ * Not allowed while it is mandatory for the user's role.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.disable = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await twoFactorService.isTwoFactorRequired(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    const { valid } = isMatch ? await twoFactorService.verifySecondFactor(user, { code }) : { valid: false };
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await twoFactorService.disableTwoFactor(user);
+    logger.info(`Two-factor authentication disabled by user ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the current user's recovery codes, confirming with a code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { valid } = await twoFactorService.verifySecondFactor(user, { code: req.body.code });
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the two-factor policy of each role (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPolicies = async (req, res, next) => {
+  try {
+    const policies = await twoFactorService.getPolicies();
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make two-factor authentication mandatory or optional for a role (admin only)
+ * Users of the role without it must enroll at their next login or token refresh.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const { role, required } = req.body;
+    const policy = await twoFactorService.setPolicy(role, required, req.user.id);
+
+    logger.info(`Two-factor authentication made ${required ? 'mandatory' : 'optional'} for ${role} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: { policy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication, e.g. after a lost device (admin only)
+ * The user is signed out everywhere and enrolls again if their role requires it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await twoFactorService.disableTwoFactor(user);
+    await tokenService.revokeUserSessions(user.id, 'two-factor-reset');
+
+    logger.info(`Two-factor authentication of user ${user.id} reset by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,266 @@
+/**
+ * Waitlist Controller
+ *
+ * Handles therapist waitlists:
+ * - Join waitlist with preferred days and time ranges
+ * - Get waitlist entries
+ * - Leave waitlist
+ * - Get and decline slot offers
+ */
+
+const { Op } = require('sequelize');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const schedulingService = require('../services/schedulingService');
+const waitlistService = require('../services/waitlistService');
+const logger = require('../utils/logger');
+
+// Waitlist entries that still hold a place in line
+const ACTIVE_ENTRY_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Join a therapist's waitlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const { therapistId, serviceId, preferredDays = [], timeRanges = [], notes } = req.body;
+
+    // Resolve the session duration the patient is waiting for
+    const sessionRequest = await schedulingService.resolveSessionRequest({
+      therapistId,
+      serviceId,
+      duration: req.body.duration
+    });
+
+    if (sessionRequest.error) {
+      return res.status(sessionRequest.error.statusCode).json({
+        success: false,
+        message: sessionRequest.error.message
+      });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      where: {
+        patientId: req.user.id,
+        therapistId,
+        status: { [Op.in]: ACTIVE_ENTRY_STATUSES }
+      }
+    });
+
+    if (existingEntry) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on this therapist\'s waitlist'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patientId: req.user.id,
+      therapistId,
+      serviceId: sessionRequest.serviceRate ? sessionRequest.serviceRate.service.id : null,
+      duration: sessionRequest.duration,
+      preferredDays,
+      timeRanges,
+      timeZone: req.user.timeZone,
+      notes
+    });
+
+    logger.info(`Patient ${req.user.id} joined waitlist of therapist ${therapistId}`);
+
+    // A matching slot may already be open
+    await waitlistService.offerNewAvailability(therapistId);
+    await entry.reload();
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined waitlist successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get waitlist entries
+ * Patients see their own entries, therapists the patients waiting for them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getWaitlist = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const where = {};
+
+    if (req.user.role === 'patient') {
+      where.patientId = req.user.id;
+    } else if (req.user.role === 'therapist') {
+      const therapist = await Therapist.findOne({ where: { userId: req.user.id } });
+      if (!therapist) {
+        return res.json({
+          success: true,
+          data: { entries: [] }
+        });
+      }
+      where.therapistId = therapist.id;
+    }
+
+    where.status = status || { [Op.in]: ACTIVE_ENTRY_STATUSES };
+
+    const entries = await WaitlistEntry.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'patient',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        },
+        {
+          model: Therapist,
+          as: 'therapist',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName']
+          }]
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave a waitlist
+ * A pending offer is withdrawn and its slot passed to the next patient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await WaitlistEntry.findOne({
+      where: {
+        id,
+        patientId: req.user.id,
+        status: { [Op.in]: ACTIVE_ENTRY_STATUSES }
+      }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    await entry.update({ status: 'cancelled' });
+
+    const pendingOffer = await WaitlistOffer.findOne({
+      where: { entryId: entry.id, status: 'pending' }
+    });
+
+    if (pendingOffer) {
+      await waitlistService.closeOffer(pendingOffer, 'withdrawn');
+      await waitlistService.offerFreedSlot(pendingOffer);
+    }
+
+    res.json({
+      success: true,
+      message: 'Left waitlist successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current patient's open slot offers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyOffers = async (req, res, next) => {
+  try {
+    const offers = await WaitlistOffer.findAll({
+      where: {
+        status: 'pending',
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      include: [
+        {
+          model: WaitlistEntry,
+          as: 'entry',
+          where: { patientId: req.user.id },
+          attributes: ['id', 'serviceId', 'duration']
+        },
+        {
+          model: Therapist,
+          as: 'therapist',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName']
+          }]
+        }
+      ],
+      order: [['expiresAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { offers }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a slot offer so it passes to the next patient
+ * The patient stays on the waitlist for other slots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.declineOffer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const offer = await WaitlistOffer.findOne({
+      where: { id, status: 'pending' },
+      include: [{
+        model: WaitlistEntry,
+        as: 'entry',
+        where: { patientId: req.user.id }
+      }]
+    });
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    await waitlistService.closeOffer(offer, 'declined');
+    await waitlistService.offerFreedSlot(offer);
+
+    res.json({
+      success: true,
+      message: 'Offer declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -6,10 +6,23 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
 const logger = require('../utils/logger');
 
 /**
- * Verify JWT token and attach user to request
+ * Check that an access token was issued for the user's current password
+ * Tokens issued before a password change or reset are no longer accepted.
+ * @param {Object} decoded - Decoded access token
+ * @param {Object} user - User instance
+ * @returns {boolean} True if the token is still valid
+ */
+const isIssuedAfterPasswordChange = (decoded, user) => {
+  return !user.passwordChangedAt || decoded.iat >= Math.floor(user.passwordChangedAt.getTime() / 1000);
+};
+
+/**
+ * Verify JWT token and attach user and device session to request
+ * Tokens of a signed-out or revoked session are rejected.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware
@@ -29,8 +42,14 @@ const authenticate = async (req, res, next) => {
     // Extract token
     const token = authHeader.substring(7);
 
-    // Verify token
+    // Verify token; refresh and verification tokens are not access tokens
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
 
     // Get user from database
     const user = await User.findByPk(decoded.id, {
@@ -51,8 +70,19 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    const session = await tokenService.findActiveSession(decoded);
+    if (!session || !isIssuedAfterPasswordChange(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token revoked. Please sign in again.'
+      });
+    }
+
+    await tokenService.touchSession(session);
+
+    // Attach user and session to request
     req.user = user;
+    req.userSession = session;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -120,8 +150,12 @@ const optionalAuth = async (req, res, next) => {
         attributes: { exclude: ['password'] }
       });
       
-      if (user && user.isActive) {
-        req.user = user;
+      if (user && user.isActive && decoded.type === 'access' && isIssuedAfterPasswordChange(decoded, user)) {
+        const session = await tokenService.findActiveSession(decoded);
+        if (session) {
+          req.user = user;
+          req.userSession = session;
+        }
       }
     }
     
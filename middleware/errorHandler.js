@@ -43,6 +43,15 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Postgres exclusion constraint error (overlapping bookings)
+  if (err.name === 'SequelizeExclusionConstraintError') {
+    const message = 'Time slot is already booked';
+    error = {
+      message,
+      statusCode: 409
+    };
+  }
+
   // Sequelize foreign key constraint error
   if (err.name === 'SequelizeForeignKeyConstraintError') {
     const message = 'Resource not found';
@@ -0,0 +1,73 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Request rate limiters for the API and for sign-in and password reset
+ * endpoints. Counters are kept in Postgres when RATE_LIMIT_STORE=postgres,
+ * so limits hold across instances; otherwise in process memory.
+ */
+
+const rateLimit = require('express-rate-limit');
+const rateLimitStore = require('../services/rateLimitStore');
+
+/**
+ * Create a rate limiter
+ * @param {string} name - Limiter name, used to prefix stored keys
+ * @param {Object} options - express-rate-limit options
+ * @returns {Function} Middleware function
+ */
+const createLimiter = (name, options) => {
+  return rateLimit({
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: process.env.RATE_LIMIT_STORE === 'postgres' ? rateLimitStore.createPostgresStore(name) : undefined,
+    ...options
+  });
+};
+
+// All API requests, per IP. Payment provider webhooks come from a few provider
+// IPs in bursts and are authenticated by signature, so they are not limited.
+const apiLimiter = createLimiter('api', {
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // Limit each IP to 100 requests per windowMs
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhook'),
+  message: 'Too many requests from this IP, please try again later.'
+});
+
+// Failed sign-ins (password or two-factor code), per IP
+const loginLimiter = createLimiter('login', {
+  windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many failed sign-in attempts from this IP, please try again later.'
+  }
+});
+
+// Forgot-password, reset-password and unlock requests, per IP
+const passwordResetLimiter = createLimiter('password-reset', {
+  windowMs: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 10,
+  message: {
+    success: false,
+    message: 'Too many password reset requests from this IP, please try again later.'
+  }
+});
+
+// Forgot-password emails, per account; runs after validation normalizes the email
+const passwordResetEmailLimiter = createLimiter('password-reset-email', {
+  windowMs: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_EMAIL_RATE_LIMIT_MAX) || 3,
+  keyGenerator: (req) => req.body.email,
+  message: {
+    success: false,
+    message: 'Too many password reset requests for this account, please try again later.'
+  }
+});
+
+module.exports = {
+  apiLimiter,
+  loginLimiter,
+  passwordResetLimiter,
+  passwordResetEmailLimiter
+};
@@ -0,0 +1,93 @@
+/**
+ * AvailabilityException Model
+ *
+ * Date-specific overrides to a therapist's weekly availability:
+ * time off (vacation, sick days, holidays) and extra working hours
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Therapist = require('./Therapist');
+
+const AvailabilityException = sequelize.define('AvailabilityException', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  type: {
+    type: DataTypes.ENUM('time-off', 'extra-availability'),
+    allowNull: false,
+    defaultValue: 'time-off'
+  },
+  reason: {
+    type: DataTypes.ENUM('vacation', 'sick', 'holiday', 'personal', 'other'),
+    allowNull: true
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: true // Null means the whole day
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'availability_exceptions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['therapistId']
+    },
+    {
+      fields: ['startDate', 'endDate']
+    }
+  ],
+  validate: {
+    dateRangeIsValid() {
+      if (this.startDate > this.endDate) {
+        throw new Error('End date must be on or after start date');
+      }
+    },
+    timeRangeIsValid() {
+      const hasStartTime = !!this.startTime;
+      const hasEndTime = !!this.endTime;
+      if (hasStartTime !== hasEndTime) {
+        throw new Error('Start time and end time must be provided together');
+      }
+      if (hasStartTime && this.startTime >= this.endTime) {
+        throw new Error('End time must be after start time');
+      }
+      if (this.type === 'extra-availability' && !hasStartTime) {
+        throw new Error('Extra availability requires a start and end time');
+      }
+    }
+  }
+});
+
+// Define associations
+AvailabilityException.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+Therapist.hasMany(AvailabilityException, { foreignKey: 'therapistId', as: 'availabilityExceptions' });
+
+module.exports = AvailabilityException;
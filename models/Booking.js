@@ -8,6 +8,11 @@ const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const User = require('./User');
 const Therapist = require('./Therapist');
+const Service = require('./Service');
+const BookingSeries = require('./BookingSeries');
+const PackagePurchase = require('./PackagePurchase');
+const PromoCode = require('./PromoCode');
+const timezone = require('../utils/timezone');
 
 const Booking = sequelize.define('Booking', {
   id: {
@@ -33,12 +38,55 @@ const Booking = sequelize.define('Booking', {
     },
     onDelete: 'CASCADE'
   },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Service,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  seriesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: BookingSeries,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  occurrenceNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: true // 1-based position within the series
+  },
+  serviceName: {
+    type: DataTypes.STRING,
+    allowNull: true // Snapshot of the service name at booking time
+  },
+  servicePrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true // Snapshot of the therapist's service rate at booking time
+  },
   sessionDate: {
     type: DataTypes.DATE,
-    allowNull: false
+    allowNull: false // Session date in the booking's time zone
   },
   sessionTime: {
     type: DataTypes.TIME,
+    allowNull: false // Session start time in the booking's time zone
+  },
+  timeZone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: timezone.DEFAULT_TIME_ZONE // Therapist's zone when the booking was made
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false // Absolute UTC start, derived from sessionDate, sessionTime and timeZone
+  },
+  endsAt: {
+    type: DataTypes.DATE,
     allowNull: false
   },
   duration: {
@@ -46,7 +94,7 @@ const Booking = sequelize.define('Booking', {
     allowNull: false,
     defaultValue: 60, // Duration in minutes
     validate: {
-      min: 30,
+      min: 15,
       max: 180
     }
   },
@@ -68,6 +116,26 @@ const Booking = sequelize.define('Booking', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  responseDueAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Pending requests expire when still unanswered at this time
+  },
+  escalatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  noShowAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   cancellationReason: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -84,22 +152,105 @@ const Booking = sequelize.define('Booking', {
       key: 'id'
     }
   },
+  cancellationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true // Late-cancellation fee retained from the total
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true // Amount due back to the patient after cancellation
+  },
+  cancellationOutcome: {
+    type: DataTypes.JSONB,
+    allowNull: true // Snapshot of the policy evaluation at cancellation time
+  },
+  subtotalAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true // Price before discounts; null for bookings made before discounts existed
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  discounts: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    // Applied in order: [{ type: 'sliding-scale' | 'promo', percent | code, amount, ... }]
+    defaultValue: []
+  },
+  promoCodeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: PromoCode,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   totalAmount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
   },
   paymentStatus: {
-    type: DataTypes.ENUM('pending', 'paid', 'refunded', 'failed'),
+    // authorized: card held, captured on confirmation; voided: authorization released
+    type: DataTypes.ENUM('pending', 'authorized', 'paid', 'partially-refunded', 'refunded', 'failed', 'voided'),
     defaultValue: 'pending',
     allowNull: false
   },
+  paymentProvider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   paymentId: {
     type: DataTypes.STRING,
+    allowNull: true // Provider payment intent ID
+  },
+  paidAt: {
+    type: DataTypes.DATE,
     allowNull: true
   },
+  capturedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true // Set when only part of totalAmount was captured, e.g. a cancellation fee
+  },
+  packagePurchaseId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Package whose credit paid for the session; totalAmount is then 0
+    references: {
+      model: PackagePurchase,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   reminderSent: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  originalStartsAt: {
+    type: DataTypes.DATE,
+    allowNull: true // First scheduled start, set when the booking is first rescheduled
+  },
+  rescheduleCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  rescheduledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  rescheduledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  rescheduleReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
   }
 }, {
   tableName: 'bookings',
@@ -114,19 +265,103 @@ const Booking = sequelize.define('Booking', {
     {
       fields: ['sessionDate', 'sessionTime']
     },
+    {
+      fields: ['startsAt']
+    },
     {
       fields: ['status']
+    },
+    {
+      fields: ['serviceId']
+    },
+    {
+      fields: ['seriesId']
+    },
+    {
+      fields: ['paymentId']
+    }
+  ],
+  hooks: {
+    // Keep the UTC instants in sync with the wall-clock date, time and zone
+    beforeValidate: (booking) => {
+      const timingChanged = ['sessionDate', 'sessionTime', 'duration', 'timeZone']
+        .some(field => booking.changed(field));
+
+      if (booking.sessionDate && booking.sessionTime && (timingChanged || !booking.startsAt)) {
+        const sessionDate = booking.sessionDate instanceof Date
+          ? booking.sessionDate.toISOString().split('T')[0]
+          : String(booking.sessionDate).split('T')[0];
+        const startsAt = timezone.zonedTimeToUtc(
+          sessionDate,
+          booking.sessionTime,
+          booking.timeZone || timezone.DEFAULT_TIME_ZONE
+        );
+        booking.startsAt = startsAt;
+        booking.endsAt = new Date(startsAt.getTime() + (booking.duration || 60) * 60000);
+      }
     }
-  ]
+  }
 });
 
+/**
+ * Instance method to get the session start in a given time zone
+ * @param {string} timeZone - IANA time zone of the viewer
+ * @returns {Object} { timeZone, date, time, startsAt, endsAt }
+ */
+Booking.prototype.getLocalTimes = function(timeZone) {
+  const zone = timeZone || this.timeZone;
+  return {
+    timeZone: zone,
+    date: timezone.toZonedDateKey(this.startsAt, zone),
+    time: timezone.toZonedTime(this.startsAt, zone),
+    startsAt: this.startsAt,
+    endsAt: this.endsAt
+  };
+};
+
+/**
+ * Instance method to get the amount collected by the booking's card payment
+ * @returns {string|number} capturedAmount after a partial capture, else totalAmount
+ */
+Booking.prototype.getCollectedAmount = function() {
+  return this.capturedAmount !== null && this.capturedAmount !== undefined ? this.capturedAmount : this.totalAmount;
+};
+
+/**
+ * Instance method to move the booking to a new slot
+ * Keeps the first scheduled start in originalStartsAt.
+ * @param {Object} slot - { dateKey, sessionTime, timeZone, startsAt }
+ * @param {Object} options - { userId, reason, transaction }
+ * @returns {Promise<Object>} Updated booking
+ */
+Booking.prototype.moveTo = async function(slot, options = {}) {
+  return await this.update({
+    sessionDate: new Date(slot.dateKey),
+    sessionTime: slot.sessionTime,
+    timeZone: slot.timeZone,
+    startsAt: slot.startsAt,
+    originalStartsAt: this.originalStartsAt || this.startsAt,
+    rescheduleCount: this.rescheduleCount + 1,
+    rescheduledAt: new Date(),
+    rescheduledBy: options.userId,
+    rescheduleReason: options.reason || null,
+    reminderSent: false
+  }, { transaction: options.transaction });
+};
+
 // Define associations
 Booking.belongsTo(User, { foreignKey: 'patientId', as: 'patient' });
 Booking.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
 Booking.belongsTo(User, { foreignKey: 'cancelledBy', as: 'canceller' });
+Booking.belongsTo(User, { foreignKey: 'rescheduledBy', as: 'rescheduler' });
+Booking.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
+Booking.belongsTo(BookingSeries, { foreignKey: 'seriesId', as: 'series' });
+Booking.belongsTo(PackagePurchase, { foreignKey: 'packagePurchaseId', as: 'packagePurchase' });
+Booking.belongsTo(PromoCode, { foreignKey: 'promoCodeId', as: 'promoCode' });
 
 User.hasMany(Booking, { foreignKey: 'patientId', as: 'bookings' });
 Therapist.hasMany(Booking, { foreignKey: 'therapistId', as: 'bookings' });
+BookingSeries.hasMany(Booking, { foreignKey: 'seriesId', as: 'bookings' });
 
 module.exports = Booking;
 
@@ -0,0 +1,69 @@
+/**
+ * BookingHistory Model
+ *
+ * Audit trail of booking status changes, one row per transition
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Booking = require('./Booking');
+
+const BookingHistory = sequelize.define('BookingHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Booking,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true // Null for the initial status of a new booking
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  changedBy: {
+    type: DataTypes.UUID,
+    allowNull: true, // Null for changes made by scheduled jobs
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  actorRole: {
+    type: DataTypes.ENUM('patient', 'therapist', 'admin', 'system'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'booking_history',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['bookingId', 'createdAt']
+    }
+  ]
+});
+
+// Define associations
+BookingHistory.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+BookingHistory.belongsTo(User, { foreignKey: 'changedBy', as: 'changer' });
+
+Booking.hasMany(BookingHistory, { foreignKey: 'bookingId', as: 'history' });
+
+module.exports = BookingHistory;
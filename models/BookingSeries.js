@@ -0,0 +1,134 @@
+/**
+ * BookingSeries Model
+ *
+ * Recurrence rule for a set of bookings with the same patient, therapist,
+ * start time and duration. Each generated occurrence is a regular Booking
+ * linked back to its series.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Therapist = require('./Therapist');
+const Service = require('./Service');
+const timezone = require('../utils/timezone');
+
+const BookingSeries = sequelize.define('BookingSeries', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Service,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  frequency: {
+    type: DataTypes.ENUM('weekly', 'biweekly', 'monthly'),
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false // First occurrence, in the series' time zone
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true // Last possible occurrence date (inclusive)
+  },
+  occurrenceCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  sessionTime: {
+    type: DataTypes.TIME,
+    allowNull: false // Start time in the series' time zone
+  },
+  timeZone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: timezone.DEFAULT_TIME_ZONE // Therapist's zone when the series was created
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60, // Duration in minutes
+    validate: {
+      min: 15,
+      max: 180
+    }
+  },
+  sessionType: {
+    type: DataTypes.ENUM('in-person', 'video', 'phone'),
+    allowNull: false,
+    defaultValue: 'video'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'booking_series',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patientId']
+    },
+    {
+      fields: ['therapistId']
+    }
+  ],
+  validate: {
+    endIsDefined() {
+      if (!this.endDate === !this.occurrenceCount) {
+        throw new Error('Series must end either on an end date or after a number of occurrences');
+      }
+    },
+    endDateIsValid() {
+      if (this.endDate && this.startDate && this.endDate < this.startDate) {
+        throw new Error('End date must be on or after start date');
+      }
+    }
+  }
+});
+
+// Define associations
+BookingSeries.belongsTo(User, { foreignKey: 'patientId', as: 'patient' });
+BookingSeries.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+BookingSeries.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
+
+module.exports = BookingSeries;
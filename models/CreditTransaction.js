@@ -0,0 +1,81 @@
+/**
+ * Credit Transaction Model
+ *
+ * Credit ledger: one entry per change to a package purchase's credit balance
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Booking = require('./Booking');
+const PackagePurchase = require('./PackagePurchase');
+
+const CreditTransaction = sequelize.define('CreditTransaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  purchaseId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: PackagePurchase,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Set for credits consumed by or restored to a booking
+    references: {
+      model: Booking,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  type: {
+    // grant: package paid; consume: booking created; restore: booking cancelled without penalty
+    type: DataTypes.ENUM('grant', 'consume', 'restore'),
+    allowNull: false
+  },
+  credits: {
+    type: DataTypes.INTEGER,
+    allowNull: false // Signed change to the balance
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'credit_transactions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['purchaseId']
+    },
+    {
+      fields: ['patientId']
+    },
+    {
+      fields: ['bookingId']
+    }
+  ]
+});
+
+// Define associations
+CreditTransaction.belongsTo(PackagePurchase, { foreignKey: 'purchaseId', as: 'purchase' });
+CreditTransaction.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+PackagePurchase.hasMany(CreditTransaction, { foreignKey: 'purchaseId', as: 'transactions' });
+
+module.exports = CreditTransaction;
@@ -0,0 +1,106 @@
+/**
+ * Invoice Model
+ *
+ * Invoice issued for a paid booking, with the billed details frozen at issue time
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Therapist = require('./Therapist');
+const Booking = require('./Booking');
+
+const Invoice = sequelize.define('Invoice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  invoiceNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true, // One invoice per booking
+    references: {
+      model: Booking,
+      key: 'id'
+    }
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    }
+  },
+  serviceName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sessionStartsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  paymentProvider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  paymentReference: {
+    type: DataTypes.STRING,
+    allowNull: true // Provider payment intent ID
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'invoices',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patientId']
+    },
+    {
+      fields: ['therapistId']
+    }
+  ]
+});
+
+// Define associations
+Invoice.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+Invoice.belongsTo(User, { foreignKey: 'patientId', as: 'patient' });
+Invoice.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+
+Booking.hasOne(Invoice, { foreignKey: 'bookingId', as: 'invoice' });
+
+module.exports = Invoice;
@@ -0,0 +1,26 @@
+/**
+ * InvoiceCounter Model
+ *
+ * Last issued invoice number per year, incremented under a row lock
+ * so invoice numbers are gapless
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const InvoiceCounter = sequelize.define('InvoiceCounter', {
+  year: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  lastNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'invoice_counters',
+  timestamps: false
+});
+
+module.exports = InvoiceCounter;
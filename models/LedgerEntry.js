@@ -0,0 +1,87 @@
+/**
+ * Ledger Entry Model
+ *
+ * One debit or credit line of a ledger journal. Accounts:
+ * - cash: money held with the payment provider
+ * - patient_deposits: money collected for sessions not yet delivered
+ * - therapist_payable: earnings owed to a therapist
+ * - platform_revenue: platform commission and retained amounts
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Therapist = require('./Therapist');
+const LedgerJournal = require('./LedgerJournal');
+const Payout = require('./Payout');
+
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  journalId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: LedgerJournal,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  account: {
+    type: DataTypes.ENUM('cash', 'patient_deposits', 'therapist_payable', 'platform_revenue'),
+    allowNull: false
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Therapist,
+      key: 'id'
+    }
+  },
+  debit: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  credit: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  payoutId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Set on therapist_payable entries once included in a payout
+    references: {
+      model: Payout,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'ledger_entries',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['journalId']
+    },
+    {
+      fields: ['account', 'therapistId', 'payoutId']
+    }
+  ]
+});
+
+// Define associations
+LedgerEntry.belongsTo(LedgerJournal, { foreignKey: 'journalId', as: 'journal' });
+LedgerEntry.belongsTo(Payout, { foreignKey: 'payoutId', as: 'payout' });
+LedgerJournal.hasMany(LedgerEntry, { foreignKey: 'journalId', as: 'entries' });
+Payout.hasMany(LedgerEntry, { foreignKey: 'payoutId', as: 'entries' });
+
+module.exports = LedgerEntry;
@@ -0,0 +1,74 @@
+/**
+ * Ledger Journal Model
+ *
+ * Revenue ledger transaction: a set of balanced ledger entries posted together
+ * for one money movement (a payment, refund, earnings split or payout)
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Therapist = require('./Therapist');
+const Booking = require('./Booking');
+
+const LedgerJournal = sequelize.define('LedgerJournal', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true // e.g. "earnings:<bookingId>"; each movement is posted once
+  },
+  type: {
+    // payment: money collected; refund: money returned; earnings: booking revenue split
+    // between therapist and platform; earnings-adjustment: later correction of a split;
+    // payout: money paid to a therapist
+    type: DataTypes.ENUM('payment', 'refund', 'earnings', 'earnings-adjustment', 'payout'),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Therapist,
+      key: 'id'
+    }
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Booking,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true // Policy the amounts were calculated with
+  }
+}, {
+  tableName: 'ledger_journals',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['therapistId', 'type', 'createdAt']
+    },
+    {
+      fields: ['bookingId']
+    }
+  ]
+});
+
+// Define associations
+LedgerJournal.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+LedgerJournal.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+module.exports = LedgerJournal;
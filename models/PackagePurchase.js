@@ -0,0 +1,130 @@
+/**
+ * Package Purchase Model
+ *
+ * A patient's purchase of a session package and its remaining credits.
+ * The package's scope, size and price are copied at purchase time.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Therapist = require('./Therapist');
+const Service = require('./Service');
+const SessionPackage = require('./SessionPackage');
+
+const PackagePurchase = sequelize.define('PackagePurchase', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  packageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: SessionPackage,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Service,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  packageName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  sessionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  creditsRemaining: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0, // Granted once the payment is captured
+    validate: {
+      min: 0
+    }
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  validityDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  paymentStatus: {
+    type: DataTypes.ENUM('pending', 'authorized', 'paid', 'failed', 'voided'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  paymentProvider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  paymentId: {
+    type: DataTypes.STRING,
+    allowNull: true // Provider payment intent ID
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set from validityDays once paid
+  }
+}, {
+  tableName: 'package_purchases',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patientId']
+    },
+    {
+      fields: ['paymentId']
+    }
+  ]
+});
+
+/**
+ * Get the value of one credit, used to price sessions paid with credits
+ * @returns {number} Package price divided by its session count
+ */
+PackagePurchase.prototype.getCreditValue = function() {
+  return Math.round((parseFloat(this.price) / this.sessionCount) * 100) / 100;
+};
+
+// Define associations
+PackagePurchase.belongsTo(User, { foreignKey: 'patientId', as: 'patient' });
+PackagePurchase.belongsTo(SessionPackage, { foreignKey: 'packageId', as: 'package' });
+PackagePurchase.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+PackagePurchase.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
+User.hasMany(PackagePurchase, { foreignKey: 'patientId', as: 'packagePurchases' });
+
+module.exports = PackagePurchase;
@@ -0,0 +1,46 @@
+/**
+ * Password History Model
+ *
+ * Hashes of a user's previous passwords, so recent ones cannot be reused
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  passwordHash: {
+    // bcrypt hash the password had while it was current
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  tableName: 'password_histories',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId', 'createdAt']
+    }
+  ]
+});
+
+// Define associations
+PasswordHistory.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(PasswordHistory, { foreignKey: 'userId', as: 'passwordHistory' });
+
+module.exports = PasswordHistory;
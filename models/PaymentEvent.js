@@ -0,0 +1,65 @@
+/**
+ * PaymentEvent Model
+ *
+ * Payment provider webhook events, recorded once per provider event ID
+ * so redelivered events are not applied twice
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Booking = require('./Booking');
+
+const PaymentEvent = sequelize.define('PaymentEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  providerEventId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  paymentId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Null for events that match no booking
+    references: {
+      model: Booking,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'payment_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'providerEventId']
+    },
+    {
+      fields: ['bookingId']
+    }
+  ]
+});
+
+// Define associations
+PaymentEvent.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+module.exports = PaymentEvent;
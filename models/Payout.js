@@ -0,0 +1,86 @@
+/**
+ * Payout Model
+ *
+ * Amount owed to a therapist for one payout period, and its payment
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Therapist = require('./Therapist');
+
+const Payout = sequelize.define('Payout', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    }
+  },
+  periodStart: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  periodEnd: {
+    type: DataTypes.DATEONLY,
+    allowNull: false // Last day of the period, inclusive
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  entryCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'paid'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  transferReference: {
+    type: DataTypes.STRING,
+    allowNull: true // Bank transfer or provider payout ID
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  paidBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'payouts',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['therapistId', 'periodStart'] // One payout per therapist and period
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Define associations
+Payout.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+Therapist.hasMany(Payout, { foreignKey: 'therapistId', as: 'payouts' });
+
+module.exports = Payout;
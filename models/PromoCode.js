@@ -0,0 +1,112 @@
+/**
+ * Promo Code Model
+ *
+ * Admin-managed discount codes with validity windows, usage limits and
+ * optional therapist and service restrictions
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    unique: true,
+    set(value) {
+      // Codes are matched case-insensitively
+      this.setDataValue('code', String(value).trim().toUpperCase());
+    }
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  discountType: {
+    type: DataTypes.ENUM('percentage', 'fixed'),
+    allowNull: false
+  },
+  discountValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false, // Percent off, or amount off in the payment currency
+    validate: {
+      min: 0.01
+    }
+  },
+  validFrom: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  validUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  maxUses: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Null is unlimited
+    validate: {
+      min: 1
+    }
+  },
+  maxUsesPerPatient: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Null is unlimited
+    validate: {
+      min: 1
+    }
+  },
+  usedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0 // Active redemptions; released when the booking is cancelled
+  },
+  therapistIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    allowNull: false,
+    defaultValue: [] // Empty applies to every therapist
+  },
+  serviceIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    allowNull: false,
+    defaultValue: [] // Empty applies to every service and to bookings without one
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'promo_codes',
+  timestamps: true,
+  validate: {
+    percentageInRange() {
+      if (this.discountType === 'percentage' && parseFloat(this.discountValue) > 100) {
+        throw new Error('Percentage discount cannot exceed 100');
+      }
+    },
+    windowIsValid() {
+      if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+        throw new Error('Promo code must end after it starts');
+      }
+    }
+  }
+});
+
+// Define associations
+PromoCode.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+module.exports = PromoCode;
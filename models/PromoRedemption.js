@@ -0,0 +1,71 @@
+/**
+ * Promo Redemption Model
+ *
+ * One entry per booking a promo code was applied to, used to enforce
+ * total and per-patient usage limits
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Booking = require('./Booking');
+const PromoCode = require('./PromoCode');
+
+const PromoRedemption = sequelize.define('PromoRedemption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  promoCodeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: PromoCode,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: Booking,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  releasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the booking is cancelled, freeing the use
+  }
+}, {
+  tableName: 'promo_redemptions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['promoCodeId', 'patientId']
+    }
+  ]
+});
+
+// Define associations
+PromoRedemption.belongsTo(PromoCode, { foreignKey: 'promoCodeId', as: 'promoCode' });
+PromoRedemption.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+PromoCode.hasMany(PromoRedemption, { foreignKey: 'promoCodeId', as: 'redemptions' });
+
+module.exports = PromoRedemption;
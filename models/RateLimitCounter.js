@@ -0,0 +1,36 @@
+/**
+ * Rate Limit Counter Model
+ *
+ * Request counts of rate limiters that share state between instances.
+ * One row per limiter key, counting hits until the window resets.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RateLimitCounter = sequelize.define('RateLimitCounter', {
+  key: {
+    // Limiter prefix and client key, e.g. "login:203.0.113.7"
+    type: DataTypes.STRING(255),
+    primaryKey: true
+  },
+  hits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  resetAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'rate_limit_counters',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['resetAt']
+    }
+  ]
+});
+
+module.exports = RateLimitCounter;
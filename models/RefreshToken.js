@@ -0,0 +1,82 @@
+/**
+ * Refresh Token Model
+ *
+ * Refresh tokens, stored as SHA-256 hashes. Every token issued by rotating
+ * another belongs to the same family: the device session started at sign-in.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const UserSession = require('./UserSession');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: UserSession,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  rotatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set once exchanged for a new token; using it again is reuse
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    // logout, password-changed, reuse-detected, user-inactive, two-factor-required
+    // or two-factor-reset
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['familyId']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Define associations
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+RefreshToken.belongsTo(UserSession, { foreignKey: 'familyId', as: 'session' });
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens' });
+UserSession.hasMany(RefreshToken, { foreignKey: 'familyId', as: 'refreshTokens' });
+
+module.exports = RefreshToken;
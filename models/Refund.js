@@ -0,0 +1,80 @@
+/**
+ * Refund Model
+ *
+ * Refund ledger: one entry per refund issued against a booking payment
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Booking = require('./Booking');
+
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Booking,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  paymentProvider: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  paymentId: {
+    type: DataTypes.STRING,
+    allowNull: false // Provider payment intent ID
+  },
+  providerRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true // Set once the provider accepts the refund
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'refunds',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['bookingId']
+    },
+    {
+      fields: ['providerRefundId']
+    }
+  ]
+});
+
+// Define associations
+Refund.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+Booking.hasMany(Refund, { foreignKey: 'bookingId', as: 'refunds' });
+
+module.exports = Refund;
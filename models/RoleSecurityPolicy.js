@@ -0,0 +1,40 @@
+/**
+ * Role Security Policy Model
+ *
+ * Security requirements an admin sets for every user of a role
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const RoleSecurityPolicy = sequelize.define('RoleSecurityPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  role: {
+    type: DataTypes.ENUM('patient', 'therapist', 'admin'),
+    allowNull: false,
+    unique: true
+  },
+  twoFactorRequired: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'role_security_policies',
+  timestamps: true
+});
+
+module.exports = RoleSecurityPolicy;
@@ -21,6 +21,15 @@ const Service = sequelize.define('Service', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  defaultDuration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60, // Duration in minutes
+    validate: {
+      min: 15,
+      max: 180
+    }
+  },
   icon: {
     type: DataTypes.STRING,
     allowNull: true
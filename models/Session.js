@@ -9,6 +9,7 @@ const { sequelize } = require('../config/database');
 const Booking = require('./Booking');
 const User = require('./User');
 const Therapist = require('./Therapist');
+const { isValidIcd10Code, isValidCptCode } = require('../utils/medicalCodes');
 
 const Session = sequelize.define('Session', {
   id: {
@@ -76,6 +77,32 @@ const Session = sequelize.define('Session', {
     allowNull: true,
     defaultValue: []
   },
+  diagnosisCodes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [], // ICD-10-CM codes, primary diagnosis first
+    validate: {
+      areIcd10Codes(value) {
+        const invalid = (value || []).filter(code => !isValidIcd10Code(code));
+        if (invalid.length > 0) {
+          throw new Error(`Invalid ICD-10 diagnosis codes: ${invalid.join(', ')}`);
+        }
+      }
+    }
+  },
+  procedureCodes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [], // CPT codes, e.g. 90834 for 45 minutes of psychotherapy
+    validate: {
+      areCptCodes(value) {
+        const invalid = (value || []).filter(code => !isValidCptCode(code));
+        if (invalid.length > 0) {
+          throw new Error(`Invalid CPT procedure codes: ${invalid.join(', ')}`);
+        }
+      }
+    }
+  },
   moodRating: {
     type: DataTypes.INTEGER,
     allowNull: true,
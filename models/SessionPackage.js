@@ -0,0 +1,96 @@
+/**
+ * Session Package Model
+ *
+ * Prepaid session bundles (e.g. 6 sessions at a discount) sold by a therapist
+ * or for a service
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Therapist = require('./Therapist');
+const Service = require('./Service');
+
+const SessionPackage = sequelize.define('SessionPackage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Null packages can be used with any therapist offering the service
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Null packages can be used for any of the therapist's sessions
+    references: {
+      model: Service,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sessionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false, // Credits granted per purchase
+    validate: {
+      min: 1,
+      max: 100
+    }
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  validityDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Days credits stay usable after purchase; null never expires
+    validate: {
+      min: 1
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'session_packages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['therapistId']
+    },
+    {
+      fields: ['serviceId']
+    }
+  ],
+  validate: {
+    hasScope() {
+      if (!this.therapistId && !this.serviceId) {
+        throw new Error('Package must belong to a therapist or a service');
+      }
+    }
+  }
+});
+
+// Define associations
+SessionPackage.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+SessionPackage.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
+Therapist.hasMany(SessionPackage, { foreignKey: 'therapistId', as: 'packages' });
+
+module.exports = SessionPackage;
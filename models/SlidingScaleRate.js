@@ -0,0 +1,101 @@
+/**
+ * Sliding Scale Rate Model
+ *
+ * Reduced rates a patient requests from a therapist, applied to the
+ * patient's bookings with that therapist once approved
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Therapist = require('./Therapist');
+
+const SlidingScaleRate = sequelize.define('SlidingScaleRate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  requestedPercent: {
+    type: DataTypes.INTEGER,
+    allowNull: false, // Percent off the regular rate
+    validate: {
+      min: 1,
+      max: 100
+    }
+  },
+  approvedPercent: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Set by the therapist on approval, may differ from the request
+    validate: {
+      min: 1,
+      max: 100
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true // Patient's explanation, e.g. income circumstances
+  },
+  status: {
+    // revoked: approved rate withdrawn by the therapist or cancelled by the patient
+    type: DataTypes.ENUM('pending', 'approved', 'declined', 'revoked'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  responseNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  respondedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  validUntil: {
+    type: DataTypes.DATE,
+    allowNull: true // Null applies until revoked
+  }
+}, {
+  tableName: 'sliding_scale_rates',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patientId', 'therapistId']
+    },
+    {
+      fields: ['therapistId', 'status']
+    }
+  ]
+});
+
+// Define associations
+SlidingScaleRate.belongsTo(User, { foreignKey: 'patientId', as: 'patient' });
+SlidingScaleRate.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+SlidingScaleRate.belongsTo(User, { foreignKey: 'respondedBy', as: 'responder' });
+
+module.exports = SlidingScaleRate;
@@ -0,0 +1,121 @@
+/**
+ * SlotHold Model
+ *
+ * Temporary reservation of a therapist time interval while a patient
+ * completes checkout, or while a waitlist offer is open. Holds block the
+ * interval until they expire or are converted into a booking.
+ */
+
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Therapist = require('./Therapist');
+const Service = require('./Service');
+
+const SlotHold = sequelize.define('SlotHold', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Service,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  sessionDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false // In the therapist's time zone
+  },
+  sessionTime: {
+    type: DataTypes.TIME,
+    allowNull: false // In the therapist's time zone
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false // Duration in minutes
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  purpose: {
+    type: DataTypes.ENUM('checkout', 'waitlist-offer'),
+    allowNull: false,
+    defaultValue: 'checkout'
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'slot_holds',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['therapistId', 'startsAt']
+    },
+    {
+      fields: ['patientId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+/**
+ * Hash a hold token for storage and lookup
+ * @param {string} token - Plain hold token
+ * @returns {string} SHA-256 hash
+ */
+SlotHold.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Instance method to check whether the hold has expired
+ * @returns {boolean} True if expired
+ */
+SlotHold.prototype.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// Define associations
+SlotHold.belongsTo(User, { foreignKey: 'patientId', as: 'patient' });
+SlotHold.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+SlotHold.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
+
+module.exports = SlotHold;
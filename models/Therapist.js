@@ -7,6 +7,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const User = require('./User');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timezone');
+const { isValidNpi } = require('../utils/medicalCodes');
 
 const Therapist = sequelize.define('Therapist', {
   id: {
@@ -29,6 +31,18 @@ const Therapist = sequelize.define('Therapist', {
     allowNull: false,
     unique: true
   },
+  npi: {
+    type: DataTypes.STRING(10),
+    allowNull: true, // National Provider Identifier, printed on superbills
+    unique: true,
+    validate: {
+      isValidNpi(value) {
+        if (value !== null && !isValidNpi(value)) {
+          throw new Error('Invalid NPI');
+        }
+      }
+    }
+  },
   specialization: {
     type: DataTypes.ARRAY(DataTypes.STRING),
     allowNull: false,
@@ -55,16 +69,115 @@ const Therapist = sequelize.define('Therapist', {
   availability: {
     type: DataTypes.JSONB,
     allowNull: false,
+    // Each weekday holds one or more working windows; the gaps between windows are breaks
     defaultValue: {
-      monday: { start: '09:00', end: '17:00', available: true },
-      tuesday: { start: '09:00', end: '17:00', available: true },
-      wednesday: { start: '09:00', end: '17:00', available: true },
-      thursday: { start: '09:00', end: '17:00', available: true },
-      friday: { start: '09:00', end: '17:00', available: true },
-      saturday: { start: '09:00', end: '13:00', available: false },
-      sunday: { start: '09:00', end: '13:00', available: false }
+      monday: { available: true, windows: [{ start: '09:00', end: '17:00' }] },
+      tuesday: { available: true, windows: [{ start: '09:00', end: '17:00' }] },
+      wednesday: { available: true, windows: [{ start: '09:00', end: '17:00' }] },
+      thursday: { available: true, windows: [{ start: '09:00', end: '17:00' }] },
+      friday: { available: true, windows: [{ start: '09:00', end: '17:00' }] },
+      saturday: { available: false, windows: [{ start: '09:00', end: '13:00' }] },
+      sunday: { available: false, windows: [{ start: '09:00', end: '13:00' }] }
+    },
+    validate: {
+      isValidSchedule(value) {
+        const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+        const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+        Object.entries(value || {}).forEach(([day, schedule]) => {
+          if (!days.includes(day)) {
+            throw new Error(`Unknown day in availability: ${day}`);
+          }
+          if (!schedule || typeof schedule !== 'object') {
+            throw new Error(`Availability for ${day} must be an object`);
+          }
+          // Legacy single-window format: { start, end, available }
+          const windows = Array.isArray(schedule.windows)
+            ? schedule.windows
+            : [{ start: schedule.start, end: schedule.end }];
+
+          windows.forEach((window) => {
+            if (!window || typeof window !== 'object') {
+              throw new Error(`Invalid working window on ${day}, expected { start, end }`);
+            }
+            if (!timePattern.test(window.start) || !timePattern.test(window.end)) {
+              throw new Error(`Invalid working window on ${day}, expected HH:MM times`);
+            }
+            if (window.start >= window.end) {
+              throw new Error(`Working window on ${day} must end after it starts`);
+            }
+          });
+        });
+      }
+    }
+  },
+  timeZone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: DEFAULT_TIME_ZONE, // IANA zone the weekly availability is expressed in
+    validate: {
+      isValidTimeZone(value) {
+        if (!isValidTimeZone(value)) {
+          throw new Error('Invalid time zone');
+        }
+      }
+    }
+  },
+  bufferBefore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0, // Minutes kept free before each booking
+    validate: {
+      min: 0,
+      max: 120
+    }
+  },
+  bufferAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0, // Minutes kept free after each booking
+    validate: {
+      min: 0,
+      max: 120
+    }
+  },
+  slotInterval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60, // Minutes between offered slot start times
+    validate: {
+      min: 5,
+      max: 180
     }
   },
+  cancellationPolicy: {
+    type: DataTypes.JSONB,
+    allowNull: true, // Null falls back to the clinic-wide policy
+    // { windows: [{ hours, feePercent }] } - the fee of the tightest window the notice falls within
+    validate: {
+      isValidPolicy(value) {
+        if (value === null) {
+          return;
+        }
+        if (!value || !Array.isArray(value.windows)) {
+          throw new Error('Cancellation policy must define a list of windows');
+        }
+        value.windows.forEach((window) => {
+          if (!Number.isFinite(window.hours) || window.hours <= 0) {
+            throw new Error('Cancellation window hours must be a positive number');
+          }
+          if (!Number.isFinite(window.feePercent) || window.feePercent < 0 || window.feePercent > 100) {
+            throw new Error('Cancellation fee percent must be between 0 and 100');
+          }
+        });
+      }
+    }
+  },
+  autoConfirmBookings: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false // Confirm new bookings without waiting for the therapist
+  },
   isVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -0,0 +1,82 @@
+/**
+ * TherapistService Model
+ *
+ * Join table linking therapists to the services they offer,
+ * with the therapist-specific rate (price and duration) for each service
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Therapist = require('./Therapist');
+const Service = require('./Service');
+
+const TherapistService = sequelize.define('TherapistService', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Service,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true, // Falls back to the therapist's hourly rate
+    validate: {
+      min: 0
+    }
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Duration in minutes, falls back to the service default
+    validate: {
+      min: 15,
+      max: 180
+    }
+  }
+}, {
+  tableName: 'therapist_services',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['therapistId', 'serviceId']
+    },
+    {
+      fields: ['serviceId']
+    }
+  ]
+});
+
+// Define associations
+Therapist.belongsToMany(Service, {
+  through: TherapistService,
+  foreignKey: 'therapistId',
+  otherKey: 'serviceId',
+  as: 'services'
+});
+Service.belongsToMany(Therapist, {
+  through: TherapistService,
+  foreignKey: 'serviceId',
+  otherKey: 'therapistId',
+  as: 'therapists'
+});
+TherapistService.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+TherapistService.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
+
+module.exports = TherapistService;
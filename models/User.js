@@ -7,6 +7,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timezone');
+const { getPasswordPolicy, isValidPasswordLength } = require('../utils/passwordPolicy');
 
 const User = sequelize.define('User', {
   id: {
@@ -26,7 +28,13 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: false,
     validate: {
-      len: [6, 100] // Minimum 6 characters
+      // Length limits of the password policy; routes check the full policy
+      meetsLengthPolicy(value) {
+        if (!isValidPasswordLength(value)) {
+          const { minLength, maxLength } = getPasswordPolicy();
+          throw new Error(`Password must be between ${minLength} and ${maxLength} characters`);
+        }
+      }
     }
   },
   firstName: {
@@ -54,6 +62,18 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  timeZone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: DEFAULT_TIME_ZONE, // IANA zone used to render times for this user
+    validate: {
+      isValidTimeZone(value) {
+        if (!isValidTimeZone(value)) {
+          throw new Error('Invalid time zone');
+        }
+      }
+    }
+  },
   role: {
     type: DataTypes.ENUM('patient', 'therapist', 'admin'),
     defaultValue: 'patient',
@@ -71,6 +91,32 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  passwordChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Access tokens issued before this are rejected
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  twoFactorSecret: {
+    type: DataTypes.TEXT,
+    allowNull: true // Encrypted TOTP secret; set at enrollment, confirmed when enabled
+  },
+  twoFactorLastCounter: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Time step of the last accepted code, so a code works only once
+  },
+  twoFactorRecoveryCodes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(64)),
+    allowNull: false,
+    defaultValue: [] // SHA-256 hashes of unused recovery codes
+  },
+  twoFactorEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   resetPasswordToken: {
     type: DataTypes.STRING,
     allowNull: true
@@ -78,6 +124,28 @@ const User = sequelize.define('User', {
   resetPasswordExpire: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  failedLoginAttempts: {
+    // Consecutive failed sign-ins (password or two-factor code)
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  lastFailedLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  unlockToken: {
+    type: DataTypes.STRING,
+    allowNull: true // SHA-256 hash of the token in the unlock email
+  },
+  unlockTokenExpire: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users',
@@ -109,6 +177,19 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Hide two-factor secrets and the unlock token from serialized users
+ * @returns {Object} Plain user object
+ */
+User.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.twoFactorSecret;
+  delete values.twoFactorLastCounter;
+  delete values.twoFactorRecoveryCodes;
+  delete values.unlockToken;
+  return values;
+};
+
 /**
  * Instance method to get full name
  * @returns {string} Full name
@@ -0,0 +1,71 @@
+/**
+ * User Session Model
+ *
+ * A signed-in device: one per login, kept alive by refreshing its tokens.
+ * Its refresh tokens form one rotation family.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true // Address the session signed in from
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false // Expiry of the latest refresh token
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    // logout, revoked-by-user, password-changed, reuse-detected, user-inactive,
+    // two-factor-required or two-factor-reset
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'revokedAt']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Define associations
+UserSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(UserSession, { foreignKey: 'userId', as: 'deviceSessions' });
+
+module.exports = UserSession;
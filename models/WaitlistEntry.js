@@ -0,0 +1,114 @@
+/**
+ * WaitlistEntry Model
+ *
+ * A patient's interest in a fully booked therapist. Preferences are
+ * interpreted in the patient's time zone; empty preferences match any slot.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Therapist = require('./Therapist');
+const Service = require('./Service');
+const timezone = require('../utils/timezone');
+
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Service,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60, // Duration in minutes
+    validate: {
+      min: 15,
+      max: 180
+    }
+  },
+  preferredDays: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [] // Lowercase weekday names
+  },
+  timeRanges: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [], // [{ start: 'HH:MM', end: 'HH:MM' }]
+    validate: {
+      isValidRanges(value) {
+        const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+        if (!Array.isArray(value)) {
+          throw new Error('Time ranges must be an array');
+        }
+        value.forEach((range) => {
+          if (!range || !timePattern.test(range.start) || !timePattern.test(range.end) || range.start >= range.end) {
+            throw new Error('Each time range needs a start before its end in HH:MM format');
+          }
+        });
+      }
+    }
+  },
+  timeZone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: timezone.DEFAULT_TIME_ZONE // Zone of the preferences
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'offered', 'booked', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'waiting'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'waitlist_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['therapistId', 'status', 'createdAt']
+    },
+    {
+      fields: ['patientId']
+    }
+  ]
+});
+
+// Define associations
+WaitlistEntry.belongsTo(User, { foreignKey: 'patientId', as: 'patient' });
+WaitlistEntry.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+WaitlistEntry.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
+
+Therapist.hasMany(WaitlistEntry, { foreignKey: 'therapistId', as: 'waitlistEntries' });
+
+module.exports = WaitlistEntry;
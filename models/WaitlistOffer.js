@@ -0,0 +1,105 @@
+/**
+ * WaitlistOffer Model
+ *
+ * A freed slot offered to a waitlisted patient. The slot is reserved by a
+ * SlotHold until the offer expires; the hold token is the claim token.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Therapist = require('./Therapist');
+const SlotHold = require('./SlotHold');
+const Booking = require('./Booking');
+const WaitlistEntry = require('./WaitlistEntry');
+
+const WaitlistOffer = sequelize.define('WaitlistOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  entryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: WaitlistEntry,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  therapistId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Therapist,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  holdId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: SlotHold,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Booking,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false // Duration in minutes
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'claimed', 'declined', 'expired', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'waitlist_offers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['entryId']
+    },
+    {
+      fields: ['holdId']
+    },
+    {
+      fields: ['status', 'expiresAt']
+    },
+    {
+      fields: ['therapistId', 'startsAt']
+    }
+  ]
+});
+
+// Define associations
+WaitlistOffer.belongsTo(WaitlistEntry, { foreignKey: 'entryId', as: 'entry' });
+WaitlistOffer.belongsTo(Therapist, { foreignKey: 'therapistId', as: 'therapist' });
+WaitlistOffer.belongsTo(SlotHold, { foreignKey: 'holdId', as: 'hold' });
+WaitlistOffer.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+WaitlistEntry.hasMany(WaitlistOffer, { foreignKey: 'entryId', as: 'offers' });
+
+module.exports = WaitlistOffer;
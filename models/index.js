@@ -8,9 +8,35 @@ const { sequelize } = require('../config/database');
 
 // Import all models
 const User = require('./User');
+const UserSession = require('./UserSession');
+const RefreshToken = require('./RefreshToken');
+const PasswordHistory = require('./PasswordHistory');
+const RoleSecurityPolicy = require('./RoleSecurityPolicy');
+const RateLimitCounter = require('./RateLimitCounter');
 const Therapist = require('./Therapist');
+const BookingSeries = require('./BookingSeries');
+const SessionPackage = require('./SessionPackage');
+const PackagePurchase = require('./PackagePurchase');
+const PromoCode = require('./PromoCode');
+const SlidingScaleRate = require('./SlidingScaleRate');
 const Booking = require('./Booking');
+const BookingHistory = require('./BookingHistory');
+const PaymentEvent = require('./PaymentEvent');
+const Refund = require('./Refund');
+const InvoiceCounter = require('./InvoiceCounter');
+const Invoice = require('./Invoice');
+const CreditTransaction = require('./CreditTransaction');
+const PromoRedemption = require('./PromoRedemption');
+const LedgerJournal = require('./LedgerJournal');
+const Payout = require('./Payout');
+const LedgerEntry = require('./LedgerEntry');
 const Session = require('./Session');
+const Service = require('./Service');
+const TherapistService = require('./TherapistService');
+const AvailabilityException = require('./AvailabilityException');
+const SlotHold = require('./SlotHold');
+const WaitlistEntry = require('./WaitlistEntry');
+const WaitlistOffer = require('./WaitlistOffer');
 
 // Associations are defined in individual model files
 // This file ensures all models are loaded and associations are established
@@ -18,8 +44,34 @@ const Session = require('./Session');
 module.exports = {
   sequelize,
   User,
+  UserSession,
+  RefreshToken,
+  PasswordHistory,
+  RoleSecurityPolicy,
+  RateLimitCounter,
   Therapist,
+  BookingSeries,
+  SessionPackage,
+  PackagePurchase,
+  PromoCode,
+  SlidingScaleRate,
   Booking,
-  Session
+  BookingHistory,
+  PaymentEvent,
+  Refund,
+  InvoiceCounter,
+  Invoice,
+  CreditTransaction,
+  PromoRedemption,
+  LedgerJournal,
+  Payout,
+  LedgerEntry,
+  Session,
+  Service,
+  TherapistService,
+  AvailabilityException,
+  SlotHold,
+  WaitlistEntry,
+  WaitlistOffer
 };
 
@@ -6,10 +6,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
 const validate = require('../middleware/validation');
+const { loginLimiter, passwordResetLimiter, passwordResetEmailLimiter } = require('../middleware/rateLimit');
+const { isValidTimeZone } = require('../utils/timezone');
+const { passwordPolicyValidator } = require('../utils/passwordPolicy');
 
 /**
  * @route   POST /api/auth/register
@@ -20,10 +24,11 @@ router.post(
   '/register',
   [
     body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 6 }),
     body('firstName').trim().notEmpty().isLength({ min: 1, max: 50 }),
     body('lastName').trim().notEmpty().isLength({ min: 1, max: 50 }),
+    body('password').custom(passwordPolicyValidator(req => req.body)),
     body('phone').optional().isMobilePhone(),
+    body('timeZone').optional().custom(isValidTimeZone),
     body('role').optional().isIn(['patient', 'therapist', 'admin'])
   ],
   validate,
@@ -37,6 +42,7 @@ router.post(
  */
 router.post(
   '/login',
+  loginLimiter,
   [
     body('email').isEmail().normalizeEmail(),
     body('password').notEmpty()
@@ -45,6 +51,188 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @access  Public
+ */
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').isJWT()
+  ],
+  validate,
+  authController.refreshToken
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user by revoking the refresh token family
+ * @access  Public
+ */
+router.post(
+  '/logout',
+  [
+    body('refreshToken').isJWT()
+  ],
+  validate,
+  authController.logout
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get the current user's signed-in device sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   POST /api/auth/sessions/revoke-others
+ * @desc    Sign out every device except the current one
+ * @access  Private
+ */
+router.post('/sessions/revoke-others', authenticate, authController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device session
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  [
+    param('sessionId').isUUID()
+  ],
+  validate,
+  authController.revokeSession
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment, signed in or with a setup challenge token
+ * @access  Private or challenge (Therapist and Admin)
+ */
+router.post(
+  '/2fa/setup',
+  optionalAuth,
+  [
+    body('challengeToken').optional().isJWT()
+  ],
+  validate,
+  twoFactorController.setup
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm two-factor enrollment with a code and get recovery codes
+ * @access  Private or challenge (Therapist and Admin)
+ */
+router.post(
+  '/2fa/enable',
+  optionalAuth,
+  [
+    body('challengeToken').optional().isJWT(),
+    body('code').isString().trim().notEmpty()
+  ],
+  validate,
+  twoFactorController.enable
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a login with an authenticator or recovery code
+ * @access  Public (challenge token)
+ */
+router.post(
+  '/2fa/verify',
+  loginLimiter,
+  [
+    body('challengeToken').isJWT(),
+    body('code').optional().isString().trim().notEmpty(),
+    body('recoveryCode').optional().isString().trim().notEmpty(),
+    body().custom(value => {
+      if (!value.code === !value.recoveryCode) {
+        throw new Error('Provide either code or recoveryCode');
+      }
+      return true;
+    })
+  ],
+  validate,
+  twoFactorController.verify
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  [
+    body('password').notEmpty(),
+    body('code').isString().trim().notEmpty()
+  ],
+  validate,
+  twoFactorController.disable
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  [
+    body('code').isString().trim().notEmpty()
+  ],
+  validate,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/2fa/policy
+ * @desc    Get the two-factor policy of each role
+ * @access  Private (Admin only)
+ */
+router.get('/2fa/policy', authenticate, authorize('admin'), twoFactorController.getPolicies);
+
+/**
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Make two-factor authentication mandatory or optional for a role
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/2fa/policy',
+  authenticate,
+  authorize('admin'),
+  [
+    body('role').isIn(['therapist', 'admin']),
+    body('required').isBoolean().toBoolean()
+  ],
+  validate,
+  twoFactorController.updatePolicy
+);
+
+/**
+ * @route   POST /api/auth/2fa/users/:userId/reset
+ * @desc    Reset a user's two-factor authentication
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/2fa/users/:userId/reset',
+  authenticate,
+  authorize('admin'),
+  [
+    param('userId').isUUID()
+  ],
+  validate,
+  twoFactorController.resetUserTwoFactor
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -63,7 +251,8 @@ router.put(
   [
     body('firstName').optional().trim().isLength({ min: 1, max: 50 }),
     body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
-    body('phone').optional().isMobilePhone()
+    body('phone').optional().isMobilePhone(),
+    body('timeZone').optional().custom(isValidTimeZone)
   ],
   validate,
   authController.updateProfile
@@ -79,7 +268,7 @@ router.put(
   authenticate,
   [
     body('currentPassword').notEmpty(),
-    body('newPassword').isLength({ min: 6 })
+    body('newPassword').custom(passwordPolicyValidator(req => req.user))
   ],
   validate,
   authController.changePassword
@@ -92,10 +281,12 @@ router.put(
  */
 router.post(
   '/forgot-password',
+  passwordResetLimiter,
   [
     body('email').isEmail().normalizeEmail()
   ],
   validate,
+  passwordResetEmailLimiter,
   authController.forgotPassword
 );
 
@@ -106,14 +297,30 @@ router.post(
  */
 router.post(
   '/reset-password',
+  passwordResetLimiter,
   [
     body('token').notEmpty(),
-    body('password').isLength({ min: 6 })
+    body('password').custom(passwordPolicyValidator())
   ],
   validate,
   authController.resetPassword
 );
 
+/**
+ * @route   POST /api/auth/unlock-account
+ * @desc    Unlock an account locked after failed logins
+ * @access  Public
+ */
+router.post(
+  '/unlock-account',
+  passwordResetLimiter,
+  [
+    body('token').isString().notEmpty()
+  ],
+  validate,
+  authController.unlockAccount
+);
+
 /**
  * @route   GET /api/auth/verify-email/:token
  * @desc    Verify user email
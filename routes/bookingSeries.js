@@ -0,0 +1,174 @@
+/**
+ * Booking Series Routes
+ *
+ * Recurring booking series endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const bookingSeriesController = require('../controllers/bookingSeriesController');
+const recurrenceService = require('../services/recurrenceService');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+// Recurrence rule and first occurrence of a new series
+const seriesRuleValidators = [
+  body('therapistId').isUUID(),
+  body('serviceId').optional().isUUID(),
+  body('startsAt').optional().isISO8601({ strict: true }),
+  body('sessionDate').if(body('startsAt').not().exists()).isISO8601().toDate(),
+  body('sessionTime').if(body('startsAt').not().exists()).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+  body('duration').optional().isInt({ min: 15, max: 180 }),
+  body('frequency').isIn(recurrenceService.FREQUENCIES),
+  body('endDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .custom((value, { req }) => req.body.count === undefined)
+    .withMessage('Provide either endDate or count, not both'),
+  body('count').if(body('endDate').not().exists()).isInt({ min: 1, max: recurrenceService.MAX_OCCURRENCES }).toInt()
+];
+
+// Scope of a change to an existing series
+const seriesScopeValidators = [
+  param('id').isUUID(),
+  body('scope').isIn(['single', 'following', 'all']),
+  body('bookingId').if(body('scope').isIn(['single', 'following'])).isUUID()
+];
+
+/**
+ * @route   POST /api/booking-series/preview
+ * @desc    Preview the occurrences of a series and any conflicts
+ * @access  Private (Patient)
+ */
+router.post(
+  '/preview',
+  authenticate,
+  authorize('patient', 'admin'),
+  seriesRuleValidators,
+  validate,
+  bookingSeriesController.previewSeries
+);
+
+/**
+ * @route   POST /api/booking-series
+ * @desc    Create a recurring booking series
+ * @access  Private (Patient)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('patient', 'admin'),
+  [
+    ...seriesRuleValidators,
+    body('skipConflicts').optional().isBoolean().toBoolean(),
+    body('sessionType').optional().isIn(['in-person', 'video', 'phone']),
+    body('notes').optional().isString().isLength({ max: 1000 }),
+    body('useCredits').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  bookingSeriesController.createSeries
+);
+
+/**
+ * @route   GET /api/booking-series
+ * @desc    Get user's booking series
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('status').optional().isIn(['active', 'cancelled'])
+  ],
+  validate,
+  bookingSeriesController.getMySeries
+);
+
+/**
+ * @route   GET /api/booking-series/:id
+ * @desc    Get booking series with its occurrences
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  bookingSeriesController.getSeriesById
+);
+
+/**
+ * @route   POST /api/booking-series/:id/accept
+ * @desc    Accept every pending occurrence of a series request
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/:id/accept',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('meetingLink').optional().isURL()
+  ],
+  validate,
+  bookingSeriesController.acceptSeries
+);
+
+/**
+ * @route   POST /api/booking-series/:id/decline
+ * @desc    Decline every pending occurrence of a series request
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/:id/decline',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  bookingSeriesController.declineSeries
+);
+
+/**
+ * @route   POST /api/booking-series/:id/cancel
+ * @desc    Cancel one occurrence, this and following, or all occurrences
+ * @access  Private
+ */
+router.post(
+  '/:id/cancel',
+  authenticate,
+  [
+    ...seriesScopeValidators,
+    body('cancellationReason').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  bookingSeriesController.cancelSeries
+);
+
+/**
+ * @route   POST /api/booking-series/:id/reschedule
+ * @desc    Reschedule one occurrence, this and following, or all occurrences
+ *          (new slot of the anchor occurrence in the therapist's time zone,
+ *          or an absolute startsAt instant)
+ * @access  Private
+ */
+router.post(
+  '/:id/reschedule',
+  authenticate,
+  [
+    ...seriesScopeValidators,
+    body('startsAt').optional().isISO8601({ strict: true }),
+    body('sessionDate').if(body('startsAt').not().exists()).isISO8601().toDate(),
+    body('sessionTime').if(body('startsAt').not().exists()).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  bookingSeriesController.rescheduleSeries
+);
+
+module.exports = router;
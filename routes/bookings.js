@@ -6,14 +6,52 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const bookingController = require('../controllers/bookingController');
+const paymentController = require('../controllers/paymentController');
 const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validation');
 
+/**
+ * @route   POST /api/bookings/holds
+ * @desc    Temporarily hold a slot during checkout
+ * @access  Private (Patient)
+ */
+router.post(
+  '/holds',
+  authenticate,
+  authorize('patient', 'admin'),
+  [
+    body('therapistId').isUUID(),
+    body('serviceId').optional().isUUID(),
+    body('startsAt').optional().isISO8601({ strict: true }),
+    body('sessionDate').if(body('startsAt').not().exists()).isISO8601().toDate(),
+    body('sessionTime').if(body('startsAt').not().exists()).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('duration').optional().isInt({ min: 15, max: 180 })
+  ],
+  validate,
+  bookingController.createSlotHold
+);
+
+/**
+ * @route   DELETE /api/bookings/holds/:id
+ * @desc    Release a slot hold
+ * @access  Private (Patient)
+ */
+router.delete(
+  '/holds/:id',
+  authenticate,
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  bookingController.releaseSlotHold
+);
+
 /**
  * @route   POST /api/bookings
- * @desc    Create a new booking
+ * @desc    Create a new booking (sessionDate and sessionTime in the therapist's
+ *          time zone, an absolute startsAt instant, or a slot hold token)
  * @access  Private (Patient)
  */
 router.post(
@@ -22,11 +60,16 @@ router.post(
   authorize('patient', 'admin'),
   [
     body('therapistId').isUUID(),
-    body('sessionDate').isISO8601().toDate(),
-    body('sessionTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
-    body('duration').optional().isInt({ min: 30, max: 180 }),
+    body('holdToken').optional().isString().isLength({ min: 40, max: 40 }),
+    body('serviceId').optional().isUUID(),
+    body('startsAt').optional().isISO8601({ strict: true }),
+    body('sessionDate').if(body('startsAt').not().exists()).if(body('holdToken').not().exists()).isISO8601().toDate(),
+    body('sessionTime').if(body('startsAt').not().exists()).if(body('holdToken').not().exists()).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('duration').optional().isInt({ min: 15, max: 180 }),
     body('sessionType').optional().isIn(['in-person', 'video', 'phone']),
-    body('notes').optional().isString().isLength({ max: 1000 })
+    body('notes').optional().isString().isLength({ max: 1000 }),
+    body('promoCode').optional().isString().trim().isLength({ min: 1, max: 40 }),
+    body('useCredits').optional().isBoolean().toBoolean()
   ],
   validate,
   bookingController.createBooking
@@ -49,6 +92,18 @@ router.get(
   bookingController.getMyBookings
 );
 
+/**
+ * @route   GET /api/bookings/requests
+ * @desc    Get pending booking requests awaiting a response
+ * @access  Private (Therapist, Admin)
+ */
+router.get(
+  '/requests',
+  authenticate,
+  authorize('therapist', 'admin'),
+  bookingController.getBookingRequests
+);
+
 /**
  * @route   GET /api/bookings/:id
  * @desc    Get booking by ID
@@ -56,6 +111,21 @@ router.get(
  */
 router.get('/:id', authenticate, bookingController.getBookingById);
 
+/**
+ * @route   GET /api/bookings/:id/history
+ * @desc    Get booking status history and the transitions open to the user
+ * @access  Private
+ */
+router.get(
+  '/:id/history',
+  authenticate,
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  bookingController.getBookingHistory
+);
+
 /**
  * @route   PUT /api/bookings/:id
  * @desc    Update booking
@@ -74,6 +144,91 @@ router.put(
   bookingController.updateBooking
 );
 
+/**
+ * @route   POST /api/bookings/:id/accept
+ * @desc    Accept a pending booking request
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/:id/accept',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('meetingLink').optional().isURL()
+  ],
+  validate,
+  bookingController.acceptBooking
+);
+
+/**
+ * @route   POST /api/bookings/:id/decline
+ * @desc    Decline a pending booking request
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/:id/decline',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  bookingController.declineBooking
+);
+
+/**
+ * @route   POST /api/bookings/:id/payment
+ * @desc    Create or resume the booking's payment intent
+ * @access  Private (Patient)
+ */
+router.post(
+  '/:id/payment',
+  authenticate,
+  authorize('patient', 'admin'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  paymentController.createBookingPayment
+);
+
+/**
+ * @route   GET /api/bookings/:id/invoice
+ * @desc    Download the booking's invoice as a PDF
+ * @access  Private
+ */
+router.get(
+  '/:id/invoice',
+  authenticate,
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  paymentController.getBookingInvoice
+);
+
+/**
+ * @route   POST /api/bookings/:id/reschedule
+ * @desc    Move a booking to a new slot (sessionDate and sessionTime in the
+ *          therapist's time zone, or an absolute startsAt instant)
+ * @access  Private
+ */
+router.post(
+  '/:id/reschedule',
+  authenticate,
+  [
+    param('id').isUUID(),
+    body('startsAt').optional().isISO8601({ strict: true }),
+    body('sessionDate').if(body('startsAt').not().exists()).isISO8601().toDate(),
+    body('sessionTime').if(body('startsAt').not().exists()).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  bookingController.rescheduleBooking
+);
+
 /**
  * @route   DELETE /api/bookings/:id
  * @desc    Cancel booking
@@ -0,0 +1,118 @@
+/**
+ * Package Routes
+ *
+ * Session package and credit wallet endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const packageController = require('../controllers/packageController');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+/**
+ * @route   GET /api/packages
+ * @desc    Get active session packages
+ * @access  Public
+ */
+router.get(
+  '/',
+  [
+    query('therapistId').optional().isUUID(),
+    query('serviceId').optional().isUUID()
+  ],
+  validate,
+  packageController.getPackages
+);
+
+/**
+ * @route   GET /api/packages/wallet
+ * @desc    Get the current patient's credit balance, purchases and credit history
+ * @access  Private (Patient)
+ */
+router.get(
+  '/wallet',
+  authenticate,
+  authorize('patient'),
+  packageController.getWallet
+);
+
+/**
+ * @route   POST /api/packages/purchases/:purchaseId/payment
+ * @desc    Create or resume the payment of a package purchase
+ * @access  Private (Patient)
+ */
+router.post(
+  '/purchases/:purchaseId/payment',
+  authenticate,
+  authorize('patient', 'admin'),
+  [
+    param('purchaseId').isUUID()
+  ],
+  validate,
+  packageController.createPurchasePayment
+);
+
+/**
+ * @route   POST /api/packages
+ * @desc    Create a session package
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    body('therapistId').optional().isUUID(),
+    body('serviceId').optional().isUUID(),
+    body('name').trim().notEmpty().isLength({ max: 255 }),
+    body('description').optional().isString().isLength({ max: 2000 }),
+    body('sessionCount').isInt({ min: 1, max: 100 }),
+    body('price').isFloat({ min: 0 }),
+    body('validityDays').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('isActive').optional().isBoolean()
+  ],
+  validate,
+  packageController.createPackage
+);
+
+/**
+ * @route   PUT /api/packages/:id
+ * @desc    Update a session package
+ * @access  Private (Owning therapist, Admin)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('name').optional().trim().notEmpty().isLength({ max: 255 }),
+    body('description').optional().isString().isLength({ max: 2000 }),
+    body('sessionCount').optional().isInt({ min: 1, max: 100 }),
+    body('price').optional().isFloat({ min: 0 }),
+    body('validityDays').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('isActive').optional().isBoolean()
+  ],
+  validate,
+  packageController.updatePackage
+);
+
+/**
+ * @route   POST /api/packages/:id/purchase
+ * @desc    Purchase a session package
+ * @access  Private (Patient)
+ */
+router.post(
+  '/:id/purchase',
+  authenticate,
+  authorize('patient'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  packageController.purchasePackage
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Payment Routes
+ *
+ * Payment provider webhook endpoint
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Receive payment events from the configured provider (signature-verified)
+ * @access  Public
+ */
+router.post('/webhook', paymentController.handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Payout Routes
+ *
+ * Therapist payout administration endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const payoutController = require('../controllers/payoutController');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+/**
+ * @route   GET /api/payouts
+ * @desc    Get all payouts
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('admin'),
+  [
+    query('status').optional().isIn(['pending', 'paid']),
+    query('therapistId').optional().isUUID()
+  ],
+  validate,
+  payoutController.getPayouts
+);
+
+/**
+ * @route   POST /api/payouts/close
+ * @desc    Close the last finished payout period into payouts
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/close',
+  authenticate,
+  authorize('admin'),
+  payoutController.closePayoutPeriod
+);
+
+/**
+ * @route   GET /api/payouts/:id
+ * @desc    Get a payout statement
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  payoutController.getPayoutStatement
+);
+
+/**
+ * @route   POST /api/payouts/:id/paid
+ * @desc    Mark a payout paid
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/:id/paid',
+  authenticate,
+  authorize('admin'),
+  [
+    param('id').isUUID(),
+    body('transferReference').optional().isString().trim().isLength({ max: 255 })
+  ],
+  validate,
+  payoutController.markPayoutPaid
+);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Promo Code Routes
+ *
+ * Promo code management and lookup endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const promoCodeController = require('../controllers/promoCodeController');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+/**
+ * @route   GET /api/promo-codes/check
+ * @desc    Check whether a promo code applies to a booking with a therapist
+ * @access  Private (Patient)
+ */
+router.get(
+  '/check',
+  authenticate,
+  authorize('patient'),
+  [
+    query('code').isString().trim().isLength({ min: 1, max: 40 }),
+    query('therapistId').isUUID(),
+    query('serviceId').optional().isUUID()
+  ],
+  validate,
+  promoCodeController.checkPromoCode
+);
+
+/**
+ * @route   GET /api/promo-codes
+ * @desc    Get all promo codes
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('admin'),
+  [
+    query('isActive').optional().isBoolean()
+  ],
+  validate,
+  promoCodeController.getPromoCodes
+);
+
+/**
+ * @route   POST /api/promo-codes
+ * @desc    Create a promo code
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  [
+    body('code').trim().matches(/^[A-Za-z0-9_-]{3,40}$/),
+    body('description').optional().isString().isLength({ max: 255 }),
+    body('discountType').isIn(['percentage', 'fixed']),
+    body('discountValue').isFloat({ gt: 0 }),
+    body('validFrom').optional({ values: 'null' }).isISO8601().toDate(),
+    body('validUntil').optional({ values: 'null' }).isISO8601().toDate(),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('maxUsesPerPatient').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('therapistIds').optional().isArray(),
+    body('therapistIds.*').isUUID(),
+    body('serviceIds').optional().isArray(),
+    body('serviceIds.*').isUUID(),
+    body('isActive').optional().isBoolean()
+  ],
+  validate,
+  promoCodeController.createPromoCode
+);
+
+/**
+ * @route   PUT /api/promo-codes/:id
+ * @desc    Update a promo code
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  [
+    param('id').isUUID(),
+    body('description').optional().isString().isLength({ max: 255 }),
+    body('discountType').optional().isIn(['percentage', 'fixed']),
+    body('discountValue').optional().isFloat({ gt: 0 }),
+    body('validFrom').optional({ values: 'null' }).isISO8601().toDate(),
+    body('validUntil').optional({ values: 'null' }).isISO8601().toDate(),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('maxUsesPerPatient').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('therapistIds').optional().isArray(),
+    body('therapistIds.*').isUUID(),
+    body('serviceIds').optional().isArray(),
+    body('serviceIds.*').isUUID(),
+    body('isActive').optional().isBoolean()
+  ],
+  validate,
+  promoCodeController.updatePromoCode
+);
+
+module.exports = router;
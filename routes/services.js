@@ -1 +1,166 @@
+/**
+ * Service Routes
+ *
+ * Service catalog endpoints
+ */
 
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const serviceController = require('../controllers/serviceController');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+/**
+ * @route   GET /api/services
+ * @desc    Get all services ordered by display order
+ * @access  Public (admins may include inactive services)
+ */
+router.get(
+  '/',
+  [
+    query('includeInactive').optional().isBoolean()
+  ],
+  validate,
+  optionalAuth,
+  serviceController.getServices
+);
+
+/**
+ * @route   PUT /api/services/reorder
+ * @desc    Reorder services
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/reorder',
+  authenticate,
+  authorize('admin'),
+  [
+    body('serviceIds').isArray({ min: 1 }),
+    body('serviceIds.*').isUUID()
+  ],
+  validate,
+  serviceController.reorderServices
+);
+
+/**
+ * @route   GET /api/services/:id
+ * @desc    Get service by ID
+ * @access  Public
+ */
+router.get(
+  '/:id',
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  optionalAuth,
+  serviceController.getServiceById
+);
+
+/**
+ * @route   GET /api/services/:id/therapists
+ * @desc    Get therapists offering a service
+ * @access  Public
+ */
+router.get(
+  '/:id/therapists',
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  serviceController.getServiceTherapists
+);
+
+/**
+ * @route   POST /api/services
+ * @desc    Create a new service
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  [
+    body('name').trim().notEmpty().isLength({ max: 255 }),
+    body('description').optional().isString().isLength({ max: 2000 }),
+    body('icon').optional().isString().isLength({ max: 255 }),
+    body('defaultDuration').optional().isInt({ min: 15, max: 180 }),
+    body('isActive').optional().isBoolean(),
+    body('order').optional().isInt({ min: 0 })
+  ],
+  validate,
+  serviceController.createService
+);
+
+/**
+ * @route   PUT /api/services/:id
+ * @desc    Update a service
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  [
+    param('id').isUUID(),
+    body('name').optional().trim().notEmpty().isLength({ max: 255 }),
+    body('description').optional().isString().isLength({ max: 2000 }),
+    body('icon').optional().isString().isLength({ max: 255 }),
+    body('defaultDuration').optional().isInt({ min: 15, max: 180 }),
+    body('isActive').optional().isBoolean(),
+    body('order').optional().isInt({ min: 0 })
+  ],
+  validate,
+  serviceController.updateService
+);
+
+/**
+ * @route   PATCH /api/services/:id/activate
+ * @desc    Activate a service
+ * @access  Private (Admin only)
+ */
+router.patch(
+  '/:id/activate',
+  authenticate,
+  authorize('admin'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  serviceController.activateService
+);
+
+/**
+ * @route   PATCH /api/services/:id/deactivate
+ * @desc    Deactivate a service
+ * @access  Private (Admin only)
+ */
+router.patch(
+  '/:id/deactivate',
+  authenticate,
+  authorize('admin'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  serviceController.deactivateService
+);
+
+/**
+ * @route   DELETE /api/services/:id
+ * @desc    Delete a service
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  serviceController.deleteService
+);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const { body, query } = require('express-validator');
 const sessionController = require('../controllers/sessionController');
 const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validation');
+const { isValidIcd10Code, isValidCptCode } = require('../utils/medicalCodes');
 
 /**
  * @route   POST /api/sessions
@@ -25,7 +26,13 @@ router.post(
     body('startTime').optional().isISO8601().toDate(),
     body('therapistNotes').optional().isString(),
     body('treatmentPlan').optional().isString(),
-    body('goals').optional().isArray()
+    body('goals').optional().isArray(),
+    body('diagnosisCodes').optional().isArray({ max: 12 }),
+    body('diagnosisCodes.*').isString().trim().toUpperCase().custom(isValidIcd10Code)
+      .withMessage('Diagnosis codes must be ICD-10-CM codes, e.g. F41.1'),
+    body('procedureCodes').optional().isArray({ max: 6 }),
+    body('procedureCodes.*').isString().trim().toUpperCase().custom(isValidCptCode)
+      .withMessage('Procedure codes must be CPT codes, e.g. 90834')
   ],
   validate,
   sessionController.createSession
@@ -48,6 +55,25 @@ router.get(
   sessionController.getMySessions
 );
 
+/**
+ * @route   GET /api/sessions/superbill
+ * @desc    Download a superbill PDF of completed sessions in a date range
+ * @access  Private (Patient)
+ */
+router.get(
+  '/superbill',
+  authenticate,
+  authorize('patient', 'admin'),
+  [
+    query('startDate').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/),
+    query('endDate').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/),
+    query('therapistId').optional().isUUID(),
+    query('patientId').optional().isUUID()
+  ],
+  validate,
+  sessionController.getSuperbill
+);
+
 /**
  * @route   GET /api/sessions/:id
  * @desc    Get session by ID
@@ -69,7 +95,13 @@ router.put(
     body('treatmentPlan').optional().isString(),
     body('goals').optional().isArray(),
     body('moodRating').optional().isInt({ min: 1, max: 10 }),
-    body('nextSessionDate').optional().isISO8601().toDate()
+    body('nextSessionDate').optional().isISO8601().toDate(),
+    body('diagnosisCodes').optional().isArray({ max: 12 }),
+    body('diagnosisCodes.*').isString().trim().toUpperCase().custom(isValidIcd10Code)
+      .withMessage('Diagnosis codes must be ICD-10-CM codes, e.g. F41.1'),
+    body('procedureCodes').optional().isArray({ max: 6 }),
+    body('procedureCodes.*').isString().trim().toUpperCase().custom(isValidCptCode)
+      .withMessage('Procedure codes must be CPT codes, e.g. 90834')
   ],
   validate,
   sessionController.updateSession
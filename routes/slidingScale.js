@@ -0,0 +1,100 @@
+/**
+ * Sliding Scale Routes
+ *
+ * Sliding-scale rate request and approval endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const slidingScaleController = require('../controllers/slidingScaleController');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+/**
+ * @route   POST /api/sliding-scale
+ * @desc    Request a sliding-scale rate from a therapist
+ * @access  Private (Patient)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('patient'),
+  [
+    body('therapistId').isUUID(),
+    body('requestedPercent').isInt({ min: 1, max: 100 }).toInt(),
+    body('reason').optional().isString().isLength({ max: 2000 })
+  ],
+  validate,
+  slidingScaleController.requestRate
+);
+
+/**
+ * @route   GET /api/sliding-scale
+ * @desc    Get sliding-scale rates (own requests for patients, requests received for therapists)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('status').optional().isIn(['pending', 'approved', 'declined', 'revoked'])
+  ],
+  validate,
+  slidingScaleController.getRates
+);
+
+/**
+ * @route   POST /api/sliding-scale/:id/approve
+ * @desc    Approve a sliding-scale request
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/:id/approve',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('approvedPercent').optional().isInt({ min: 1, max: 100 }).toInt(),
+    body('validUntil').optional({ values: 'null' }).isISO8601().toDate(),
+    body('responseNote').optional().isString().isLength({ max: 1000 })
+  ],
+  validate,
+  slidingScaleController.approveRate
+);
+
+/**
+ * @route   POST /api/sliding-scale/:id/decline
+ * @desc    Decline a sliding-scale request
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/:id/decline',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('responseNote').optional().isString().isLength({ max: 1000 })
+  ],
+  validate,
+  slidingScaleController.declineRate
+);
+
+/**
+ * @route   POST /api/sliding-scale/:id/revoke
+ * @desc    Revoke an approved sliding-scale rate
+ * @access  Private (Therapist, Admin)
+ */
+router.post(
+  '/:id/revoke',
+  authenticate,
+  authorize('therapist', 'admin'),
+  [
+    param('id').isUUID(),
+    body('responseNote').optional().isString().isLength({ max: 1000 })
+  ],
+  validate,
+  slidingScaleController.revokeRate
+);
+
+module.exports = router;
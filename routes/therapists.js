@@ -6,10 +6,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const therapistController = require('../controllers/therapistController');
+const availabilityExceptionController = require('../controllers/availabilityExceptionController');
+const payoutController = require('../controllers/payoutController');
 const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
 const validate = require('../middleware/validation');
+const { isValidTimeZone } = require('../utils/timezone');
+const { isValidNpi } = require('../utils/medicalCodes');
 
 /**
  * @route   GET /api/therapists
@@ -24,7 +28,8 @@ router.get(
     query('specialization').optional().isString(),
     query('minRating').optional().isFloat({ min: 0, max: 5 }),
     query('maxRate').optional().isFloat({ min: 0 }),
-    query('search').optional().isString()
+    query('search').optional().isString(),
+    query('service').optional().isUUID()
   ],
   validate,
   optionalAuth,
@@ -40,15 +45,19 @@ router.get('/:id', therapistController.getTherapistById);
 
 /**
  * @route   GET /api/therapists/:id/availability
- * @desc    Get therapist availability for a date
+ * @desc    Get therapist availability for a date (in the therapist's time zone)
  * @access  Public
  */
 router.get(
   '/:id/availability',
   [
-    query('date').isISO8601().toDate()
+    query('date').isISO8601().toDate(),
+    query('duration').optional().isInt({ min: 15, max: 180 }),
+    query('serviceId').optional().isUUID(),
+    query('timeZone').optional().custom(isValidTimeZone)
   ],
   validate,
+  optionalAuth,
   therapistController.getTherapistAvailability
 );
 
@@ -78,15 +87,180 @@ router.put(
   authorize('therapist'),
   [
     body('specialization').optional().isArray(),
+    body('npi').optional({ values: 'null' }).custom(isValidNpi).withMessage('Invalid NPI'),
     body('bio').optional().isString().isLength({ max: 2000 }),
     body('yearsOfExperience').optional().isInt({ min: 0 }),
     body('hourlyRate').optional().isFloat({ min: 0 }),
     body('availability').optional().isObject(),
+    body('bufferBefore').optional().isInt({ min: 0, max: 120 }),
+    body('bufferAfter').optional().isInt({ min: 0, max: 120 }),
+    body('slotInterval').optional().isInt({ min: 5, max: 180 }),
+    body('timeZone').optional().custom(isValidTimeZone),
+    body('autoConfirmBookings').optional().isBoolean().toBoolean(),
+    body('cancellationPolicy').optional({ values: 'null' }).isObject(),
+    body('cancellationPolicy.windows').optional().isArray({ max: 5 }),
+    body('cancellationPolicy.windows.*.hours').isFloat({ gt: 0 }).toFloat(),
+    body('cancellationPolicy.windows.*.feePercent').isFloat({ min: 0, max: 100 }).toFloat(),
     body('profileImage').optional().isURL()
   ],
   validate,
   therapistController.updateTherapistProfile
 );
 
+/**
+ * @route   GET /api/therapists/profile/services
+ * @desc    Get services offered by the current therapist
+ * @access  Private (Therapist only)
+ */
+router.get(
+  '/profile/services',
+  authenticate,
+  authorize('therapist'),
+  therapistController.getMyServices
+);
+
+/**
+ * @route   PUT /api/therapists/profile/services
+ * @desc    Replace services and rates offered by the current therapist
+ * @access  Private (Therapist only)
+ */
+router.put(
+  '/profile/services',
+  authenticate,
+  authorize('therapist'),
+  [
+    body('services').isArray(),
+    body('services.*.serviceId').isUUID(),
+    body('services.*.price').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('services.*.duration').optional({ nullable: true }).isInt({ min: 15, max: 180 })
+  ],
+  validate,
+  therapistController.updateMyServices
+);
+
+/**
+ * @route   GET /api/therapists/profile/exceptions
+ * @desc    Get availability exceptions of the current therapist
+ * @access  Private (Therapist only)
+ */
+router.get(
+  '/profile/exceptions',
+  authenticate,
+  authorize('therapist'),
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('type').optional().isIn(['time-off', 'extra-availability'])
+  ],
+  validate,
+  availabilityExceptionController.getExceptions
+);
+
+/**
+ * @route   POST /api/therapists/profile/exceptions
+ * @desc    Create an availability exception (time off or extra availability)
+ * @access  Private (Therapist only)
+ */
+router.post(
+  '/profile/exceptions',
+  authenticate,
+  authorize('therapist'),
+  [
+    body('type').isIn(['time-off', 'extra-availability']),
+    body('reason').optional().isIn(['vacation', 'sick', 'holiday', 'personal', 'other']),
+    body('startDate').isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('startTime').optional({ nullable: true }).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('endTime').optional({ nullable: true }).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('notes').optional().isString().isLength({ max: 1000 })
+  ],
+  validate,
+  availabilityExceptionController.createException
+);
+
+/**
+ * @route   PUT /api/therapists/profile/exceptions/:exceptionId
+ * @desc    Update an availability exception
+ * @access  Private (Therapist only)
+ */
+router.put(
+  '/profile/exceptions/:exceptionId',
+  authenticate,
+  authorize('therapist'),
+  [
+    param('exceptionId').isUUID(),
+    body('type').optional().isIn(['time-off', 'extra-availability']),
+    body('reason').optional({ nullable: true }).isIn(['vacation', 'sick', 'holiday', 'personal', 'other']),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('startTime').optional({ nullable: true }).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('endTime').optional({ nullable: true }).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 })
+  ],
+  validate,
+  availabilityExceptionController.updateException
+);
+
+/**
+ * @route   DELETE /api/therapists/profile/exceptions/:exceptionId
+ * @desc    Delete an availability exception
+ * @access  Private (Therapist only)
+ */
+router.delete(
+  '/profile/exceptions/:exceptionId',
+  authenticate,
+  authorize('therapist'),
+  [
+    param('exceptionId').isUUID()
+  ],
+  validate,
+  availabilityExceptionController.deleteException
+);
+
+/**
+ * @route   GET /api/therapists/profile/earnings
+ * @desc    Get the current therapist's earnings by payout period, service and session type
+ * @access  Private (Therapist only)
+ */
+router.get(
+  '/profile/earnings',
+  authenticate,
+  authorize('therapist'),
+  [
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/),
+    query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+  ],
+  validate,
+  payoutController.getMyEarnings
+);
+
+/**
+ * @route   GET /api/therapists/profile/payouts
+ * @desc    Get the current therapist's payouts
+ * @access  Private (Therapist only)
+ */
+router.get(
+  '/profile/payouts',
+  authenticate,
+  authorize('therapist'),
+  payoutController.getMyPayouts
+);
+
+/**
+ * @route   GET /api/therapists/profile/payouts/:payoutId
+ * @desc    Get a payout statement of the current therapist
+ * @access  Private (Therapist only)
+ */
+router.get(
+  '/profile/payouts/:payoutId',
+  authenticate,
+  authorize('therapist'),
+  [
+    param('payoutId').isUUID()
+  ],
+  validate,
+  payoutController.getMyPayoutStatement
+);
+
 module.exports = router;
 
@@ -0,0 +1,93 @@
+/**
+ * Waitlist Routes
+ *
+ * Therapist waitlist and slot offer endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const waitlistController = require('../controllers/waitlistController');
+const { DAYS_OF_WEEK } = require('../services/availabilityService');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join a therapist's waitlist (preferences in the patient's time zone)
+ * @access  Private (Patient)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('patient'),
+  [
+    body('therapistId').isUUID(),
+    body('serviceId').optional().isUUID(),
+    body('duration').optional().isInt({ min: 15, max: 180 }).toInt(),
+    body('preferredDays').optional().isArray(),
+    body('preferredDays.*').isIn(DAYS_OF_WEEK),
+    body('timeRanges').optional().isArray(),
+    body('timeRanges.*.start').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('timeRanges.*.end').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/),
+    body('notes').optional().isString().isLength({ max: 1000 })
+  ],
+  validate,
+  waitlistController.joinWaitlist
+);
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    Get waitlist entries (own entries for patients, own waitlist for therapists)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('status').optional().isIn(['waiting', 'offered', 'booked', 'cancelled'])
+  ],
+  validate,
+  waitlistController.getWaitlist
+);
+
+/**
+ * @route   GET /api/waitlist/offers
+ * @desc    Get open slot offers of the current patient
+ * @access  Private (Patient)
+ */
+router.get('/offers', authenticate, authorize('patient'), waitlistController.getMyOffers);
+
+/**
+ * @route   POST /api/waitlist/offers/:id/decline
+ * @desc    Decline a slot offer
+ * @access  Private (Patient)
+ */
+router.post(
+  '/offers/:id/decline',
+  authenticate,
+  authorize('patient'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  waitlistController.declineOffer
+);
+
+/**
+ * @route   DELETE /api/waitlist/:id
+ * @desc    Leave a waitlist
+ * @access  Private (Patient)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('patient'),
+  [
+    param('id').isUUID()
+  ],
+  validate,
+  waitlistController.leaveWaitlist
+);
+
+module.exports = router;
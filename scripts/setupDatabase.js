@@ -0,0 +1,131 @@
+/**
+ * Database Setup
+ *
+ * Prepares the database schema. Run once on a new database and again after
+ * every upgrade, before starting the server:
+ *
+ *   npm run db:setup            # create missing tables
+ *   npm run db:setup -- --alter # also alter existing tables to match the models
+ *
+ * Steps, each safe to repeat:
+ * - Install the btree_gist extension used by the booking overlap constraint
+ * - Backfill the UTC startsAt/endsAt of bookings made before they existed
+ * - Create or alter tables from the models
+ * - Add the constraint that keeps a therapist's active bookings from overlapping
+ */
+
+require('dotenv').config();
+const { sequelize, testConnection, syncDatabase } = require('../config/database');
+const { DEFAULT_TIME_ZONE } = require('../utils/timezone');
+require('../models');
+
+/**
+ * Install the extensions the schema relies on
+ * Needs a role allowed to create extensions the first time.
+ * @returns {Promise<void>}
+ */
+const createExtensions = async () => {
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+};
+
+/**
+ * Give existing bookings their UTC startsAt and endsAt
+ * Bookings from before time zone support only have the wall-clock sessionDate
+ * and sessionTime, which are read in DEFAULT_TIME_ZONE. Runs before the models
+ * are synced, since the columns are NOT NULL. A new database has no bookings
+ * table yet and is skipped.
+ * @returns {Promise<void>}
+ */
+const backfillBookingInstants = async () => {
+  const [[{ bookings }]] = await sequelize.query(`SELECT to_regclass('bookings') IS NOT NULL AS bookings`);
+  if (!bookings) {
+    return;
+  }
+
+  await sequelize.query(`
+    ALTER TABLE bookings
+      ADD COLUMN IF NOT EXISTS "timeZone" VARCHAR(255) NOT NULL DEFAULT :defaultTimeZone,
+      ADD COLUMN IF NOT EXISTS "startsAt" TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS "endsAt" TIMESTAMP WITH TIME ZONE
+  `, { replacements: { defaultTimeZone: DEFAULT_TIME_ZONE } });
+
+  const [, result] = await sequelize.query(`
+    UPDATE bookings
+    SET "startsAt" = ((("sessionDate" AT TIME ZONE 'UTC')::date + "sessionTime") AT TIME ZONE "timeZone")
+    WHERE "startsAt" IS NULL
+  `);
+  await sequelize.query(`
+    UPDATE bookings
+    SET "endsAt" = "startsAt" + COALESCE(duration, 60) * INTERVAL '1 minute'
+    WHERE "endsAt" IS NULL
+  `);
+
+  await sequelize.query(`
+    ALTER TABLE bookings
+      ALTER COLUMN "startsAt" SET NOT NULL,
+      ALTER COLUMN "endsAt" SET NOT NULL
+  `);
+
+  if (result.rowCount > 0) {
+    console.log(`✅ Backfilled startsAt/endsAt of ${result.rowCount} bookings.`);
+  }
+};
+
+/**
+ * Guarantee at the database level that a therapist's active bookings never overlap
+ * Buffers are enforced by the scheduling engine under a therapist row lock.
+ * Fails if overlapping pending or confirmed bookings already exist.
+ * @returns {Promise<void>}
+ */
+const createBookingOverlapConstraint = async () => {
+  await sequelize.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'bookings_no_overlap') THEN
+        ALTER TABLE bookings ADD CONSTRAINT bookings_no_overlap
+          EXCLUDE USING gist (
+            "therapistId" WITH =,
+            tstzrange("startsAt", "endsAt") WITH &&
+          )
+          WHERE (status IN ('pending', 'confirmed'));
+      END IF;
+    END
+    $$;
+  `);
+};
+
+/**
+ * Run every setup step
+ * @param {Object} [options] - { alter } to alter existing tables
+ * @returns {Promise<void>}
+ */
+const setupDatabase = async ({ alter = false } = {}) => {
+  await createExtensions();
+  await backfillBookingInstants();
+  await syncDatabase(false, alter);
+  await createBookingOverlapConstraint();
+};
+
+if (require.main === module) {
+  (async () => {
+    if (!await testConnection()) {
+      process.exit(1);
+    }
+
+    try {
+      await setupDatabase({ alter: process.argv.includes('--alter') });
+      console.log('✅ Database setup complete.');
+      await sequelize.close();
+    } catch (error) {
+      console.error('❌ Database setup failed:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  createExtensions,
+  backfillBookingInstants,
+  createBookingOverlapConstraint,
+  setupDatabase
+};
@@ -17,7 +17,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const { testConnection } = require('./config/database');
 const logger = require('./utils/logger');
 
@@ -26,13 +25,25 @@ const authRoutes = require('./routes/auth');
 const therapistRoutes = require('./routes/therapists');
 const bookingRoutes = require('./routes/bookings');
 const sessionRoutes = require('./routes/sessions');
+const serviceRoutes = require('./routes/services');
+const bookingSeriesRoutes = require('./routes/bookingSeries');
+const waitlistRoutes = require('./routes/waitlist');
+const paymentRoutes = require('./routes/payments');
+const packageRoutes = require('./routes/packages');
+const promoCodeRoutes = require('./routes/promoCodes');
+const slidingScaleRoutes = require('./routes/slidingScale');
+const payoutRoutes = require('./routes/payouts');
 
 // Import error handling middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 
+// Import rate limiting middleware
+const { apiLimiter } = require('./middleware/rateLimit');
+
 // Import scheduler service
 const schedulerService = require('./services/schedulerService');
+const paymentProviders = require('./services/paymentProviders');
 
 // Initialize Express app
 const app = express();
@@ -61,21 +72,22 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks keep the raw body for signature verification
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
 app.use(compression());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false
-});
-app.use('/api/', limiter);
+// Rate limiting; sign-in and password reset routes add stricter limits
+app.use('/api/', apiLimiter);
 
 // ==================== Health Check Endpoint ====================
 
@@ -95,6 +107,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/therapists', therapistRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/booking-series', bookingSeriesRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/packages', packageRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/sliding-scale', slidingScaleRoutes);
+app.use('/api/payouts', payoutRoutes);
 
 // ==================== Error Handling ====================
 
@@ -111,6 +131,9 @@ app.use(errorHandler);
  */
 const startServer = async () => {
   try {
+    // Refuse to start without a real payment configuration
+    paymentProviders.validateConfiguration();
+
     // Test database connection
     const dbConnected = await testConnection();
     if (!dbConnected) {
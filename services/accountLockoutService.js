@@ -0,0 +1,250 @@
+/**
+ * Account Lockout Service
+ *
+ * Per-account protection against password and two-factor code guessing:
+ * - Consecutive failed sign-ins counted on the user
+ * - Progressive delays between attempts after the first few failures
+ * - Temporary lockout with an unlock email once the limit is reached
+ * - Notification of sign-ins from a new device or after repeated failures
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+/**
+ * Read the lockout policy from the environment
+ * @returns {Object} { maxAttempts, lockoutMinutes, delayAfterAttempts, delaySeconds, maxDelaySeconds }
+ */
+const getLockoutPolicy = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30,
+  delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+  delaySeconds: parseInt(process.env.LOGIN_DELAY_SECONDS) || 2,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60
+});
+
+/**
+ * Get the wait required after a number of consecutive failures
+ * The wait doubles with every failure past delayAfterAttempts, up to maxDelaySeconds.
+ * @param {number} failedAttempts - Consecutive failed sign-ins
+ * @param {Object} policy - Lockout policy
+ * @returns {number} Seconds
+ */
+const getRequiredDelaySeconds = (failedAttempts, policy) => {
+  if (failedAttempts < policy.delayAfterAttempts) {
+    return 0;
+  }
+  return Math.min(policy.delaySeconds * 2 ** (failedAttempts - policy.delayAfterAttempts), policy.maxDelaySeconds);
+};
+
+/**
+ * Hash an unlock token for storage
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashUnlockToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build the error returned while an account is locked
+ * @param {Date} lockedUntil - End of the lockout
+ * @returns {Object} { statusCode, message, retryAfter }
+ */
+const lockedError = (lockedUntil) => ({
+  statusCode: 423,
+  message: 'Account temporarily locked after too many failed sign-in attempts. Use the link in the email we sent to unlock it, or try again later.',
+  retryAfter: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+});
+
+/**
+ * Clear a user's failed sign-ins and any lockout
+ * @param {Object} user - User instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (user, transaction) => {
+  await user.update({
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    unlockToken: null,
+    unlockTokenExpire: null
+  }, { transaction });
+};
+
+/**
+ * Check whether a user may attempt to sign in now
+ * An expired lockout is cleared here, giving a fresh set of attempts.
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} {} or { error: { statusCode, message, retryAfter } }
+ */
+const checkLoginAllowed = async (user) => {
+  const now = new Date();
+
+  if (user.lockedUntil) {
+    if (user.lockedUntil > now) {
+      return { error: lockedError(user.lockedUntil) };
+    }
+    await clearFailedLogins(user);
+    return {};
+  }
+
+  const delaySeconds = getRequiredDelaySeconds(user.failedLoginAttempts, getLockoutPolicy());
+  const nextAttemptAt = user.lastFailedLoginAt && new Date(user.lastFailedLoginAt.getTime() + delaySeconds * 1000);
+  if (nextAttemptAt && nextAttemptAt > now) {
+    const retryAfter = Math.ceil((nextAttemptAt.getTime() - now.getTime()) / 1000);
+    return {
+      error: {
+        statusCode: 429,
+        message: `Too many failed sign-in attempts. Try again in ${retryAfter} seconds.`,
+        retryAfter
+      }
+    };
+  }
+
+  return {};
+};
+
+/**
+ * Count a failed sign-in, locking the account once the limit is reached
+ * The unlock email is sent only when the lockout starts.
+ * @param {Object} user - User instance
+ * @param {Object} [client] - { userAgent, ipAddress } of the signing-in device
+ * @returns {Promise<Object>} {} or { error: { statusCode, message, retryAfter } } if now locked
+ */
+const recordFailedLogin = async (user, { ipAddress } = {}) => {
+  const policy = getLockoutPolicy();
+
+  const { current, unlockToken } = await sequelize.transaction(async (transaction) => {
+    const current = await User.findByPk(user.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const now = new Date();
+    const failedLoginAttempts = current.failedLoginAttempts + 1;
+    const updates = { failedLoginAttempts, lastFailedLoginAt: now };
+
+    let unlockToken = null;
+    const alreadyLocked = current.lockedUntil && current.lockedUntil > now;
+    if (!alreadyLocked && failedLoginAttempts >= policy.maxAttempts) {
+      unlockToken = crypto.randomBytes(20).toString('hex');
+      updates.lockedUntil = new Date(now.getTime() + policy.lockoutMinutes * 60 * 1000);
+      updates.unlockToken = hashUnlockToken(unlockToken);
+      updates.unlockTokenExpire = updates.lockedUntil;
+    }
+
+    await current.update(updates, { transaction });
+    return { current, unlockToken };
+  });
+
+  if (!unlockToken) {
+    return current.lockedUntil && current.lockedUntil > new Date() ? { error: lockedError(current.lockedUntil) } : {};
+  }
+
+  logger.warn(`User ${current.id} locked until ${current.lockedUntil.toISOString()} after ${current.failedLoginAttempts} failed sign-ins, last from ${ipAddress}`);
+
+  // Don't fail the sign-in response if email fails
+  try {
+    await emailService.sendAccountLockedEmail(current.email, current.firstName, unlockToken, current.lockedUntil);
+  } catch (emailError) {
+    logger.error('Failed to send account locked email:', emailError);
+  }
+
+  return { error: lockedError(current.lockedUntil) };
+};
+
+/**
+ * Check whether a device has signed in to an account before
+ * Accounts without any earlier session have nothing to compare with.
+ * @param {string} userId - User ID
+ * @param {Object} client - { userAgent, ipAddress }
+ * @returns {Promise<boolean>} True if earlier sessions exist and none match
+ */
+const isUnfamiliarDevice = async (userId, { userAgent, ipAddress }) => {
+  const matches = [];
+  if (ipAddress) {
+    matches.push({ ipAddress });
+  }
+  if (userAgent) {
+    matches.push({ userAgent: userAgent.slice(0, 512) });
+  }
+
+  const sessions = await UserSession.count({ where: { userId } });
+  if (sessions === 0 || matches.length === 0) {
+    return false;
+  }
+
+  const matching = await UserSession.count({ where: { userId, [Op.or]: matches } });
+  return matching === 0;
+};
+
+/**
+ * Record a completed sign-in: clear failures and notify the user if it looks
+ * suspicious, i.e. from a new device or after repeated failed attempts
+ * Call before starting the new session so the device is compared with earlier ones.
+ * @param {Object} user - User instance
+ * @param {Object} [client] - { userAgent, ipAddress } of the signing-in device
+ * @returns {Promise<void>}
+ */
+const recordSuccessfulLogin = async (user, client = {}) => {
+  const failedAttempts = user.failedLoginAttempts;
+  const reasons = [];
+
+  if (failedAttempts >= getLockoutPolicy().delayAfterAttempts) {
+    reasons.push(`It followed ${failedAttempts} failed sign-in attempts`);
+  }
+  if (await isUnfamiliarDevice(user.id, client)) {
+    reasons.push('It came from a device and network not used on this account before');
+  }
+
+  if (failedAttempts > 0 || user.lockedUntil) {
+    await clearFailedLogins(user);
+  }
+
+  if (reasons.length === 0) {
+    return;
+  }
+
+  logger.info(`Suspicious sign-in to user ${user.id} from ${client.ipAddress}: ${reasons.join('; ')}`);
+
+  // Don't fail the sign-in if email fails
+  try {
+    await emailService.sendSuspiciousLoginEmail(user.email, user.firstName, {
+      ...client,
+      signedInAt: new Date(),
+      reasons
+    });
+  } catch (emailError) {
+    logger.error('Failed to send suspicious sign-in email:', emailError);
+  }
+};
+
+/**
+ * Unlock an account with the token from the unlock email
+ * @param {string} token - Unlock token
+ * @returns {Promise<Object>} { user } or { error: { statusCode, message } }
+ */
+const unlockAccount = async (token) => {
+  const user = await User.findOne({
+    where: {
+      unlockToken: hashUnlockToken(token),
+      unlockTokenExpire: { [Op.gt]: new Date() }
+    }
+  });
+  if (!user) {
+    return { error: { statusCode: 400, message: 'Invalid or expired unlock token' } };
+  }
+
+  await clearFailedLogins(user);
+  return { user };
+};
+
+module.exports = {
+  getLockoutPolicy,
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearFailedLogins,
+  unlockAccount
+};
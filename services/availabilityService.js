@@ -0,0 +1,199 @@
+/**
+ * Availability Service
+ *
+ * Resolves a therapist's working windows for a specific date by combining
+ * the weekly availability pattern with date-specific exceptions:
+ * - Extra availability adds windows
+ * - Time off removes windows (the whole day when no times are given)
+ */
+
+const { Op } = require('sequelize');
+const AvailabilityException = require('../models/AvailabilityException');
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Convert an HH:MM(:SS) time string to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes after midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes after midnight to an HH:MM time string
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time string
+ */
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Normalize a Date or date string to a YYYY-MM-DD key
+ * @param {Date|string} value - Date value
+ * @returns {string} Date key
+ */
+const toDateKey = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  return String(value).split('T')[0];
+};
+
+/**
+ * Get the weekday name for a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} Lowercase weekday name
+ */
+const getDayOfWeek = (dateKey) => {
+  return DAYS_OF_WEEK[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+};
+
+/**
+ * Sort windows and merge any that overlap or touch
+ * @param {Array<{start: number, end: number}>} windows - Windows in minutes
+ * @returns {Array<{start: number, end: number}>} Merged windows
+ */
+const mergeWindows = (windows) => {
+  const sorted = [...windows].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Remove a blocked interval from a list of windows
+ * @param {Array<{start: number, end: number}>} windows - Windows in minutes
+ * @param {{start: number, end: number}} block - Interval to remove
+ * @returns {Array<{start: number, end: number}>} Remaining windows
+ */
+const subtractWindow = (windows, block) => {
+  return windows.flatMap((window) => {
+    if (block.end <= window.start || block.start >= window.end) {
+      return [window];
+    }
+    const remaining = [];
+    if (block.start > window.start) {
+      remaining.push({ start: window.start, end: block.start });
+    }
+    if (block.end < window.end) {
+      remaining.push({ start: block.end, end: window.end });
+    }
+    return remaining;
+  });
+};
+
+/**
+ * Get the working windows of a weekday from the weekly schedule
+ * Supports both { available, windows: [...] } and the legacy { available, start, end } format.
+ * @param {Object} dayAvailability - Weekday entry of Therapist.availability
+ * @returns {Array<{start: number, end: number}>} Windows in minutes
+ */
+const getWeeklyWindows = (dayAvailability) => {
+  if (!dayAvailability || !dayAvailability.available) {
+    return [];
+  }
+
+  const windows = Array.isArray(dayAvailability.windows)
+    ? dayAvailability.windows
+    : [{ start: dayAvailability.start, end: dayAvailability.end }];
+
+  return mergeWindows(windows.map(window => ({
+    start: timeToMinutes(window.start),
+    end: timeToMinutes(window.end)
+  })));
+};
+
+/**
+ * Get availability exceptions covering a date
+ * @param {string} therapistId - Therapist ID
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Matching exceptions
+ */
+const getExceptionsForDate = async (therapistId, dateKey) => {
+  return await AvailabilityException.findAll({
+    where: {
+      therapistId,
+      startDate: { [Op.lte]: dateKey },
+      endDate: { [Op.gte]: dateKey }
+    }
+  });
+};
+
+/**
+ * Resolve a therapist's working windows for a date
+ * @param {Object} therapist - Therapist instance
+ * @param {Date|string} date - Requested date
+ * @returns {Promise<Object>} { dateKey, dayOfWeek, windows } with windows in minutes
+ */
+const getWorkingWindows = async (therapist, date) => {
+  const dateKey = toDateKey(date);
+  const dayOfWeek = getDayOfWeek(dateKey);
+  const weekly = therapist.availability && therapist.availability[dayOfWeek];
+
+  let windows = getWeeklyWindows(weekly);
+
+  const exceptions = await getExceptionsForDate(therapist.id, dateKey);
+
+  // Extra availability is applied first so time off always wins
+  exceptions
+    .filter(exception => exception.type === 'extra-availability')
+    .forEach((exception) => {
+      windows.push({
+        start: timeToMinutes(exception.startTime),
+        end: timeToMinutes(exception.endTime)
+      });
+    });
+  windows = mergeWindows(windows);
+
+  exceptions
+    .filter(exception => exception.type === 'time-off')
+    .forEach((exception) => {
+      if (!exception.startTime) {
+        windows = [];
+        return;
+      }
+      windows = subtractWindow(windows, {
+        start: timeToMinutes(exception.startTime),
+        end: timeToMinutes(exception.endTime)
+      });
+    });
+
+  return { dateKey, dayOfWeek, windows };
+};
+
+/**
+ * Check whether an interval fits entirely inside one working window
+ * @param {Array<{start: number, end: number}>} windows - Windows in minutes
+ * @param {number} start - Interval start in minutes
+ * @param {number} end - Interval end in minutes
+ * @returns {boolean} True if the interval is within a window
+ */
+const isWithinWindows = (windows, start, end) => {
+  return windows.some(window => start >= window.start && end <= window.end);
+};
+
+module.exports = {
+  DAYS_OF_WEEK,
+  timeToMinutes,
+  minutesToTime,
+  toDateKey,
+  getDayOfWeek,
+  mergeWindows,
+  subtractWindow,
+  getWeeklyWindows,
+  getExceptionsForDate,
+  getWorkingWindows,
+  isWithinWindows
+};
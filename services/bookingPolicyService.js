@@ -0,0 +1,180 @@
+/**
+ * Booking Policy Service
+ *
+ * Business rules for changing existing bookings:
+ * - Minimum notice before a session can be rescheduled
+ * - Maximum number of reschedules per booking
+ * - Late-cancellation fees from the therapist's or the clinic-wide policy
+ * - No patient cancellation once a session has started
+ */
+
+// Booking statuses that can still be moved to another time
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Get the configured reschedule policy
+ * @returns {Object} { minNoticeHours, maxReschedules }
+ */
+const getReschedulePolicy = () => ({
+  minNoticeHours: parseInt(process.env.RESCHEDULE_MIN_NOTICE_HOURS) || 24,
+  maxReschedules: parseInt(process.env.RESCHEDULE_MAX_COUNT) || 2
+});
+
+/**
+ * Check whether a booking may be rescheduled by a user
+ * Admins bypass the notice window and the reschedule limit.
+ * @param {Object} booking - Booking instance
+ * @param {Date} newStartsAt - Requested new start instant
+ * @param {Object} user - Requesting user
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { allowed: true } or { allowed: false, statusCode, message }
+ */
+const checkReschedule = (booking, newStartsAt, user, now = new Date()) => {
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    return { allowed: false, statusCode: 400, message: `Cannot reschedule a ${booking.status} booking` };
+  }
+
+  if (newStartsAt <= now) {
+    return { allowed: false, statusCode: 400, message: 'New session time must be in the future' };
+  }
+
+  if (newStartsAt.getTime() === new Date(booking.startsAt).getTime()) {
+    return { allowed: false, statusCode: 400, message: 'New session time is the same as the current one' };
+  }
+
+  if (user.role === 'admin') {
+    return { allowed: true };
+  }
+
+  const { minNoticeHours, maxReschedules } = getReschedulePolicy();
+
+  if (new Date(booking.startsAt).getTime() - now.getTime() < minNoticeHours * 3600000) {
+    return {
+      allowed: false,
+      statusCode: 400,
+      message: `Bookings can only be rescheduled at least ${minNoticeHours} hours in advance`
+    };
+  }
+
+  if (booking.rescheduleCount >= maxReschedules) {
+    return {
+      allowed: false,
+      statusCode: 400,
+      message: `Booking has reached the limit of ${maxReschedules} reschedules`
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the clinic-wide cancellation policy
+ * CANCELLATION_WINDOWS holds comma-separated hours:feePercent pairs, e.g. "24:50,2:100"
+ * @returns {Object} { windows: [{ hours, feePercent }] }
+ */
+const getClinicCancellationPolicy = () => ({
+  windows: (process.env.CANCELLATION_WINDOWS || '24:50')
+    .split(',')
+    .map(pair => pair.split(':').map(Number))
+    .filter(([hours, feePercent]) => hours > 0 && feePercent >= 0 && feePercent <= 100)
+    .map(([hours, feePercent]) => ({ hours, feePercent }))
+});
+
+/**
+ * Get the cancellation policy that applies to a therapist's bookings
+ * @param {Object} therapist - Therapist instance
+ * @returns {Object} { source, windows } where source is 'therapist' or 'clinic'
+ */
+const getCancellationPolicy = (therapist) => {
+  if (therapist && therapist.cancellationPolicy) {
+    return { source: 'therapist', windows: therapist.cancellationPolicy.windows };
+  }
+  return { source: 'clinic', ...getClinicCancellationPolicy() };
+};
+
+/**
+ * Check whether a booking may be cancelled by a user
+ * Patients cannot cancel a session that has already started; it is completed
+ * or marked as a no-show instead.
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Requesting user
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { allowed: true } or { allowed: false, statusCode, message }
+ */
+const checkCancellation = (booking, user, now = new Date()) => {
+  if (user.role === 'patient' && new Date(booking.startsAt) <= now) {
+    return { allowed: false, statusCode: 400, message: 'Sessions that have already started cannot be cancelled' };
+  }
+  return { allowed: true };
+};
+
+/**
+ * Evaluate the cancellation policy for a booking
+ * The fee is a percentage of the total from the tightest window the notice
+ * falls within, and the full total once the session has started.
+ * Cancellations by the therapist, an admin or the system are exempt.
+ * Only paid bookings are refunded. A session paid with a package credit gets
+ * the credit back only when no fee applies; a late cancellation forfeits it.
+ * @param {Object} booking - Booking instance
+ * @param {Object} therapist - Therapist instance
+ * @param {Object} user - Cancelling user, or an actor with role 'system'
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { policySource, noticeHours, windowHours, feePercent, fee, refundAmount, creditRestored, exempt, exemptionReason }
+ */
+const evaluateCancellation = (booking, therapist, user, now = new Date()) => {
+  const policy = getCancellationPolicy(therapist);
+  const totalAmount = parseFloat(booking.totalAmount);
+  const noticeHours = roundAmount((new Date(booking.startsAt).getTime() - now.getTime()) / 3600000);
+
+  let exemptionReason = null;
+  if (user.role === 'therapist') {
+    exemptionReason = 'therapist-initiated';
+  } else if (user.role === 'admin') {
+    exemptionReason = 'admin-initiated';
+  } else if (user.role === 'system') {
+    exemptionReason = 'system-initiated';
+  }
+
+  const window = policy.windows
+    .filter(candidate => noticeHours < candidate.hours)
+    .sort((a, b) => a.hours - b.hours)[0];
+
+  let feePercent = 0;
+  if (!exemptionReason) {
+    if (noticeHours <= 0) {
+      feePercent = 100;
+    } else if (window) {
+      feePercent = window.feePercent;
+    }
+  }
+  const fee = roundAmount((totalAmount * feePercent) / 100);
+
+  return {
+    policySource: policy.source,
+    noticeHours,
+    windowHours: noticeHours <= 0 ? 0 : (window ? window.hours : null),
+    feePercent,
+    fee,
+    refundAmount: booking.paymentStatus === 'paid' ? roundAmount(totalAmount - fee) : 0,
+    creditRestored: booking.packagePurchaseId ? feePercent === 0 : null,
+    exempt: !!exemptionReason,
+    exemptionReason
+  };
+};
+
+module.exports = {
+  RESCHEDULABLE_STATUSES,
+  getReschedulePolicy,
+  checkReschedule,
+  getClinicCancellationPolicy,
+  getCancellationPolicy,
+  checkCancellation,
+  evaluateCancellation
+};
@@ -0,0 +1,187 @@
+/**
+ * Booking Request Service
+ *
+ * Therapist approval of pending bookings:
+ * - Response deadline of new booking requests
+ * - Auto-confirmation for therapists who opt in
+ * - Escalation of requests left unanswered, and expiry past the deadline
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Booking = require('../models/Booking');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const bookingPolicyService = require('./bookingPolicyService');
+const bookingStateService = require('./bookingStateService');
+const waitlistService = require('./waitlistService');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+// Relations needed to notify both parties of a request
+const REQUEST_INCLUDES = [
+  {
+    model: User,
+    as: 'patient',
+    attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
+  },
+  {
+    model: Therapist,
+    as: 'therapist',
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
+    }]
+  }
+];
+
+/**
+ * Get the configured booking request settings
+ * @returns {Object} { escalateHours, expireHours }
+ */
+const getRequestSettings = () => ({
+  escalateHours: parseInt(process.env.BOOKING_REQUEST_ESCALATE_HOURS) || 24,
+  expireHours: parseInt(process.env.BOOKING_REQUEST_EXPIRE_HOURS) || 48
+});
+
+/**
+ * Get the time by which a new booking request must be answered
+ * A request never stays open past the start of its session.
+ * @param {Date} startsAt - Session start instant
+ * @param {Date} [now] - Reference time
+ * @returns {Date} Response deadline
+ */
+const getResponseDeadline = (startsAt, now = new Date()) => {
+  const { expireHours } = getRequestSettings();
+  return new Date(Math.min(now.getTime() + expireHours * 3600000, new Date(startsAt).getTime()));
+};
+
+/**
+ * Confirm a new booking if the therapist auto-confirms bookings
+ * @param {Object} booking - Pending booking instance
+ * @param {Object} therapist - Therapist instance
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<boolean>} True if the booking was confirmed
+ */
+const applyAutoConfirm = async (booking, therapist, transaction) => {
+  if (!therapist.autoConfirmBookings) {
+    return false;
+  }
+
+  await bookingStateService.transitionBooking(booking, 'confirmed', {
+    actor: bookingStateService.SYSTEM_ACTOR,
+    reason: 'Auto-confirmed by therapist setting',
+    transaction
+  });
+
+  return true;
+};
+
+/**
+ * Escalate requests still pending after BOOKING_REQUEST_ESCALATE_HOURS
+ * The therapist is reminded and admins are copied; each request is escalated once.
+ * @returns {Promise<number>} Number of escalated requests
+ */
+const escalatePendingRequests = async () => {
+  const { escalateHours } = getRequestSettings();
+  const now = new Date();
+
+  const bookings = await Booking.findAll({
+    where: {
+      status: 'pending',
+      escalatedAt: null,
+      responseDueAt: { [Op.gt]: now },
+      createdAt: { [Op.lte]: new Date(now.getTime() - escalateHours * 3600000) }
+    },
+    include: REQUEST_INCLUDES
+  });
+
+  if (bookings.length === 0) {
+    return 0;
+  }
+
+  const admins = await User.findAll({
+    where: { role: 'admin', isActive: true },
+    attributes: ['email']
+  });
+  const adminEmails = admins.map(admin => admin.email);
+
+  for (const booking of bookings) {
+    await booking.update({ escalatedAt: now });
+    try {
+      await emailService.sendBookingRequestEscalation(booking, adminEmails);
+    } catch (emailError) {
+      logger.error('Failed to send booking request escalation email:', emailError);
+    }
+  }
+
+  return bookings.length;
+};
+
+/**
+ * Cancel requests left pending past their response deadline
+ * Expired requests carry no cancellation fee, and their slots go to the waitlist.
+ * @returns {Promise<number>} Number of expired requests
+ */
+const expirePendingRequests = async () => {
+  const bookings = await Booking.findAll({
+    where: {
+      status: 'pending',
+      responseDueAt: { [Op.lte]: new Date() }
+    },
+    include: REQUEST_INCLUDES
+  });
+
+  let expired = 0;
+
+  for (const booking of bookings) {
+    const changed = await sequelize.transaction(async (transaction) => {
+      // The therapist may have answered since the query ran
+      const locked = await Booking.findByPk(booking.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (locked.status !== 'pending') {
+        return false;
+      }
+
+      const reason = 'Booking request expired without a response from the therapist';
+      const outcome = bookingPolicyService.evaluateCancellation(locked, booking.therapist, bookingStateService.SYSTEM_ACTOR);
+      await bookingStateService.transitionBooking(locked, 'cancelled', {
+        actor: bookingStateService.SYSTEM_ACTOR,
+        reason,
+        updates: {
+          cancellationReason: reason,
+          cancellationFee: outcome.fee,
+          refundAmount: outcome.refundAmount,
+          cancellationOutcome: outcome
+        },
+        transaction
+      });
+      return true;
+    });
+
+    if (!changed) {
+      continue;
+    }
+
+    expired++;
+    await booking.reload();
+    await paymentService.settleBookingPayment(booking);
+    try {
+      await emailService.sendBookingStatusUpdate(booking, 'Your therapist was unable to respond to your booking request in time, so it has been cancelled.');
+    } catch (emailError) {
+      logger.error('Failed to send booking request expiry email:', emailError);
+    }
+    await waitlistService.offerFreedSlot(booking);
+  }
+
+  return expired;
+};
+
+module.exports = {
+  getRequestSettings,
+  getResponseDeadline,
+  applyAutoConfirm,
+  escalatePendingRequests,
+  expirePendingRequests
+};
@@ -0,0 +1,159 @@
+/**
+ * Booking State Service
+ *
+ * Booking lifecycle rules:
+ * - Allowed status transitions per current status and actor role
+ * - Transition timestamps
+ * - History record for every status change
+ * - Package credit and promo code use released with a cancellation
+ * - Earnings recognized once a booking is completed, missed or cancelled with a fee
+ */
+
+const BookingHistory = require('../models/BookingHistory');
+const creditService = require('./creditService');
+const discountService = require('./discountService');
+const ledgerService = require('./ledgerService');
+
+// Target statuses reachable from each status, with the roles allowed to make the change.
+// The 'system' role is used by scheduled jobs.
+const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ['therapist', 'admin', 'system'],
+    cancelled: ['patient', 'therapist', 'admin', 'system'],
+    'no-show': ['system']
+  },
+  confirmed: {
+    completed: ['therapist', 'admin'],
+    'no-show': ['therapist', 'admin', 'system'],
+    cancelled: ['patient', 'therapist', 'admin']
+  },
+  'no-show': {
+    completed: ['admin']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+// Booking column stamped when a status is entered
+const TRANSITION_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  cancelled: 'cancelledAt',
+  completed: 'completedAt',
+  'no-show': 'noShowAt'
+};
+
+// Actor for changes made by scheduled jobs
+const SYSTEM_ACTOR = { userId: null, role: 'system' };
+
+/**
+ * Build the actor of a change from the requesting user
+ * @param {Object} user - Requesting user
+ * @returns {Object} { userId, role }
+ */
+const getActor = (user) => ({ userId: user.id, role: user.role });
+
+/**
+ * Get the statuses a role may move a booking to
+ * @param {string} status - Current status
+ * @param {string} role - Actor role
+ * @returns {Array<string>} Allowed target statuses
+ */
+const getAllowedTransitions = (status, role) => {
+  return Object.entries(BOOKING_TRANSITIONS[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([target]) => target);
+};
+
+/**
+ * Check whether a role may move a booking to a status
+ * @param {Object} booking - Booking instance
+ * @param {string} toStatus - Target status
+ * @param {string} role - Actor role
+ * @returns {Object} { allowed: true } or { allowed: false, statusCode, message }
+ */
+const checkTransition = (booking, toStatus, role) => {
+  if (booking.status === toStatus) {
+    return { allowed: false, statusCode: 400, message: `Booking is already ${toStatus}` };
+  }
+
+  const roles = (BOOKING_TRANSITIONS[booking.status] || {})[toStatus];
+  if (!roles) {
+    return { allowed: false, statusCode: 400, message: `Cannot change a ${booking.status} booking to ${toStatus}` };
+  }
+
+  if (!roles.includes(role)) {
+    return { allowed: false, statusCode: 403, message: `Not authorized to change a ${booking.status} booking to ${toStatus}` };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record a status change in the booking history
+ * @param {Object} booking - Booking instance
+ * @param {string|null} fromStatus - Previous status (null for a new booking)
+ * @param {string} toStatus - New status
+ * @param {Object} options - { actor, reason, transaction }
+ * @returns {Promise<Object>} History record
+ */
+const recordHistory = async (booking, fromStatus, toStatus, options) => {
+  return await BookingHistory.create({
+    bookingId: booking.id,
+    fromStatus,
+    toStatus,
+    changedBy: options.actor.userId,
+    actorRole: options.actor.role,
+    reason: options.reason || null
+  }, { transaction: options.transaction });
+};
+
+/**
+ * Move a booking to a new status
+ * Stamps the transition time and records the change in the history. A cancelled
+ * booking's package credit is restored in the same transaction when its
+ * cancellation outcome allows it, and its promo code use is released. Earnings
+ * of a booking that ends are posted to the revenue ledger in the same transaction.
+ * @param {Object} booking - Booking instance
+ * @param {string} toStatus - Target status
+ * @param {Object} options - { actor, reason, updates, transaction } where updates are
+ *   extra booking fields saved with the status
+ * @returns {Promise<Object>} Updated booking
+ * @throws {Error} With statusCode when the transition is not allowed
+ */
+const transitionBooking = async (booking, toStatus, options) => {
+  const check = checkTransition(booking, toStatus, options.actor.role);
+  if (!check.allowed) {
+    const error = new Error(check.message);
+    error.statusCode = check.statusCode;
+    throw error;
+  }
+
+  const fromStatus = booking.status;
+
+  await booking.update({
+    ...options.updates,
+    status: toStatus,
+    [TRANSITION_TIMESTAMPS[toStatus]]: new Date()
+  }, { transaction: options.transaction });
+
+  await recordHistory(booking, fromStatus, toStatus, options);
+
+  if (toStatus === 'cancelled') {
+    await creditService.restoreBookingCredit(booking, options.transaction);
+    await discountService.releasePromoCode(booking, options.transaction);
+  }
+
+  await ledgerService.recognizeBookingEarnings(booking, options.transaction);
+
+  return booking;
+};
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  SYSTEM_ACTOR,
+  getActor,
+  getAllowedTransitions,
+  checkTransition,
+  recordHistory,
+  transitionBooking
+};
@@ -0,0 +1,183 @@
+/**
+ * Credit Service
+ *
+ * Prepaid session credits from package purchases:
+ * - Grant credits once a purchase is paid
+ * - Consume a credit when a matching session is booked
+ * - Restore the credit when the cancellation policy waives the fee
+ * - Wallet balance and ledger per patient
+ */
+
+const { Op } = require('sequelize');
+const PackagePurchase = require('../models/PackagePurchase');
+const CreditTransaction = require('../models/CreditTransaction');
+const logger = require('../utils/logger');
+
+/**
+ * Build the where clause of purchases with usable credits
+ * @param {string} patientId - Patient user ID
+ * @param {Date} usableAt - Instant the credit must still be valid at
+ * @returns {Object} Sequelize where clause
+ */
+const usablePurchaseWhere = (patientId, usableAt) => ({
+  patientId,
+  paymentStatus: 'paid',
+  creditsRemaining: { [Op.gt]: 0 },
+  [Op.or]: [
+    { expiresAt: null },
+    { expiresAt: { [Op.gt]: usableAt } }
+  ]
+});
+
+/**
+ * Grant the credits of a newly paid purchase
+ * @param {Object} purchase - Package purchase instance, already marked paid
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const grantPurchaseCredits = async (purchase, transaction) => {
+  const paidAt = purchase.paidAt || new Date();
+
+  await purchase.update({
+    creditsRemaining: purchase.sessionCount,
+    expiresAt: purchase.validityDays
+      ? new Date(paidAt.getTime() + purchase.validityDays * 24 * 60 * 60 * 1000)
+      : null
+  }, { transaction });
+
+  await CreditTransaction.create({
+    purchaseId: purchase.id,
+    patientId: purchase.patientId,
+    type: 'grant',
+    credits: purchase.sessionCount,
+    reason: `Purchased ${purchase.packageName}`
+  }, { transaction });
+
+  logger.info(`Granted ${purchase.sessionCount} credits from purchase ${purchase.id}`);
+};
+
+/**
+ * Find and lock the purchase a new booking should draw a credit from
+ * Credits closest to expiry are used first.
+ * @param {string} patientId - Patient user ID
+ * @param {Object} session - { therapistId, serviceId, startsAt }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Package purchase, or null if no credit applies
+ */
+const findUsablePurchase = async (patientId, { therapistId, serviceId, startsAt }, transaction) => {
+  return await PackagePurchase.findOne({
+    where: {
+      ...usablePurchaseWhere(patientId, startsAt),
+      therapistId: { [Op.or]: [null, therapistId] },
+      serviceId: serviceId ? { [Op.or]: [null, serviceId] } : null
+    },
+    order: [['expiresAt', 'ASC NULLS LAST'], ['createdAt', 'ASC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+};
+
+/**
+ * Consume one credit of a locked purchase for a booking
+ * @param {Object} booking - New booking instance
+ * @param {Object} purchase - Package purchase from findUsablePurchase
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const consumeCredit = async (booking, purchase, transaction) => {
+  await purchase.decrement('creditsRemaining', { by: 1, transaction });
+
+  await CreditTransaction.create({
+    purchaseId: purchase.id,
+    patientId: purchase.patientId,
+    bookingId: booking.id,
+    type: 'consume',
+    credits: -1,
+    reason: 'Session booked'
+  }, { transaction });
+};
+
+/**
+ * Return a cancelled booking's credit when its cancellation outcome allows it
+ * @param {Object} booking - Cancelled booking with cancellationOutcome
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<boolean>} True if a credit was restored
+ */
+const restoreBookingCredit = async (booking, transaction) => {
+  if (!booking.packagePurchaseId || !booking.cancellationOutcome || !booking.cancellationOutcome.creditRestored) {
+    return false;
+  }
+
+  const purchase = await PackagePurchase.findByPk(booking.packagePurchaseId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!purchase) {
+    return false;
+  }
+
+  await purchase.increment('creditsRemaining', { by: 1, transaction });
+
+  await CreditTransaction.create({
+    purchaseId: purchase.id,
+    patientId: purchase.patientId,
+    bookingId: booking.id,
+    type: 'restore',
+    credits: 1,
+    reason: 'Session cancelled without penalty'
+  }, { transaction });
+
+  return true;
+};
+
+/**
+ * Get a patient's usable credit balance
+ * @param {string} patientId - Patient user ID
+ * @returns {Promise<number>} Unexpired credits
+ */
+const getCreditBalance = async (patientId) => {
+  return await PackagePurchase.sum('creditsRemaining', {
+    where: usablePurchaseWhere(patientId, new Date())
+  }) || 0;
+};
+
+/**
+ * Get a patient's wallet: balance, paid purchases and recent ledger entries
+ * @param {string} patientId - Patient user ID
+ * @returns {Promise<Object>} { balance, purchases, transactions }
+ */
+const getWallet = async (patientId) => {
+  const now = new Date();
+  const purchases = await PackagePurchase.findAll({
+    where: { patientId, paymentStatus: 'paid' },
+    order: [['expiresAt', 'ASC NULLS LAST'], ['createdAt', 'ASC']]
+  });
+
+  const transactions = await CreditTransaction.findAll({
+    where: { patientId },
+    order: [['createdAt', 'DESC']],
+    limit: 50
+  });
+
+  const serialized = purchases.map(purchase => ({
+    ...purchase.toJSON(),
+    isExpired: !!purchase.expiresAt && purchase.expiresAt <= now
+  }));
+
+  return {
+    balance: serialized
+      .filter(purchase => !purchase.isExpired)
+      .reduce((total, purchase) => total + purchase.creditsRemaining, 0),
+    purchases: serialized,
+    transactions
+  };
+};
+
+module.exports = {
+  grantPurchaseCredits,
+  findUsablePurchase,
+  consumeCredit,
+  restoreBookingCredit,
+  getCreditBalance,
+  getWallet
+};
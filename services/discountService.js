@@ -0,0 +1,201 @@
+/**
+ * Discount Service
+ *
+ * Booking discounts:
+ * - Approved sliding-scale rates between a patient and a therapist
+ * - Promo codes with validity windows, usage limits and restrictions
+ * - Redemption ledger, released when a booking is cancelled
+ */
+
+const { Op } = require('sequelize');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const SlidingScaleRate = require('../models/SlidingScaleRate');
+const logger = require('../utils/logger');
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find a patient's approved sliding-scale rate with a therapist
+ * @param {string} patientId - Patient user ID
+ * @param {string} therapistId - Therapist ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} Sliding scale rate
+ */
+const findApprovedRate = async (patientId, therapistId, transaction) => {
+  return await SlidingScaleRate.findOne({
+    where: {
+      patientId,
+      therapistId,
+      status: 'approved',
+      [Op.or]: [
+        { validUntil: null },
+        { validUntil: { [Op.gt]: new Date() } }
+      ]
+    },
+    order: [['respondedAt', 'DESC']],
+    transaction
+  });
+};
+
+/**
+ * Check whether a promo code can be applied to a booking
+ * @param {Object} promo - Promo code instance
+ * @param {Object} context - { patientId, therapistId, serviceId, transaction }
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, statusCode, message }
+ */
+const checkPromoCode = async (promo, { patientId, therapistId, serviceId, transaction }) => {
+  const now = new Date();
+
+  if (!promo || !promo.isActive) {
+    return { allowed: false, statusCode: 404, message: 'Promo code not found' };
+  }
+  if ((promo.validFrom && now < promo.validFrom) || (promo.validUntil && now >= promo.validUntil)) {
+    return { allowed: false, statusCode: 400, message: 'Promo code is not valid at this time' };
+  }
+  if (promo.therapistIds.length > 0 && !promo.therapistIds.includes(therapistId)) {
+    return { allowed: false, statusCode: 400, message: 'Promo code does not apply to this therapist' };
+  }
+  if (promo.serviceIds.length > 0 && !promo.serviceIds.includes(serviceId)) {
+    return { allowed: false, statusCode: 400, message: 'Promo code does not apply to this service' };
+  }
+  if (promo.maxUses !== null && promo.usedCount >= promo.maxUses) {
+    return { allowed: false, statusCode: 400, message: 'Promo code has reached its usage limit' };
+  }
+
+  if (promo.maxUsesPerPatient !== null) {
+    const patientUses = await PromoRedemption.count({
+      where: { promoCodeId: promo.id, patientId, releasedAt: null },
+      transaction
+    });
+    if (patientUses >= promo.maxUsesPerPatient) {
+      return { allowed: false, statusCode: 400, message: 'You have already used this promo code' };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Calculate the discount a promo code gives on an amount
+ * @param {Object} promo - Promo code instance
+ * @param {number} amount - Amount the code applies to
+ * @returns {number} Discount, never more than the amount
+ */
+const calculatePromoDiscount = (promo, amount) => {
+  const value = parseFloat(promo.discountValue);
+  const discount = promo.discountType === 'percentage' ? (amount * value) / 100 : value;
+  return roundAmount(Math.min(discount, amount));
+};
+
+/**
+ * Price a booking with the patient's sliding-scale rate and an optional promo code
+ * The sliding-scale rate applies first and the promo code to what remains.
+ * The promo code row is locked so concurrent bookings respect its usage limit.
+ * @param {Object} params - { patientId, therapistId, serviceId, amount, promoCode, transaction }
+ * @returns {Promise<Object>} { subtotalAmount, discountAmount, totalAmount, discounts, promo }
+ *   or { error: { statusCode, message } }
+ */
+const priceBooking = async ({ patientId, therapistId, serviceId, amount, promoCode, transaction }) => {
+  const subtotalAmount = roundAmount(parseFloat(amount));
+  const discounts = [];
+  let remaining = subtotalAmount;
+
+  const rate = await findApprovedRate(patientId, therapistId, transaction);
+  if (rate) {
+    const discount = roundAmount((remaining * rate.approvedPercent) / 100);
+    discounts.push({ type: 'sliding-scale', slidingScaleRateId: rate.id, percent: rate.approvedPercent, amount: discount });
+    remaining = roundAmount(remaining - discount);
+  }
+
+  let promo = null;
+  if (promoCode) {
+    promo = await PromoCode.findOne({
+      where: { code: String(promoCode).trim().toUpperCase() },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    const check = await checkPromoCode(promo, { patientId, therapistId, serviceId, transaction });
+    if (!check.allowed) {
+      return { error: { statusCode: check.statusCode, message: check.message } };
+    }
+
+    const discount = calculatePromoDiscount(promo, remaining);
+    discounts.push({
+      type: 'promo',
+      promoCodeId: promo.id,
+      code: promo.code,
+      discountType: promo.discountType,
+      discountValue: parseFloat(promo.discountValue),
+      amount: discount
+    });
+    remaining = roundAmount(remaining - discount);
+  }
+
+  return {
+    subtotalAmount,
+    discountAmount: roundAmount(subtotalAmount - remaining),
+    totalAmount: remaining,
+    discounts,
+    promo
+  };
+};
+
+/**
+ * Record a promo code use for a new booking
+ * @param {Object} booking - New booking instance
+ * @param {Object} promo - Locked promo code from priceBooking
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const redeemPromoCode = async (booking, promo, transaction) => {
+  const applied = booking.discounts.find(discount => discount.type === 'promo');
+
+  await PromoRedemption.create({
+    promoCodeId: promo.id,
+    bookingId: booking.id,
+    patientId: booking.patientId,
+    discountAmount: applied ? applied.amount : 0
+  }, { transaction });
+
+  await promo.increment('usedCount', { by: 1, transaction });
+};
+
+/**
+ * Free a cancelled booking's promo code use
+ * @param {Object} booking - Cancelled booking instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<boolean>} True if a use was released
+ */
+const releasePromoCode = async (booking, transaction) => {
+  if (!booking.promoCodeId) {
+    return false;
+  }
+
+  const [released] = await PromoRedemption.update(
+    { releasedAt: new Date() },
+    { where: { bookingId: booking.id, releasedAt: null }, transaction }
+  );
+  if (released === 0) {
+    return false;
+  }
+
+  await PromoCode.decrement('usedCount', { by: 1, where: { id: booking.promoCodeId }, transaction });
+  logger.info(`Released promo code use of booking ${booking.id}`);
+  return true;
+};
+
+module.exports = {
+  findApprovedRate,
+  checkPromoCode,
+  calculatePromoDiscount,
+  priceBooking,
+  redeemPromoCode,
+  releasePromoCode
+};
@@ -5,6 +5,7 @@
  */
 
 const nodemailer = require('nodemailer');
+const timezone = require('../utils/timezone');
 const logger = require('../utils/logger');
 
 /**
@@ -40,6 +41,66 @@ const sendEmail = async (mailOptions) => {
   }
 };
 
+/**
+ * Escape text supplied by clients, such as user agents, for HTML emails
+ * @param {string} text - Text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Format a booking's start for display in a recipient's time zone
+ * @param {Object} booking - Booking object
+ * @param {string} timeZone - Recipient's IANA time zone
+ * @returns {Object} { formattedDate, formattedTime }
+ */
+const formatSessionDateTime = (booking, timeZone) => {
+  const { date, time } = timezone.formatInTimeZone(
+    new Date(booking.startsAt),
+    timeZone || booking.timeZone || timezone.DEFAULT_TIME_ZONE
+  );
+  return { formattedDate: date, formattedTime: time };
+};
+
+/**
+ * Describe the cancellation policy outcome of a booking
+ * @param {Object} booking - Cancelled booking with cancellationOutcome
+ * @returns {string} HTML paragraphs
+ */
+const formatCancellationOutcome = (booking) => {
+  const outcome = booking.cancellationOutcome;
+  const creditLine = outcome.creditRestored
+    ? '<p><strong>Package Credit:</strong> Returned to your wallet</p>'
+    : '';
+
+  if (outcome.exempt) {
+    const canceller = outcome.exemptionReason === 'therapist-initiated' ? 'your therapist' : 'the clinic';
+    return `<p><strong>Cancellation Fee:</strong> None (cancelled by ${canceller})</p>${creditLine}`;
+  }
+
+  if (outcome.creditRestored === false) {
+    return `<p><strong>Package Credit:</strong> Forfeited for cancelling within ${outcome.windowHours} hours of the session</p>`;
+  }
+
+  const lines = [
+    outcome.fee > 0
+      ? `<p><strong>Cancellation Fee:</strong> ${Number(outcome.fee).toFixed(2)} (${outcome.feePercent}% for cancelling within ${outcome.windowHours} hours of the session)</p>`
+      : '<p><strong>Cancellation Fee:</strong> None</p>'
+  ];
+  if (outcome.refundAmount > 0) {
+    lines.push(`<p><strong>Refund:</strong> ${Number(outcome.refundAmount).toFixed(2)}</p>`);
+  }
+  lines.push(creditLine);
+  return lines.join('');
+};
+
 /**
  * Send verification email
  * @param {string} email - Recipient email
@@ -150,28 +211,140 @@ exports.sendPasswordResetEmail = async (email, firstName, resetToken) => {
   return await sendEmail(mailOptions);
 };
 
+/**
+ * Send account locked email with an unlock link
+ * @param {string} email - Recipient email
+ * @param {string} firstName - User first name
+ * @param {string} unlockToken - Account unlock token
+ * @param {Date} lockedUntil - When the lockout ends on its own
+ */
+exports.sendAccountLockedEmail = async (email, firstName, unlockToken, lockedUntil) => {
+  const unlockUrl = `${process.env.FRONTEND_URL || process.env.SERVER_URL}/unlock-account/${unlockToken}`;
+
+  const mailOptions = {
+    from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Account Locked - Arohana Health',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 24px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+          .warning { background-color: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Arohana Health</h1>
+          </div>
+          <div class="content">
+            <h2>Your Account Has Been Locked</h2>
+            <p>Hello ${firstName},</p>
+            <p>We locked your account after too many failed sign-in attempts. It unlocks on its own at ${lockedUntil.toUTCString()}, or you can unlock it now:</p>
+            <p style="text-align: center;">
+              <a href="${unlockUrl}" class="button">Unlock Account</a>
+            </p>
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all;">${unlockUrl}</p>
+            <div class="warning">
+              <strong>Important:</strong> If these attempts weren't you, someone may know your email address or be guessing your password. Consider resetting your password.
+            </div>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+/**
+ * Send a notification of a suspicious sign-in
+ * @param {string} email - Recipient email
+ * @param {string} firstName - User first name
+ * @param {Object} details - { userAgent, ipAddress, signedInAt, reasons }
+ */
+exports.sendSuspiciousLoginEmail = async (email, firstName, { userAgent, ipAddress, signedInAt, reasons }) => {
+  const mailOptions = {
+    from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'New Sign-In to Your Account - Arohana Health',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+          .warning { background-color: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Arohana Health</h1>
+          </div>
+          <div class="content">
+            <h2>New Sign-In to Your Account</h2>
+            <p>Hello ${firstName},</p>
+            <p>Your account was just signed in to. We're letting you know because:</p>
+            <ul>
+              ${reasons.map(reason => `<li>${reason}</li>`).join('')}
+            </ul>
+            <div class="info-box">
+              <p><strong>Time:</strong> ${signedInAt.toUTCString()}</p>
+              <p><strong>IP Address:</strong> ${escapeHtml(ipAddress || 'Unknown')}</p>
+              <p><strong>Device:</strong> ${escapeHtml(userAgent || 'Unknown')}</p>
+            </div>
+            <div class="warning">
+              <strong>Wasn't you?</strong> Reset your password right away and sign out of your other sessions from your account settings.
+            </div>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
 /**
  * Send booking confirmation email
+ * Pending bookings are described as requests awaiting the therapist's answer
  * @param {Object} booking - Booking object with relations
+ * @param {Object} [invoice] - Invoice PDF attachment for the patient
  */
-exports.sendBookingConfirmation = async (booking) => {
-  const sessionDateTime = new Date(`${booking.sessionDate.toISOString().split('T')[0]}T${booking.sessionTime}`);
-  const formattedDate = sessionDateTime.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-  const formattedTime = sessionDateTime.toLocaleTimeString('en-US', { 
-    hour: '2-digit', 
-    minute: '2-digit' 
-  });
+exports.sendBookingConfirmation = async (booking, invoice) => {
+  // Each recipient sees the session time in their own time zone
+  const patientTimes = formatSessionDateTime(booking, booking.patient.timeZone);
+  const therapistTimes = formatSessionDateTime(booking, booking.therapist.timeZone);
+  const isRequest = booking.status === 'pending';
 
   // Send to patient
   const patientMailOptions = {
     from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
     to: booking.patient.email,
-    subject: 'Booking Confirmation - Arohana Health',
+    subject: isRequest ? 'Booking Request Received - Arohana Health' : 'Booking Confirmation - Arohana Health',
+    attachments: invoice ? [invoice] : undefined,
     html: `
       <!DOCTYPE html>
       <html>
@@ -188,20 +361,22 @@ exports.sendBookingConfirmation = async (booking) => {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Booking Confirmed</h1>
+            <h1>${isRequest ? 'Booking Requested' : 'Booking Confirmed'}</h1>
           </div>
           <div class="content">
             <h2>Hello ${booking.patient.firstName},</h2>
-            <p>Your therapy session has been confirmed!</p>
+            <p>${isRequest ? 'Your booking request has been sent. We will email you as soon as your therapist responds.' : 'Your therapy session has been confirmed!'}</p>
             <div class="info-box">
               <h3>Session Details</h3>
               <p><strong>Therapist:</strong> ${booking.therapist.user.firstName} ${booking.therapist.user.lastName}</p>
-              <p><strong>Date:</strong> ${formattedDate}</p>
-              <p><strong>Time:</strong> ${formattedTime}</p>
+              ${booking.serviceName ? `<p><strong>Service:</strong> ${booking.serviceName}</p>` : ''}
+              <p><strong>Date:</strong> ${patientTimes.formattedDate}</p>
+              <p><strong>Time:</strong> ${patientTimes.formattedTime}</p>
               <p><strong>Duration:</strong> ${booking.duration} minutes</p>
               <p><strong>Type:</strong> ${booking.sessionType}</p>
               ${booking.meetingLink ? `<p><strong>Meeting Link:</strong> <a href="${booking.meetingLink}">${booking.meetingLink}</a></p>` : ''}
             </div>
+            ${invoice ? '<p>Your invoice is attached to this email.</p>' : ''}
             <p>We look forward to seeing you!</p>
           </div>
           <div class="footer">
@@ -217,7 +392,7 @@ exports.sendBookingConfirmation = async (booking) => {
   const therapistMailOptions = {
     from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
     to: booking.therapist.user.email,
-    subject: 'New Booking - Arohana Health',
+    subject: isRequest ? 'New Booking Request - Arohana Health' : 'New Booking - Arohana Health',
     html: `
       <!DOCTYPE html>
       <html>
@@ -234,16 +409,17 @@ exports.sendBookingConfirmation = async (booking) => {
       <body>
         <div class="container">
           <div class="header">
-            <h1>New Booking</h1>
+            <h1>${isRequest ? 'New Booking Request' : 'New Booking'}</h1>
           </div>
           <div class="content">
             <h2>Hello ${booking.therapist.user.firstName},</h2>
-            <p>You have a new booking!</p>
+            <p>${isRequest ? 'You have a new booking request. Please accept or decline it from your booking requests.' : 'You have a new booking!'}</p>
             <div class="info-box">
               <h3>Session Details</h3>
               <p><strong>Patient:</strong> ${booking.patient.firstName} ${booking.patient.lastName}</p>
-              <p><strong>Date:</strong> ${formattedDate}</p>
-              <p><strong>Time:</strong> ${formattedTime}</p>
+              ${booking.serviceName ? `<p><strong>Service:</strong> ${booking.serviceName}</p>` : ''}
+              <p><strong>Date:</strong> ${therapistTimes.formattedDate}</p>
+              <p><strong>Time:</strong> ${therapistTimes.formattedTime}</p>
               <p><strong>Duration:</strong> ${booking.duration} minutes</p>
               <p><strong>Type:</strong> ${booking.sessionType}</p>
             </div>
@@ -266,19 +442,11 @@ exports.sendBookingConfirmation = async (booking) => {
 /**
  * Send booking status update email
  * @param {Object} booking - Booking object with relations
+ * @param {string} [message] - Replaces the default message for the status
+ * @param {Object} [invoice] - Invoice PDF attachment
  */
-exports.sendBookingStatusUpdate = async (booking) => {
-  const sessionDateTime = new Date(`${booking.sessionDate.toISOString().split('T')[0]}T${booking.sessionTime}`);
-  const formattedDate = sessionDateTime.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-  const formattedTime = sessionDateTime.toLocaleTimeString('en-US', { 
-    hour: '2-digit', 
-    minute: '2-digit' 
-  });
+exports.sendBookingStatusUpdate = async (booking, message, invoice) => {
+  const { formattedDate, formattedTime } = formatSessionDateTime(booking, booking.patient.timeZone);
 
   const statusMessages = {
     confirmed: 'Your booking has been confirmed!',
@@ -291,6 +459,7 @@ exports.sendBookingStatusUpdate = async (booking) => {
     from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
     to: booking.patient.email,
     subject: `Booking ${booking.status.charAt(0).toUpperCase() + booking.status.slice(1)} - Arohana Health`,
+    attachments: invoice ? [invoice] : undefined,
     html: `
       <!DOCTYPE html>
       <html>
@@ -311,7 +480,7 @@ exports.sendBookingStatusUpdate = async (booking) => {
           </div>
           <div class="content">
             <h2>Hello ${booking.patient.firstName},</h2>
-            <p>${statusMessages[booking.status] || 'Your booking status has been updated.'}</p>
+            <p>${message || statusMessages[booking.status] || 'Your booking status has been updated.'}</p>
             <div class="info-box">
               <h3>Session Details</h3>
               <p><strong>Therapist:</strong> ${booking.therapist.user.firstName} ${booking.therapist.user.lastName}</p>
@@ -319,7 +488,9 @@ exports.sendBookingStatusUpdate = async (booking) => {
               <p><strong>Time:</strong> ${formattedTime}</p>
               <p><strong>Status:</strong> ${booking.status.charAt(0).toUpperCase() + booking.status.slice(1)}</p>
               ${booking.cancellationReason ? `<p><strong>Reason:</strong> ${booking.cancellationReason}</p>` : ''}
+              ${booking.status === 'cancelled' && booking.cancellationOutcome ? formatCancellationOutcome(booking) : ''}
             </div>
+            ${invoice ? '<p>Your invoice is attached to this email.</p>' : ''}
           </div>
           <div class="footer">
             <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
@@ -341,22 +512,400 @@ exports.sendBookingCancellation = async (booking) => {
   return await exports.sendBookingStatusUpdate(booking);
 };
 
+/**
+ * Send a reminder about an unanswered booking request to the therapist, copying admins
+ * @param {Object} booking - Pending booking object with relations
+ * @param {Array<string>} adminEmails - Admin addresses to copy
+ */
+exports.sendBookingRequestEscalation = async (booking, adminEmails) => {
+  const { formattedDate, formattedTime } = formatSessionDateTime(booking, booking.therapist.timeZone);
+  const deadline = formatSessionDateTime({ startsAt: booking.responseDueAt, timeZone: booking.timeZone }, booking.therapist.timeZone);
+
+  const mailOptions = {
+    from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: booking.therapist.user.email,
+    cc: adminEmails.length > 0 ? adminEmails.join(', ') : undefined,
+    subject: 'Booking Request Awaiting Response - Arohana Health',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+          .warning { background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 10px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Booking Request Awaiting Response</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${booking.therapist.user.firstName},</h2>
+            <p>A booking request from ${booking.patient.firstName} ${booking.patient.lastName} is still waiting for your response.</p>
+            <div class="info-box">
+              <h3>Session Details</h3>
+              <p><strong>Patient:</strong> ${booking.patient.firstName} ${booking.patient.lastName}</p>
+              ${booking.serviceName ? `<p><strong>Service:</strong> ${booking.serviceName}</p>` : ''}
+              <p><strong>Date:</strong> ${formattedDate}</p>
+              <p><strong>Time:</strong> ${formattedTime}</p>
+              <p><strong>Duration:</strong> ${booking.duration} minutes</p>
+            </div>
+            <div class="warning">
+              <strong>Important:</strong> The request will be cancelled automatically if it is not answered by ${deadline.formattedDate} at ${deadline.formattedTime}.
+            </div>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+/**
+ * Send a sliding-scale rate request to the therapist
+ * @param {Object} rate - Sliding scale rate with patient and therapist.user
+ */
+exports.sendSlidingScaleRequest = async (rate) => {
+  const mailOptions = {
+    from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: rate.therapist.user.email,
+    subject: 'Sliding Scale Rate Request - Arohana Health',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Sliding Scale Rate Request</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${rate.therapist.user.firstName},</h2>
+            <p>${rate.patient.firstName} ${rate.patient.lastName} has asked for a reduced rate for their sessions with you.</p>
+            <div class="info-box">
+              <p><strong>Requested Discount:</strong> ${rate.requestedPercent}% off your regular rate</p>
+              ${rate.reason ? `<p><strong>Reason:</strong> ${rate.reason}</p>` : ''}
+            </div>
+            <p>You can approve the request, approve it at a different percentage, or decline it from your dashboard.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+/**
+ * Send the therapist's sliding-scale decision to the patient
+ * @param {Object} rate - Approved, declined or revoked rate with patient and therapist.user
+ */
+exports.sendSlidingScaleDecision = async (rate) => {
+  const therapistName = `${rate.therapist.user.firstName} ${rate.therapist.user.lastName}`;
+  const outcomes = {
+    approved: {
+      title: 'Sliding Scale Rate Approved',
+      message: `${therapistName} approved a ${rate.approvedPercent}% discount on your sessions. It applies automatically to your new bookings${rate.validUntil ? ` until ${new Date(rate.validUntil).toDateString()}` : ''}.`
+    },
+    declined: {
+      title: 'Sliding Scale Request Declined',
+      message: `${therapistName} was unable to approve your sliding scale request.`
+    },
+    revoked: {
+      title: 'Sliding Scale Rate Ended',
+      message: `Your sliding scale rate with ${therapistName} has ended. New bookings are charged the regular rate; existing bookings keep their price.`
+    }
+  };
+  const { title, message } = outcomes[rate.status];
+
+  const mailOptions = {
+    from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: rate.patient.email,
+    subject: `${title} - Arohana Health`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${title}</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${rate.patient.firstName},</h2>
+            <p>${message}</p>
+            ${rate.responseNote ? `<div class="info-box"><p><strong>Note from your therapist:</strong> ${rate.responseNote}</p></div>` : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+/**
+ * Send booking reschedule email to patient and therapist
+ * @param {Object} booking - Booking object with relations
+ * @param {Date} previousStartsAt - Start instant before the reschedule
+ */
+exports.sendBookingRescheduled = async (booking, previousStartsAt) => {
+  const recipients = [
+    {
+      email: booking.patient.email,
+      firstName: booking.patient.firstName,
+      timeZone: booking.patient.timeZone,
+      counterpart: `<strong>Therapist:</strong> ${booking.therapist.user.firstName} ${booking.therapist.user.lastName}`
+    },
+    {
+      email: booking.therapist.user.email,
+      firstName: booking.therapist.user.firstName,
+      timeZone: booking.therapist.timeZone,
+      counterpart: `<strong>Patient:</strong> ${booking.patient.firstName} ${booking.patient.lastName}`
+    }
+  ];
+
+  await Promise.all(recipients.map((recipient) => {
+    const previous = formatSessionDateTime({ ...booking.toJSON(), startsAt: previousStartsAt }, recipient.timeZone);
+    const current = formatSessionDateTime(booking, recipient.timeZone);
+
+    return sendEmail({
+      from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: recipient.email,
+      subject: 'Booking Rescheduled - Arohana Health',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+            .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Booking Rescheduled</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${recipient.firstName},</h2>
+              <p>Your therapy session has been moved to a new time.</p>
+              <div class="info-box">
+                <h3>Session Details</h3>
+                <p>${recipient.counterpart}</p>
+                ${booking.serviceName ? `<p><strong>Service:</strong> ${booking.serviceName}</p>` : ''}
+                <p><strong>Previous Time:</strong> <s>${previous.formattedDate}, ${previous.formattedTime}</s></p>
+                <p><strong>New Date:</strong> ${current.formattedDate}</p>
+                <p><strong>New Time:</strong> ${current.formattedTime}</p>
+                <p><strong>Duration:</strong> ${booking.duration} minutes</p>
+                <p><strong>Type:</strong> ${booking.sessionType}</p>
+                ${booking.rescheduleReason ? `<p><strong>Reason:</strong> ${booking.rescheduleReason}</p>` : ''}
+                ${booking.meetingLink ? `<p><strong>Meeting Link:</strong> <a href="${booking.meetingLink}">${booking.meetingLink}</a></p>` : ''}
+              </div>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    });
+  }));
+};
+
+/**
+ * Send a booking series notification to patient and therapist
+ * Lists every affected occurrence in each recipient's time zone.
+ * @param {Object} series - BookingSeries object with patient and therapist relations
+ * @param {Array<Object>} items - [{ booking, previousStartsAt }] affected occurrences
+ * @param {Object} content - { subject, heading, intro }
+ */
+exports.sendSeriesUpdate = async (series, items, content) => {
+  const recipients = [
+    {
+      email: series.patient.email,
+      firstName: series.patient.firstName,
+      timeZone: series.patient.timeZone,
+      counterpart: `<strong>Therapist:</strong> ${series.therapist.user.firstName} ${series.therapist.user.lastName}`
+    },
+    {
+      email: series.therapist.user.email,
+      firstName: series.therapist.user.firstName,
+      timeZone: series.therapist.timeZone,
+      counterpart: `<strong>Patient:</strong> ${series.patient.firstName} ${series.patient.lastName}`
+    }
+  ];
+
+  await Promise.all(recipients.map((recipient) => {
+    const occurrences = items.map(({ booking, previousStartsAt }) => {
+      const current = formatSessionDateTime(booking, recipient.timeZone);
+      if (booking.status === 'cancelled' && Number(booking.cancellationFee) > 0) {
+        return `<li>${current.formattedDate}, ${current.formattedTime} (cancellation fee: ${Number(booking.cancellationFee).toFixed(2)})</li>`;
+      }
+      if (!previousStartsAt) {
+        return `<li>${current.formattedDate}, ${current.formattedTime}</li>`;
+      }
+      const previous = formatSessionDateTime({ startsAt: previousStartsAt }, recipient.timeZone);
+      return `<li><s>${previous.formattedDate}, ${previous.formattedTime}</s> &rarr; ${current.formattedDate}, ${current.formattedTime}</li>`;
+    }).join('');
+
+    return sendEmail({
+      from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: recipient.email,
+      subject: `${content.subject} - Arohana Health`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+            .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${content.heading}</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${recipient.firstName},</h2>
+              <p>${content.intro}</p>
+              <div class="info-box">
+                <h3>Recurring Sessions (${series.frequency})</h3>
+                <p>${recipient.counterpart}</p>
+                <p><strong>Duration:</strong> ${series.duration} minutes</p>
+                <p><strong>Type:</strong> ${series.sessionType}</p>
+                <ul>${occurrences}</ul>
+              </div>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    });
+  }));
+};
+
+/**
+ * Send waitlist slot offer email
+ * @param {Object} entry - WaitlistEntry object with patient relation
+ * @param {Object} therapist - Therapist object with user relation
+ * @param {Object} offer - WaitlistOffer object
+ * @param {string} token - Claim token
+ */
+exports.sendWaitlistOffer = async (entry, therapist, offer, token) => {
+  const claimUrl = `${process.env.FRONTEND_URL || process.env.SERVER_URL}/waitlist/offers/${offer.id}?token=${token}`;
+  const { formattedDate, formattedTime } = formatSessionDateTime(offer, entry.patient.timeZone);
+  const expires = timezone.formatInTimeZone(new Date(offer.expiresAt), entry.patient.timeZone || timezone.DEFAULT_TIME_ZONE);
+
+  const mailOptions = {
+    from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: entry.patient.email,
+    subject: 'A Session Slot Is Available - Arohana Health',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+          .button { display: inline-block; padding: 12px 24px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+          .warning { background-color: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Slot Available</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${entry.patient.firstName},</h2>
+            <p>A session with your preferred therapist has opened up and is reserved for you.</p>
+            <div class="info-box">
+              <h3>Session Details</h3>
+              <p><strong>Therapist:</strong> ${therapist.user.firstName} ${therapist.user.lastName}</p>
+              <p><strong>Date:</strong> ${formattedDate}</p>
+              <p><strong>Time:</strong> ${formattedTime}</p>
+              <p><strong>Duration:</strong> ${offer.duration} minutes</p>
+            </div>
+            <p style="text-align: center;">
+              <a href="${claimUrl}" class="button">Claim This Slot</a>
+            </p>
+            <div class="warning">
+              <strong>Important:</strong> This offer expires on ${expires.date} at ${expires.time}, after which the slot is offered to the next patient.
+            </div>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Arohana Health. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
 /**
  * Send session reminder email
  * @param {Object} booking - Booking object with relations
  */
 exports.sendSessionReminder = async (booking) => {
-  const sessionDateTime = new Date(`${booking.sessionDate.toISOString().split('T')[0]}T${booking.sessionTime}`);
-  const formattedDate = sessionDateTime.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-  const formattedTime = sessionDateTime.toLocaleTimeString('en-US', { 
-    hour: '2-digit', 
-    minute: '2-digit' 
-  });
+  const { formattedDate, formattedTime } = formatSessionDateTime(booking, booking.patient.timeZone);
 
   const mailOptions = {
     from: `"Arohana Health" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
@@ -386,6 +935,7 @@ exports.sendSessionReminder = async (booking) => {
             <div class="info-box">
               <h3>Session Details</h3>
               <p><strong>Therapist:</strong> ${booking.therapist.user.firstName} ${booking.therapist.user.lastName}</p>
+              ${booking.serviceName ? `<p><strong>Service:</strong> ${booking.serviceName}</p>` : ''}
               <p><strong>Date:</strong> ${formattedDate}</p>
               <p><strong>Time:</strong> ${formattedTime}</p>
               <p><strong>Duration:</strong> ${booking.duration} minutes</p>
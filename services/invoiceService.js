@@ -0,0 +1,279 @@
+/**
+ * Invoice Service
+ *
+ * Invoices for paid bookings:
+ * - Gapless yearly invoice numbering (e.g. INV-2026-000042)
+ * - One invoice record per paid booking
+ * - PDF rendering for downloads and email attachments
+ */
+
+const PDFDocument = require('pdfkit');
+const { sequelize } = require('../config/database');
+const Booking = require('../models/Booking');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const Refund = require('../models/Refund');
+const Invoice = require('../models/Invoice');
+const paymentProviders = require('./paymentProviders');
+const timezone = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Payment statuses of bookings that were charged and therefore invoiced
+const INVOICED_PAYMENT_STATUSES = ['paid', 'partially-refunded', 'refunded'];
+
+/**
+ * Get the clinic details printed on invoices and superbills
+ * @returns {Object} { name, address, email, phone, taxId }
+ */
+const getClinicDetails = () => ({
+  name: process.env.CLINIC_NAME || 'Arohana Health',
+  address: process.env.CLINIC_ADDRESS || '',
+  email: process.env.CLINIC_EMAIL || process.env.EMAIL_FROM || '',
+  phone: process.env.CLINIC_PHONE || '',
+  taxId: process.env.CLINIC_TAX_ID || ''
+});
+
+/**
+ * Format an invoice number
+ * @param {number} year - Issue year
+ * @param {number} number - Sequence number within the year
+ * @returns {string} Invoice number, e.g. INV-2026-000042
+ */
+const formatInvoiceNumber = (year, number) => {
+  return `${process.env.INVOICE_PREFIX || 'INV'}-${year}-${String(number).padStart(6, '0')}`;
+};
+
+/**
+ * Check whether a booking has been charged
+ * @param {Object} booking - Booking instance
+ * @returns {boolean} True if an invoice applies
+ */
+const isInvoiceable = (booking) => INVOICED_PAYMENT_STATUSES.includes(booking.paymentStatus);
+
+/**
+ * Issue the invoice for a paid booking, or return the existing one
+ * The yearly counter row stays locked until the invoice is saved, so
+ * numbers are gapless even under concurrent payments.
+ * @param {Object} booking - Paid booking instance
+ * @returns {Promise<Object>} Invoice instance
+ */
+const issueInvoice = async (booking) => {
+  const existing = await Invoice.findOne({ where: { bookingId: booking.id } });
+  if (existing) {
+    return existing;
+  }
+
+  const issuedAt = new Date();
+  const year = issuedAt.getUTCFullYear();
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const [rows] = await sequelize.query(`
+        INSERT INTO invoice_counters (year, "lastNumber") VALUES (:year, 1)
+        ON CONFLICT (year) DO UPDATE SET "lastNumber" = invoice_counters."lastNumber" + 1
+        RETURNING "lastNumber"
+      `, { replacements: { year }, transaction });
+
+      return await Invoice.create({
+        invoiceNumber: formatInvoiceNumber(year, rows[0].lastNumber),
+        bookingId: booking.id,
+        patientId: booking.patientId,
+        therapistId: booking.therapistId,
+        serviceName: booking.serviceName,
+        sessionStartsAt: booking.startsAt,
+        duration: booking.duration,
+        amount: booking.getCollectedAmount(),
+        currency: paymentProviders.getCurrency(),
+        paymentProvider: booking.paymentProvider,
+        paymentReference: booking.paymentId,
+        paidAt: booking.paidAt,
+        issuedAt
+      }, { transaction });
+    });
+  } catch (error) {
+    // A concurrent request issued it first; its transaction kept the number
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return await Invoice.findOne({ where: { bookingId: booking.id } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Format an amount with its currency
+ * @param {number|string} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} e.g. "120.00 USD"
+ */
+const formatAmount = (amount, currency) => `${Number(amount).toFixed(2)} ${currency.toUpperCase()}`;
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice instance
+ * @param {Object} booking - Booking with patient, therapist.user and refunds
+ * @returns {Promise<Buffer>} PDF document
+ */
+const renderInvoicePdf = (invoice, booking) => {
+  return new Promise((resolve, reject) => {
+    const clinic = getClinicDetails();
+    const viewerZone = booking.patient.timeZone;
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `Invoice ${invoice.invoiceNumber}`, Author: clinic.name }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const row = (label, value) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+      doc.font('Helvetica').text(value);
+    };
+    const section = (title) => {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(13).text(title);
+      doc.fontSize(11);
+    };
+
+    // Clinic header
+    doc.font('Helvetica-Bold').fontSize(20).text(clinic.name);
+    doc.font('Helvetica').fontSize(10);
+    [clinic.address, clinic.email, clinic.phone].filter(Boolean).forEach(line => doc.text(line));
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(16).text('INVOICE / RECEIPT');
+    doc.fontSize(11);
+    row('Invoice Number', invoice.invoiceNumber);
+    row('Issue Date', timezone.formatInTimeZone(new Date(invoice.issuedAt), viewerZone).date);
+
+    section('Billed To');
+    doc.font('Helvetica').text(`${booking.patient.firstName} ${booking.patient.lastName}`);
+    doc.text(booking.patient.email);
+
+    section('Provider');
+    doc.font('Helvetica').text(`${booking.therapist.user.firstName} ${booking.therapist.user.lastName}`);
+    if (booking.therapist.specialization) {
+      doc.text(booking.therapist.specialization);
+    }
+    if (booking.therapist.licenseNumber) {
+      row('License', booking.therapist.licenseNumber);
+    }
+
+    section('Service');
+    const session = timezone.formatInTimeZone(new Date(invoice.sessionStartsAt), viewerZone);
+    row('Description', invoice.serviceName || 'Therapy session');
+    row('Date', session.date);
+    row('Time', session.time);
+    row('Duration', `${invoice.duration} minutes`);
+
+    section('Payment');
+    (booking.discounts || []).forEach((discount) => {
+      const label = discount.type === 'promo' ? `Promo Code ${discount.code}` : `Sliding Scale (${discount.percent}%)`;
+      row(label, `-${formatAmount(discount.amount, invoice.currency)}`);
+    });
+    row('Amount', formatAmount(invoice.amount, invoice.currency));
+    row('Status', 'Paid');
+    if (invoice.paidAt) {
+      row('Paid On', timezone.formatInTimeZone(new Date(invoice.paidAt), viewerZone).date);
+    }
+    if (invoice.paymentReference) {
+      row('Payment Reference', invoice.paymentReference);
+    }
+
+    const refunds = (booking.refunds || []).filter(refund => refund.status === 'succeeded');
+    if (refunds.length > 0) {
+      section('Refunds');
+      refunds.forEach((refund) => {
+        const date = timezone.formatInTimeZone(new Date(refund.createdAt), viewerZone).date;
+        row(date, `${formatAmount(refund.amount, refund.currency)} (${refund.reason})`);
+      });
+      const refunded = refunds.reduce((total, refund) => total + parseFloat(refund.amount), 0);
+      row('Net Paid', formatAmount(parseFloat(invoice.amount) - refunded, invoice.currency));
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(9).fillColor('#666666')
+      .text(`Thank you for choosing ${clinic.name}. Please keep this receipt for insurance and tax purposes.`);
+
+    doc.end();
+  });
+};
+
+/**
+ * Load a booking with the relations printed on its invoice
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Booking instance
+ */
+const loadInvoiceBooking = async (bookingId) => {
+  return await Booking.findByPk(bookingId, {
+    include: [
+      {
+        model: User,
+        as: 'patient',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
+      },
+      {
+        model: Therapist,
+        as: 'therapist',
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName']
+        }]
+      },
+      {
+        model: Refund,
+        as: 'refunds'
+      }
+    ]
+  });
+};
+
+/**
+ * Issue and render the invoice of a paid booking
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<Object>} { invoice, pdf }
+ */
+const getInvoicePdf = async (booking) => {
+  const invoice = await issueInvoice(booking);
+  const pdf = await renderInvoicePdf(invoice, await loadInvoiceBooking(booking.id));
+  return { invoice, pdf };
+};
+
+/**
+ * Build the invoice email attachment of a booking
+ * Errors are logged rather than thrown so they never block the email.
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<Object|null>} Nodemailer attachment, or null if the booking is unpaid
+ */
+const getInvoiceAttachment = async (booking) => {
+  if (!isInvoiceable(booking)) {
+    return null;
+  }
+
+  try {
+    const { invoice, pdf } = await getInvoicePdf(booking);
+    return {
+      filename: `${invoice.invoiceNumber}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    };
+  } catch (error) {
+    logger.error(`Failed to build invoice attachment for booking ${booking.id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  getClinicDetails,
+  formatInvoiceNumber,
+  formatAmount,
+  isInvoiceable,
+  issueInvoice,
+  renderInvoicePdf,
+  getInvoicePdf,
+  getInvoiceAttachment
+};
@@ -0,0 +1,342 @@
+/**
+ * Ledger Service
+ *
+ * Double-entry revenue ledger:
+ * - Booking and package payments collected into patient deposits
+ * - Succeeded refunds paid back out of patient deposits
+ * - Earnings split between therapist and platform commission once a booking
+ *   is completed, missed or cancelled with a fee
+ * - Payouts to therapists
+ * Each money movement is posted once, as a balanced journal with a unique reference.
+ */
+
+const { sequelize } = require('../config/database');
+const LedgerJournal = require('../models/LedgerJournal');
+const LedgerEntry = require('../models/LedgerEntry');
+const PackagePurchase = require('../models/PackagePurchase');
+const Refund = require('../models/Refund');
+const paymentProviders = require('./paymentProviders');
+const logger = require('../utils/logger');
+
+// Earnings basis for each booking status that ends a booking
+const EARNINGS_BASES = {
+  completed: 'completed',
+  'no-show': 'no-show',
+  cancelled: 'late-cancellation'
+};
+
+/**
+ * Convert an amount to the smallest currency unit
+ * @param {number|string} amount - Amount, e.g. 120.50
+ * @returns {number} Amount in cents
+ */
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Read a percentage setting, allowing 0
+ * @param {string} value - Environment value
+ * @param {number} fallback - Default percentage
+ * @returns {number} Percentage between 0 and 100
+ */
+const readPercent = (value, fallback) => {
+  const percent = parseFloat(value);
+  return Number.isNaN(percent) ? fallback : Math.min(Math.max(percent, 0), 100);
+};
+
+/**
+ * Get the payout policy
+ * commissionPercent is the platform's cut of everything a therapist earns.
+ * noShowPercent and lateCancellationPercent are the share of the amount kept
+ * for a missed session or a late-cancellation fee that counts as therapist
+ * earnings; the rest stays with the platform.
+ * @returns {Object} { commissionPercent, noShowPercent, lateCancellationPercent }
+ */
+const getPayoutPolicy = () => ({
+  commissionPercent: readPercent(process.env.PLATFORM_COMMISSION_PERCENT, 20),
+  noShowPercent: readPercent(process.env.PAYOUT_NO_SHOW_PERCENT, 100),
+  lateCancellationPercent: readPercent(process.env.PAYOUT_LATE_CANCELLATION_PERCENT, 100)
+});
+
+/**
+ * Split an earned amount between therapist and platform
+ * @param {number} gross - Amount earned on the booking
+ * @param {number} therapistPercent - Share of the amount owed to the therapist before commission
+ * @param {number} commissionPercent - Platform commission on the therapist's share
+ * @returns {Object} { gross, therapistAmount, platformAmount }
+ */
+const splitEarnings = (gross, therapistPercent, commissionPercent) => {
+  const grossCents = toMinorUnits(gross);
+  const therapistCents = Math.round(grossCents * (therapistPercent / 100) * ((100 - commissionPercent) / 100));
+
+  return {
+    gross: grossCents / 100,
+    therapistAmount: therapistCents / 100,
+    platformAmount: (grossCents - therapistCents) / 100
+  };
+};
+
+/**
+ * Post a balanced journal
+ * Runs in its own transaction, or a savepoint of the given one, so a journal
+ * already posted under the same reference is skipped without aborting the caller.
+ * @param {Object} params - { reference, type, description, therapistId, bookingId, metadata, lines }
+ *   where lines are { account, debit, credit, payoutId }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} Journal, or null if nothing was posted
+ * @throws {Error} If debits and credits do not balance
+ */
+const postJournal = async ({ reference, type, description, therapistId = null, bookingId = null, metadata = null, lines }, transaction) => {
+  const postedLines = lines.filter(line => toMinorUnits(line.debit || 0) > 0 || toMinorUnits(line.credit || 0) > 0);
+  const debits = postedLines.reduce((sum, line) => sum + toMinorUnits(line.debit || 0), 0);
+  const credits = postedLines.reduce((sum, line) => sum + toMinorUnits(line.credit || 0), 0);
+
+  if (debits !== credits) {
+    throw new Error(`Ledger journal ${reference} does not balance`);
+  }
+  if (debits === 0) {
+    return null;
+  }
+
+  const currency = paymentProviders.getCurrency();
+
+  try {
+    return await sequelize.transaction({ transaction }, async (journalTransaction) => {
+      const journal = await LedgerJournal.create({
+        reference,
+        type,
+        description,
+        therapistId,
+        bookingId,
+        metadata
+      }, { transaction: journalTransaction });
+
+      await LedgerEntry.bulkCreate(postedLines.map(line => ({
+        journalId: journal.id,
+        account: line.account,
+        therapistId,
+        debit: line.debit || 0,
+        credit: line.credit || 0,
+        currency,
+        payoutId: line.payoutId || null
+      })), { transaction: journalTransaction });
+
+      return journal;
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record a captured booking payment
+ * @param {Object} booking - Paid booking instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} Journal, or null if already recorded
+ */
+const recordBookingPayment = async (booking, transaction) => {
+  return await postJournal({
+    reference: `payment:booking:${booking.id}`,
+    type: 'payment',
+    description: `Payment for booking ${booking.id}`,
+    therapistId: booking.therapistId,
+    bookingId: booking.id,
+    lines: [
+      { account: 'cash', debit: booking.getCollectedAmount() },
+      { account: 'patient_deposits', credit: booking.getCollectedAmount() }
+    ]
+  }, transaction);
+};
+
+/**
+ * Record a captured package purchase payment
+ * The money stays in patient deposits until each credit is used.
+ * @param {Object} purchase - Paid package purchase instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} Journal, or null if already recorded
+ */
+const recordPurchasePayment = async (purchase, transaction) => {
+  return await postJournal({
+    reference: `payment:package-purchase:${purchase.id}`,
+    type: 'payment',
+    description: `Payment for package "${purchase.name}"`,
+    therapistId: purchase.therapistId,
+    lines: [
+      { account: 'cash', debit: purchase.price },
+      { account: 'patient_deposits', credit: purchase.price }
+    ]
+  }, transaction);
+};
+
+/**
+ * Record a succeeded refund
+ * @param {Object} refund - Refund ledger entry
+ * @param {Object} booking - Refunded booking instance
+ * @returns {Promise<Object|null>} Journal, or null if not succeeded or already recorded
+ */
+const recordRefund = async (refund, booking) => {
+  if (refund.status !== 'succeeded') {
+    return null;
+  }
+
+  return await postJournal({
+    reference: `refund:${refund.id}`,
+    type: 'refund',
+    description: `Refund for booking ${booking.id}`,
+    therapistId: booking.therapistId,
+    bookingId: booking.id,
+    lines: [
+      { account: 'patient_deposits', debit: refund.amount },
+      { account: 'cash', credit: refund.amount }
+    ]
+  }, null);
+};
+
+/**
+ * Work out what a finished booking earned
+ * Card payments earn what was collected net of refunds; a late cancellation
+ * earns its fee. Sessions paid with a package credit earn the credit's value,
+ * unless a cancellation gave the credit back.
+ * @param {Object} booking - Booking instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} { basis, gross }, or null if nothing was earned yet
+ */
+const getBookingEarnings = async (booking, transaction) => {
+  const basis = EARNINGS_BASES[booking.status];
+  if (!basis) {
+    return null;
+  }
+
+  if (booking.packagePurchaseId) {
+    const outcome = booking.cancellationOutcome;
+    if (booking.status === 'cancelled' && (!outcome || outcome.creditRestored !== false)) {
+      return null;
+    }
+
+    const purchase = await PackagePurchase.findByPk(booking.packagePurchaseId, { transaction });
+    return purchase ? { basis, gross: purchase.getCreditValue() } : null;
+  }
+
+  if (!['paid', 'partially-refunded'].includes(booking.paymentStatus)) {
+    return null;
+  }
+
+  const refunded = await Refund.sum('amount', {
+    where: { bookingId: booking.id, status: 'succeeded' },
+    transaction
+  }) || 0;
+  const collected = (toMinorUnits(booking.getCollectedAmount()) - toMinorUnits(refunded)) / 100;
+
+  if (booking.status === 'cancelled') {
+    return { basis, gross: Math.min(parseFloat(booking.cancellationFee || 0), collected) };
+  }
+  return { basis, gross: collected };
+};
+
+/**
+ * Recognize a finished booking's earnings
+ * Moves the earned amount out of patient deposits, split between the therapist
+ * and the platform by the payout policy. Bookings whose payment is captured
+ * after they finish are recognized once the payment arrives. A no-show later
+ * corrected to completed is topped up to the completed split.
+ * @param {Object} booking - Booking instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} Journal, or null if nothing was posted
+ */
+const recognizeBookingEarnings = async (booking, transaction) => {
+  const earnings = await getBookingEarnings(booking, transaction);
+  if (!earnings || toMinorUnits(earnings.gross) <= 0) {
+    return null;
+  }
+
+  const policy = getPayoutPolicy();
+  const therapistPercent = {
+    completed: 100,
+    'no-show': policy.noShowPercent,
+    'late-cancellation': policy.lateCancellationPercent
+  }[earnings.basis];
+  const split = splitEarnings(earnings.gross, therapistPercent, policy.commissionPercent);
+  const metadata = {
+    basis: earnings.basis,
+    therapistPercent,
+    commissionPercent: policy.commissionPercent,
+    ...split
+  };
+
+  const existing = await LedgerJournal.findOne({
+    where: { reference: `earnings:${booking.id}` },
+    transaction
+  });
+
+  if (!existing) {
+    const journal = await postJournal({
+      reference: `earnings:${booking.id}`,
+      type: 'earnings',
+      description: `Earnings for ${earnings.basis} booking ${booking.id}`,
+      therapistId: booking.therapistId,
+      bookingId: booking.id,
+      metadata,
+      lines: [
+        { account: 'patient_deposits', debit: split.gross },
+        { account: 'therapist_payable', credit: split.therapistAmount },
+        { account: 'platform_revenue', credit: split.platformAmount }
+      ]
+    }, transaction);
+
+    if (journal) {
+      logger.info(`Booking ${booking.id} earned ${split.gross}: ${split.therapistAmount} to therapist, ${split.platformAmount} to platform`);
+    }
+    return journal;
+  }
+
+  if (existing.metadata.basis !== 'no-show' || earnings.basis !== 'completed') {
+    return null;
+  }
+
+  const difference = (toMinorUnits(split.therapistAmount) - toMinorUnits(existing.metadata.therapistAmount)) / 100;
+  return await postJournal({
+    reference: `earnings-adjustment:${booking.id}`,
+    type: 'earnings-adjustment',
+    description: `No-show booking ${booking.id} corrected to completed`,
+    therapistId: booking.therapistId,
+    bookingId: booking.id,
+    metadata: { ...metadata, previousBasis: existing.metadata.basis },
+    lines: [
+      { account: 'platform_revenue', debit: difference },
+      { account: 'therapist_payable', credit: difference }
+    ]
+  }, transaction);
+};
+
+/**
+ * Record a payout paid to a therapist
+ * @param {Object} payout - Paid payout instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} Journal, or null if already recorded
+ */
+const recordPayout = async (payout, transaction) => {
+  return await postJournal({
+    reference: `payout:${payout.id}`,
+    type: 'payout',
+    description: `Payout for ${payout.periodStart} to ${payout.periodEnd}`,
+    therapistId: payout.therapistId,
+    lines: [
+      { account: 'therapist_payable', debit: payout.amount, payoutId: payout.id },
+      { account: 'cash', credit: payout.amount }
+    ]
+  }, transaction);
+};
+
+module.exports = {
+  toMinorUnits,
+  getPayoutPolicy,
+  splitEarnings,
+  postJournal,
+  recordBookingPayment,
+  recordPurchasePayment,
+  recordRefund,
+  recognizeBookingEarnings,
+  recordPayout
+};
@@ -0,0 +1,70 @@
+/**
+ * Password History Service
+ *
+ * Prevents reuse of a user's last PASSWORD_HISTORY_COUNT passwords,
+ * counting the current one
+ */
+
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const PasswordHistory = require('../models/PasswordHistory');
+const { getPasswordPolicy } = require('../utils/passwordPolicy');
+
+/**
+ * Check whether a password is the current one or one of the recent ones
+ * @param {Object} user - User instance with its password hash
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>} True if reused
+ */
+const isPasswordReused = async (user, password) => {
+  const { historyCount } = getPasswordPolicy();
+  if (historyCount <= 0) {
+    return false;
+  }
+
+  const previous = historyCount > 1 ? await PasswordHistory.findAll({
+    where: { userId: user.id },
+    order: [['createdAt', 'DESC']],
+    limit: historyCount - 1
+  }) : [];
+
+  for (const hash of [user.password, ...previous.map(entry => entry.passwordHash)]) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Remember the password a user just replaced and forget older ones
+ * @param {string} userId - User ID
+ * @param {string} previousHash - Hash of the replaced password
+ * @returns {Promise<void>}
+ */
+const recordPasswordChange = async (userId, previousHash) => {
+  const keep = getPasswordPolicy().historyCount - 1;
+
+  if (keep <= 0) {
+    await PasswordHistory.destroy({ where: { userId } });
+    return;
+  }
+
+  await PasswordHistory.create({ userId, passwordHash: previousHash });
+
+  const kept = await PasswordHistory.findAll({
+    where: { userId },
+    attributes: ['id'],
+    order: [['createdAt', 'DESC']],
+    limit: keep
+  });
+
+  await PasswordHistory.destroy({
+    where: { userId, id: { [Op.notIn]: kept.map(entry => entry.id) } }
+  });
+};
+
+module.exports = {
+  isPasswordReused,
+  recordPasswordChange
+};
@@ -0,0 +1,73 @@
+/**
+ * Payment Providers
+ *
+ * Every provider implements the same interface:
+ * - name, signatureHeader
+ * - createPaymentIntent({ amount, currency, metadata, idempotencyKey })
+ * - retrievePaymentIntent(intentId)
+ * - capturePaymentIntent(intentId, { amount }) - a smaller amount captures part and releases the rest
+ * - cancelPaymentIntent(intentId)
+ * - createRefund(intentId, { amount, metadata, idempotencyKey })
+ * - getWebhookSecret() -> secret, throwing if it is not configured
+ * - constructWebhookEvent(rawBody, signatureHeader) -> { id, type, intent, refund } or null
+ *
+ * Amounts are in the smallest currency unit, and intents are returned as
+ * { id, status, amount, amountReceived, currency, clientSecret, metadata } with Stripe's
+ * status names (requires_payment_method, requires_capture, succeeded, canceled, ...).
+ * Refunds are returned as { id, status, amount, currency, paymentId } with
+ * status pending, succeeded or failed.
+ */
+
+const stripeProvider = require('./stripeProvider');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  stripe: stripeProvider,
+  mock: mockProvider
+};
+
+/**
+ * Get the currency bookings are charged in
+ * @returns {string} Lowercase ISO currency code
+ */
+const getCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+/**
+ * Get a payment provider by name
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER
+ * @returns {Object} Provider
+ * @throws {Error} If no provider is configured, for unknown providers, and for
+ *   the mock provider in production
+ */
+const getProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  // The mock authorizes every intent without a charge
+  if (provider === mockProvider && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+
+  return provider;
+};
+
+/**
+ * Check the payment configuration at startup
+ * @throws {Error} If the provider or its webhook secret is not usable
+ */
+const validateConfiguration = () => {
+  getProvider().getWebhookSecret();
+};
+
+module.exports = {
+  PROVIDERS,
+  getCurrency,
+  getProvider,
+  validateConfiguration
+};
@@ -0,0 +1,222 @@
+/**
+ * Mock Payment Provider
+ *
+ * In-process provider for development and tests. Intents are kept in memory
+ * and authorized as soon as they are created, so bookings can be paid
+ * without a card form. Webhooks use the same signature scheme as Stripe,
+ * signed with MOCK_PAYMENT_WEBHOOK_SECRET. Never used in production.
+ */
+
+const crypto = require('crypto');
+const signature = require('./signature');
+
+const intents = new Map();
+const idempotentIntents = new Map();
+const idempotentRefunds = new Map();
+
+/**
+ * Get the webhook signing secret
+ * @returns {string} Secret
+ * @throws {Error} If MOCK_PAYMENT_WEBHOOK_SECRET is not set
+ */
+const getWebhookSecret = () => {
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+};
+
+/**
+ * Find a stored intent
+ * @param {string} intentId - Payment intent ID
+ * @returns {Object} Stored intent
+ * @throws {Error} With statusCode 404 for unknown intents
+ */
+const findIntent = (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    const error = new Error(`No such payment intent: ${intentId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return intent;
+};
+
+/**
+ * Reject an operation that the intent's status does not allow
+ * @param {Object} intent - Stored intent
+ * @param {string} action - Attempted action
+ * @throws {Error} With statusCode 409
+ */
+const rejectTransition = (intent, action) => {
+  const error = new Error(`Cannot ${action} a payment intent with status ${intent.status}`);
+  error.statusCode = 409;
+  throw error;
+};
+
+/**
+ * Create an authorized payment intent
+ * @param {Object} params - { amount, currency, metadata, idempotencyKey }
+ * @returns {Promise<Object>} Payment intent
+ */
+const createPaymentIntent = async ({ amount, currency, metadata, idempotencyKey }) => {
+  if (idempotencyKey && idempotentIntents.has(idempotencyKey)) {
+    return { ...intents.get(idempotentIntents.get(idempotencyKey)) };
+  }
+
+  const id = `pi_mock_${crypto.randomBytes(12).toString('hex')}`;
+  const intent = {
+    id,
+    status: 'requires_capture',
+    amount,
+    amountReceived: 0,
+    currency,
+    clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+    metadata: metadata || {},
+    amountRefunded: 0
+  };
+
+  intents.set(id, intent);
+  if (idempotencyKey) {
+    idempotentIntents.set(idempotencyKey, id);
+  }
+
+  return { ...intent };
+};
+
+/**
+ * Retrieve a payment intent
+ * @param {string} intentId - Payment intent ID
+ * @returns {Promise<Object>} Payment intent
+ */
+const retrievePaymentIntent = async (intentId) => {
+  return { ...findIntent(intentId) };
+};
+
+/**
+ * Capture an authorized payment intent
+ * @param {string} intentId - Payment intent ID
+ * @param {Object} [params] - { amount } to capture less than the authorized amount
+ * @returns {Promise<Object>} Payment intent
+ */
+const capturePaymentIntent = async (intentId, { amount } = {}) => {
+  const intent = findIntent(intentId);
+  if (intent.status !== 'requires_capture') {
+    rejectTransition(intent, 'capture');
+  }
+  if (amount !== undefined && (amount <= 0 || amount > intent.amount)) {
+    const error = new Error(`Capture of ${amount} exceeds the authorized amount of ${intent.amount}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  intent.status = 'succeeded';
+  intent.amountReceived = amount === undefined ? intent.amount : amount;
+  return { ...intent };
+};
+
+/**
+ * Cancel a payment intent, releasing any authorization
+ * @param {string} intentId - Payment intent ID
+ * @returns {Promise<Object>} Payment intent
+ */
+const cancelPaymentIntent = async (intentId) => {
+  const intent = findIntent(intentId);
+  if (['succeeded', 'canceled'].includes(intent.status)) {
+    rejectTransition(intent, 'cancel');
+  }
+  intent.status = 'canceled';
+  return { ...intent };
+};
+
+/**
+ * Refund part or all of a captured payment intent
+ * @param {string} intentId - Payment intent ID
+ * @param {Object} params - { amount, metadata, idempotencyKey }
+ * @returns {Promise<Object>} Refund
+ */
+const createRefund = async (intentId, { amount, idempotencyKey }) => {
+  if (idempotencyKey && idempotentRefunds.has(idempotencyKey)) {
+    return { ...idempotentRefunds.get(idempotencyKey) };
+  }
+
+  const intent = findIntent(intentId);
+  if (intent.status !== 'succeeded') {
+    rejectTransition(intent, 'refund');
+  }
+  if (amount <= 0 || intent.amountRefunded + amount > intent.amountReceived) {
+    const error = new Error(`Refund of ${amount} exceeds the unrefunded amount of ${intent.amountReceived - intent.amountRefunded}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  intent.amountRefunded += amount;
+  const refund = {
+    id: `re_mock_${crypto.randomBytes(12).toString('hex')}`,
+    status: 'succeeded',
+    amount,
+    currency: intent.currency,
+    paymentId: intent.id
+  };
+
+  if (idempotencyKey) {
+    idempotentRefunds.set(idempotencyKey, refund);
+  }
+
+  return { ...refund };
+};
+
+/**
+ * Verify and parse a webhook request
+ * Accepts Stripe-shaped event bodies ({ id, type, data: { object } })
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signatureHeader - X-Mock-Signature header
+ * @returns {Object|null} { id, type, intent, refund }, or null if the signature is invalid
+ */
+const constructWebhookEvent = (rawBody, signatureHeader) => {
+  if (!signature.verifySignature(rawBody, signatureHeader, getWebhookSecret())) {
+    return null;
+  }
+
+  const event = JSON.parse(rawBody.toString('utf8'));
+  const object = event.data && event.data.object;
+  const isRefund = object && object.object === 'refund';
+  return {
+    id: event.id,
+    type: event.type,
+    intent: object && !isRefund ? {
+      id: object.id,
+      status: object.status,
+      amount: object.amount,
+      amountReceived: object.amount_received,
+      currency: object.currency,
+      metadata: object.metadata || {}
+    } : null,
+    refund: isRefund ? {
+      id: object.id,
+      status: object.status,
+      amount: object.amount,
+      currency: object.currency,
+      paymentId: object.payment_intent
+    } : null
+  };
+};
+
+/**
+ * Sign a webhook body for delivery to the mock provider
+ * @param {string} payload - JSON event body
+ * @returns {string} X-Mock-Signature header value
+ */
+const signWebhookPayload = (payload) => signature.signPayload(payload, getWebhookSecret());
+
+module.exports = {
+  name: 'mock',
+  signatureHeader: 'x-mock-signature',
+  createPaymentIntent,
+  retrievePaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  getWebhookSecret,
+  constructWebhookEvent,
+  signWebhookPayload
+};
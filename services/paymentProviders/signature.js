@@ -0,0 +1,74 @@
+/**
+ * Webhook Signature Helpers
+ *
+ * Stripe-style webhook signatures: the header carries a timestamp and an
+ * HMAC-SHA256 of "<timestamp>.<raw body>", e.g. "t=1700000000,v1=5257a8...".
+ */
+
+const crypto = require('crypto');
+
+// Maximum age of a signed webhook before it is rejected as a replay
+const TOLERANCE_SECONDS = 300;
+
+/**
+ * Compute the signature of a payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Webhook signing secret
+ * @returns {string} Hex HMAC
+ */
+const computeSignature = (payload, timestamp, secret) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload.toString('utf8')}`)
+    .digest('hex');
+};
+
+/**
+ * Build a signature header for a payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [timestamp] - Unix timestamp in seconds
+ * @returns {string} Signature header value
+ */
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+};
+
+/**
+ * Verify a signature header against a payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} header - Signature header value
+ * @param {string} secret - Webhook signing secret
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True if a signature matches and is recent
+ */
+const verifySignature = (payload, header, secret, now = new Date()) => {
+  if (!payload || !header || !secret) {
+    return false;
+  }
+
+  const parts = header.split(',').map(part => part.split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    return false;
+  }
+
+  if (Math.abs(now.getTime() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(payload, timestamp, secret), 'hex');
+  return signatures.some((signature) => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
+
+module.exports = {
+  TOLERANCE_SECONDS,
+  signPayload,
+  verifySignature
+};
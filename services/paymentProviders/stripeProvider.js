@@ -0,0 +1,199 @@
+/**
+ * Stripe Payment Provider
+ *
+ * Talks to the Stripe REST API directly. Payment intents use manual capture,
+ * so the card is authorized at booking and charged when the booking is confirmed.
+ */
+
+const signature = require('./signature');
+
+const API_BASE = 'https://api.stripe.com/v1';
+
+/**
+ * Encode parameters as a Stripe form body, flattening nested objects
+ * ({ metadata: { bookingId } } becomes metadata[bookingId]=...)
+ * @param {Object} params - Request parameters
+ * @param {string} [prefix] - Key prefix for nested objects
+ * @returns {Array<string>} Encoded key=value pairs
+ */
+const encodeParams = (params, prefix) => {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([key, value]) => {
+      const name = prefix ? `${prefix}[${key}]` : key;
+      if (typeof value === 'object') {
+        return encodeParams(value, name);
+      }
+      return [`${encodeURIComponent(name)}=${encodeURIComponent(value)}`];
+    });
+};
+
+/**
+ * Send a request to the Stripe API
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} [params] - Form parameters
+ * @param {string} [idempotencyKey] - Idempotency key for retried requests
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With statusCode 502 when Stripe rejects the request
+ */
+const request = async (method, path, params, idempotencyKey) => {
+  const headers = {
+    Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+    'Content-Type': 'application/x-www-form-urlencoded'
+  };
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers,
+    body: params ? encodeParams(params).join('&') : undefined
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(`Stripe request failed: ${body.error ? body.error.message : response.statusText}`);
+    error.statusCode = 502;
+    throw error;
+  }
+
+  return body;
+};
+
+/**
+ * Convert a Stripe payment intent to the provider-neutral shape
+ * @param {Object} intent - Stripe payment intent
+ * @returns {Object} { id, status, amount, amountReceived, currency, clientSecret, metadata }
+ */
+const toIntent = (intent) => ({
+  id: intent.id,
+  status: intent.status,
+  amount: intent.amount,
+  amountReceived: intent.amount_received,
+  currency: intent.currency,
+  clientSecret: intent.client_secret,
+  metadata: intent.metadata || {}
+});
+
+/**
+ * Create a payment intent authorized now and captured later
+ * @param {Object} params - { amount, currency, metadata, idempotencyKey }
+ * @returns {Promise<Object>} Payment intent
+ */
+const createPaymentIntent = async ({ amount, currency, metadata, idempotencyKey }) => {
+  const intent = await request('POST', '/payment_intents', {
+    amount,
+    currency,
+    capture_method: 'manual',
+    automatic_payment_methods: { enabled: true },
+    metadata
+  }, idempotencyKey);
+  return toIntent(intent);
+};
+
+/**
+ * Retrieve a payment intent
+ * @param {string} intentId - Payment intent ID
+ * @returns {Promise<Object>} Payment intent
+ */
+const retrievePaymentIntent = async (intentId) => {
+  return toIntent(await request('GET', `/payment_intents/${encodeURIComponent(intentId)}`));
+};
+
+/**
+ * Capture an authorized payment intent
+ * Stripe releases the uncaptured remainder of a partial capture.
+ * @param {string} intentId - Payment intent ID
+ * @param {Object} [params] - { amount } to capture less than the authorized amount
+ * @returns {Promise<Object>} Payment intent
+ */
+const capturePaymentIntent = async (intentId, { amount } = {}) => {
+  const params = amount === undefined ? {} : { amount_to_capture: amount };
+  return toIntent(await request('POST', `/payment_intents/${encodeURIComponent(intentId)}/capture`, params, `capture-${intentId}`));
+};
+
+/**
+ * Cancel a payment intent, releasing any authorization
+ * @param {string} intentId - Payment intent ID
+ * @returns {Promise<Object>} Payment intent
+ */
+const cancelPaymentIntent = async (intentId) => {
+  return toIntent(await request('POST', `/payment_intents/${encodeURIComponent(intentId)}/cancel`, {}, `cancel-${intentId}`));
+};
+
+/**
+ * Convert a Stripe refund to the provider-neutral shape
+ * @param {Object} refund - Stripe refund
+ * @returns {Object} { id, status, amount, currency, paymentId }
+ */
+const toRefund = (refund) => ({
+  id: refund.id,
+  // requires_action and canceled refunds have not returned the money
+  status: ['pending', 'succeeded'].includes(refund.status) ? refund.status : 'failed',
+  amount: refund.amount,
+  currency: refund.currency,
+  paymentId: refund.payment_intent
+});
+
+/**
+ * Refund part or all of a captured payment intent
+ * @param {string} intentId - Payment intent ID
+ * @param {Object} params - { amount, metadata, idempotencyKey }
+ * @returns {Promise<Object>} Refund
+ */
+const createRefund = async (intentId, { amount, metadata, idempotencyKey }) => {
+  const refund = await request('POST', '/refunds', {
+    payment_intent: intentId,
+    amount,
+    reason: 'requested_by_customer',
+    metadata
+  }, idempotencyKey);
+  return toRefund(refund);
+};
+
+/**
+ * Get the webhook signing secret
+ * @returns {string} Secret
+ * @throws {Error} If STRIPE_WEBHOOK_SECRET is not set
+ */
+const getWebhookSecret = () => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+  }
+  return process.env.STRIPE_WEBHOOK_SECRET;
+};
+
+/**
+ * Verify and parse a webhook request
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signatureHeader - Stripe-Signature header
+ * @returns {Object|null} { id, type, intent, refund }, or null if the signature is invalid
+ */
+const constructWebhookEvent = (rawBody, signatureHeader) => {
+  if (!signature.verifySignature(rawBody, signatureHeader, getWebhookSecret())) {
+    return null;
+  }
+
+  const event = JSON.parse(rawBody.toString('utf8'));
+  const object = event.data && event.data.object;
+  return {
+    id: event.id,
+    type: event.type,
+    intent: object && object.object === 'payment_intent' ? toIntent(object) : null,
+    refund: object && object.object === 'refund' ? toRefund(object) : null
+  };
+};
+
+module.exports = {
+  name: 'stripe',
+  signatureHeader: 'stripe-signature',
+  createPaymentIntent,
+  retrievePaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  getWebhookSecret,
+  constructWebhookEvent
+};
@@ -0,0 +1,581 @@
+/**
+ * Payment Service
+ *
+ * Booking payments through the configured payment provider:
+ * - Payment intent per booking, authorized at booking time
+ * - Capture once the booking is confirmed, release if it is cancelled
+ * - Refund paid bookings on cancellation according to the cancellation policy
+ * - Session package purchases, captured at once and granted as credits
+ * - Payment status updates from provider webhooks
+ * - Captured payments and succeeded refunds posted to the revenue ledger
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Booking = require('../models/Booking');
+const PaymentEvent = require('../models/PaymentEvent');
+const Refund = require('../models/Refund');
+const PackagePurchase = require('../models/PackagePurchase');
+const paymentProviders = require('./paymentProviders');
+const invoiceService = require('./invoiceService');
+const creditService = require('./creditService');
+const ledgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+
+// Booking payment status for each provider intent status
+const INTENT_PAYMENT_STATUSES = {
+  requires_capture: 'authorized',
+  succeeded: 'paid',
+  canceled: 'voided'
+};
+
+// Payment statuses that provider intent updates never overwrite
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partially-refunded', 'refunded'];
+
+// Booking statuses in which an authorized payment is captured
+const CAPTURE_BOOKING_STATUSES = ['confirmed', 'completed', 'no-show'];
+
+/**
+ * Convert an amount to the smallest currency unit
+ * @param {number|string} amount - Amount, e.g. 120.50
+ * @returns {number} Amount in cents
+ */
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Get the provider that holds a booking's payment
+ * @param {Object} booking - Booking instance
+ * @returns {Object} Payment provider
+ */
+const getBookingProvider = (booking) => paymentProviders.getProvider(booking.paymentProvider || undefined);
+
+/**
+ * Describe a booking or package purchase payment for API responses
+ * @param {Object} booking - Booking or package purchase instance
+ * @param {Object} intent - Provider payment intent
+ * @returns {Object} { provider, intentId, intentStatus, paymentStatus, amount, currency, clientSecret }
+ */
+const serializePayment = (booking, intent) => ({
+  provider: booking.paymentProvider,
+  intentId: intent.id,
+  intentStatus: intent.status,
+  paymentStatus: booking.paymentStatus,
+  amount: intent.amount,
+  currency: intent.currency,
+  clientSecret: intent.clientSecret
+});
+
+/**
+ * Update a booking's payment status from a provider intent
+ * @param {Object} booking - Booking instance
+ * @param {Object} intent - Provider payment intent
+ * @returns {Promise<void>}
+ */
+const applyIntent = async (booking, intent) => {
+  const paymentStatus = INTENT_PAYMENT_STATUSES[intent.status];
+  if (!paymentStatus || paymentStatus === booking.paymentStatus ||
+      SETTLED_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    return;
+  }
+
+  const updates = { paymentStatus };
+  if (paymentStatus === 'paid') {
+    updates.paidAt = new Date();
+    // A partial capture, e.g. of a cancellation fee, collected less than the total
+    if (intent.amountReceived !== undefined && intent.amountReceived < toMinorUnits(booking.totalAmount)) {
+      updates.capturedAmount = intent.amountReceived / 100;
+    }
+  }
+
+  await booking.update(updates);
+  logger.info(`Booking ${booking.id} payment is now ${paymentStatus}`);
+
+  if (paymentStatus === 'paid') {
+    try {
+      await invoiceService.issueInvoice(booking);
+    } catch (error) {
+      logger.error(`Failed to issue invoice for booking ${booking.id}:`, error);
+    }
+
+    // A booking that finished before its payment was captured earns now
+    try {
+      await ledgerService.recordBookingPayment(booking);
+      await ledgerService.recognizeBookingEarnings(booking);
+    } catch (error) {
+      logger.error(`Failed to post payment of booking ${booking.id} to the ledger:`, error);
+    }
+  }
+};
+
+/**
+ * Recalculate a booking's payment status from its succeeded refunds
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<void>}
+ */
+const updateRefundedStatus = async (booking) => {
+  const refunded = await Refund.sum('amount', {
+    where: { bookingId: booking.id, status: 'succeeded' }
+  }) || 0;
+
+  let paymentStatus = 'paid';
+  if (toMinorUnits(refunded) >= toMinorUnits(booking.totalAmount)) {
+    paymentStatus = 'refunded';
+  } else if (refunded > 0) {
+    paymentStatus = 'partially-refunded';
+  }
+
+  if (paymentStatus !== booking.paymentStatus) {
+    await booking.update({ paymentStatus });
+    logger.info(`Booking ${booking.id} payment is now ${paymentStatus}`);
+  }
+};
+
+/**
+ * Post a succeeded refund to the revenue ledger, without failing the caller
+ * @param {Object} refund - Refund ledger entry
+ * @param {Object} booking - Refunded booking instance
+ * @returns {Promise<void>}
+ */
+const postRefund = async (refund, booking) => {
+  try {
+    await ledgerService.recordRefund(refund, booking);
+  } catch (error) {
+    logger.error(`Failed to post refund ${refund.id} to the ledger:`, error);
+  }
+};
+
+/**
+ * Record a pending refund in the ledger
+ * @param {Object} booking - Paid booking instance
+ * @param {Object} params - { amount, reason }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} Refund ledger entry
+ */
+const recordRefund = async (booking, { amount, reason }, transaction) => {
+  return await Refund.create({
+    bookingId: booking.id,
+    paymentProvider: booking.paymentProvider,
+    paymentId: booking.paymentId,
+    amount,
+    currency: paymentProviders.getCurrency(),
+    reason
+  }, { transaction });
+};
+
+/**
+ * Send a recorded refund to the provider
+ * A failed provider call marks the ledger entry failed rather than leaving no trace.
+ * @param {Object} booking - Paid booking instance
+ * @param {Object} refund - Pending refund ledger entry
+ * @returns {Promise<Object>} Refund ledger entry
+ */
+const submitRefund = async (booking, refund) => {
+  try {
+    const providerRefund = await getBookingProvider(booking).createRefund(booking.paymentId, {
+      amount: toMinorUnits(refund.amount),
+      metadata: { bookingId: booking.id, refundId: refund.id },
+      idempotencyKey: `refund-${refund.id}`
+    });
+
+    await refund.update({
+      providerRefundId: providerRefund.id,
+      status: providerRefund.status
+    });
+  } catch (error) {
+    await refund.update({ status: 'failed', failureReason: error.message });
+    throw error;
+  }
+
+  await updateRefundedStatus(booking);
+  await postRefund(refund, booking);
+  logger.info(`Refund ${refund.id} of ${refund.amount} for booking ${booking.id} is ${refund.status}`);
+
+  return refund;
+};
+
+/**
+ * Refund part or all of a booking's captured payment
+ * @param {Object} booking - Paid booking instance
+ * @param {Object} params - { amount, reason }
+ * @returns {Promise<Object>} Refund ledger entry
+ */
+const refundBookingPayment = async (booking, params) => {
+  return await submitRefund(booking, await recordRefund(booking, params));
+};
+
+/**
+ * Describe the refund owed for a cancelled booking
+ * @param {Object} booking - Cancelled booking with cancellationOutcome
+ * @returns {string} Ledger reason
+ */
+const describeCancellationRefund = (booking) => {
+  const outcome = booking.cancellationOutcome || {};
+  if (outcome.fee > 0) {
+    return `Booking cancelled with ${outcome.noticeHours} hours notice; ${outcome.feePercent}% late-cancellation fee retained`;
+  }
+  return outcome.exempt ? `Booking cancelled (${outcome.exemptionReason}); full refund` : 'Booking cancelled; full refund';
+};
+
+/**
+ * Refund a cancelled booking the amount set by the cancellation policy
+ * A booking is refunded at most once; after a failed attempt the booking stays
+ * paid, so the next settlement tries again.
+ * @param {Object} booking - Cancelled booking instance
+ * @returns {Promise<Object|null>} Refund ledger entry, or null if nothing is due
+ */
+const refundCancelledBooking = async (booking) => {
+  if (toMinorUnits(booking.refundAmount || 0) <= 0) {
+    return null;
+  }
+
+  // Record the refund under a booking lock so a concurrent webhook cannot refund twice
+  const refund = await sequelize.transaction(async (transaction) => {
+    const current = await Booking.findByPk(booking.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const existing = await Refund.count({
+      where: { bookingId: booking.id, status: { [Op.ne]: 'failed' } },
+      transaction
+    });
+    if (current.paymentStatus !== 'paid' || existing > 0) {
+      return null;
+    }
+
+    return await recordRefund(booking, {
+      amount: booking.refundAmount,
+      reason: describeCancellationRefund(booking)
+    }, transaction);
+  });
+
+  return refund ? await submitRefund(booking, refund) : null;
+};
+
+/**
+ * Capture, release or refund a booking's payment to match its status
+ * Authorized payments are captured once the booking is confirmed. When it is
+ * cancelled, only the cancellation fee is captured and the rest released, or
+ * the whole authorization is released if there is no fee; paid bookings are
+ * refunded. A missed session is charged if it had been confirmed and released
+ * if it was still a request. Errors are logged rather than thrown so they never
+ * fail the caller.
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<void>}
+ */
+const settleBookingPayment = async (booking) => {
+  if (!booking.paymentId) {
+    return;
+  }
+
+  try {
+    const provider = getBookingProvider(booking);
+
+    const missedRequest = booking.status === 'no-show' && !booking.confirmedAt;
+
+    if (CAPTURE_BOOKING_STATUSES.includes(booking.status) && booking.paymentStatus === 'authorized' && !missedRequest) {
+      await applyIntent(booking, await provider.capturePaymentIntent(booking.paymentId));
+    } else if (missedRequest && ['pending', 'authorized'].includes(booking.paymentStatus)) {
+      await applyIntent(booking, await provider.cancelPaymentIntent(booking.paymentId));
+    } else if (booking.status === 'cancelled' && booking.paymentStatus === 'authorized' && toMinorUnits(booking.cancellationFee || 0) > 0) {
+      const amount = Math.min(toMinorUnits(booking.cancellationFee), toMinorUnits(booking.totalAmount));
+      await applyIntent(booking, await provider.capturePaymentIntent(booking.paymentId, { amount }));
+    } else if (booking.status === 'cancelled' && ['pending', 'authorized'].includes(booking.paymentStatus)) {
+      await applyIntent(booking, await provider.cancelPaymentIntent(booking.paymentId));
+    } else if (booking.status === 'cancelled' && booking.paymentStatus === 'paid') {
+      await refundCancelledBooking(booking);
+    }
+  } catch (error) {
+    logger.error(`Failed to settle payment of booking ${booking.id}:`, error);
+  }
+};
+
+/**
+ * Create the payment intent for a booking, or return the existing one
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<Object|null>} Serialized payment, or null for free bookings
+ */
+const createBookingPayment = async (booking) => {
+  const amount = toMinorUnits(booking.totalAmount);
+  if (amount <= 0) {
+    return null;
+  }
+
+  let intent;
+  if (booking.paymentId) {
+    intent = await getBookingProvider(booking).retrievePaymentIntent(booking.paymentId);
+  } else {
+    const provider = paymentProviders.getProvider();
+    intent = await provider.createPaymentIntent({
+      amount,
+      currency: paymentProviders.getCurrency(),
+      metadata: { bookingId: booking.id, patientId: booking.patientId },
+      idempotencyKey: `booking-${booking.id}`
+    });
+    await booking.update({ paymentProvider: provider.name, paymentId: intent.id });
+  }
+
+  await applyIntent(booking, intent);
+  // An auto-confirmed booking is captured as soon as it is authorized
+  await settleBookingPayment(booking);
+
+  return serializePayment(booking, intent);
+};
+
+/**
+ * Update a package purchase's payment status from a provider intent
+ * The purchase is locked so its credits are granted exactly once.
+ * @param {Object} purchase - Package purchase instance
+ * @param {Object} intent - Provider payment intent
+ * @returns {Promise<void>}
+ */
+const applyPurchaseIntent = async (purchase, intent) => {
+  const paymentStatus = INTENT_PAYMENT_STATUSES[intent.status];
+  if (!paymentStatus) {
+    return;
+  }
+
+  const changed = await sequelize.transaction(async (transaction) => {
+    const current = await PackagePurchase.findByPk(purchase.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (paymentStatus === current.paymentStatus || current.paymentStatus === 'paid') {
+      return false;
+    }
+
+    const updates = { paymentStatus };
+    if (paymentStatus === 'paid') {
+      updates.paidAt = new Date();
+    }
+    await current.update(updates, { transaction });
+
+    if (paymentStatus === 'paid') {
+      await creditService.grantPurchaseCredits(current, transaction);
+      await ledgerService.recordPurchasePayment(current, transaction);
+    }
+    return true;
+  });
+
+  if (changed) {
+    await purchase.reload();
+    logger.info(`Package purchase ${purchase.id} payment is now ${purchase.paymentStatus}`);
+  }
+};
+
+/**
+ * Capture an authorized package purchase
+ * Packages are charged as soon as they are authorized; errors are logged
+ * rather than thrown so they never fail the caller.
+ * @param {Object} purchase - Package purchase instance
+ * @returns {Promise<void>}
+ */
+const settlePurchasePayment = async (purchase) => {
+  if (!purchase.paymentId || purchase.paymentStatus !== 'authorized') {
+    return;
+  }
+
+  try {
+    const provider = getBookingProvider(purchase);
+    await applyPurchaseIntent(purchase, await provider.capturePaymentIntent(purchase.paymentId));
+  } catch (error) {
+    logger.error(`Failed to capture payment of package purchase ${purchase.id}:`, error);
+  }
+};
+
+/**
+ * Create the payment intent for a package purchase, or return the existing one
+ * Free packages are granted immediately.
+ * @param {Object} purchase - Package purchase instance
+ * @returns {Promise<Object|null>} Serialized payment, or null for free packages
+ */
+const createPurchasePayment = async (purchase) => {
+  const amount = toMinorUnits(purchase.price);
+  if (amount <= 0) {
+    await applyPurchaseIntent(purchase, { status: 'succeeded' });
+    return null;
+  }
+
+  let intent;
+  if (purchase.paymentId) {
+    intent = await getBookingProvider(purchase).retrievePaymentIntent(purchase.paymentId);
+  } else {
+    const provider = paymentProviders.getProvider();
+    intent = await provider.createPaymentIntent({
+      amount,
+      currency: paymentProviders.getCurrency(),
+      metadata: { packagePurchaseId: purchase.id, patientId: purchase.patientId },
+      idempotencyKey: `package-purchase-${purchase.id}`
+    });
+    await purchase.update({ paymentProvider: provider.name, paymentId: intent.id });
+  }
+
+  await applyPurchaseIntent(purchase, intent);
+  await settlePurchasePayment(purchase);
+
+  return serializePayment(purchase, intent);
+};
+
+/**
+ * Apply a payment intent event to a package purchase
+ * @param {Object} purchase - Package purchase instance
+ * @param {Object} event - { type, intent }
+ * @returns {Promise<void>}
+ */
+const applyPurchaseEvent = async (purchase, event) => {
+  switch (event.type) {
+    case 'payment_intent.amount_capturable_updated':
+    case 'payment_intent.succeeded':
+    case 'payment_intent.canceled':
+      await applyPurchaseIntent(purchase, event.intent);
+      await settlePurchasePayment(purchase);
+      break;
+    case 'payment_intent.payment_failed':
+      if (purchase.paymentStatus !== 'paid') {
+        await purchase.update({ paymentStatus: 'failed' });
+        logger.info(`Package purchase ${purchase.id} payment failed`);
+      }
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Find the booking a payment intent belongs to
+ * @param {Object} provider - Payment provider
+ * @param {Object} intent - Provider payment intent
+ * @returns {Promise<Object|null>} Booking instance
+ */
+const findBookingForIntent = async (provider, intent) => {
+  const booking = await Booking.findOne({
+    where: { paymentProvider: provider.name, paymentId: intent.id }
+  });
+  if (booking || !intent.metadata.bookingId) {
+    return booking;
+  }
+  return await Booking.findOne({
+    where: { id: intent.metadata.bookingId, paymentId: intent.id }
+  });
+};
+
+/**
+ * Apply a refund status update from the provider to the ledger
+ * @param {Object} provider - Payment provider
+ * @param {Object} providerRefund - Provider refund
+ * @returns {Promise<string|null>} Booking ID of the refund, or null if unknown
+ */
+const applyRefundUpdate = async (provider, providerRefund) => {
+  const refund = await Refund.findOne({
+    where: { paymentProvider: provider.name, providerRefundId: providerRefund.id },
+    include: [{ model: Booking, as: 'booking' }]
+  });
+
+  if (!refund) {
+    logger.info(`Refund ${providerRefund.id} matches no ledger entry`);
+    return null;
+  }
+
+  if (refund.status !== providerRefund.status) {
+    await refund.update({
+      status: providerRefund.status,
+      failureReason: providerRefund.status === 'failed' ? 'Refund failed at the payment provider' : null
+    });
+    await updateRefundedStatus(refund.booking);
+    await postRefund(refund, refund.booking);
+  }
+
+  return refund.bookingId;
+};
+
+/**
+ * Apply a newly recorded webhook event to its booking, package purchase or refund
+ * @param {Object} provider - Payment provider that sent the event
+ * @param {Object} event - { id, type, intent, refund } from provider.constructWebhookEvent
+ * @param {Object} record - The event's payment_events row
+ * @returns {Promise<string|null>} Booking ID of the event, or null
+ */
+const applyWebhookEvent = async (provider, event, record) => {
+  if (event.refund) {
+    const bookingId = await applyRefundUpdate(provider, event.refund);
+    await record.update({ bookingId });
+    return bookingId;
+  }
+
+  const booking = event.intent ? await findBookingForIntent(provider, event.intent) : null;
+  if (!booking) {
+    const purchase = event.intent ? await PackagePurchase.findOne({
+      where: { paymentProvider: provider.name, paymentId: event.intent.id }
+    }) : null;
+    if (purchase) {
+      await applyPurchaseEvent(purchase, event);
+      return null;
+    }
+
+    logger.info(`Payment event ${event.id} (${event.type}) matches no booking`);
+    return null;
+  }
+
+  await record.update({ bookingId: booking.id });
+
+  switch (event.type) {
+    case 'payment_intent.amount_capturable_updated':
+    case 'payment_intent.succeeded':
+    case 'payment_intent.canceled':
+      await applyIntent(booking, event.intent);
+      await settleBookingPayment(booking);
+      break;
+    case 'payment_intent.payment_failed':
+      if (!SETTLED_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+        await booking.update({ paymentStatus: 'failed' });
+        logger.info(`Booking ${booking.id} payment failed`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return booking.id;
+};
+
+/**
+ * Apply a verified webhook event
+ * Each provider event is applied once; redeliveries are acknowledged and ignored.
+ * If applying fails the event's record is deleted, so the provider's retry is
+ * applied rather than acknowledged as a duplicate.
+ * @param {Object} provider - Payment provider that sent the event
+ * @param {Object} event - { id, type, intent, refund } from provider.constructWebhookEvent
+ * @returns {Promise<Object>} { duplicate, bookingId }
+ */
+const handleWebhookEvent = async (provider, event) => {
+  let paymentId = null;
+  if (event.intent) {
+    paymentId = event.intent.id;
+  } else if (event.refund) {
+    paymentId = event.refund.paymentId;
+  }
+
+  const [record, created] = await PaymentEvent.findOrCreate({
+    where: { provider: provider.name, providerEventId: event.id },
+    defaults: {
+      type: event.type,
+      paymentId,
+      payload: event.intent || event.refund
+    }
+  });
+
+  if (!created) {
+    return { duplicate: true, bookingId: record.bookingId };
+  }
+
+  try {
+    const bookingId = await applyWebhookEvent(provider, event, record);
+    return { duplicate: false, bookingId };
+  } catch (error) {
+    await record.destroy();
+    throw error;
+  }
+};
+
+module.exports = {
+  toMinorUnits,
+  serializePayment,
+  settleBookingPayment,
+  refundBookingPayment,
+  createBookingPayment,
+  createPurchasePayment,
+  handleWebhookEvent
+};
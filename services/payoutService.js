@@ -0,0 +1,402 @@
+/**
+ * Payout Service
+ *
+ * Therapist payouts from the revenue ledger:
+ * - Weekly or monthly payout periods on the clinic's calendar
+ * - Closing a period into one payout per therapist with an outstanding balance
+ * - Marking payouts paid
+ * - Payout statements and earnings reports
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const LedgerJournal = require('../models/LedgerJournal');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Booking = require('../models/Booking');
+const ledgerService = require('./ledgerService');
+const paymentProviders = require('./paymentProviders');
+const timezone = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const { toMinorUnits } = ledgerService;
+
+// Booking fields shown next to earnings
+const BOOKING_ATTRIBUTES = ['id', 'startsAt', 'serviceName', 'sessionType', 'status'];
+
+// Periods listed by an earnings report without a start date
+const DEFAULT_REPORT_PERIODS = 12;
+
+/**
+ * Get payout settings
+ * PAYOUT_PERIOD is 'weekly' (Monday to Sunday) or 'monthly'.
+ * Balances below PAYOUT_MINIMUM_AMOUNT roll over to the next period.
+ * @returns {Object} { period, minimumAmount, timeZone }
+ */
+const getPayoutSettings = () => ({
+  period: process.env.PAYOUT_PERIOD === 'weekly' ? 'weekly' : 'monthly',
+  minimumAmount: parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT) || 0,
+  timeZone: timezone.DEFAULT_TIME_ZONE
+});
+
+/**
+ * Get the payout period containing a date
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {Object} { startKey, endKey, start, end } where endKey is the last
+ *   day of the period and end the instant the next period starts
+ */
+const getPeriodForDateKey = (dateKey) => {
+  const { period, timeZone } = getPayoutSettings();
+
+  let startKey;
+  let nextStartKey;
+  if (period === 'weekly') {
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    startKey = timezone.addDays(dateKey, -((weekday + 6) % 7));
+    nextStartKey = timezone.addDays(startKey, 7);
+  } else {
+    const [year, month] = dateKey.split('-').map(Number);
+    startKey = `${dateKey.slice(0, 7)}-01`;
+    nextStartKey = new Date(Date.UTC(year, month, 1)).toISOString().split('T')[0];
+  }
+
+  return {
+    startKey,
+    endKey: timezone.addDays(nextStartKey, -1),
+    start: timezone.zonedTimeToUtc(startKey, '00:00', timeZone),
+    end: timezone.zonedTimeToUtc(nextStartKey, '00:00', timeZone)
+  };
+};
+
+/**
+ * Get the payout period containing an instant
+ * @param {Date} date - Instant
+ * @returns {Object} { startKey, endKey, start, end }
+ */
+const getPayoutPeriod = (date) => {
+  return getPeriodForDateKey(timezone.toZonedDateKey(date, getPayoutSettings().timeZone));
+};
+
+/**
+ * Create a therapist's payout for a closed period
+ * Takes every unpaid earnings entry posted before the period ended, so
+ * balances below the minimum roll into the next payout.
+ * @param {string} therapistId - Therapist ID
+ * @param {Object} period - Closed payout period
+ * @returns {Promise<Object|null>} Payout, or null if none is due
+ */
+const createPayout = async (therapistId, period) => {
+  const { minimumAmount } = getPayoutSettings();
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const existing = await Payout.findOne({
+        where: { therapistId, periodStart: period.startKey },
+        transaction
+      });
+      if (existing) {
+        return null;
+      }
+
+      const entries = await LedgerEntry.findAll({
+        where: {
+          account: 'therapist_payable',
+          therapistId,
+          payoutId: null,
+          createdAt: { [Op.lt]: period.end }
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const balance = entries.reduce((sum, entry) => sum + toMinorUnits(entry.credit) - toMinorUnits(entry.debit), 0);
+      if (balance <= 0 || balance < toMinorUnits(minimumAmount)) {
+        return null;
+      }
+
+      const payout = await Payout.create({
+        therapistId,
+        periodStart: period.startKey,
+        periodEnd: period.endKey,
+        amount: balance / 100,
+        currency: paymentProviders.getCurrency(),
+        entryCount: entries.length
+      }, { transaction });
+
+      await LedgerEntry.update(
+        { payoutId: payout.id },
+        { where: { id: entries.map(entry => entry.id) }, transaction }
+      );
+
+      return payout;
+    });
+  } catch (error) {
+    // A concurrent close created it first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Close the last finished payout period
+ * Safe to run repeatedly: a therapist gets at most one payout per period.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array>} Payouts created
+ */
+const closePayoutPeriod = async (now = new Date()) => {
+  const current = getPayoutPeriod(now);
+  const period = getPayoutPeriod(new Date(current.start.getTime() - 1));
+
+  const therapists = await LedgerEntry.findAll({
+    attributes: ['therapistId'],
+    where: {
+      account: 'therapist_payable',
+      payoutId: null,
+      createdAt: { [Op.lt]: period.end }
+    },
+    group: ['therapistId'],
+    raw: true
+  });
+
+  const payouts = [];
+  for (const { therapistId } of therapists) {
+    const payout = await createPayout(therapistId, period);
+    if (payout) {
+      payouts.push(payout);
+    }
+  }
+
+  logger.info(`Closed payout period ${period.startKey} to ${period.endKey} with ${payouts.length} payouts`);
+  return payouts;
+};
+
+/**
+ * Mark a pending payout paid and post it to the ledger
+ * @param {string} payoutId - Payout ID
+ * @param {Object} params - { transferReference, paidBy }
+ * @returns {Promise<Object>} { payout } or { error: { statusCode, message } }
+ */
+const markPayoutPaid = async (payoutId, { transferReference, paidBy }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const payout = await Payout.findByPk(payoutId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!payout) {
+      return { error: { statusCode: 404, message: 'Payout not found' } };
+    }
+    if (payout.status !== 'pending') {
+      return { error: { statusCode: 400, message: `Cannot pay a ${payout.status} payout` } };
+    }
+
+    await payout.update({
+      status: 'paid',
+      transferReference: transferReference || null,
+      paidAt: new Date(),
+      paidBy
+    }, { transaction });
+    await ledgerService.recordPayout(payout, transaction);
+
+    return { payout };
+  });
+};
+
+/**
+ * Sum a journal's entries on an account
+ * @param {Object} journal - Journal with entries
+ * @param {string} account - Ledger account
+ * @returns {number} Credits less debits, in cents
+ */
+const sumAccount = (journal, account) => {
+  return journal.entries
+    .filter(entry => entry.account === account)
+    .reduce((sum, entry) => sum + toMinorUnits(entry.credit) - toMinorUnits(entry.debit), 0);
+};
+
+/**
+ * Describe an earnings journal: gross earned, platform commission and therapist net
+ * @param {Object} journal - Earnings journal with entries
+ * @returns {Object} { gross, commission, net } in cents
+ */
+const getJournalAmounts = (journal) => ({
+  gross: -sumAccount(journal, 'patient_deposits'),
+  commission: sumAccount(journal, 'platform_revenue'),
+  net: sumAccount(journal, 'therapist_payable')
+});
+
+/**
+ * Convert a running total in cents to amounts
+ * @param {Object} total - { gross, commission, net, sessions }
+ * @returns {Object} Total with amounts
+ */
+const formatTotal = (total) => ({
+  ...total,
+  gross: total.gross / 100,
+  commission: total.commission / 100,
+  net: total.net / 100
+});
+
+/**
+ * Add a journal to the total of a group
+ * @param {Map} groups - Totals by key
+ * @param {string} key - Group key
+ * @param {Object} fields - Fields describing the group
+ * @param {Object} amounts - { gross, commission, net } in cents
+ * @param {number} sessions - Sessions the journal adds
+ */
+const addToGroup = (groups, key, fields, amounts, sessions) => {
+  const total = groups.get(key) || { ...fields, gross: 0, commission: 0, net: 0, sessions: 0 };
+  total.gross += amounts.gross;
+  total.commission += amounts.commission;
+  total.net += amounts.net;
+  total.sessions += sessions;
+  groups.set(key, total);
+};
+
+/**
+ * Get a therapist's earnings report
+ * Totals are by the payout period earnings were recognized in, by service,
+ * by session type and by outcome (completed, no-show or late-cancellation).
+ * @param {string} therapistId - Therapist ID
+ * @param {Object} [range] - { from, to } dates in YYYY-MM-DD format; defaults
+ *   to the last 12 payout periods
+ * @returns {Promise<Object>} Earnings report
+ */
+const getEarningsReport = async (therapistId, { from, to } = {}) => {
+  const { period, timeZone } = getPayoutSettings();
+  const toKey = to || timezone.toZonedDateKey(new Date(), timeZone);
+
+  let fromKey = from;
+  if (!fromKey) {
+    let first = getPeriodForDateKey(toKey);
+    for (let i = 1; i < DEFAULT_REPORT_PERIODS; i++) {
+      first = getPeriodForDateKey(timezone.addDays(first.startKey, -1));
+    }
+    fromKey = first.startKey;
+  }
+
+  const journals = await LedgerJournal.findAll({
+    where: {
+      therapistId,
+      type: { [Op.in]: ['earnings', 'earnings-adjustment'] },
+      createdAt: {
+        [Op.gte]: timezone.zonedTimeToUtc(fromKey, '00:00', timeZone),
+        [Op.lt]: timezone.zonedTimeToUtc(timezone.addDays(toKey, 1), '00:00', timeZone)
+      }
+    },
+    include: [
+      { model: LedgerEntry, as: 'entries' },
+      { model: Booking, as: 'booking', attributes: BOOKING_ATTRIBUTES }
+    ],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const totals = { gross: 0, commission: 0, net: 0, sessions: 0 };
+  const byPeriod = new Map();
+  const byService = new Map();
+  const bySessionType = new Map();
+  const byOutcome = new Map();
+
+  for (const journal of journals) {
+    const amounts = getJournalAmounts(journal);
+    const sessions = journal.type === 'earnings' ? 1 : 0;
+    const booking = journal.booking || {};
+    const journalPeriod = getPayoutPeriod(journal.createdAt);
+    const serviceName = booking.serviceName || 'Session';
+    const sessionType = booking.sessionType || 'in-person';
+
+    totals.gross += amounts.gross;
+    totals.commission += amounts.commission;
+    totals.net += amounts.net;
+    totals.sessions += sessions;
+    addToGroup(byPeriod, journalPeriod.startKey, {
+      periodStart: journalPeriod.startKey,
+      periodEnd: journalPeriod.endKey
+    }, amounts, sessions);
+    addToGroup(byService, serviceName, { serviceName }, amounts, sessions);
+    addToGroup(bySessionType, sessionType, { sessionType }, amounts, sessions);
+    addToGroup(byOutcome, journal.metadata.basis, { outcome: journal.metadata.basis }, amounts, sessions);
+  }
+
+  const [unpaid, pendingPayouts] = await Promise.all([
+    LedgerEntry.findAll({
+      attributes: ['credit', 'debit'],
+      where: { account: 'therapist_payable', therapistId, payoutId: null }
+    }),
+    Payout.sum('amount', { where: { therapistId, status: 'pending' } })
+  ]);
+
+  return {
+    from: fromKey,
+    to: toKey,
+    period,
+    currency: paymentProviders.getCurrency(),
+    policy: ledgerService.getPayoutPolicy(),
+    totals: formatTotal(totals),
+    byPeriod: [...byPeriod.values()].map(formatTotal),
+    byService: [...byService.values()].map(formatTotal),
+    bySessionType: [...bySessionType.values()].map(formatTotal),
+    byOutcome: [...byOutcome.values()].map(formatTotal),
+    balance: {
+      unpaid: unpaid.reduce((sum, entry) => sum + toMinorUnits(entry.credit) - toMinorUnits(entry.debit), 0) / 100,
+      pendingPayouts: parseFloat(pendingPayouts || 0)
+    }
+  };
+};
+
+/**
+ * Get a payout statement: the earnings lines the payout is made of
+ * @param {Object} payout - Payout instance
+ * @returns {Promise<Object>} { payout, lines, totals }
+ */
+const getPayoutStatement = async (payout) => {
+  const entries = await LedgerEntry.findAll({
+    where: { payoutId: payout.id, account: 'therapist_payable' },
+    include: [{
+      model: LedgerJournal,
+      as: 'journal',
+      where: { type: { [Op.ne]: 'payout' } },
+      include: [
+        { model: LedgerEntry, as: 'entries' },
+        { model: Booking, as: 'booking', attributes: BOOKING_ATTRIBUTES }
+      ]
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const totals = { gross: 0, commission: 0, net: 0, sessions: 0 };
+  const lines = entries.map(entry => {
+    const { journal } = entry;
+    const amounts = getJournalAmounts(journal);
+
+    totals.gross += amounts.gross;
+    totals.commission += amounts.commission;
+    totals.net += amounts.net;
+    totals.sessions += journal.type === 'earnings' ? 1 : 0;
+
+    return {
+      postedAt: journal.createdAt,
+      type: journal.type,
+      description: journal.description,
+      outcome: journal.metadata ? journal.metadata.basis : null,
+      booking: journal.booking,
+      gross: amounts.gross / 100,
+      commission: amounts.commission / 100,
+      net: amounts.net / 100
+    };
+  });
+
+  return {
+    payout,
+    lines,
+    totals: formatTotal(totals)
+  };
+};
+
+module.exports = {
+  getPayoutSettings,
+  getPayoutPeriod,
+  closePayoutPeriod,
+  markPayoutPaid,
+  getEarningsReport,
+  getPayoutStatement
+};
@@ -0,0 +1,61 @@
+/**
+ * Pricing Service
+ *
+ * Resolves session duration and price for bookings:
+ * - Therapist-specific service rates
+ * - Hourly rate fallback for bookings without a service
+ */
+
+const Service = require('../models/Service');
+const TherapistService = require('../models/TherapistService');
+
+/**
+ * Calculate a session price from an hourly rate
+ * @param {number|string} hourlyRate - Therapist hourly rate
+ * @param {number} duration - Session duration in minutes
+ * @returns {number} Price rounded to cents
+ */
+const calculateHourlyPrice = (hourlyRate, duration) => {
+  return Math.round(((parseFloat(hourlyRate) * duration) / 60) * 100) / 100;
+};
+
+/**
+ * Resolve a therapist's rate for a service
+ * Duration falls back to the service default and price to the hourly rate
+ * when the therapist has not set them explicitly.
+ * @param {Object} therapist - Therapist instance
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Object|null>} { service, duration, price } or null if not offered
+ */
+const resolveServiceRate = async (therapist, serviceId) => {
+  const offering = await TherapistService.findOne({
+    where: {
+      therapistId: therapist.id,
+      serviceId
+    },
+    include: [{
+      model: Service,
+      as: 'service'
+    }]
+  });
+
+  if (!offering || !offering.service || !offering.service.isActive) {
+    return null;
+  }
+
+  const duration = offering.duration || offering.service.defaultDuration;
+  const price = offering.price !== null
+    ? parseFloat(offering.price)
+    : calculateHourlyPrice(therapist.hourlyRate, duration);
+
+  return {
+    service: offering.service,
+    duration,
+    price
+  };
+};
+
+module.exports = {
+  calculateHourlyPrice,
+  resolveServiceRate
+};
@@ -0,0 +1,83 @@
+/**
+ * Rate Limit Store
+ *
+ * Postgres-backed store for express-rate-limit, so limits hold across
+ * every instance of the API instead of per process.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Create a store for one rate limiter
+ * express-rate-limit needs a separate store per limiter.
+ * @param {string} prefix - Limiter name, prefixed to every key
+ * @returns {Object} express-rate-limit store
+ */
+const createPostgresStore = (prefix) => {
+  let windowMs;
+
+  return {
+    prefix: `${prefix}:`,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findByPk(`${this.prefix}${key}`);
+      if (!counter || counter.resetAt <= new Date()) {
+        return undefined;
+      }
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    },
+
+    // One statement, so concurrent requests from any instance count exactly
+    async increment(key) {
+      const [rows] = await sequelize.query(
+        `INSERT INTO rate_limit_counters ("key", "hits", "resetAt")
+         VALUES (:key, 1, :resetAt)
+         ON CONFLICT ("key") DO UPDATE SET
+           "hits" = CASE WHEN rate_limit_counters."resetAt" <= NOW() THEN 1 ELSE rate_limit_counters."hits" + 1 END,
+           "resetAt" = CASE WHEN rate_limit_counters."resetAt" <= NOW() THEN EXCLUDED."resetAt" ELSE rate_limit_counters."resetAt" END
+         RETURNING "hits", "resetAt"`,
+        {
+          replacements: {
+            key: `${this.prefix}${key}`,
+            resetAt: new Date(Date.now() + windowMs)
+          }
+        }
+      );
+
+      return { totalHits: rows[0].hits, resetTime: new Date(rows[0].resetAt) };
+    },
+
+    async decrement(key) {
+      await RateLimitCounter.decrement('hits', {
+        where: { key: `${this.prefix}${key}`, hits: { [Op.gt]: 0 } }
+      });
+    },
+
+    async resetKey(key) {
+      await RateLimitCounter.destroy({ where: { key: `${this.prefix}${key}` } });
+    }
+  };
+};
+
+/**
+ * Delete counters whose window has ended
+ * @param {Date} cutoff - Delete counters that reset before this
+ * @returns {Promise<number>} Counters deleted
+ */
+const deleteExpiredCounters = async (cutoff) => {
+  return await RateLimitCounter.destroy({
+    where: { resetAt: { [Op.lt]: cutoff } }
+  });
+};
+
+module.exports = {
+  createPostgresStore,
+  deleteExpiredCounters
+};
@@ -0,0 +1,70 @@
+/**
+ * Recurrence Service
+ *
+ * Generates occurrence dates for recurring booking series:
+ * - Weekly and biweekly series repeat on the same weekday
+ * - Monthly series repeat on the same day of the month, falling back to
+ *   the last day of shorter months
+ */
+
+const timezone = require('../utils/timezone');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// Upper bound on generated occurrences, regardless of end date or count
+const MAX_OCCURRENCES = parseInt(process.env.SERIES_MAX_OCCURRENCES) || 52;
+
+/**
+ * Get the date of the nth monthly occurrence
+ * @param {string} startDate - First occurrence in YYYY-MM-DD format
+ * @param {number} months - Months after the first occurrence
+ * @returns {string} Date key
+ */
+const addMonths = (startDate, months) => {
+  const [year, month, day] = startDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, daysInMonth));
+  return target.toISOString().split('T')[0];
+};
+
+/**
+ * Get the date of an occurrence
+ * @param {string} frequency - weekly, biweekly or monthly
+ * @param {string} startDate - First occurrence in YYYY-MM-DD format
+ * @param {number} index - 0-based occurrence index
+ * @returns {string} Date key
+ */
+const getOccurrenceDate = (frequency, startDate, index) => {
+  if (frequency === 'monthly') {
+    return addMonths(startDate, index);
+  }
+  return timezone.addDays(startDate, index * (frequency === 'biweekly' ? 14 : 7));
+};
+
+/**
+ * Generate the occurrence dates of a recurrence rule
+ * @param {Object} rule - { frequency, startDate, endDate, count }
+ * @returns {Array<string>} Date keys in chronological order
+ */
+const generateOccurrenceDates = ({ frequency, startDate, endDate, count }) => {
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let index = 0; index < limit; index++) {
+    const date = getOccurrenceDate(frequency, startDate, index);
+    if (endDate && date > endDate) {
+      break;
+    }
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  getOccurrenceDate,
+  generateOccurrenceDates
+};
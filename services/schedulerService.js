@@ -3,37 +3,47 @@
  * 
  * Handles scheduled tasks using node-cron:
  * - Send session reminders
+ * - Release expired slot holds
+ * - Expire waitlist offers and pass slots to the next patient
+ * - Escalate and expire unanswered booking requests
  * - Clean up expired tokens
+ * - Close payout periods
  * - Generate reports
  */
 
 const cron = require('node-cron');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
+const SlotHold = require('../models/SlotHold');
+const waitlistService = require('./waitlistService');
+const bookingStateService = require('./bookingStateService');
+const bookingRequestService = require('./bookingRequestService');
+const payoutService = require('./payoutService');
+const paymentService = require('./paymentService');
+const tokenService = require('./tokenService');
+const rateLimitStore = require('./rateLimitStore');
 const emailService = require('./emailService');
 const logger = require('../utils/logger');
 
 /**
  * Send session reminders for upcoming bookings
- * Runs daily at 9 AM
+ * Runs hourly and reminds sessions starting within the next 24 hours,
+ * so reminders go out at the same lead time in every time zone
  */
 const sendSessionReminders = async () => {
   try {
     logger.info('Starting session reminder job...');
     
-    // Get bookings for tomorrow that haven't been reminded
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    
-    const dayAfter = new Date(tomorrow);
-    dayAfter.setHours(23, 59, 59, 999);
+    // Get upcoming bookings that haven't been reminded
+    const now = new Date();
+    const reminderHorizon = new Date(now.getTime() + 24 * 60 * 60 * 1000);
 
     const bookings = await Booking.findAll({
       where: {
-        sessionDate: {
-          [Op.between]: [tomorrow, dayAfter]
+        startsAt: {
+          [Op.between]: [now, reminderHorizon]
         },
         status: {
           [Op.in]: ['pending', 'confirmed']
@@ -44,7 +54,7 @@ const sendSessionReminders = async () => {
         {
           model: require('../models/User'),
           as: 'patient',
-          attributes: ['id', 'firstName', 'lastName', 'email']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
         },
         {
           model: require('../models/Therapist'),
@@ -78,7 +88,63 @@ const sendSessionReminders = async () => {
 };
 
 /**
- * Clean up expired password reset tokens
+ * Release expired slot holds
+ * Runs every 5 minutes; expired holds already stop blocking slots,
+ * this removes them from the table
+ */
+const releaseExpiredHolds = async () => {
+  try {
+    const released = await SlotHold.destroy({
+      where: {
+        expiresAt: {
+          [Op.lte]: new Date()
+        }
+      }
+    });
+
+    if (released > 0) {
+      logger.info(`Released ${released} expired slot holds`);
+    }
+  } catch (error) {
+    logger.error('Error in slot hold release job:', error);
+  }
+};
+
+/**
+ * Expire unclaimed waitlist offers
+ * Runs every 5 minutes; each expired slot is offered to the next patient
+ */
+const expireWaitlistOffers = async () => {
+  try {
+    const expired = await waitlistService.expireOffers();
+
+    if (expired > 0) {
+      logger.info(`Expired ${expired} waitlist offers`);
+    }
+  } catch (error) {
+    logger.error('Error in waitlist offer expiry job:', error);
+  }
+};
+
+/**
+ * Escalate and expire unanswered booking requests
+ * Runs every 15 minutes
+ */
+const processPendingRequests = async () => {
+  try {
+    const escalated = await bookingRequestService.escalatePendingRequests();
+    const expired = await bookingRequestService.expirePendingRequests();
+
+    if (escalated > 0 || expired > 0) {
+      logger.info(`Escalated ${escalated} and expired ${expired} pending booking requests`);
+    }
+  } catch (error) {
+    logger.error('Error in pending booking request job:', error);
+  }
+};
+
+/**
+ * Clean up expired password reset tokens, sessions and rate limit counters
  * Runs daily at midnight
  */
 const cleanupExpiredTokens = async () => {
@@ -99,7 +165,10 @@ const cleanupExpiredTokens = async () => {
       }
     );
 
-    logger.info(`Cleaned up ${result[0]} expired tokens`);
+    const sessions = await tokenService.deleteExpiredSessions(new Date());
+    const counters = await rateLimitStore.deleteExpiredCounters(new Date());
+
+    logger.info(`Cleaned up ${result[0]} expired reset tokens, ${sessions} expired sessions and ${counters} rate limit counters`);
   } catch (error) {
     logger.error('Error in token cleanup job:', error);
   }
@@ -107,58 +176,126 @@ const cleanupExpiredTokens = async () => {
 
 /**
  * Mark no-show bookings
- * Runs daily at 11 PM
+ * Runs daily at 11 PM and marks sessions that ended over a day ago. Each
+ * booking is marked in its own transaction, so one failure doesn't stop the
+ * rest, and its payment is then settled.
  */
 const markNoShows = async () => {
   try {
     logger.info('Starting no-show marking job...');
     
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(23, 59, 59, 999);
+    const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
 
-    const result = await Booking.update(
-      {
-        status: 'no-show'
-      },
-      {
-        where: {
-          sessionDate: {
-            [Op.lt]: yesterday
-          },
-          status: {
-            [Op.in]: ['pending', 'confirmed']
+    const bookings = await Booking.findAll({
+      where: {
+        endsAt: {
+          [Op.lt]: cutoff
+        },
+        status: {
+          [Op.in]: ['pending', 'confirmed']
+        }
+      }
+    });
+
+    let marked = 0;
+
+    for (const booking of bookings) {
+      try {
+        const changed = await sequelize.transaction(async (transaction) => {
+          // The therapist may have completed or cancelled it since the query ran
+          const locked = await Booking.findByPk(booking.id, { transaction, lock: transaction.LOCK.UPDATE });
+          if (!['pending', 'confirmed'].includes(locked.status)) {
+            return false;
           }
+
+          await bookingStateService.transitionBooking(locked, 'no-show', {
+            actor: bookingStateService.SYSTEM_ACTOR,
+            reason: 'Session ended without being completed',
+            transaction
+          });
+          return true;
+        });
+
+        if (!changed) {
+          continue;
         }
+
+        marked++;
+        await booking.reload();
+        await paymentService.settleBookingPayment(booking);
+      } catch (error) {
+        logger.error(`Failed to mark booking ${booking.id} as no-show:`, error);
       }
-    );
+    }
 
-    logger.info(`Marked ${result[0]} bookings as no-show`);
+    logger.info(`Marked ${marked} bookings as no-show`);
   } catch (error) {
     logger.error('Error in no-show marking job:', error);
   }
 };
 
+/**
+ * Close the last finished payout period
+ * Runs daily; only the first run after a period ends creates payouts
+ */
+const closePayoutPeriod = async () => {
+  try {
+    const payouts = await payoutService.closePayoutPeriod();
+    if (payouts.length > 0) {
+      logger.info(`Created ${payouts.length} therapist payouts`);
+    }
+  } catch (error) {
+    logger.error('Error in payout period job:', error);
+  }
+};
+
 /**
  * Initialize all scheduled tasks
  */
 const initializeScheduler = () => {
-  // Send session reminders daily at 9 AM
-  cron.schedule('0 9 * * *', sendSessionReminders, {
+  // Daily jobs run on the clinic's clock; reminders are zone-independent
+  const timezone = process.env.SCHEDULER_TIMEZONE || 'UTC';
+
+  // Send session reminders hourly
+  cron.schedule('0 * * * *', sendSessionReminders, {
+    scheduled: true,
+    timezone
+  });
+
+  // Release expired slot holds every 5 minutes
+  cron.schedule('*/5 * * * *', releaseExpiredHolds, {
     scheduled: true,
-    timezone: 'America/New_York' // Adjust to your timezone
+    timezone
+  });
+
+  // Expire waitlist offers every 5 minutes
+  cron.schedule('*/5 * * * *', expireWaitlistOffers, {
+    scheduled: true,
+    timezone
+  });
+
+  // Escalate and expire pending booking requests every 15 minutes
+  cron.schedule('*/15 * * * *', processPendingRequests, {
+    scheduled: true,
+    timezone
   });
 
   // Clean up expired tokens daily at midnight
   cron.schedule('0 0 * * *', cleanupExpiredTokens, {
     scheduled: true,
-    timezone: 'America/New_York'
+    timezone
   });
 
   // Mark no-shows daily at 11 PM
   cron.schedule('0 23 * * *', markNoShows, {
     scheduled: true,
-    timezone: 'America/New_York'
+    timezone
+  });
+
+  // Close payout periods daily at 2 AM
+  cron.schedule('0 2 * * *', closePayoutPeriod, {
+    scheduled: true,
+    timezone
   });
 
   logger.info('Scheduler initialized');
@@ -171,8 +308,12 @@ const initializeScheduler = () => {
 
 module.exports = {
   sendSessionReminders,
+  releaseExpiredHolds,
+  expireWaitlistOffers,
+  processPendingRequests,
   cleanupExpiredTokens,
   markNoShows,
+  closePayoutPeriod,
   initializeScheduler
 };
 
@@ -0,0 +1,328 @@
+/**
+ * Scheduling Service
+ *
+ * Single scheduling engine shared by slot generation and booking validation.
+ * Dates and times are wall-clock values in the therapist's time zone.
+ * - Working windows for a date (weekly schedule plus exceptions)
+ * - Busy intervals from existing bookings and active slot holds, padded by the therapist's buffers
+ * - Slot generation at the therapist's slot interval
+ * - Availability check for a requested start time and duration, never in the past
+ * - Per-therapist locking so concurrent bookings cannot double-book
+ * - Resolution of a session request into therapist, service rate and slot
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Booking = require('../models/Booking');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const SlotHold = require('../models/SlotHold');
+const availabilityService = require('./availabilityService');
+const pricingService = require('./pricingService');
+const timezone = require('../utils/timezone');
+
+// Booking statuses that occupy the therapist's calendar
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+// Client-facing explanation and HTTP status for each checkSlot reason
+const SLOT_UNAVAILABLE_RESPONSES = {
+  past: { statusCode: 400, message: 'Session time must be in the future' },
+  'day-unavailable': { statusCode: 400, message: 'Therapist is not available on this day' },
+  'outside-hours': { statusCode: 400, message: 'Requested time is outside the therapist\'s working hours' },
+  conflict: { statusCode: 409, message: 'Time slot is already booked' }
+};
+
+/**
+ * Pad an interval with the therapist's buffers
+ * @param {Object} therapist - Therapist instance
+ * @param {number} start - Start in minutes
+ * @param {number} end - End in minutes
+ * @returns {{start: number, end: number}} Padded interval
+ */
+const padInterval = (therapist, start, end) => ({
+  start: start - (therapist.bufferBefore || 0),
+  end: end + (therapist.bufferAfter || 0)
+});
+
+/**
+ * Get the therapist's time zone
+ * @param {Object} therapist - Therapist instance
+ * @returns {string} IANA time zone
+ */
+const getTherapistTimeZone = (therapist) => therapist.timeZone || timezone.DEFAULT_TIME_ZONE;
+
+/**
+ * Convert an instant to minutes after midnight of a date in a zone
+ * Instants on neighbouring days yield negative or >1440 values.
+ * @param {Date} instant - Instant
+ * @param {string} dateKey - Reference date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Minutes relative to the reference date
+ */
+const toLocalMinutes = (instant, dateKey, timeZone) => {
+  const localDateKey = timezone.toZonedDateKey(instant, timeZone);
+  const dayOffset = Math.round(
+    (new Date(`${localDateKey}T00:00:00Z`) - new Date(`${dateKey}T00:00:00Z`)) / 86400000
+  );
+  return dayOffset * 1440 + availabilityService.timeToMinutes(timezone.toZonedTime(instant, timeZone));
+};
+
+/**
+ * Load the therapist's active bookings overlapping a local date
+ * @param {Object} therapist - Therapist instance
+ * @param {string} dateKey - Date in YYYY-MM-DD format (therapist's zone)
+ * @param {Object} options - { excludeBookingId (ID or array of IDs), transaction }
+ * @returns {Promise<Array>} Bookings
+ */
+const getBookingsForDate = async (therapist, dateKey, options = {}) => {
+  const timeZone = getTherapistTimeZone(therapist);
+  const dayStart = timezone.zonedTimeToUtc(dateKey, '00:00', timeZone);
+  const dayEnd = timezone.zonedTimeToUtc(timezone.addDays(dateKey, 1), '00:00', timeZone);
+  const where = {
+    therapistId: therapist.id,
+    startsAt: { [Op.lt]: dayEnd },
+    endsAt: { [Op.gt]: dayStart },
+    status: {
+      [Op.in]: ACTIVE_BOOKING_STATUSES
+    }
+  };
+
+  if (options.excludeBookingId) {
+    where.id = { [Op.notIn]: [].concat(options.excludeBookingId) };
+  }
+
+  return await Booking.findAll({
+    where,
+    attributes: ['id', 'startsAt', 'endsAt'],
+    transaction: options.transaction
+  });
+};
+
+/**
+ * Load the therapist's unexpired slot holds overlapping a local date
+ * @param {Object} therapist - Therapist instance
+ * @param {string} dateKey - Date in YYYY-MM-DD format (therapist's zone)
+ * @param {Object} options - { excludeHoldId, transaction }
+ * @returns {Promise<Array>} Slot holds
+ */
+const getHoldsForDate = async (therapist, dateKey, options = {}) => {
+  const timeZone = getTherapistTimeZone(therapist);
+  const dayStart = timezone.zonedTimeToUtc(dateKey, '00:00', timeZone);
+  const dayEnd = timezone.zonedTimeToUtc(timezone.addDays(dateKey, 1), '00:00', timeZone);
+  const where = {
+    therapistId: therapist.id,
+    startsAt: { [Op.lt]: dayEnd },
+    endsAt: { [Op.gt]: dayStart },
+    expiresAt: { [Op.gt]: new Date() }
+  };
+
+  if (options.excludeHoldId) {
+    where.id = { [Op.ne]: options.excludeHoldId };
+  }
+
+  return await SlotHold.findAll({
+    where,
+    attributes: ['id', 'startsAt', 'endsAt'],
+    transaction: options.transaction
+  });
+};
+
+/**
+ * Build the schedule of a therapist for a date
+ * @param {Object} therapist - Therapist instance
+ * @param {Date|string} date - Requested date (therapist's zone)
+ * @param {Object} options - { excludeBookingId, excludeHoldId, transaction }
+ * @returns {Promise<Object>} { dateKey, dayOfWeek, timeZone, windows, busy } with times in minutes
+ */
+const getDaySchedule = async (therapist, date, options = {}) => {
+  const { dateKey, dayOfWeek, windows } = await availabilityService.getWorkingWindows(therapist, date);
+  const bookings = windows.length > 0
+    ? await getBookingsForDate(therapist, dateKey, options)
+    : [];
+  const holds = windows.length > 0
+    ? await getHoldsForDate(therapist, dateKey, options)
+    : [];
+
+  const timeZone = getTherapistTimeZone(therapist);
+  const toBusyInterval = (item) => padInterval(
+    therapist,
+    toLocalMinutes(item.startsAt, dateKey, timeZone),
+    toLocalMinutes(item.endsAt, dateKey, timeZone)
+  );
+
+  const busy = [
+    ...bookings.map(booking => ({ ...toBusyInterval(booking), bookingId: booking.id })),
+    ...holds.map(hold => ({ ...toBusyInterval(hold), holdId: hold.id }))
+  ];
+
+  return { dateKey, dayOfWeek, timeZone, windows, busy };
+};
+
+/**
+ * Find busy intervals that collide with a candidate session
+ * Both the candidate and existing bookings are padded by the buffers.
+ * @param {Object} therapist - Therapist instance
+ * @param {Object} schedule - Result of getDaySchedule
+ * @param {number} start - Candidate start in minutes
+ * @param {number} duration - Candidate duration in minutes
+ * @returns {Array} Conflicting busy intervals
+ */
+const findConflicts = (therapist, schedule, start, duration) => {
+  const candidate = padInterval(therapist, start, start + duration);
+  return schedule.busy.filter(interval =>
+    candidate.start < interval.end && candidate.end > interval.start
+  );
+};
+
+/**
+ * Generate bookable slot start times
+ * Slots that have already started are left out.
+ * @param {Object} therapist - Therapist instance
+ * @param {Object} schedule - Result of getDaySchedule
+ * @param {number} duration - Session duration in minutes
+ * @param {Date} [now] - Reference time
+ * @returns {Array<string>} Slot start times in HH:MM format
+ */
+const generateSlots = (therapist, schedule, duration, now = new Date()) => {
+  const slotInterval = therapist.slotInterval || 60;
+  const slots = [];
+
+  schedule.windows.forEach((window) => {
+    for (let time = window.start; time + duration <= window.end; time += slotInterval) {
+      const startsAt = timezone.zonedTimeToUtc(schedule.dateKey, availabilityService.minutesToTime(time), schedule.timeZone);
+      if (startsAt > now && findConflicts(therapist, schedule, time, duration).length === 0) {
+        slots.push(availabilityService.minutesToTime(time));
+      }
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Check whether a session can be booked
+ * @param {Object} therapist - Therapist instance
+ * @param {Date|string} date - Session date (therapist's zone)
+ * @param {string} time - Session start time (HH:MM, therapist's zone)
+ * @param {number} duration - Session duration in minutes
+ * @param {Object} options - { excludeBookingId, excludeHoldId, transaction, now }
+ * @returns {Promise<Object>} { available, reason, schedule, startsAt } where reason is
+ *   'past', 'day-unavailable', 'outside-hours' or 'conflict' when unavailable
+ */
+const checkSlot = async (therapist, date, time, duration, options = {}) => {
+  const schedule = await getDaySchedule(therapist, date, options);
+  const startsAt = timezone.zonedTimeToUtc(schedule.dateKey, time, schedule.timeZone);
+
+  if (startsAt <= (options.now || new Date())) {
+    return { available: false, reason: 'past', schedule, startsAt };
+  }
+
+  if (schedule.windows.length === 0) {
+    return { available: false, reason: 'day-unavailable', schedule, startsAt };
+  }
+
+  const start = availabilityService.timeToMinutes(time);
+  if (!availabilityService.isWithinWindows(schedule.windows, start, start + duration)) {
+    return { available: false, reason: 'outside-hours', schedule, startsAt };
+  }
+
+  if (findConflicts(therapist, schedule, start, duration).length > 0) {
+    return { available: false, reason: 'conflict', schedule, startsAt };
+  }
+
+  return { available: true, reason: null, schedule, startsAt };
+};
+
+/**
+ * Run a callback in a transaction holding a row lock on the therapist
+ * Serializes slot checks and booking writes for one therapist so two
+ * requests cannot both pass the conflict check for the same interval.
+ * @param {string} therapistId - Therapist ID
+ * @param {Function} callback - async (transaction, therapist) => result
+ * @returns {Promise<*>} Callback result
+ */
+const withTherapistLock = async (therapistId, callback) => {
+  return await sequelize.transaction(async (transaction) => {
+    const therapist = await Therapist.findByPk(therapistId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    return await callback(transaction, therapist);
+  });
+};
+
+/**
+ * Resolve the therapist, service rate and wall-clock slot of a session request
+ * @param {Object} params - { therapistId, serviceId, startsAt, sessionDate, sessionTime, duration }
+ * @returns {Promise<Object>} { therapist, serviceRate, sessionDate, sessionTime, duration }
+ *   or { error: { statusCode, message } }
+ */
+const resolveSessionRequest = async (params) => {
+  const { therapistId, serviceId, startsAt } = params;
+  let { sessionDate, sessionTime, duration = 60 } = params;
+
+  // Validate therapist exists
+  const therapist = await Therapist.findByPk(therapistId, {
+    include: [{
+      model: User,
+      as: 'user'
+    }]
+  });
+
+  if (!therapist) {
+    return { error: { statusCode: 404, message: 'Therapist not found' } };
+  }
+
+  if (!therapist.isVerified) {
+    return { error: { statusCode: 400, message: 'Therapist is not verified' } };
+  }
+
+  // Resolve duration and price from the therapist's service rate
+  let serviceRate = null;
+  if (serviceId) {
+    serviceRate = await pricingService.resolveServiceRate(therapist, serviceId);
+    if (!serviceRate) {
+      return { error: { statusCode: 400, message: 'Therapist does not offer this service' } };
+    }
+    duration = serviceRate.duration;
+  }
+
+  // An absolute start instant is converted to the therapist's wall-clock time
+  if (startsAt) {
+    sessionDate = timezone.toZonedDateKey(new Date(startsAt), therapist.timeZone);
+    sessionTime = timezone.toZonedTime(new Date(startsAt), therapist.timeZone);
+  }
+
+  return { therapist, serviceRate, sessionDate, sessionTime, duration };
+};
+
+/**
+ * Describe a slot start time as a UTC instant, optionally in a viewer's zone
+ * @param {Object} schedule - Result of getDaySchedule
+ * @param {string} time - Slot start time (HH:MM, therapist's zone)
+ * @param {string} [viewerTimeZone] - IANA time zone of the viewer
+ * @returns {Object} { time, startsAt, localDate, localTime }
+ */
+const describeSlot = (schedule, time, viewerTimeZone) => {
+  const startsAt = timezone.zonedTimeToUtc(schedule.dateKey, time, schedule.timeZone);
+  const slot = { time, startsAt: startsAt.toISOString() };
+
+  if (viewerTimeZone) {
+    slot.localDate = timezone.toZonedDateKey(startsAt, viewerTimeZone);
+    slot.localTime = timezone.toZonedTime(startsAt, viewerTimeZone);
+  }
+
+  return slot;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  SLOT_UNAVAILABLE_RESPONSES,
+  getDaySchedule,
+  findConflicts,
+  generateSlots,
+  checkSlot,
+  withTherapistLock,
+  resolveSessionRequest,
+  describeSlot
+};
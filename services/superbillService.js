@@ -0,0 +1,265 @@
+/**
+ * Superbill Service
+ *
+ * Superbills patients submit for out-of-network reimbursement:
+ * - Completed sessions of a patient within a date range
+ * - Diagnosis (ICD-10) and procedure (CPT) codes per session
+ * - Provider license number and NPI
+ * - PDF rendering, one page per provider
+ */
+
+const { Op } = require('sequelize');
+const PDFDocument = require('pdfkit');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const Refund = require('../models/Refund');
+const PackagePurchase = require('../models/PackagePurchase');
+const invoiceService = require('./invoiceService');
+const paymentProviders = require('./paymentProviders');
+const timezone = require('../utils/timezone');
+
+// CMS place of service codes by session type
+const PLACE_OF_SERVICE = {
+  'in-person': '11', // Office
+  video: '10', // Telehealth provided in the patient's home
+  phone: '10'
+};
+
+/**
+ * Find a patient's completed sessions within a date range
+ * @param {Object} patient - Patient user instance
+ * @param {Object} range - { startDate, endDate, therapistId } dates as YYYY-MM-DD in the patient's zone
+ * @returns {Promise<Array>} Sessions with booking (refunds, packagePurchase) and therapist.user, oldest first
+ */
+const findSuperbillSessions = async (patient, { startDate, endDate, therapistId }) => {
+  const where = {
+    patientId: patient.id,
+    startTime: {
+      [Op.gte]: timezone.zonedTimeToUtc(startDate, '00:00', patient.timeZone),
+      [Op.lt]: timezone.zonedTimeToUtc(timezone.addDays(endDate, 1), '00:00', patient.timeZone)
+    }
+  };
+  if (therapistId) {
+    where.therapistId = therapistId;
+  }
+
+  return await Session.findAll({
+    where,
+    include: [
+      {
+        model: Booking,
+        as: 'booking',
+        where: { status: 'completed' },
+        include: [
+          {
+            model: Refund,
+            as: 'refunds',
+            required: false
+          },
+          {
+            model: PackagePurchase,
+            as: 'packagePurchase',
+            required: false
+          }
+        ]
+      },
+      {
+        model: Therapist,
+        as: 'therapist',
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName']
+        }]
+      }
+    ],
+    order: [['startTime', 'ASC']]
+  });
+};
+
+/**
+ * Get the fee and amount paid for a session's booking
+ * Sessions paid with a package credit are charged the credit's share of the package price.
+ * @param {Object} booking - Booking with refunds and packagePurchase
+ * @returns {Object} { fee, paid } paid net of refunds
+ */
+const getSessionCharge = (booking) => {
+  if (booking.packagePurchase) {
+    const creditValue = booking.packagePurchase.getCreditValue();
+    return { fee: creditValue, paid: creditValue };
+  }
+
+  const fee = parseFloat(booking.totalAmount);
+  if (!invoiceService.isInvoiceable(booking)) {
+    return { fee, paid: 0 };
+  }
+  const refunded = (booking.refunds || [])
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((total, refund) => total + parseFloat(refund.amount), 0);
+  return { fee, paid: fee - refunded };
+};
+
+/**
+ * Group sessions by provider, keeping session order
+ * @param {Array} sessions - Sessions with therapist
+ * @returns {Array} [{ therapist, sessions }]
+ */
+const groupByTherapist = (sessions) => {
+  const groups = new Map();
+  sessions.forEach((session) => {
+    if (!groups.has(session.therapistId)) {
+      groups.set(session.therapistId, { therapist: session.therapist, sessions: [] });
+    }
+    groups.get(session.therapistId).sessions.push(session);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Render a superbill as a PDF
+ * @param {Object} patient - Patient user instance
+ * @param {Array} sessions - Sessions from findSuperbillSessions
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Promise<Buffer>} PDF document
+ */
+const renderSuperbillPdf = (patient, sessions, { startDate, endDate }) => {
+  return new Promise((resolve, reject) => {
+    const clinic = invoiceService.getClinicDetails();
+    const currency = paymentProviders.getCurrency();
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `Superbill ${startDate} to ${endDate}`, Author: clinic.name }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const row = (label, value) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+      doc.font('Helvetica').text(value);
+    };
+    const section = (title) => {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(13).text(title, doc.page.margins.left);
+      doc.fontSize(10);
+    };
+
+    // Service line columns: [header, x, width]
+    const columns = [
+      ['Date', 50, 70],
+      ['POS', 120, 35],
+      ['CPT', 155, 70],
+      ['Diagnosis', 225, 130],
+      ['Minutes', 355, 50],
+      ['Fee', 405, 70],
+      ['Paid', 475, 70]
+    ];
+    const tableRow = (values, bold) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      const heights = values.map((value, i) => {
+        const [, , width] = columns[i];
+        return doc.heightOfString(value, { width });
+      });
+      // Start a new page rather than splitting a row across pages
+      if (doc.y + Math.max(...heights) > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      values.forEach((value, i) => {
+        const [, x, width] = columns[i];
+        doc.text(value, x, y, { width });
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = y + Math.max(...heights) + 4;
+    };
+
+    groupByTherapist(sessions).forEach(({ therapist, sessions: providerSessions }, index) => {
+      if (index > 0) {
+        doc.addPage();
+      }
+
+      // Clinic header
+      doc.font('Helvetica-Bold').fontSize(20).text(clinic.name);
+      doc.font('Helvetica').fontSize(10);
+      [clinic.address, clinic.email, clinic.phone].filter(Boolean).forEach(line => doc.text(line));
+      if (clinic.taxId) {
+        doc.text(`Tax ID: ${clinic.taxId}`);
+      }
+
+      doc.moveDown(1.5);
+      doc.font('Helvetica-Bold').fontSize(16).text('SUPERBILL');
+      doc.fontSize(10);
+      row('Statement Date', timezone.toZonedDateKey(new Date(), patient.timeZone));
+      row('Service Period', `${startDate} to ${endDate}`);
+
+      section('Patient');
+      row('Name', `${patient.firstName} ${patient.lastName}`);
+      if (patient.dateOfBirth) {
+        row('Date of Birth', new Date(patient.dateOfBirth).toISOString().split('T')[0]);
+      }
+      row('Email', patient.email);
+
+      section('Provider');
+      row('Name', `${therapist.user.firstName} ${therapist.user.lastName}`);
+      if (therapist.specialization && therapist.specialization.length > 0) {
+        row('Specialization', therapist.specialization.join(', '));
+      }
+      row('License Number', therapist.licenseNumber);
+      row('NPI', therapist.npi || 'Not on file');
+
+      // Diagnoses across the period, in order of first use
+      const diagnoses = [...new Set(providerSessions.flatMap(session => session.diagnosisCodes || []))];
+      section('Diagnoses (ICD-10)');
+      doc.font('Helvetica').text(diagnoses.length > 0
+        ? diagnoses.map((code, i) => `${i + 1}. ${code}`).join('    ')
+        : 'None recorded');
+
+      section('Services');
+      doc.moveDown(0.3);
+      tableRow(columns.map(([header]) => header), true);
+
+      let totalFee = 0;
+      let totalPaid = 0;
+      providerSessions.forEach((session) => {
+        const { booking } = session;
+        const { fee, paid } = getSessionCharge(booking);
+        totalFee += fee;
+        totalPaid += paid;
+
+        tableRow([
+          timezone.toZonedDateKey(new Date(session.startTime), patient.timeZone),
+          PLACE_OF_SERVICE[booking.sessionType] || '',
+          (session.procedureCodes || []).join(', ') || '-',
+          (session.diagnosisCodes || []).join(', ') || '-',
+          String(session.actualDuration || booking.duration),
+          fee.toFixed(2),
+          paid.toFixed(2)
+        ]);
+      });
+
+      doc.moveDown(0.5);
+      row('Total Charges', invoiceService.formatAmount(totalFee, currency));
+      row('Total Paid', invoiceService.formatAmount(totalPaid, currency));
+
+      doc.moveDown(2);
+      doc.font('Helvetica').fontSize(9).fillColor('#666666')
+        .text('POS 11 = office, POS 10 = telehealth in the patient\'s home. ' +
+          'Submit this superbill to your insurance provider to request out-of-network reimbursement.');
+      doc.fillColor('#000000');
+    });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  PLACE_OF_SERVICE,
+  findSuperbillSessions,
+  getSessionCharge,
+  renderSuperbillPdf
+};
@@ -0,0 +1,414 @@
+/**
+ * Token Service
+ *
+ * Authentication tokens and device sessions:
+ * - A device session per login, with user agent, IP and last-seen time
+ * - Short-lived access tokens (JWT_SECRET, JWT_EXPIRE) bound to their session
+ * - Refresh tokens (JWT_REFRESH_SECRET, JWT_REFRESH_EXPIRE), stored hashed and
+ *   rotated on every use; reusing a rotated token revokes its session
+ * - Revocation on logout, by the user, and on password changes
+ * - Two-factor challenge tokens between the password and code steps of a login
+ * - Email verification tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const RefreshToken = require('../models/RefreshToken');
+const twoFactorService = require('./twoFactorService');
+const logger = require('../utils/logger');
+
+// Lifetime of email verification links
+const EMAIL_VERIFICATION_EXPIRE = '7d';
+
+// Time allowed between the password and two-factor steps of a login
+const TWO_FACTOR_CHALLENGE_EXPIRE = '10m';
+
+// Minimum time between last-seen updates of a session
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const INVALID_REFRESH_TOKEN = { statusCode: 401, message: 'Invalid or expired refresh token' };
+
+/**
+ * Hash a token for storage
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate an access token
+ * @param {Object} user - User instance
+ * @param {string} sessionId - Device session the access token belongs to
+ * @returns {string} JWT access token
+ */
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign({ id: user.id, type: 'access', sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+/**
+ * Generate an email verification token
+ * @param {Object} user - User instance
+ * @returns {string} JWT verification token
+ */
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign({ id: user.id, type: 'email-verification' }, process.env.JWT_SECRET, {
+    expiresIn: EMAIL_VERIFICATION_EXPIRE
+  });
+};
+
+/**
+ * Generate a challenge token for the second step of a login
+ * @param {Object} user - User instance
+ * @param {string} purpose - 'verify' to enter a code, 'setup' to enroll first
+ * @returns {string} JWT challenge token
+ */
+const generateTwoFactorChallenge = (user, purpose) => {
+  return jwt.sign({ id: user.id, type: 'two-factor-challenge', purpose }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE
+  });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - JWT challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload, or null if invalid
+ */
+const verifyTwoFactorChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'two-factor-challenge' && decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Describe the device making a request
+ * @param {Object} req - Express request object
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Sign a refresh token
+ * @param {Object} user - User instance
+ * @param {string} sessionId - Device session (token family)
+ * @returns {Object} { id, token, expiresAt }
+ */
+const signRefreshToken = (user, sessionId) => {
+  const id = crypto.randomUUID();
+  const token = jwt.sign({ id: user.id, type: 'refresh', family: sessionId }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+    jwtid: id
+  });
+
+  return { id, token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Store a signed refresh token
+ * @param {Object} user - User instance
+ * @param {string} sessionId - Device session (token family)
+ * @param {Object} signed - { id, token, expiresAt } from signRefreshToken
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} Refresh token record
+ */
+const storeRefreshToken = async (user, sessionId, signed, transaction) => {
+  return await RefreshToken.create({
+    id: signed.id,
+    userId: user.id,
+    familyId: sessionId,
+    tokenHash: hashToken(signed.token),
+    expiresAt: signed.expiresAt
+  }, { transaction });
+};
+
+/**
+ * Issue a new token pair in an existing session and extend the session
+ * @param {Object} user - User instance
+ * @param {string} sessionId - Device session
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const issueSessionTokens = async (user, sessionId, transaction) => {
+  const signed = signRefreshToken(user, sessionId);
+  await storeRefreshToken(user, sessionId, signed, transaction);
+  await UserSession.update(
+    { expiresAt: signed.expiresAt, lastSeenAt: new Date() },
+    { where: { id: sessionId }, transaction }
+  );
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken: signed.token
+  };
+};
+
+/**
+ * Start a device session and issue its first token pair, recording the login
+ * @param {Object} user - User instance
+ * @param {Object} [client] - { userAgent, ipAddress } of the signing-in device
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const startSession = async (user, { userAgent, ipAddress } = {}) => {
+  return await sequelize.transaction(async (transaction) => {
+    await user.update({ lastLogin: new Date() }, { transaction });
+
+    const sessionId = crypto.randomUUID();
+    const signed = signRefreshToken(user, sessionId);
+
+    await UserSession.create({
+      id: sessionId,
+      userId: user.id,
+      userAgent: userAgent ? userAgent.slice(0, 512) : null,
+      ipAddress: ipAddress || null,
+      expiresAt: signed.expiresAt
+    }, { transaction });
+    await storeRefreshToken(user, sessionId, signed, transaction);
+
+    return {
+      token: generateAccessToken(user, sessionId),
+      refreshToken: signed.token
+    };
+  });
+};
+
+/**
+ * Revoke a session and every live refresh token in it
+ * @param {string} sessionId - Device session
+ * @param {string} reason - Revocation reason
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<boolean>} True if the session was live
+ */
+const revokeSession = async (sessionId, reason, transaction) => {
+  const now = new Date();
+  const [revoked] = await UserSession.update(
+    { revokedAt: now, revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null }, transaction }
+  );
+  await RefreshToken.update(
+    { revokedAt: now, revokedReason: reason },
+    { where: { familyId: sessionId, revokedAt: null }, transaction }
+  );
+  return revoked > 0;
+};
+
+/**
+ * Revoke a user's sessions, signing them out everywhere
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} [options] - { exceptSessionId, transaction } where
+ *   exceptSessionId is a session kept signed in
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId, transaction } = {}) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const sessions = await UserSession.findAll({ where, attributes: ['id'], transaction });
+  for (const session of sessions) {
+    await revokeSession(session.id, reason, transaction);
+  }
+  return sessions.length;
+};
+
+/**
+ * Replace a session's refresh tokens with a new pair, e.g. after a password change
+ * @param {Object} user - User instance
+ * @param {string} sessionId - Device session kept signed in
+ * @param {string} reason - Reason the previous tokens are revoked
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const renewSession = async (user, sessionId, reason) => {
+  return await sequelize.transaction(async (transaction) => {
+    await RefreshToken.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { familyId: sessionId, revokedAt: null }, transaction }
+    );
+    return await issueSessionTokens(user, sessionId, transaction);
+  });
+};
+
+/**
+ * Verify a refresh token's signature and type
+ * @param {string} token - JWT refresh token
+ * @param {Object} [options] - jsonwebtoken verify options
+ * @returns {Object|null} Decoded payload, or null if invalid
+ */
+const verifyRefreshToken = (token, options = {}) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET, options);
+    return decoded.type === 'refresh' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair in the same session
+ * The stored token is locked, so of two requests with the same token only
+ * the first succeeds; the second counts as reuse.
+ * @param {string} token - JWT refresh token
+ * @returns {Promise<Object>} { user, tokens } or { error: { statusCode, message } }
+ */
+const rotateRefreshToken = async (token) => {
+  if (!verifyRefreshToken(token)) {
+    return { error: INVALID_REFRESH_TOKEN };
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const stored = await RefreshToken.findOne({
+      where: { tokenHash: hashToken(token) },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!stored || stored.revokedAt || stored.expiresAt <= new Date()) {
+      return { error: INVALID_REFRESH_TOKEN };
+    }
+
+    // A rotated token used again has leaked: sign out every holder of the session
+    if (stored.rotatedAt) {
+      await revokeSession(stored.familyId, 'reuse-detected', transaction);
+      logger.warn(`Refresh token reuse detected for user ${stored.userId}; session ${stored.familyId} revoked`);
+      return { error: { statusCode: 401, message: 'Refresh token has already been used. Please sign in again.' } };
+    }
+
+    const user = await User.findByPk(stored.userId, {
+      attributes: { exclude: ['password'] },
+      transaction
+    });
+    if (!user || !user.isActive) {
+      await revokeSession(stored.familyId, 'user-inactive', transaction);
+      return { error: { statusCode: 401, message: 'User account is inactive' } };
+    }
+
+    // Sessions from before two-factor became mandatory must sign in again and enroll
+    if (!user.twoFactorEnabled && await twoFactorService.isTwoFactorRequired(user.role, transaction)) {
+      await revokeSession(stored.familyId, 'two-factor-required', transaction);
+      return { error: { statusCode: 401, message: 'Two-factor authentication is now required. Please sign in again to set it up.' } };
+    }
+
+    await stored.update({ rotatedAt: new Date() }, { transaction });
+    const tokens = await issueSessionTokens(user, stored.familyId, transaction);
+
+    return { user, tokens };
+  });
+};
+
+/**
+ * Revoke the session of a refresh token, e.g. on logout
+ * Expired tokens are accepted so a client can always sign out.
+ * @param {string} token - JWT refresh token
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} True if the token was known
+ */
+const revokeRefreshToken = async (token, reason) => {
+  if (!verifyRefreshToken(token, { ignoreExpiration: true })) {
+    return false;
+  }
+
+  const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(token) } });
+  if (!stored) {
+    return false;
+  }
+
+  await revokeSession(stored.familyId, reason);
+  return true;
+};
+
+/**
+ * Find the live session an access token belongs to
+ * @param {Object} decoded - Decoded access token
+ * @returns {Promise<Object|null>} Session, or null if unknown or revoked
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await UserSession.findByPk(decoded.sid);
+  if (!session || session.userId !== decoded.id || session.revokedAt) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Record that a session was used, at most every few minutes
+ * Errors are logged rather than thrown so they never fail the request.
+ * @param {Object} session - Session instance
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session) => {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < LAST_SEEN_INTERVAL_MS) {
+    return;
+  }
+
+  try {
+    await session.update({ lastSeenAt: new Date() });
+  } catch (error) {
+    logger.error(`Failed to update last-seen time of session ${session.id}:`, error);
+  }
+};
+
+/**
+ * Get a user's signed-in sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Live sessions
+ */
+const getActiveSessions = async (userId) => {
+  return await UserSession.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastSeenAt', 'expiresAt'],
+    order: [['lastSeenAt', 'DESC']]
+  });
+};
+
+/**
+ * Delete sessions and refresh tokens that expired before a cutoff
+ * @param {Date} cutoff - Expiry cutoff
+ * @returns {Promise<number>} Sessions deleted, with their refresh tokens
+ */
+const deleteExpiredSessions = async (cutoff) => {
+  await RefreshToken.destroy({
+    where: { expiresAt: { [Op.lt]: cutoff } }
+  });
+  return await UserSession.destroy({
+    where: { expiresAt: { [Op.lt]: cutoff } }
+  });
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateEmailVerificationToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getClientInfo,
+  startSession,
+  renewSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  findActiveSession,
+  touchSession,
+  getActiveSessions,
+  deleteExpiredSessions
+};
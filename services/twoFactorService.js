@@ -0,0 +1,261 @@
+/**
+ * Two-Factor Service
+ *
+ * TOTP two-factor authentication for therapists and admins:
+ * - Enrollment with an encrypted secret and an otpauth:// provisioning URI
+ * - Code verification, each code accepted once
+ * - One-time recovery codes, stored hashed
+ * - Per-role policy making two-factor authentication mandatory
+ */
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const RoleSecurityPolicy = require('../models/RoleSecurityPolicy');
+const totp = require('../utils/totp');
+
+// Roles that can enroll and be required to
+const TWO_FACTOR_ROLES = ['therapist', 'admin'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Get the key TOTP secrets are encrypted with
+ * @returns {Buffer} 256-bit key
+ */
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext, base64 encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} value - iv:tag:ciphertext from encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (value) => {
+  const [iv, tag, ciphertext] = value.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code, ignoring case, spaces and dashes
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Array<string>} Codes like "3f9a1-c07d2"
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Check whether a role may use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean} True for therapists and admins
+ */
+const isTwoFactorRole = (role) => TWO_FACTOR_ROLES.includes(role);
+
+/**
+ * Check whether an admin has made two-factor authentication mandatory for a role
+ * @param {string} role - User role
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<boolean>} True if required
+ */
+const isTwoFactorRequired = async (role, transaction) => {
+  if (!isTwoFactorRole(role)) {
+    return false;
+  }
+
+  const policy = await RoleSecurityPolicy.findOne({ where: { role }, transaction });
+  return Boolean(policy && policy.twoFactorRequired);
+};
+
+/**
+ * Get the two-factor policy of every role that can use it
+ * @returns {Promise<Array>} [{ role, twoFactorRequired, updatedAt }]
+ */
+const getPolicies = async () => {
+  const policies = await RoleSecurityPolicy.findAll({ where: { role: TWO_FACTOR_ROLES } });
+
+  return TWO_FACTOR_ROLES.map(role => {
+    const policy = policies.find(candidate => candidate.role === role);
+    return {
+      role,
+      twoFactorRequired: Boolean(policy && policy.twoFactorRequired),
+      updatedAt: policy ? policy.updatedAt : null
+    };
+  });
+};
+
+/**
+ * Make two-factor authentication mandatory or optional for a role
+ * @param {string} role - Therapist or admin
+ * @param {boolean} required - Whether it is mandatory
+ * @param {string} updatedBy - Admin user ID
+ * @returns {Promise<Object>} Policy
+ */
+const setPolicy = async (role, required, updatedBy) => {
+  const [policy] = await RoleSecurityPolicy.findOrCreate({
+    where: { role },
+    defaults: { twoFactorRequired: required, updatedBy }
+  });
+  await policy.update({ twoFactorRequired: required, updatedBy });
+  return policy;
+};
+
+/**
+ * Start enrollment with a new secret
+ * Replaces any secret from an unfinished enrollment.
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} { secret, otpauthUri } or { error: { statusCode, message } }
+ */
+const beginEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    return { error: { statusCode: 400, message: 'Two-factor authentication is already enabled' } };
+  }
+
+  const secret = totp.generateSecret();
+  await user.update({ twoFactorSecret: encryptSecret(secret) });
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Arohana Health'
+    })
+  };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {Object} user - User instance
+ * @param {string} code - Current code
+ * @returns {Promise<Object>} { recoveryCodes } or { error: { statusCode, message } }
+ */
+const enableTwoFactor = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    return { error: { statusCode: 400, message: 'Two-factor authentication is already enabled' } };
+  }
+  if (!user.twoFactorSecret) {
+    return { error: { statusCode: 400, message: 'Start two-factor setup first' } };
+  }
+
+  const counter = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+  if (counter === null) {
+    return { error: { statusCode: 400, message: 'Invalid authentication code' } };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await user.update({
+    twoFactorEnabled: true,
+    twoFactorLastCounter: counter,
+    twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    twoFactorEnabledAt: new Date()
+  });
+
+  return { recoveryCodes };
+};
+
+/**
+ * Check a second factor: an authenticator code or an unused recovery code
+ * The user row is locked so a code or recovery code is accepted only once.
+ * @param {Object} user - User instance
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} { valid, method, remainingRecoveryCodes }
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const current = await User.findByPk(user.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!current || !current.twoFactorEnabled) {
+      return { valid: false };
+    }
+
+    if (code) {
+      const counter = totp.verifyCode(decryptSecret(current.twoFactorSecret), code);
+      if (counter === null || (current.twoFactorLastCounter !== null && counter <= current.twoFactorLastCounter)) {
+        return { valid: false };
+      }
+
+      await current.update({ twoFactorLastCounter: counter }, { transaction });
+      return { valid: true, method: 'totp', remainingRecoveryCodes: current.twoFactorRecoveryCodes.length };
+    }
+
+    const hash = hashRecoveryCode(recoveryCode || '');
+    if (!current.twoFactorRecoveryCodes.includes(hash)) {
+      return { valid: false };
+    }
+
+    const remaining = current.twoFactorRecoveryCodes.filter(candidate => candidate !== hash);
+    await current.update({ twoFactorRecoveryCodes: remaining }, { transaction });
+    return { valid: true, method: 'recovery-code', remainingRecoveryCodes: remaining.length };
+  });
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {Object} user - User instance with two-factor enabled
+ * @returns {Promise<Array<string>>} New recovery codes
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await user.update({ twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+  return recoveryCodes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret
+ * @param {Object} user - User instance
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (user) => {
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorLastCounter: null,
+    twoFactorRecoveryCodes: [],
+    twoFactorEnabledAt: null
+  });
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  isTwoFactorRole,
+  isTwoFactorRequired,
+  getPolicies,
+  setPolicy,
+  beginEnrollment,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
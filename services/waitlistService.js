@@ -0,0 +1,307 @@
+/**
+ * Waitlist Service
+ *
+ * Offers open slots to waitlisted patients in the order they joined:
+ * - Match open slots against each patient's preferred days and time ranges
+ * - Reserve an offered slot with a hold until the offer expires
+ * - Pass the slot on when an offer is declined or expires
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const Therapist = require('../models/Therapist');
+const User = require('../models/User');
+const SlotHold = require('../models/SlotHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const availabilityService = require('./availabilityService');
+const schedulingService = require('./schedulingService');
+const emailService = require('./emailService');
+const timezone = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+/**
+ * Get the configured waitlist settings
+ * @returns {Object} { offerMinutes, lookaheadDays }
+ */
+const getWaitlistSettings = () => ({
+  offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES) || 60,
+  lookaheadDays: parseInt(process.env.WAITLIST_LOOKAHEAD_DAYS) || 14
+});
+
+/**
+ * Check whether a slot matches a waitlist entry's preferences
+ * @param {Object} entry - WaitlistEntry instance
+ * @param {Date} startsAt - Slot start instant
+ * @param {number} duration - Slot duration in minutes
+ * @returns {boolean} True if the slot matches
+ */
+const matchesPreferences = (entry, startsAt, duration) => {
+  const dayOfWeek = availabilityService.getDayOfWeek(timezone.toZonedDateKey(startsAt, entry.timeZone));
+  if (entry.preferredDays.length > 0 && !entry.preferredDays.includes(dayOfWeek)) {
+    return false;
+  }
+
+  if (entry.timeRanges.length === 0) {
+    return true;
+  }
+
+  const start = availabilityService.timeToMinutes(timezone.toZonedTime(startsAt, entry.timeZone));
+  return availabilityService.isWithinWindows(
+    entry.timeRanges.map(range => ({
+      start: availabilityService.timeToMinutes(range.start),
+      end: availabilityService.timeToMinutes(range.end)
+    })),
+    start,
+    start + duration
+  );
+};
+
+/**
+ * Reserve a slot for a waitlist entry and record the offer
+ * @param {Object} therapist - Therapist instance
+ * @param {Object} entry - WaitlistEntry instance
+ * @param {Object} slot - { dateKey, time, startsAt }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { offer, entry, token }
+ */
+const createOffer = async (therapist, entry, slot, transaction) => {
+  const { offerMinutes } = getWaitlistSettings();
+  const token = crypto.randomBytes(20).toString('hex');
+
+  // An offer never outlives the slot it offers
+  const expiresAt = new Date(Math.min(Date.now() + offerMinutes * 60000, slot.startsAt.getTime()));
+
+  const hold = await SlotHold.create({
+    patientId: entry.patientId,
+    therapistId: therapist.id,
+    serviceId: entry.serviceId,
+    sessionDate: slot.dateKey,
+    sessionTime: slot.time,
+    duration: entry.duration,
+    startsAt: slot.startsAt,
+    endsAt: new Date(slot.startsAt.getTime() + entry.duration * 60000),
+    purpose: 'waitlist-offer',
+    tokenHash: SlotHold.hashToken(token),
+    expiresAt
+  }, { transaction });
+
+  const offer = await WaitlistOffer.create({
+    entryId: entry.id,
+    therapistId: therapist.id,
+    holdId: hold.id,
+    startsAt: slot.startsAt,
+    duration: entry.duration,
+    expiresAt
+  }, { transaction });
+
+  await entry.update({ status: 'offered' }, { transaction });
+
+  return { offer, entry, token };
+};
+
+/**
+ * Offer a therapist's open slots to waiting patients
+ * Patients are served in the order they joined; each receives at most one
+ * offer, and never a slot they already declined or let expire.
+ * @param {string} therapistId - Therapist ID
+ * @param {Object} [range] - { from, to } date keys in the therapist's zone
+ * @returns {Promise<Array>} Created offers
+ */
+const offerOpenSlots = async (therapistId, range = {}) => {
+  const entries = await WaitlistEntry.findAll({
+    where: { therapistId, status: 'waiting' },
+    include: [{
+      model: User,
+      as: 'patient',
+      attributes: ['id', 'firstName', 'lastName', 'email', 'timeZone']
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const offers = await schedulingService.withTherapistLock(therapistId, async (transaction, therapist) => {
+    const { lookaheadDays } = getWaitlistSettings();
+    const now = new Date();
+    const today = timezone.toZonedDateKey(now, therapist.timeZone);
+    const lastDay = timezone.addDays(today, lookaheadDays - 1);
+    const from = range.from && range.from > today ? range.from : today;
+    const to = range.to && range.to < lastDay ? range.to : lastDay;
+
+    // Slots each entry already passed on
+    const passed = await WaitlistOffer.findAll({
+      where: {
+        entryId: { [Op.in]: entries.map(entry => entry.id) },
+        status: { [Op.in]: ['declined', 'expired'] }
+      },
+      attributes: ['entryId', 'startsAt'],
+      transaction
+    });
+    const passedSlots = new Set(passed.map(offer => `${offer.entryId}|${offer.startsAt.toISOString()}`));
+
+    const created = [];
+    let waiting = [...entries];
+
+    for (let dateKey = from; dateKey <= to && waiting.length > 0; dateKey = timezone.addDays(dateKey, 1)) {
+      let schedule = await schedulingService.getDaySchedule(therapist, dateKey, { transaction });
+      if (schedule.windows.length === 0) {
+        continue;
+      }
+
+      for (const entry of waiting) {
+        const slot = schedulingService.generateSlots(therapist, schedule, entry.duration)
+          .map(time => ({ dateKey, time, startsAt: timezone.zonedTimeToUtc(dateKey, time, therapist.timeZone) }))
+          .find(candidate =>
+            candidate.startsAt > now &&
+            !passedSlots.has(`${entry.id}|${candidate.startsAt.toISOString()}`) &&
+            matchesPreferences(entry, candidate.startsAt, entry.duration)
+          );
+
+        if (slot) {
+          created.push(await createOffer(therapist, entry, slot, transaction));
+          // The new hold makes the slot busy for the next patient
+          schedule = await schedulingService.getDaySchedule(therapist, dateKey, { transaction });
+        }
+      }
+
+      waiting = waiting.filter(entry => entry.status === 'waiting');
+    }
+
+    return created;
+  });
+
+  if (offers.length > 0) {
+    const therapist = await Therapist.findByPk(therapistId, {
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName', 'email']
+      }]
+    });
+
+    for (const { offer, entry, token } of offers) {
+      logger.info(`Waitlist offer ${offer.id} created for entry ${entry.id}`);
+      try {
+        await emailService.sendWaitlistOffer(entry, therapist, offer, token);
+      } catch (emailError) {
+        logger.error('Failed to send waitlist offer email:', emailError);
+      }
+    }
+  }
+
+  return offers;
+};
+
+/**
+ * Offer open slots on the date of a freed slot
+ * Errors are logged rather than thrown so they never fail the caller.
+ * @param {Object} freed - Booking or offer whose slot was freed ({ therapistId, startsAt })
+ * @returns {Promise<void>}
+ */
+const offerFreedSlot = async (freed) => {
+  try {
+    const therapist = await Therapist.findByPk(freed.therapistId, { attributes: ['id', 'timeZone'] });
+    const dateKey = timezone.toZonedDateKey(new Date(freed.startsAt), therapist.timeZone);
+    await offerOpenSlots(freed.therapistId, { from: dateKey, to: dateKey });
+  } catch (error) {
+    logger.error(`Failed to offer freed slot at ${freed.startsAt} to waitlist:`, error);
+  }
+};
+
+/**
+ * Offer slots after a therapist's availability opened up
+ * Errors are logged rather than thrown so they never fail the caller.
+ * @param {string} therapistId - Therapist ID
+ * @param {Object} [range] - { from, to } date keys in the therapist's zone
+ * @returns {Promise<void>}
+ */
+const offerNewAvailability = async (therapistId, range = {}) => {
+  try {
+    await offerOpenSlots(therapistId, range);
+  } catch (error) {
+    logger.error(`Failed to offer new availability of therapist ${therapistId} to waitlist:`, error);
+  }
+};
+
+/**
+ * Close a pending offer and release its slot
+ * Declined and expired offers return the entry to the waitlist.
+ * @param {Object} offer - WaitlistOffer instance
+ * @param {string} status - declined, expired or withdrawn
+ * @returns {Promise<void>}
+ */
+const closeOffer = async (offer, status) => {
+  await offer.update({ status, respondedAt: new Date() });
+
+  if (offer.holdId) {
+    await SlotHold.destroy({ where: { id: offer.holdId } });
+  }
+
+  if (status !== 'withdrawn') {
+    await WaitlistEntry.update(
+      { status: 'waiting' },
+      { where: { id: offer.entryId, status: 'offered' } }
+    );
+  }
+};
+
+/**
+ * Mark the waitlist offer behind a hold as claimed
+ * @param {Object} hold - SlotHold used to create the booking
+ * @param {Object} booking - Created booking
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const markOfferClaimed = async (hold, booking, transaction) => {
+  if (hold.purpose !== 'waitlist-offer') {
+    return;
+  }
+
+  const offer = await WaitlistOffer.findOne({
+    where: { holdId: hold.id, status: 'pending' },
+    transaction
+  });
+
+  if (offer) {
+    await offer.update({
+      status: 'claimed',
+      bookingId: booking.id,
+      respondedAt: new Date()
+    }, { transaction });
+    await WaitlistEntry.update({ status: 'booked' }, { where: { id: offer.entryId }, transaction });
+  }
+};
+
+/**
+ * Expire unclaimed offers and offer their slots to the next patients
+ * @returns {Promise<number>} Number of expired offers
+ */
+const expireOffers = async () => {
+  const offers = await WaitlistOffer.findAll({
+    where: {
+      status: 'pending',
+      expiresAt: { [Op.lte]: new Date() }
+    }
+  });
+
+  for (const offer of offers) {
+    await closeOffer(offer, 'expired');
+    await offerFreedSlot(offer);
+  }
+
+  return offers.length;
+};
+
+module.exports = {
+  getWaitlistSettings,
+  matchesPreferences,
+  offerOpenSlots,
+  offerFreedSlot,
+  offerNewAvailability,
+  closeOffer,
+  markOfferClaimed,
+  expireOffers
+};
@@ -0,0 +1,148 @@
+/* eslint-env jest */
+
+const bookingPolicyService = require('../../services/bookingPolicyService');
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+const PATIENT = { id: 'patient-1', role: 'patient' };
+
+/**
+ * Build a booking starting a number of hours after NOW
+ * @param {number} hoursAhead - Hours from NOW to the session start
+ * @param {Object} [fields] - Other booking fields
+ * @returns {Object} Booking stand-in
+ */
+const bookingStarting = (hoursAhead, fields = {}) => ({
+  startsAt: new Date(NOW.getTime() + hoursAhead * 3600000),
+  totalAmount: '120.00',
+  paymentStatus: 'paid',
+  packagePurchaseId: null,
+  ...fields
+});
+
+describe('bookingPolicyService', () => {
+  const originalWindows = process.env.CANCELLATION_WINDOWS;
+
+  afterEach(() => {
+    if (originalWindows === undefined) {
+      delete process.env.CANCELLATION_WINDOWS;
+    } else {
+      process.env.CANCELLATION_WINDOWS = originalWindows;
+    }
+  });
+
+  describe('evaluateCancellation', () => {
+    beforeEach(() => {
+      process.env.CANCELLATION_WINDOWS = '24:50,2:100';
+    });
+
+    it('charges no fee with enough notice and refunds a paid booking in full', () => {
+      const outcome = bookingPolicyService.evaluateCancellation(bookingStarting(48), null, PATIENT, NOW);
+
+      expect(outcome).toEqual({
+        policySource: 'clinic',
+        noticeHours: 48,
+        windowHours: null,
+        feePercent: 0,
+        fee: 0,
+        refundAmount: 120,
+        creditRestored: null,
+        exempt: false,
+        exemptionReason: null
+      });
+    });
+
+    it('applies the tightest window the notice falls within', () => {
+      const late = bookingPolicyService.evaluateCancellation(bookingStarting(10), null, PATIENT, NOW);
+      expect(late).toMatchObject({ windowHours: 24, feePercent: 50, fee: 60, refundAmount: 60 });
+
+      const veryLate = bookingPolicyService.evaluateCancellation(bookingStarting(1), null, PATIENT, NOW);
+      expect(veryLate).toMatchObject({ windowHours: 2, feePercent: 100, fee: 120, refundAmount: 0 });
+    });
+
+    it('treats notice equal to a window as outside it', () => {
+      const outcome = bookingPolicyService.evaluateCancellation(bookingStarting(24), null, PATIENT, NOW);
+      expect(outcome).toMatchObject({ windowHours: null, feePercent: 0 });
+    });
+
+    it('charges the full amount once the session has started', () => {
+      process.env.CANCELLATION_WINDOWS = '24:50';
+
+      const outcome = bookingPolicyService.evaluateCancellation(bookingStarting(-1), null, PATIENT, NOW);
+      expect(outcome).toMatchObject({ noticeHours: -1, windowHours: 0, feePercent: 100, fee: 120, refundAmount: 0 });
+    });
+
+    it('uses the therapist policy over the clinic policy', () => {
+      const therapist = { cancellationPolicy: { windows: [{ hours: 48, feePercent: 25 }] } };
+
+      const outcome = bookingPolicyService.evaluateCancellation(bookingStarting(36), therapist, PATIENT, NOW);
+      expect(outcome).toMatchObject({ policySource: 'therapist', windowHours: 48, feePercent: 25, fee: 30 });
+    });
+
+    it('exempts therapists, admins and the system, even after the start', () => {
+      const cases = [
+        ['therapist', 'therapist-initiated'],
+        ['admin', 'admin-initiated'],
+        ['system', 'system-initiated']
+      ];
+
+      cases.forEach(([role, exemptionReason]) => {
+        const outcome = bookingPolicyService.evaluateCancellation(bookingStarting(-1), null, { role }, NOW);
+        expect(outcome).toMatchObject({ exempt: true, exemptionReason, feePercent: 0, fee: 0, refundAmount: 120 });
+      });
+    });
+
+    it('refunds nothing for a booking that was not paid', () => {
+      const outcome = bookingPolicyService.evaluateCancellation(
+        bookingStarting(10, { paymentStatus: 'authorized' }), null, PATIENT, NOW
+      );
+      expect(outcome).toMatchObject({ fee: 60, refundAmount: 0 });
+    });
+
+    it('restores a package credit only when no fee applies', () => {
+      const creditBooking = (hoursAhead) => bookingStarting(hoursAhead, {
+        totalAmount: '0.00',
+        packagePurchaseId: 'purchase-1'
+      });
+
+      expect(bookingPolicyService.evaluateCancellation(creditBooking(48), null, PATIENT, NOW).creditRestored).toBe(true);
+      expect(bookingPolicyService.evaluateCancellation(creditBooking(10), null, PATIENT, NOW).creditRestored).toBe(false);
+    });
+
+    it('rounds the fee to cents', () => {
+      process.env.CANCELLATION_WINDOWS = '24:33';
+
+      const outcome = bookingPolicyService.evaluateCancellation(
+        bookingStarting(10, { totalAmount: '99.99' }), null, PATIENT, NOW
+      );
+      expect(outcome).toMatchObject({ fee: 33, refundAmount: 66.99 });
+    });
+  });
+
+  describe('getClinicCancellationPolicy', () => {
+    it('ignores malformed and out-of-range windows', () => {
+      process.env.CANCELLATION_WINDOWS = '24:50,abc,0:10,12:150,6:100';
+
+      expect(bookingPolicyService.getClinicCancellationPolicy().windows).toEqual([
+        { hours: 24, feePercent: 50 },
+        { hours: 6, feePercent: 100 }
+      ]);
+    });
+  });
+
+  describe('checkCancellation', () => {
+    it('refuses patients once the session has started', () => {
+      expect(bookingPolicyService.checkCancellation(bookingStarting(0), PATIENT, NOW)).toEqual({
+        allowed: false,
+        statusCode: 400,
+        message: 'Sessions that have already started cannot be cancelled'
+      });
+      expect(bookingPolicyService.checkCancellation(bookingStarting(-3), PATIENT, NOW).allowed).toBe(false);
+    });
+
+    it('allows patients before the start and therapists or admins at any time', () => {
+      expect(bookingPolicyService.checkCancellation(bookingStarting(0.5), PATIENT, NOW)).toEqual({ allowed: true });
+      expect(bookingPolicyService.checkCancellation(bookingStarting(-3), { role: 'therapist' }, NOW)).toEqual({ allowed: true });
+      expect(bookingPolicyService.checkCancellation(bookingStarting(-3), { role: 'admin' }, NOW)).toEqual({ allowed: true });
+    });
+  });
+});
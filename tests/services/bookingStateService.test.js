@@ -0,0 +1,142 @@
+/* eslint-env jest */
+
+jest.mock('../../models/BookingHistory', () => ({ create: jest.fn() }));
+jest.mock('../../services/creditService', () => ({ restoreBookingCredit: jest.fn() }));
+jest.mock('../../services/discountService', () => ({ releasePromoCode: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({ recognizeBookingEarnings: jest.fn() }));
+
+const BookingHistory = require('../../models/BookingHistory');
+const creditService = require('../../services/creditService');
+const discountService = require('../../services/discountService');
+const ledgerService = require('../../services/ledgerService');
+const bookingStateService = require('../../services/bookingStateService');
+
+/**
+ * Build a booking whose update applies the changes in memory
+ * @param {Object} fields - Booking fields
+ * @returns {Object} Booking stand-in
+ */
+const buildBooking = (fields) => {
+  const booking = { id: 'booking-1', ...fields };
+  booking.update = jest.fn(async (changes) => Object.assign(booking, changes));
+  return booking;
+};
+
+describe('bookingStateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('lists the statuses a role may move a booking to', () => {
+      expect(bookingStateService.getAllowedTransitions('pending', 'therapist')).toEqual(['confirmed', 'cancelled']);
+      expect(bookingStateService.getAllowedTransitions('pending', 'patient')).toEqual(['cancelled']);
+      expect(bookingStateService.getAllowedTransitions('confirmed', 'patient')).toEqual(['cancelled']);
+      expect(bookingStateService.getAllowedTransitions('no-show', 'admin')).toEqual(['completed']);
+    });
+
+    it('returns nothing from final or unknown statuses', () => {
+      expect(bookingStateService.getAllowedTransitions('completed', 'admin')).toEqual([]);
+      expect(bookingStateService.getAllowedTransitions('cancelled', 'admin')).toEqual([]);
+      expect(bookingStateService.getAllowedTransitions('unknown', 'admin')).toEqual([]);
+    });
+  });
+
+  describe('checkTransition', () => {
+    it('allows a listed transition for a listed role', () => {
+      expect(bookingStateService.checkTransition({ status: 'pending' }, 'confirmed', 'therapist'))
+        .toEqual({ allowed: true });
+      expect(bookingStateService.checkTransition({ status: 'confirmed' }, 'no-show', 'system'))
+        .toEqual({ allowed: true });
+    });
+
+    it('rejects a change to the current status', () => {
+      expect(bookingStateService.checkTransition({ status: 'confirmed' }, 'confirmed', 'admin'))
+        .toEqual({ allowed: false, statusCode: 400, message: 'Booking is already confirmed' });
+    });
+
+    it('rejects transitions out of final statuses with 400', () => {
+      expect(bookingStateService.checkTransition({ status: 'completed' }, 'cancelled', 'admin'))
+        .toEqual({ allowed: false, statusCode: 400, message: 'Cannot change a completed booking to cancelled' });
+    });
+
+    it('rejects roles not allowed to make a transition with 403', () => {
+      expect(bookingStateService.checkTransition({ status: 'pending' }, 'confirmed', 'patient'))
+        .toEqual({ allowed: false, statusCode: 403, message: 'Not authorized to change a pending booking to confirmed' });
+      expect(bookingStateService.checkTransition({ status: 'confirmed' }, 'completed', 'patient').statusCode)
+        .toBe(403);
+    });
+
+    it('does not let scheduled jobs cancel confirmed bookings', () => {
+      expect(bookingStateService.checkTransition({ status: 'confirmed' }, 'cancelled', 'system').allowed)
+        .toBe(false);
+    });
+  });
+
+  describe('getActor', () => {
+    it('builds the actor from the requesting user', () => {
+      expect(bookingStateService.getActor({ id: 'user-1', role: 'therapist', email: 'x@example.com' }))
+        .toEqual({ userId: 'user-1', role: 'therapist' });
+    });
+  });
+
+  describe('transitionBooking', () => {
+    const transaction = { id: 'transaction' };
+
+    it('saves the status with its timestamp and extra updates, and records the history', async () => {
+      const booking = buildBooking({ status: 'pending' });
+
+      await bookingStateService.transitionBooking(booking, 'confirmed', {
+        actor: { userId: 'user-1', role: 'therapist' },
+        reason: 'Accepted',
+        updates: { meetingLink: 'https://meet.example.com/abc' },
+        transaction
+      });
+
+      expect(booking.update).toHaveBeenCalledWith({
+        meetingLink: 'https://meet.example.com/abc',
+        status: 'confirmed',
+        confirmedAt: expect.any(Date)
+      }, { transaction });
+      expect(BookingHistory.create).toHaveBeenCalledWith({
+        bookingId: 'booking-1',
+        fromStatus: 'pending',
+        toStatus: 'confirmed',
+        changedBy: 'user-1',
+        actorRole: 'therapist',
+        reason: 'Accepted'
+      }, { transaction });
+      expect(ledgerService.recognizeBookingEarnings).toHaveBeenCalledWith(booking, transaction);
+      expect(creditService.restoreBookingCredit).not.toHaveBeenCalled();
+    });
+
+    it('restores the package credit and releases the promo code of a cancellation', async () => {
+      const booking = buildBooking({ status: 'pending' });
+
+      await bookingStateService.transitionBooking(booking, 'cancelled', {
+        actor: bookingStateService.SYSTEM_ACTOR,
+        transaction
+      });
+
+      expect(booking.status).toBe('cancelled');
+      expect(booking.cancelledAt).toEqual(expect.any(Date));
+      expect(creditService.restoreBookingCredit).toHaveBeenCalledWith(booking, transaction);
+      expect(discountService.releasePromoCode).toHaveBeenCalledWith(booking, transaction);
+      expect(BookingHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({ changedBy: null, actorRole: 'system', reason: null }),
+        { transaction }
+      );
+    });
+
+    it('throws with the status code and changes nothing when the transition is not allowed', async () => {
+      const booking = buildBooking({ status: 'completed' });
+
+      await expect(bookingStateService.transitionBooking(booking, 'cancelled', {
+        actor: { userId: 'user-1', role: 'patient' }
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Cannot change a completed booking to cancelled' });
+
+      expect(booking.update).not.toHaveBeenCalled();
+      expect(BookingHistory.create).not.toHaveBeenCalled();
+    });
+  });
+});
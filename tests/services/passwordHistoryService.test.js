@@ -0,0 +1,112 @@
+/* eslint-env jest */
+
+// In-memory table standing in for the model, newest rows first
+jest.mock('../../models/PasswordHistory', () => {
+  const rows = [];
+  const byUser = (where) => rows.filter(row => row.userId === where.userId);
+  return {
+    rows,
+    create: jest.fn(async (values) => {
+      const row = { id: `history-${rows.length + 1}`, ...values };
+      rows.unshift(row);
+      return row;
+    }),
+    findAll: jest.fn(async ({ where, limit }) => byUser(where).slice(0, limit)),
+    destroy: jest.fn(async ({ where }) => {
+      const { Op } = require('sequelize');
+      const keep = where.id ? where.id[Op.notIn] : [];
+      const removed = byUser(where).filter(row => !keep.includes(row.id));
+      removed.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return removed.length;
+    })
+  };
+});
+
+const bcrypt = require('bcryptjs');
+const PasswordHistory = require('../../models/PasswordHistory');
+const passwordHistoryService = require('../../services/passwordHistoryService');
+
+const hash = (password) => bcrypt.hashSync(password, 4);
+
+describe('passwordHistoryService', () => {
+  const user = { id: 'user-1', password: hash('Current-Pass-1') };
+
+  beforeEach(() => {
+    PasswordHistory.rows.length = 0;
+    jest.clearAllMocks();
+    delete process.env.PASSWORD_HISTORY_COUNT;
+  });
+
+  describe('isPasswordReused', () => {
+    beforeEach(async () => {
+      for (const password of ['Oldest-Pass-1', 'Older-Pass-1', 'Old-Pass-1']) {
+        await PasswordHistory.create({ userId: user.id, passwordHash: hash(password) });
+      }
+    });
+
+    it('rejects the current password and the remembered ones', async () => {
+      expect(await passwordHistoryService.isPasswordReused(user, 'Current-Pass-1')).toBe(true);
+      expect(await passwordHistoryService.isPasswordReused(user, 'Old-Pass-1')).toBe(true);
+      expect(await passwordHistoryService.isPasswordReused(user, 'Oldest-Pass-1')).toBe(true);
+      expect(await passwordHistoryService.isPasswordReused(user, 'Brand-New-Pass-1')).toBe(false);
+    });
+
+    it('only looks back PASSWORD_HISTORY_COUNT passwords, counting the current one', async () => {
+      process.env.PASSWORD_HISTORY_COUNT = '3';
+
+      expect(await passwordHistoryService.isPasswordReused(user, 'Older-Pass-1')).toBe(true);
+      expect(await passwordHistoryService.isPasswordReused(user, 'Oldest-Pass-1')).toBe(false);
+      expect(PasswordHistory.findAll).toHaveBeenLastCalledWith(expect.objectContaining({ limit: 2 }));
+    });
+
+    it('only rejects the current password when the count is 1', async () => {
+      process.env.PASSWORD_HISTORY_COUNT = '1';
+
+      expect(await passwordHistoryService.isPasswordReused(user, 'Current-Pass-1')).toBe(true);
+      expect(await passwordHistoryService.isPasswordReused(user, 'Old-Pass-1')).toBe(false);
+      expect(PasswordHistory.findAll).not.toHaveBeenCalled();
+    });
+
+    it('allows any password when the count is 0', async () => {
+      process.env.PASSWORD_HISTORY_COUNT = '0';
+
+      expect(await passwordHistoryService.isPasswordReused(user, 'Current-Pass-1')).toBe(false);
+      expect(PasswordHistory.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordPasswordChange', () => {
+    it('remembers the replaced password and prunes beyond the count', async () => {
+      process.env.PASSWORD_HISTORY_COUNT = '3';
+
+      for (const previousHash of ['hash-1', 'hash-2', 'hash-3', 'hash-4']) {
+        await passwordHistoryService.recordPasswordChange(user.id, previousHash);
+      }
+
+      expect(PasswordHistory.rows.map(row => row.passwordHash)).toEqual(['hash-4', 'hash-3']);
+    });
+
+    it('leaves the history of other users alone', async () => {
+      process.env.PASSWORD_HISTORY_COUNT = '2';
+      await PasswordHistory.create({ userId: 'user-2', passwordHash: 'other-hash' });
+
+      await passwordHistoryService.recordPasswordChange(user.id, 'hash-1');
+      await passwordHistoryService.recordPasswordChange(user.id, 'hash-2');
+
+      expect(PasswordHistory.rows.map(row => row.passwordHash)).toEqual(['hash-2', 'other-hash']);
+    });
+
+    it('keeps no history and clears the old one when the count is 0 or 1', async () => {
+      await PasswordHistory.create({ userId: user.id, passwordHash: 'hash-1' });
+
+      process.env.PASSWORD_HISTORY_COUNT = '1';
+      await passwordHistoryService.recordPasswordChange(user.id, 'hash-2');
+      expect(PasswordHistory.rows).toEqual([]);
+
+      process.env.PASSWORD_HISTORY_COUNT = '0';
+      await passwordHistoryService.recordPasswordChange(user.id, 'hash-3');
+      expect(PasswordHistory.rows).toEqual([]);
+      expect(PasswordHistory.create).toHaveBeenCalledTimes(1);
+    });
+  });
+});
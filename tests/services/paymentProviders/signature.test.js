@@ -0,0 +1,66 @@
+/* eslint-env jest */
+
+const signature = require('../../../services/paymentProviders/signature');
+
+const SECRET = 'whsec_test';
+const PAYLOAD = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' });
+const TIMESTAMP = 1700000000;
+const NOW = new Date(TIMESTAMP * 1000);
+
+describe('webhook signature', () => {
+  describe('signPayload', () => {
+    it('builds a Stripe-style header with the timestamp and an HMAC-SHA256', () => {
+      expect(signature.signPayload(PAYLOAD, SECRET, TIMESTAMP)).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    });
+
+    it('depends on the payload, the secret and the timestamp', () => {
+      const header = signature.signPayload(PAYLOAD, SECRET, TIMESTAMP);
+      expect(signature.signPayload(`${PAYLOAD} `, SECRET, TIMESTAMP)).not.toBe(header);
+      expect(signature.signPayload(PAYLOAD, 'whsec_other', TIMESTAMP)).not.toBe(header);
+      expect(signature.signPayload(PAYLOAD, SECRET, TIMESTAMP + 1)).not.toBe(header);
+    });
+  });
+
+  describe('verifySignature', () => {
+    const header = signature.signPayload(PAYLOAD, SECRET, TIMESTAMP);
+
+    it('accepts a valid signature of a string or Buffer payload', () => {
+      expect(signature.verifySignature(PAYLOAD, header, SECRET, NOW)).toBe(true);
+      expect(signature.verifySignature(Buffer.from(PAYLOAD), header, SECRET, NOW)).toBe(true);
+    });
+
+    it('rejects a tampered payload or the wrong secret', () => {
+      expect(signature.verifySignature(PAYLOAD.replace('evt_1', 'evt_2'), header, SECRET, NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, header, 'whsec_other', NOW)).toBe(false);
+    });
+
+    it('accepts any matching v1 signature, e.g. during secret rotation', () => {
+      const rotated = `${header},v1=${'0'.repeat(64)}`;
+      const reordered = `t=${TIMESTAMP},v1=${'0'.repeat(64)},${header.split(',')[1]}`;
+      expect(signature.verifySignature(PAYLOAD, rotated, SECRET, NOW)).toBe(true);
+      expect(signature.verifySignature(PAYLOAD, reordered, SECRET, NOW)).toBe(true);
+    });
+
+    it('rejects signatures outside the tolerance window', () => {
+      const tolerance = signature.TOLERANCE_SECONDS * 1000;
+      expect(signature.verifySignature(PAYLOAD, header, SECRET, new Date(NOW.getTime() + tolerance))).toBe(true);
+      expect(signature.verifySignature(PAYLOAD, header, SECRET, new Date(NOW.getTime() + tolerance + 1000))).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, header, SECRET, new Date(NOW.getTime() - tolerance - 1000))).toBe(false);
+    });
+
+    it('rejects missing or malformed headers', () => {
+      expect(signature.verifySignature(PAYLOAD, undefined, SECRET, NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, '', SECRET, NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, 'garbage', SECRET, NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, header.split(',')[1], SECRET, NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, `t=${TIMESTAMP}`, SECRET, NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, `t=${TIMESTAMP},v1=abc`, SECRET, NOW)).toBe(false);
+    });
+
+    it('rejects an empty payload or secret', () => {
+      expect(signature.verifySignature('', header, SECRET, NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, header, '', NOW)).toBe(false);
+      expect(signature.verifySignature(PAYLOAD, header, undefined, NOW)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/* eslint-env jest */
+
+const recurrenceService = require('../../services/recurrenceService');
+
+describe('recurrenceService', () => {
+  describe('generateOccurrenceDates', () => {
+    it('repeats weekly and biweekly series on the same weekday', () => {
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'weekly', startDate: '2024-12-23', count: 3 }))
+        .toEqual(['2024-12-23', '2024-12-30', '2025-01-06']);
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'biweekly', startDate: '2024-02-19', count: 3 }))
+        .toEqual(['2024-02-19', '2024-03-04', '2024-03-18']);
+    });
+
+    it('falls back to the last day of shorter months without drifting', () => {
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'monthly', startDate: '2024-01-31', count: 5 }))
+        .toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31']);
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'monthly', startDate: '2023-01-29', count: 3 }))
+        .toEqual(['2023-01-29', '2023-02-28', '2023-03-29']);
+    });
+
+    it('rolls monthly series over the year end', () => {
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'monthly', startDate: '2024-11-30', count: 4 }))
+        .toEqual(['2024-11-30', '2024-12-30', '2025-01-30', '2025-02-28']);
+    });
+
+    it('stops after the end date, including an occurrence on it', () => {
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'weekly', startDate: '2024-01-01', endDate: '2024-01-29' }))
+        .toEqual(['2024-01-01', '2024-01-08', '2024-01-15', '2024-01-22', '2024-01-29']);
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'weekly', startDate: '2024-01-01', endDate: '2024-01-28' }))
+        .toHaveLength(4);
+    });
+
+    it('produces nothing when the end date is before the start', () => {
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'weekly', startDate: '2024-01-08', endDate: '2024-01-01' }))
+        .toEqual([]);
+    });
+
+    it('caps every series at MAX_OCCURRENCES', () => {
+      const { MAX_OCCURRENCES } = recurrenceService;
+
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'weekly', startDate: '2024-01-01', count: MAX_OCCURRENCES + 10 }))
+        .toHaveLength(MAX_OCCURRENCES);
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'weekly', startDate: '2024-01-01', endDate: '2030-01-01' }))
+        .toHaveLength(MAX_OCCURRENCES);
+      expect(recurrenceService.generateOccurrenceDates({ frequency: 'monthly', startDate: '2024-01-01' }))
+        .toHaveLength(MAX_OCCURRENCES);
+    });
+
+    it('reads the cap from SERIES_MAX_OCCURRENCES', () => {
+      process.env.SERIES_MAX_OCCURRENCES = '3';
+      jest.isolateModules(() => {
+        const limited = require('../../services/recurrenceService');
+
+        expect(limited.MAX_OCCURRENCES).toBe(3);
+        expect(limited.generateOccurrenceDates({ frequency: 'weekly', startDate: '2024-01-01', count: 10 }))
+          .toEqual(['2024-01-01', '2024-01-08', '2024-01-15']);
+      });
+      delete process.env.SERIES_MAX_OCCURRENCES;
+    });
+  });
+
+  describe('getOccurrenceDate', () => {
+    it('returns the start date for the first occurrence', () => {
+      recurrenceService.FREQUENCIES.forEach((frequency) => {
+        expect(recurrenceService.getOccurrenceDate(frequency, '2024-03-15', 0)).toBe('2024-03-15');
+      });
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/* eslint-env jest */
+
+jest.mock('../../config/database', () => ({ sequelize: { transaction: jest.fn() } }));
+jest.mock('../../models/Booking', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/SlotHold', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/AvailabilityException', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/Therapist', () => ({ findByPk: jest.fn() }));
+jest.mock('../../models/User', () => ({}));
+jest.mock('../../services/pricingService', () => ({}));
+
+const { Op } = require('sequelize');
+const Booking = require('../../models/Booking');
+const SlotHold = require('../../models/SlotHold');
+const AvailabilityException = require('../../models/AvailabilityException');
+const schedulingService = require('../../services/schedulingService');
+
+// A Monday and a Sunday well in the future, so nothing counts as past by default
+const MONDAY = '2030-01-07';
+const SUNDAY = '2030-01-06';
+
+/**
+ * Build a therapist working 09:00-17:00 on weekdays in UTC
+ * @param {Object} [fields] - Other therapist fields
+ * @returns {Object} Therapist stand-in
+ */
+const buildTherapist = (fields = {}) => ({
+  id: 'therapist-1',
+  timeZone: 'UTC',
+  bufferBefore: 0,
+  bufferAfter: 0,
+  slotInterval: 60,
+  availability: {
+    monday: { available: true, windows: [{ start: '09:00', end: '17:00' }] },
+    sunday: { available: false, windows: [{ start: '09:00', end: '13:00' }] }
+  },
+  ...fields
+});
+
+/**
+ * Build a busy interval row on MONDAY
+ * @param {string} id - Row ID
+ * @param {string} start - Start (HH:MM, UTC)
+ * @param {string} end - End (HH:MM, UTC)
+ * @returns {Object} Booking or hold stand-in
+ */
+const busyRow = (id, start, end) => ({
+  id,
+  startsAt: new Date(`${MONDAY}T${start}:00Z`),
+  endsAt: new Date(`${MONDAY}T${end}:00Z`)
+});
+
+/**
+ * Build an availability exception on MONDAY
+ * @param {string} type - time-off or extra-availability
+ * @param {string} [startTime] - Start (HH:MM), none for a whole day
+ * @param {string} [endTime] - End (HH:MM)
+ * @returns {Object} Exception stand-in
+ */
+const exception = (type, startTime = null, endTime = null) => ({ type, startTime, endTime });
+
+describe('schedulingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Booking.findAll.mockResolvedValue([]);
+    SlotHold.findAll.mockResolvedValue([]);
+    AvailabilityException.findAll.mockResolvedValue([]);
+  });
+
+  describe('getDaySchedule', () => {
+    it('pads bookings and holds by the therapist\'s buffers', async () => {
+      Booking.findAll.mockResolvedValue([busyRow('booking-1', '10:00', '11:00')]);
+      SlotHold.findAll.mockResolvedValue([busyRow('hold-1', '14:00', '14:50')]);
+
+      const schedule = await schedulingService.getDaySchedule(buildTherapist({ bufferBefore: 10, bufferAfter: 15 }), MONDAY);
+
+      expect(schedule.busy).toEqual([
+        { start: 590, end: 675, bookingId: 'booking-1' },
+        { start: 830, end: 905, holdId: 'hold-1' }
+      ]);
+    });
+
+    it('places bookings in the therapist\'s time zone', async () => {
+      Booking.findAll.mockResolvedValue([busyRow('booking-1', '15:00', '16:00')]);
+
+      const schedule = await schedulingService.getDaySchedule(buildTherapist({ timeZone: 'America/New_York' }), MONDAY);
+
+      expect(schedule.busy).toEqual([{ start: 600, end: 660, bookingId: 'booking-1' }]);
+    });
+
+    it('skips the booking lookup on a day without working windows', async () => {
+      const schedule = await schedulingService.getDaySchedule(buildTherapist(), SUNDAY);
+
+      expect(schedule.windows).toEqual([]);
+      expect(Booking.findAll).not.toHaveBeenCalled();
+    });
+
+    it('adds extra availability, even on a day off', async () => {
+      AvailabilityException.findAll.mockResolvedValue([exception('extra-availability', '10:00', '12:00')]);
+
+      const schedule = await schedulingService.getDaySchedule(buildTherapist(), SUNDAY);
+
+      expect(schedule.windows).toEqual([{ start: 600, end: 720 }]);
+    });
+
+    it('lets time off win over extra availability, whatever their order', async () => {
+      AvailabilityException.findAll.mockResolvedValue([
+        exception('time-off', '16:00', '18:00'),
+        exception('extra-availability', '17:00', '19:00')
+      ]);
+
+      const schedule = await schedulingService.getDaySchedule(buildTherapist(), MONDAY);
+
+      expect(schedule.windows).toEqual([{ start: 540, end: 960 }, { start: 1080, end: 1140 }]);
+    });
+
+    it('clears the whole day for time off without times', async () => {
+      AvailabilityException.findAll.mockResolvedValue([
+        exception('extra-availability', '17:00', '19:00'),
+        exception('time-off')
+      ]);
+
+      const schedule = await schedulingService.getDaySchedule(buildTherapist(), MONDAY);
+
+      expect(schedule.windows).toEqual([]);
+    });
+  });
+
+  describe('findConflicts', () => {
+    const therapist = buildTherapist({ bufferBefore: 10, bufferAfter: 15 });
+    // Booking 10:00-11:00, padded to 09:50-11:15
+    const schedule = { busy: [{ start: 590, end: 675, bookingId: 'booking-1' }] };
+
+    it('pads the candidate by both buffers as well', () => {
+      // 11:00 pads to 10:50-12:15, 08:40 pads to 08:30-09:55
+      expect(schedulingService.findConflicts(therapist, schedule, 660, 60)).toHaveLength(1);
+      expect(schedulingService.findConflicts(therapist, schedule, 520, 60)).toHaveLength(1);
+    });
+
+    it('allows padded intervals that only touch', () => {
+      // 11:25 pads to 11:15-12:40, 08:35 pads to 08:25-09:50
+      expect(schedulingService.findConflicts(therapist, schedule, 685, 60)).toEqual([]);
+      expect(schedulingService.findConflicts(therapist, schedule, 515, 60)).toEqual([]);
+    });
+
+    it('treats back-to-back sessions as free without buffers', () => {
+      const unbuffered = { busy: [{ start: 600, end: 660 }] };
+
+      expect(schedulingService.findConflicts(buildTherapist(), unbuffered, 660, 60)).toEqual([]);
+      expect(schedulingService.findConflicts(buildTherapist(), unbuffered, 540, 60)).toEqual([]);
+      expect(schedulingService.findConflicts(buildTherapist(), unbuffered, 630, 15)).toHaveLength(1);
+    });
+  });
+
+  describe('generateSlots', () => {
+    const splitDay = {
+      monday: {
+        available: true,
+        windows: [{ start: '09:00', end: '12:30' }, { start: '13:30', end: '17:00' }]
+      }
+    };
+
+    it('fills each window of a split day without crossing the break', async () => {
+      const therapist = buildTherapist({ availability: splitDay });
+      const schedule = await schedulingService.getDaySchedule(therapist, MONDAY);
+
+      expect(schedulingService.generateSlots(therapist, schedule, 60))
+        .toEqual(['09:00', '10:00', '11:00', '13:30', '14:30', '15:30']);
+    });
+
+    it('spaces slot starts by the slot interval', async () => {
+      const therapist = buildTherapist({ slotInterval: 30, availability: splitDay });
+      const schedule = await schedulingService.getDaySchedule(therapist, MONDAY);
+
+      expect(schedulingService.generateSlots(therapist, schedule, 90))
+        .toEqual(['09:00', '09:30', '10:00', '10:30', '11:00', '13:30', '14:00', '14:30', '15:00', '15:30']);
+    });
+
+    it('leaves out slots colliding with buffered bookings', async () => {
+      const therapist = buildTherapist({ bufferAfter: 15 });
+      Booking.findAll.mockResolvedValue([busyRow('booking-1', '10:00', '11:00')]);
+      const schedule = await schedulingService.getDaySchedule(therapist, MONDAY);
+
+      // 09:00 ends at 10:15 once padded, and 11:00 starts inside the booking's buffer
+      expect(schedulingService.generateSlots(therapist, schedule, 60))
+        .toEqual(['12:00', '13:00', '14:00', '15:00', '16:00']);
+    });
+
+    it('leaves out slots that have already started, in the therapist\'s zone', async () => {
+      const therapist = buildTherapist({ timeZone: 'America/New_York' });
+      const schedule = await schedulingService.getDaySchedule(therapist, MONDAY);
+
+      // 15:00 UTC is 10:00 in New York
+      expect(schedulingService.generateSlots(therapist, schedule, 60, new Date(`${MONDAY}T15:00:00Z`)))
+        .toEqual(['11:00', '12:00', '13:00', '14:00', '15:00', '16:00']);
+    });
+  });
+
+  describe('checkSlot', () => {
+    it('returns the UTC start of an available slot', async () => {
+      const therapist = buildTherapist({ timeZone: 'America/New_York' });
+
+      const result = await schedulingService.checkSlot(therapist, MONDAY, '09:00', 60);
+
+      expect(result).toMatchObject({ available: true, reason: null });
+      expect(result.startsAt).toEqual(new Date(`${MONDAY}T14:00:00Z`));
+    });
+
+    it('rejects a start that is not after now', async () => {
+      const now = new Date(`${MONDAY}T09:00:00Z`);
+
+      expect(await schedulingService.checkSlot(buildTherapist(), MONDAY, '09:00', 60, { now }))
+        .toMatchObject({ available: false, reason: 'past' });
+      expect(await schedulingService.checkSlot(buildTherapist(), MONDAY, '10:00', 60, { now }))
+        .toMatchObject({ available: true });
+    });
+
+    it('rejects days off and sessions outside the working windows', async () => {
+      const therapist = buildTherapist({
+        availability: { monday: { available: true, windows: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }] } }
+      });
+
+      expect(await schedulingService.checkSlot(therapist, SUNDAY, '10:00', 60))
+        .toMatchObject({ available: false, reason: 'day-unavailable' });
+      expect(await schedulingService.checkSlot(therapist, MONDAY, '11:30', 60))
+        .toMatchObject({ available: false, reason: 'outside-hours' });
+      expect(await schedulingService.checkSlot(therapist, MONDAY, '16:30', 60))
+        .toMatchObject({ available: false, reason: 'outside-hours' });
+    });
+
+    it('rejects a session colliding with a booking or hold', async () => {
+      Booking.findAll.mockResolvedValue([busyRow('booking-1', '10:00', '11:00')]);
+      SlotHold.findAll.mockResolvedValue([busyRow('hold-1', '14:00', '15:00')]);
+
+      expect(await schedulingService.checkSlot(buildTherapist(), MONDAY, '10:30', 60))
+        .toMatchObject({ available: false, reason: 'conflict' });
+      expect(await schedulingService.checkSlot(buildTherapist(), MONDAY, '14:00', 30))
+        .toMatchObject({ available: false, reason: 'conflict' });
+      expect(await schedulingService.checkSlot(buildTherapist(), MONDAY, '11:00', 60))
+        .toMatchObject({ available: true });
+    });
+
+    it('leaves excluded bookings and holds out of the lookup', async () => {
+      await schedulingService.checkSlot(buildTherapist(), MONDAY, '10:00', 60, {
+        excludeBookingId: ['booking-1', 'booking-2'],
+        excludeHoldId: 'hold-1'
+      });
+
+      expect(Booking.findAll.mock.calls[0][0].where.id).toEqual({ [Op.notIn]: ['booking-1', 'booking-2'] });
+      expect(SlotHold.findAll.mock.calls[0][0].where.id).toEqual({ [Op.ne]: 'hold-1' });
+    });
+
+    it('has a client response for every reason', () => {
+      ['past', 'day-unavailable', 'outside-hours', 'conflict'].forEach((reason) => {
+        expect(schedulingService.SLOT_UNAVAILABLE_RESPONSES[reason]).toEqual({
+          statusCode: expect.any(Number),
+          message: expect.any(String)
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/* eslint-env jest */
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    transaction: async (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } })
+  }
+}));
+
+// In-memory tables standing in for the models
+jest.mock('../../models/RefreshToken', () => {
+  const rows = [];
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+  return {
+    rows,
+    create: jest.fn(async (values) => {
+      const row = { revokedAt: null, rotatedAt: null, ...values };
+      row.update = jest.fn(async (changes) => Object.assign(row, changes));
+      rows.push(row);
+      return row;
+    }),
+    findOne: jest.fn(async ({ where }) => rows.find(row => matches(row, where)) || null),
+    update: jest.fn(async (changes, { where }) => {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, changes));
+      return [matched.length];
+    })
+  };
+});
+
+jest.mock('../../models/UserSession', () => {
+  const rows = [];
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+  return {
+    rows,
+    create: jest.fn(async (values) => {
+      const row = { revokedAt: null, ...values };
+      rows.push(row);
+      return row;
+    }),
+    update: jest.fn(async (changes, { where }) => {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, changes));
+      return [matched.length];
+    })
+  };
+});
+
+jest.mock('../../models/User', () => ({ findByPk: jest.fn() }));
+jest.mock('../../services/twoFactorService', () => ({ isTwoFactorRequired: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const UserSession = require('../../models/UserSession');
+const RefreshToken = require('../../models/RefreshToken');
+const twoFactorService = require('../../services/twoFactorService');
+const tokenService = require('../../services/tokenService');
+
+const user = {
+  id: 'user-1',
+  role: 'patient',
+  isActive: true,
+  twoFactorEnabled: false,
+  update: jest.fn()
+};
+
+describe('tokenService.rotateRefreshToken', () => {
+  beforeEach(() => {
+    RefreshToken.rows.length = 0;
+    UserSession.rows.length = 0;
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue(user);
+    twoFactorService.isTwoFactorRequired.mockResolvedValue(false);
+  });
+
+  it('issues a new pair in the same session and retires the used token', async () => {
+    const { refreshToken } = await tokenService.startSession(user, { userAgent: 'jest', ipAddress: '127.0.0.1' });
+
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+
+    expect(result.error).toBeUndefined();
+    expect(result.user).toBe(user);
+    expect(result.tokens.refreshToken).not.toBe(refreshToken);
+    expect(jwt.decode(result.tokens.token).sid).toBe(UserSession.rows[0].id);
+    expect(jwt.decode(result.tokens.refreshToken).family).toBe(UserSession.rows[0].id);
+
+    const [used, issued] = RefreshToken.rows;
+    expect(used.rotatedAt).toEqual(expect.any(Date));
+    expect(issued.rotatedAt).toBeNull();
+    expect(issued.tokenHash).toBe(tokenService.hashToken(result.tokens.refreshToken));
+  });
+
+  it('revokes the whole session when a rotated token is used again', async () => {
+    const { refreshToken } = await tokenService.startSession(user);
+    const { tokens } = await tokenService.rotateRefreshToken(refreshToken);
+
+    const reuse = await tokenService.rotateRefreshToken(refreshToken);
+
+    expect(reuse).toEqual({
+      error: { statusCode: 401, message: 'Refresh token has already been used. Please sign in again.' }
+    });
+    expect(UserSession.rows[0]).toMatchObject({ revokedAt: expect.any(Date), revokedReason: 'reuse-detected' });
+    RefreshToken.rows.forEach(row => expect(row.revokedAt).toEqual(expect.any(Date)));
+
+    // The legitimate holder's newer token stops working too
+    const afterReuse = await tokenService.rotateRefreshToken(tokens.refreshToken);
+    expect(afterReuse).toEqual({ error: { statusCode: 401, message: 'Invalid or expired refresh token' } });
+  });
+
+  it('leaves other sessions of the user signed in after reuse', async () => {
+    const first = await tokenService.startSession(user);
+    const second = await tokenService.startSession(user);
+    await tokenService.rotateRefreshToken(first.refreshToken);
+
+    await tokenService.rotateRefreshToken(first.refreshToken);
+
+    const secondSessionId = jwt.decode(second.refreshToken).family;
+    expect(UserSession.rows.find(row => row.id === secondSessionId).revokedAt).toBeNull();
+    const result = await tokenService.rotateRefreshToken(second.refreshToken);
+    expect(result.error).toBeUndefined();
+  });
+
+  it('rejects tokens that are unsigned, unknown, expired or of another type', async () => {
+    const invalid = { error: { statusCode: 401, message: 'Invalid or expired refresh token' } };
+
+    expect(await tokenService.rotateRefreshToken('not-a-jwt')).toEqual(invalid);
+
+    const unknown = jwt.sign({ id: user.id, type: 'refresh', family: 'session-x' }, process.env.JWT_REFRESH_SECRET);
+    expect(await tokenService.rotateRefreshToken(unknown)).toEqual(invalid);
+
+    const expired = jwt.sign({ id: user.id, type: 'refresh', family: 'session-x' }, process.env.JWT_REFRESH_SECRET, { expiresIn: -10 });
+    expect(await tokenService.rotateRefreshToken(expired)).toEqual(invalid);
+
+    const access = jwt.sign({ id: user.id, type: 'access' }, process.env.JWT_REFRESH_SECRET);
+    expect(await tokenService.rotateRefreshToken(access)).toEqual(invalid);
+
+    expect(RefreshToken.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('revokes the session of an inactive user', async () => {
+    const { refreshToken } = await tokenService.startSession(user);
+    User.findByPk.mockResolvedValue({ ...user, isActive: false });
+
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+
+    expect(result.error).toEqual({ statusCode: 401, message: 'User account is inactive' });
+    expect(UserSession.rows[0].revokedReason).toBe('user-inactive');
+  });
+});
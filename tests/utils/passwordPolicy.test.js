@@ -0,0 +1,149 @@
+/* eslint-env jest */
+
+const passwordPolicy = require('../../utils/passwordPolicy');
+
+const POLICY_SETTINGS = [
+  'PASSWORD_MIN_LENGTH',
+  'PASSWORD_MAX_LENGTH',
+  'PASSWORD_MIN_CHARACTER_CLASSES',
+  'PASSWORD_HISTORY_COUNT'
+];
+
+const LENGTH_PROBLEM = 'Password must be between 12 and 128 characters';
+const CLASSES_PROBLEM = 'Password must use at least 3 of: lowercase letters, uppercase letters, numbers, symbols';
+const PERSONAL_PROBLEM = 'Password must not contain your name or email address';
+const COMMON_PROBLEM = 'Password is too common or has appeared in a data breach';
+
+describe('passwordPolicy', () => {
+  beforeEach(() => {
+    POLICY_SETTINGS.forEach(name => delete process.env[name]);
+  });
+
+  describe('getPasswordPolicy', () => {
+    it('defaults to 12-128 characters, 3 character classes and 5 remembered passwords', () => {
+      expect(passwordPolicy.getPasswordPolicy()).toEqual({
+        minLength: 12,
+        maxLength: 128,
+        minCharacterClasses: 3,
+        historyCount: 5
+      });
+    });
+
+    it('accepts 0 for the character classes and history count', () => {
+      process.env.PASSWORD_MIN_CHARACTER_CLASSES = '0';
+      process.env.PASSWORD_HISTORY_COUNT = '0';
+
+      expect(passwordPolicy.getPasswordPolicy()).toMatchObject({ minCharacterClasses: 0, historyCount: 0 });
+    });
+  });
+
+  describe('getPasswordProblems', () => {
+    it('accepts a long password mixing character classes', () => {
+      expect(passwordPolicy.getPasswordProblems('Tidal-Orbit-Lantern-42')).toEqual([]);
+    });
+
+    it('requires a password', () => {
+      expect(passwordPolicy.getPasswordProblems(undefined)).toEqual(['Password is required']);
+    });
+
+    it('enforces the minimum and maximum length', () => {
+      expect(passwordPolicy.getPasswordProblems('Tidal-Orb42')).toEqual([LENGTH_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('Tidal-Orbit4')).toEqual([]);
+      expect(passwordPolicy.getPasswordProblems(`Tidal-Orbit-42${'x'.repeat(115)}`)).toEqual([LENGTH_PROBLEM]);
+    });
+
+    it('reads the length limits from the environment', () => {
+      process.env.PASSWORD_MIN_LENGTH = '16';
+
+      expect(passwordPolicy.getPasswordProblems('Tidal-Orbit-42')).toEqual([
+        'Password must be between 16 and 128 characters'
+      ]);
+    });
+
+    it('requires the configured number of character classes', () => {
+      expect(passwordPolicy.getPasswordProblems('tidalorbitlantern')).toEqual([CLASSES_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('tidalorbitlantern42')).toEqual([CLASSES_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('tidal-orbit-lantern-42')).toEqual([]);
+
+      process.env.PASSWORD_MIN_CHARACTER_CLASSES = '4';
+      expect(passwordPolicy.getPasswordProblems('tidal-orbit-lantern-42')).toEqual([
+        'Password must use at least 4 of: lowercase letters, uppercase letters, numbers, symbols'
+      ]);
+    });
+
+    it('skips the character class rule when set to 0', () => {
+      process.env.PASSWORD_MIN_CHARACTER_CLASSES = '0';
+
+      expect(passwordPolicy.getPasswordProblems('tidalorbitlantern')).toEqual([]);
+    });
+
+    it('rejects passwords containing the name, email or email local part, ignoring case', () => {
+      const user = { firstName: 'Asha', lastName: 'Raman', email: 'asha.r@example.com' };
+
+      expect(passwordPolicy.getPasswordProblems('ASHA-orbit-lantern-42', user)).toEqual([PERSONAL_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('Tidal-raman-orbit-42', user)).toEqual([PERSONAL_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('Tidal-asha.r-orbit-42', user)).toEqual([PERSONAL_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('Tidal-Orbit-Lantern-42', user)).toEqual([]);
+    });
+
+    it('ignores name and email parts shorter than 3 characters', () => {
+      expect(passwordPolicy.getPasswordProblems('Jo-Tidal-Orbit-42', { firstName: 'Jo', email: 'jo@example.com' }))
+        .toEqual([]);
+    });
+
+    it('rejects listed passwords, with or without digits and symbols appended', () => {
+      expect(passwordPolicy.getPasswordProblems('Sunshine2024!')).toEqual([COMMON_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('P@ssw0rd12345')).toEqual([COMMON_PROBLEM]);
+      expect(passwordPolicy.getPasswordProblems('Therapist#2024')).toEqual([COMMON_PROBLEM]);
+    });
+
+    it('lists every problem of a password', () => {
+      expect(passwordPolicy.getPasswordProblems('asha', { firstName: 'Asha' })).toEqual([
+        LENGTH_PROBLEM,
+        CLASSES_PROBLEM,
+        PERSONAL_PROBLEM,
+        COMMON_PROBLEM
+      ]);
+    });
+  });
+
+  describe('isCommonPassword', () => {
+    it('matches listed passwords regardless of case', () => {
+      expect(passwordPolicy.isCommonPassword('password')).toBe(true);
+      expect(passwordPolicy.isCommonPassword('PassWord')).toBe(true);
+    });
+
+    it('strips a trailing run of digits and symbols before matching', () => {
+      expect(passwordPolicy.isCommonPassword('Sunshine2024!')).toBe(true);
+      expect(passwordPolicy.isCommonPassword('Sunshine!!!')).toBe(true);
+    });
+
+    it('only strips the end of the password', () => {
+      expect(passwordPolicy.isCommonPassword('2024Sunshine')).toBe(false);
+      expect(passwordPolicy.isCommonPassword('Sun2024shine')).toBe(false);
+    });
+
+    it('does not match on a stripped remainder shorter than 4 letters', () => {
+      expect(passwordPolicy.isCommonPassword('abc123456789!')).toBe(false);
+    });
+
+    it('passes passwords that are not listed', () => {
+      expect(passwordPolicy.isCommonPassword('Tidal-Orbit-Lantern-42')).toBe(false);
+    });
+  });
+
+  describe('passwordPolicyValidator', () => {
+    it('accepts a password meeting the policy', () => {
+      const validator = passwordPolicy.passwordPolicyValidator(req => req.body);
+
+      expect(validator('Tidal-Orbit-Lantern-42', { req: { body: { firstName: 'Asha' } } })).toBe(true);
+    });
+
+    it('throws with the problems joined, checking the account from the request', () => {
+      const validator = passwordPolicy.passwordPolicyValidator(req => req.body);
+
+      expect(() => validator('asha', { req: { body: { firstName: 'Asha' } } }))
+        .toThrow(`${LENGTH_PROBLEM}. ${CLASSES_PROBLEM}. ${PERSONAL_PROBLEM}. ${COMMON_PROBLEM}`);
+    });
+  });
+});
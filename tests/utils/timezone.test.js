@@ -0,0 +1,91 @@
+/* eslint-env jest */
+
+const timezone = require('../../utils/timezone');
+
+describe('timezone', () => {
+  describe('isValidTimeZone', () => {
+    it('accepts IANA zone names', () => {
+      expect(timezone.isValidTimeZone('America/New_York')).toBe(true);
+      expect(timezone.isValidTimeZone('UTC')).toBe(true);
+    });
+
+    it('rejects unknown, empty and non-string zones', () => {
+      expect(timezone.isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+      expect(timezone.isValidTimeZone('')).toBe(false);
+      expect(timezone.isValidTimeZone(undefined)).toBe(false);
+      expect(timezone.isValidTimeZone(5)).toBe(false);
+    });
+  });
+
+  describe('getOffsetMinutes', () => {
+    it('follows daylight saving time', () => {
+      expect(timezone.getOffsetMinutes(new Date('2024-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+      expect(timezone.getOffsetMinutes(new Date('2024-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+    });
+
+    it('handles zones east of UTC with partial-hour offsets', () => {
+      expect(timezone.getOffsetMinutes(new Date('2024-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('converts a wall-clock time to the UTC instant', () => {
+      expect(timezone.zonedTimeToUtc('2024-01-15', '09:30', 'America/New_York').toISOString())
+        .toBe('2024-01-15T14:30:00.000Z');
+      expect(timezone.zonedTimeToUtc('2024-07-15', '09:30', 'America/New_York').toISOString())
+        .toBe('2024-07-15T13:30:00.000Z');
+    });
+
+    it('accepts seconds', () => {
+      expect(timezone.zonedTimeToUtc('2024-01-15', '09:30:15', 'UTC').toISOString())
+        .toBe('2024-01-15T09:30:15.000Z');
+    });
+
+    it('crosses the date line into the previous UTC day', () => {
+      expect(timezone.zonedTimeToUtc('2024-07-15', '08:00', 'Pacific/Auckland').toISOString())
+        .toBe('2024-07-14T20:00:00.000Z');
+    });
+
+    it('resolves a time skipped by the spring-forward transition to the later offset', () => {
+      // 02:30 does not exist on 10 March 2024 in New York
+      expect(timezone.zonedTimeToUtc('2024-03-10', '02:30', 'America/New_York').toISOString())
+        .toBe('2024-03-10T06:30:00.000Z');
+    });
+
+    it('round-trips with toZonedDateKey and toZonedTime', () => {
+      const instant = timezone.zonedTimeToUtc('2024-11-03', '14:45', 'Europe/Berlin');
+      expect(timezone.toZonedDateKey(instant, 'Europe/Berlin')).toBe('2024-11-03');
+      expect(timezone.toZonedTime(instant, 'Europe/Berlin')).toBe('14:45');
+    });
+  });
+
+  describe('toZonedDateKey and toZonedTime', () => {
+    it('read the wall clock of an instant in a zone', () => {
+      const instant = new Date('2024-01-15T03:05:00Z');
+      expect(timezone.toZonedDateKey(instant, 'America/Los_Angeles')).toBe('2024-01-14');
+      expect(timezone.toZonedTime(instant, 'America/Los_Angeles')).toBe('19:05');
+      expect(timezone.toZonedDateKey(instant, 'UTC')).toBe('2024-01-15');
+      expect(timezone.toZonedTime(instant, 'UTC')).toBe('03:05');
+    });
+
+    it('uses 00 rather than 24 for midnight', () => {
+      expect(timezone.toZonedTime(new Date('2024-01-15T00:00:00Z'), 'UTC')).toBe('00:00');
+    });
+  });
+
+  describe('addDays', () => {
+    it('adds and subtracts days across month and year ends', () => {
+      expect(timezone.addDays('2024-01-31', 1)).toBe('2024-02-01');
+      expect(timezone.addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(timezone.addDays('2024-01-01', -1)).toBe('2023-12-31');
+    });
+  });
+
+  describe('formatInTimeZone', () => {
+    it('formats the date and time in the zone', () => {
+      const { date, time } = timezone.formatInTimeZone(new Date('2024-01-15T14:30:00Z'), 'America/New_York');
+      expect(date).toBe('Monday, January 15, 2024');
+      expect(time).toBe('09:30 AM EST');
+    });
+  });
+});
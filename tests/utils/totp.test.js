@@ -0,0 +1,99 @@
+/* eslint-env jest */
+
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" with SHA-1
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('encodes and decodes the RFC 4648 vectors without padding', () => {
+      const vectors = [['', ''], ['f', 'MY'], ['fo', 'MZXQ'], ['foo', 'MZXW6'], ['foob', 'MZXW6YQ'], ['fooba', 'MZXW6YTB'], ['foobar', 'MZXW6YTBOI']];
+
+      vectors.forEach(([text, encoded]) => {
+        expect(totp.base32Encode(Buffer.from(text))).toBe(encoded);
+        expect(totp.base32Decode(encoded).toString()).toBe(text);
+      });
+    });
+
+    it('decodes regardless of case, spaces and padding', () => {
+      expect(totp.base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+      expect(() => totp.base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('returns 20 random bytes as base32', () => {
+      const secret = totp.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.base32Decode(secret)).toHaveLength(20);
+      expect(totp.generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('generateCode', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      RFC_VECTORS.forEach(([seconds, code]) => {
+        expect(totp.generateCode(RFC_SECRET, totp.getCounter(seconds * 1000))).toBe(code);
+      });
+    });
+  });
+
+  describe('getCounter', () => {
+    it('counts 30-second steps', () => {
+      expect(totp.getCounter(0)).toBe(0);
+      expect(totp.getCounter(29999)).toBe(0);
+      expect(totp.getCounter(30000)).toBe(1);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111111 * 1000;
+    const counter = totp.getCounter(time);
+
+    it('returns the matching time step of a current code', () => {
+      expect(totp.verifyCode(RFC_SECRET, '050471', { time })).toBe(counter);
+    });
+
+    it('accepts codes one step either side by default, and no further', () => {
+      const previous = totp.generateCode(RFC_SECRET, counter - 1);
+      const next = totp.generateCode(RFC_SECRET, counter + 1);
+      const tooOld = totp.generateCode(RFC_SECRET, counter - 2);
+
+      expect(totp.verifyCode(RFC_SECRET, previous, { time })).toBe(counter - 1);
+      expect(totp.verifyCode(RFC_SECRET, next, { time })).toBe(counter + 1);
+      expect(totp.verifyCode(RFC_SECRET, tooOld, { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, previous, { time, window: 0 })).toBeNull();
+    });
+
+    it('ignores spaces in the entered code', () => {
+      expect(totp.verifyCode(RFC_SECRET, '050 471', { time })).toBe(counter);
+    });
+
+    it('rejects wrong, malformed and missing codes', () => {
+      expect(totp.verifyCode(RFC_SECRET, '000000', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, '50471', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, '0504711', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('builds the URI authenticator apps read, encoding spaces as %20', () => {
+      expect(totp.buildOtpauthUri({ secret: RFC_SECRET, accountName: 'jo@example.com', issuer: 'Arohana Health' }))
+        .toBe(`otpauth://totp/Arohana%20Health:jo%40example.com?secret=${RFC_SECRET}&issuer=Arohana%20Health&algorithm=SHA1&digits=6&period=30`);
+    });
+  });
+});
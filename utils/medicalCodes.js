@@ -0,0 +1,73 @@
+/**
+ * Medical Code Utility
+ *
+ * Format checks for the codes printed on insurance superbills:
+ * - ICD-10-CM diagnosis codes (e.g. F41.1)
+ * - CPT procedure codes (e.g. 90834)
+ * - NPI provider numbers, including the check digit
+ */
+
+// Letter (U is reserved), two characters, then up to four after the dot
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+
+// Five digits, or four digits and F/T for Category II and III codes
+const CPT_PATTERN = /^[0-9]{4}[0-9FT]$/;
+
+// NPI check digits are computed as if the number were prefixed with 80840
+const NPI_PREFIX_SUM = 24;
+
+/**
+ * Check whether a string is a well-formed ICD-10-CM diagnosis code
+ * @param {string} code - Diagnosis code
+ * @returns {boolean} True if valid
+ */
+const isValidIcd10Code = (code) => typeof code === 'string' && ICD10_PATTERN.test(code);
+
+/**
+ * Check whether a string is a well-formed CPT procedure code
+ * @param {string} code - Procedure code
+ * @returns {boolean} True if valid
+ */
+const isValidCptCode = (code) => typeof code === 'string' && CPT_PATTERN.test(code);
+
+/**
+ * Check whether a string is a valid 10-digit NPI (Luhn check digit)
+ * @param {string} npi - National Provider Identifier
+ * @returns {boolean} True if valid
+ */
+const isValidNpi = (npi) => {
+  if (typeof npi !== 'string' || !/^[0-9]{10}$/.test(npi)) {
+    return false;
+  }
+
+  let sum = NPI_PREFIX_SUM;
+  for (let i = 0; i < 9; i++) {
+    let digit = Number(npi[i]);
+    // Double every other digit, starting from the right of the first nine
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(npi[9]);
+};
+
+/**
+ * Normalize a list of codes: trimmed, uppercased and de-duplicated
+ * @param {Array<string>} codes - Codes as entered
+ * @returns {Array<string>} Normalized codes
+ */
+const normalizeCodes = (codes) => {
+  return [...new Set((codes || []).map(code => String(code).trim().toUpperCase()))];
+};
+
+module.exports = {
+  isValidIcd10Code,
+  isValidCptCode,
+  isValidNpi,
+  normalizeCodes
+};
@@ -0,0 +1,151 @@
+/**
+ * Password Policy Utility
+ *
+ * Rules a new password must meet:
+ * - Minimum and maximum length
+ * - A mix of character classes (lowercase, uppercase, digits, symbols)
+ * - No part of the user's name or email address
+ * - Not on the bundled list of common and breached passwords
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, 'data', 'common-passwords.txt');
+
+// Shortest name or email part treated as personal information
+const MIN_PERSONAL_PART_LENGTH = 3;
+
+let blocklist = null;
+
+/**
+ * Read an integer setting that may legitimately be 0
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default when unset
+ * @returns {number} Value
+ */
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Read the password policy from the environment
+ * @returns {Object} { minLength, maxLength, minCharacterClasses, historyCount }
+ */
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 12,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+  minCharacterClasses: readInteger('PASSWORD_MIN_CHARACTER_CLASSES', 3),
+  historyCount: readInteger('PASSWORD_HISTORY_COUNT', 5)
+});
+
+/**
+ * Load the common password list once
+ * @returns {Set<string>} Lowercased passwords
+ */
+const getBlocklist = () => {
+  if (!blocklist) {
+    const file = process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE;
+    blocklist = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return blocklist;
+};
+
+/**
+ * Check whether a password is a common or breached password
+ * Also catches listed words with digits or symbols appended, like "Summer2024!".
+ * @param {string} password - Password
+ * @returns {boolean} True if listed
+ */
+const isCommonPassword = (password) => {
+  const list = getBlocklist();
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-z]+$/, '');
+
+  return list.has(lower) || (base.length >= 4 && list.has(base));
+};
+
+/**
+ * Count the character classes a password uses
+ * @param {string} password - Password
+ * @returns {number} 0-4
+ */
+const countCharacterClasses = (password) => {
+  return [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(password)).length;
+};
+
+/**
+ * Check whether a password has an allowed length
+ * @param {string} password - Password
+ * @returns {boolean} True if within the policy's limits
+ */
+const isValidPasswordLength = (password) => {
+  const { minLength, maxLength } = getPasswordPolicy();
+  return typeof password === 'string' && password.length >= minLength && password.length <= maxLength;
+};
+
+/**
+ * List the ways a password breaks the policy
+ * @param {string} password - Password
+ * @param {Object} [user] - { email, firstName, lastName } of the account
+ * @returns {Array<string>} Problems, empty if the password is acceptable
+ */
+const getPasswordProblems = (password, { email, firstName, lastName } = {}) => {
+  const policy = getPasswordPolicy();
+  const problems = [];
+
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  if (!isValidPasswordLength(password)) {
+    problems.push(`Password must be between ${policy.minLength} and ${policy.maxLength} characters`);
+  }
+
+  if (countCharacterClasses(password) < policy.minCharacterClasses) {
+    problems.push(`Password must use at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, numbers, symbols`);
+  }
+
+  const lower = password.toLowerCase();
+  const personalParts = [firstName, lastName, email, email && email.split('@')[0]]
+    .filter(part => part && part.length >= MIN_PERSONAL_PART_LENGTH)
+    .map(part => part.toLowerCase());
+  if (personalParts.some(part => lower.includes(part))) {
+    problems.push('Password must not contain your name or email address');
+  }
+
+  if (isCommonPassword(password)) {
+    problems.push('Password is too common or has appeared in a data breach');
+  }
+
+  return problems;
+};
+
+/**
+ * Build an express-validator custom validator enforcing the policy
+ * @param {Function} [getUser] - (req) => { email, firstName, lastName } of the account
+ * @returns {Function} Validator that throws with the policy problems
+ */
+const passwordPolicyValidator = (getUser = () => ({})) => {
+  return (password, { req }) => {
+    const problems = getPasswordProblems(password, getUser(req));
+    if (problems.length > 0) {
+      throw new Error(problems.join('. '));
+    }
+    return true;
+  };
+};
+
+module.exports = {
+  getPasswordPolicy,
+  isCommonPassword,
+  isValidPasswordLength,
+  getPasswordProblems,
+  passwordPolicyValidator
+};
@@ -0,0 +1,161 @@
+/**
+ * Time Zone Utility
+ *
+ * IANA time zone helpers built on Intl.DateTimeFormat:
+ * - Validate zone names
+ * - Convert wall-clock date/time in a zone to a UTC instant
+ * - Read the wall-clock date/time of an instant in a zone
+ * - Format instants for display in a zone
+ */
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+// Formatters are expensive to build, so cache one per zone
+const partsFormatters = new Map();
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock components of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  partsFormatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+};
+
+/**
+ * Get the offset of a zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (positive east of UTC)
+ */
+const getOffsetMinutes = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a wall-clock date and time in a zone to a UTC instant
+ * Times skipped by a DST transition resolve to the later offset.
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM(:SS) format
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} UTC instant
+ */
+const zonedTimeToUtc = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Two passes settle the offset around DST transitions
+  let instant = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  instant = wallClock - getOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+};
+
+/**
+ * Get the YYYY-MM-DD date of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date key
+ */
+const toZonedDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the HH:MM time of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Time string
+ */
+const toZonedTime = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Add days to a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Format an instant for display in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date, time } human-readable strings
+ */
+const formatInTimeZone = (date, timeZone) => {
+  return {
+    date: date.toLocaleDateString('en-US', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    time: date.toLocaleTimeString('en-US', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    })
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  toZonedDateKey,
+  toZonedTime,
+  addDays,
+  formatInTimeZone
+};
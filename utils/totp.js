@@ -0,0 +1,154 @@
+/**
+ * TOTP Utility
+ *
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * - Base32 secrets
+ * - 6-digit codes from HMAC-SHA1 over 30-second time steps
+ * - otpauth:// provisioning URIs for QR codes
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CODE_DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Secret length recommended by RFC 4226 for HMAC-SHA1
+const SECRET_BYTES = 20;
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Bytes
+ * @throws {Error} If the string has characters outside the alphabet
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Get the time step of an instant
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {number} Time step counter
+ */
+const getCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code of a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift between server and device
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { window, time } where window is the number of
+ *   steps accepted either side of the current one
+ * @returns {number|null} Time step the code matched, or null
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^[0-9]{${CODE_DIGITS}}$`).test(candidate)) {
+    return null;
+  }
+
+  const current = getCounter(time);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    const expected = generateCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the provisioning URI authenticator apps read from a QR code
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} otpauth:// URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const query = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: CODE_DIGITS,
+    period: STEP_SECONDS
+  }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+
+  // Spaces are encoded as %20; some authenticator apps show a literal "+"
+  return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getCounter,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};